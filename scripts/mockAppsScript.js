@@ -0,0 +1,333 @@
+/**
+ * Mock Apps Script server
+ *
+ * Local stand-in for the production Google Apps Script web app and the
+ * published CSV exports, so booking flows can be developed and tested
+ * without touching the live sheet. Runs the same action protocol as the
+ * app's local backend (src/utils/backendActions.js), including conflict
+ * detection and the forceCreate flag.
+ *
+ * Endpoints:
+ * - GET  /csv/<collection>  published CSV export (bookings, courts, ...)
+ * - POST /exec              Apps Script action: body { action, ...data }
+ *                            (waitForChanges is held open until the next
+ *                            write or timeoutMs)
+ * - POST /reset             restore the dataset loaded at startup
+ * - GET  /                  row counts per collection
+ *
+ * Usage:
+ *   npm run mock-server -- [--port 8787] [--data mock-data.json] [--memory] [--delay 0]
+ *
+ * --data loads a JSON file of the form { bookings: [...], courts: [...] }.
+ * Writes are saved back to that file unless --memory is given. Without
+ * --data the server starts with courts 1-17 and one staff member.
+ *
+ * Point the app at it with VITE_MOCK_SERVER_URL=http://localhost:8787
+ */
+import http from 'node:http';
+import fs from 'node:fs';
+import { COLLECTION_KEYS, createActionHandlers, toSheetRow } from '../src/utils/backendActions.js';
+
+const args = parseArgs(process.argv.slice(2));
+const PORT = parseInt(args.port || process.env.MOCK_PORT || '8787', 10);
+const DATA_FILE = args.data || process.env.MOCK_DATA_FILE || '';
+const PERSIST = Boolean(DATA_FILE) && !args.memory;
+const DELAY_MS = parseInt(args.delay || '0', 10);
+// Upper bound on how long a waitForChanges request is held open
+const MAX_LONG_POLL_MS = 25000;
+
+/**
+ * Parse --key value / --flag arguments
+ * @param {Array<string>} argv
+ * @returns {object}
+ */
+function parseArgs(argv) {
+  const result = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (!argv[i].startsWith('--')) continue;
+    const key = argv[i].slice(2);
+    const next = argv[i + 1];
+    if (next === undefined || next.startsWith('--')) {
+      result[key] = true;
+    } else {
+      result[key] = next;
+      i++;
+    }
+  }
+  return result;
+}
+
+/**
+ * Dataset used when no data file is given
+ * @returns {object}
+ */
+function defaultDataset() {
+  const courts = [];
+  for (let n = 1; n <= 17; n++) {
+    courts.push({
+      court_number: n,
+      court_name: n === 17 ? 'Stadium' : `Court ${n}`,
+      status: 'open',
+      display_order: n,
+    });
+  }
+  return {
+    courts,
+    staff: [{ staff_id: 'STAFF-1', name: 'Test Staff', initials: 'TS', role: 'staff', is_active: true }],
+  };
+}
+
+/**
+ * Load the starting dataset as sheet-style rows
+ * @returns {object} Collection name to array of rows
+ */
+function loadDataset() {
+  const source = DATA_FILE && fs.existsSync(DATA_FILE)
+    ? JSON.parse(fs.readFileSync(DATA_FILE, 'utf8'))
+    : defaultDataset();
+
+  const data = {};
+  Object.keys(COLLECTION_KEYS).forEach(collection => {
+    data[collection] = (source[collection] || []).map(toSheetRow);
+  });
+  return data;
+}
+
+const initialData = loadDataset();
+let data = structuredClone(initialData);
+let tombstones = {};
+// Resolvers for waitForChanges requests waiting on the next write
+let writeWaiters = [];
+
+function saveDataset() {
+  const waiters = writeWaiters;
+  writeWaiters = [];
+  waiters.forEach(resolve => resolve());
+
+  if (!PERSIST) return;
+  fs.writeFileSync(DATA_FILE, JSON.stringify(data, null, 2));
+}
+
+/**
+ * Wait for the next write, or until the timeout passes
+ * @param {number} timeoutMs
+ * @returns {Promise<void>}
+ */
+function waitForWrite(timeoutMs) {
+  return new Promise(resolve => {
+    const timer = setTimeout(resolve, timeoutMs);
+    writeWaiters.push(() => {
+      clearTimeout(timer);
+      resolve();
+    });
+  });
+}
+
+const store = {
+  async getAll(collection) {
+    return data[collection] || [];
+  },
+
+  async getOne(collection, id) {
+    const key = COLLECTION_KEYS[collection];
+    return (data[collection] || []).find(row => row[key] === String(id)) || null;
+  },
+
+  async putAll(collection, records) {
+    const key = COLLECTION_KEYS[collection];
+    const updatedAt = new Date().toISOString();
+    records.forEach(record => {
+      const row = toSheetRow({ ...record, updated_at: updatedAt });
+      const index = data[collection].findIndex(existing => existing[key] === row[key]);
+      if (index >= 0) {
+        data[collection][index] = row;
+      } else {
+        data[collection].push(row);
+      }
+    });
+    saveDataset();
+  },
+
+  async remove(collection, id, where) {
+    const key = COLLECTION_KEYS[collection];
+    data[collection] = data[collection].filter(row => row[key] !== String(id) || (where && !where(row)));
+    // Clients drop every row with a deleted ID, so only record one that is gone
+    if (!data[collection].some(row => row[key] === String(id))) {
+      tombstones[collection] = [
+        ...(tombstones[collection] || []),
+        { id: String(id), deletedAt: new Date().toISOString() },
+      ];
+    }
+    saveDataset();
+  },
+
+  async getDeletedSince(collection, since) {
+    return (tombstones[collection] || [])
+      .filter(t => t.deletedAt > since)
+      .map(t => t.id);
+  },
+};
+
+const actions = createActionHandlers(store);
+
+/**
+ * Quote a value for CSV output (RFC 4180)
+ * @param {string} value
+ * @returns {string}
+ */
+function csvField(value) {
+  return /[",\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+}
+
+/**
+ * Render a collection the way Sheets publishes it
+ * @param {string} collection
+ * @returns {string}
+ */
+function toCSV(collection) {
+  const rows = data[collection];
+  const columns = [COLLECTION_KEYS[collection]];
+  rows.forEach(row => {
+    Object.keys(row).forEach(column => {
+      if (!columns.includes(column)) columns.push(column);
+    });
+  });
+
+  const lines = [columns.map(csvField).join(',')];
+  rows.forEach(row => {
+    lines.push(columns.map(column => csvField(row[column] || '')).join(','));
+  });
+  return lines.join('\r\n');
+}
+
+/**
+ * Read a request body as text
+ * @param {http.IncomingMessage} req
+ * @returns {Promise<string>}
+ */
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    req.setEncoding('utf8');
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => resolve(body));
+    req.on('error', reject);
+  });
+}
+
+function send(res, status, contentType, body) {
+  res.writeHead(status, {
+    'Content-Type': contentType,
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type',
+    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+  });
+  res.end(body);
+}
+
+function sendJSON(res, body, status = 200) {
+  send(res, status, 'application/json', JSON.stringify(body));
+}
+
+/**
+ * Run an Apps Script action
+ * Like the real script, failures are reported in the body with HTTP 200
+ */
+async function handleExec(req, res) {
+  let payload;
+  try {
+    payload = JSON.parse(await readBody(req));
+  } catch {
+    sendJSON(res, { success: false, error: 'Invalid JSON body' });
+    return;
+  }
+
+  const { action, ...params } = payload;
+  const handler = actions[action];
+  if (!handler) {
+    sendJSON(res, { success: false, error: `Unknown action: ${action}` });
+    return;
+  }
+
+  if (action === 'getChangesSince' && !COLLECTION_KEYS[params.collection]) {
+    sendJSON(res, { success: false, error: `Unknown collection: ${params.collection}` });
+    return;
+  }
+
+  if (action === 'waitForChanges') {
+    const timeoutMs = Math.min(parseInt(params.timeoutMs, 10) || 0, MAX_LONG_POLL_MS);
+    let result = await handler(params);
+    if (result.collections.length === 0 && timeoutMs > 0) {
+      await waitForWrite(timeoutMs);
+      result = await handler(params);
+    }
+    sendJSON(res, result);
+    return;
+  }
+
+  try {
+    const result = await handler(params);
+    console.log(`[MockAppsScript] ${action} -> ${result.success ? 'ok' : result.error}`);
+    sendJSON(res, result);
+  } catch (error) {
+    console.error(`[MockAppsScript] ${action} failed:`, error);
+    sendJSON(res, { success: false, error: error.message });
+  }
+}
+
+async function handleRequest(req, res) {
+  if (DELAY_MS > 0) {
+    await new Promise(resolve => setTimeout(resolve, DELAY_MS));
+  }
+
+  const { pathname } = new URL(req.url, `http://localhost:${PORT}`);
+
+  if (req.method === 'OPTIONS') {
+    send(res, 204, 'text/plain', '');
+    return;
+  }
+
+  if (req.method === 'GET' && pathname.startsWith('/csv/')) {
+    const collection = pathname.slice('/csv/'.length);
+    if (!COLLECTION_KEYS[collection]) {
+      send(res, 404, 'text/plain', `Unknown collection: ${collection}`);
+      return;
+    }
+    send(res, 200, 'text/csv; charset=utf-8', toCSV(collection));
+    return;
+  }
+
+  if (req.method === 'POST' && pathname === '/exec') {
+    await handleExec(req, res);
+    return;
+  }
+
+  if (req.method === 'POST' && pathname === '/reset') {
+    data = structuredClone(initialData);
+    tombstones = {};
+    saveDataset();
+    sendJSON(res, { success: true });
+    return;
+  }
+
+  if (req.method === 'GET' && pathname === '/') {
+    const counts = {};
+    Object.keys(COLLECTION_KEYS).forEach(collection => {
+      counts[collection] = data[collection].length;
+    });
+    sendJSON(res, { success: true, persist: PERSIST, counts });
+    return;
+  }
+
+  send(res, 404, 'text/plain', 'Not found');
+}
+
+http.createServer((req, res) => {
+  handleRequest(req, res).catch(error => {
+    console.error('[MockAppsScript] Request failed:', error);
+    sendJSON(res, { success: false, error: error.message }, 500);
+  });
+}).listen(PORT, () => {
+  console.log(`[MockAppsScript] Listening on http://localhost:${PORT}`);
+  console.log(`[MockAppsScript] Data: ${DATA_FILE || 'built-in defaults'}${PERSIST ? ' (saved on write)' : ' (in memory)'}`);
+});
@@ -14,10 +14,12 @@ import SearchView from './components/views/SearchView.jsx';
 import ReportsView from './components/views/ReportsView.jsx';
 import MaintenanceView from './components/views/MaintenanceView.jsx';
 import ClosuresView from './components/views/ClosuresView.jsx';
+import CreditsView from './components/views/CreditsView.jsx';
 import BookingModal from './components/booking/BookingModal.jsx';
 import Modal from './components/common/Modal.jsx';
 import { formatDateISO, formatDateDisplay } from './utils/dateHelpers.js';
 import { useBookings } from './hooks/useBookings.js';
+import { useFacility } from './hooks/useFacility.js';
 
 const APP_MODE_KEY = 'rebsamen_app_mode';
 
@@ -83,7 +85,8 @@ function AppContent() {
   const [showModeSelector, setShowModeSelector] = useState(false);
 
   const { currentStaff, isLoaded } = useStaffContext();
-  const { refreshBookings } = useBookings();
+  const { refreshAll } = useBookings();
+  const facilityName = useFacility().facility.name;
 
   // Show mode selector on first load if no mode selected
   useEffect(() => {
@@ -146,7 +149,7 @@ function AppContent() {
             <div className="p-4 print-container">
               {/* Print Header - only visible when printing */}
               <div className="print-header hidden">
-                <h1>Rebsamen Tennis Center - All Courts</h1>
+                <h1>{facilityName} - All Courts</h1>
                 <p>{formatDateDisplay(selectedDate)}</p>
               </div>
               {/* Print button */}
@@ -199,6 +202,9 @@ function AppContent() {
       case 'closures':
         return <ClosuresView />;
 
+      case 'credits':
+        return <CreditsView />;
+
       case 'search':
         return <SearchView onBookingClick={handleBookingClick} />;
 
@@ -221,7 +227,7 @@ function AppContent() {
       {/* Header */}
       <Header
         onStaffClick={() => setShowStaffSelector(true)}
-        onRefresh={refreshBookings}
+        onRefresh={refreshAll}
         appMode={appMode}
         onSwitchMode={handleSwitchMode}
       />
@@ -0,0 +1,127 @@
+import { useState } from 'react';
+import Button from '../common/Button.jsx';
+import { formatDateDisplay, formatTimeDisplay } from '../../utils/dateHelpers.js';
+import { getBookingTypeLabel } from '../../utils/colors.js';
+import { useCourts } from '../../hooks/useCourts.js';
+import { getCustomerTierLabel } from '../../utils/customerTiers.js';
+
+// Fields staff can edit, in form order
+const COMPARE_FIELDS = [
+  { key: 'date', label: 'Date', format: formatDateDisplay },
+  { key: 'court', label: 'Court' },
+  { key: 'time_start', label: 'Start', format: formatTimeDisplay },
+  { key: 'time_end', label: 'End', format: formatTimeDisplay },
+  { key: 'booking_type', label: 'Type', format: getBookingTypeLabel },
+  { key: 'customer_name', label: 'Customer' },
+  { key: 'customer_phone', label: 'Phone' },
+  { key: 'payment_status', label: 'Payment status' },
+  { key: 'payment_amount', label: 'Amount', format: v => `$${(parseFloat(v) || 0).toFixed(2)}` },
+  { key: 'discount_amount', label: 'Discount', format: v => `$${(parseFloat(v) || 0).toFixed(2)}` },
+  { key: 'promo_code', label: 'Promo code' },
+  { key: 'payment_method', label: 'Payment method' },
+  { key: 'participant_count', label: 'Players' },
+  { key: 'is_youth', label: 'Youth', format: v => (v === true || v === 'TRUE' ? 'Yes' : 'No') },
+  { key: 'customer_tier', label: 'Customer tier', format: v => (v ? getCustomerTierLabel(v) : '-') },
+  { key: 'notes', label: 'Notes' },
+];
+
+/**
+ * Compare a stale edit against the booking as it is now on the server
+ * Staff pick, field by field, which value to keep.
+ */
+export default function BookingCompare({ current, mine, onSave, onDiscard, loading = false }) {
+  const { getCourtName } = useCourts();
+
+  const formatValue = (field, value) => {
+    if (value === null || value === undefined || value === '') return '—';
+    if (field.key === 'court') return getCourtName(parseInt(value, 10));
+    return field.format ? field.format(value) : String(value);
+  };
+
+  // Only fields where the two versions actually differ
+  const differences = COMPARE_FIELDS.filter(field =>
+    field.key in mine && formatValue(field, current[field.key]) !== formatValue(field, mine[field.key])
+  );
+
+  const [choices, setChoices] = useState(() =>
+    Object.fromEntries(differences.map(field => [field.key, 'mine']))
+  );
+
+  const handleSave = () => {
+    const merged = { ...mine };
+    differences.forEach(field => {
+      if (choices[field.key] === 'theirs') {
+        merged[field.key] = current[field.key];
+      }
+    });
+    onSave(merged);
+  };
+
+  const changedBy = current.modified_by || current.checked_in_by || current.cancelled_by;
+
+  return (
+    <div className="space-y-4">
+      <div className="bg-amber-50 border border-amber-200 rounded-lg p-4 text-sm text-amber-800">
+        <h4 className="font-medium">This booking was changed while you were editing</h4>
+        <p className="mt-1 text-amber-700">
+          {changedBy ? `Last changed by ${changedBy}. ` : ''}
+          Choose which value to keep for each field, or keep their version and drop your edit.
+        </p>
+      </div>
+
+      {current.status && current.status !== 'active' && (
+        <div className="bg-red-50 border border-red-200 rounded-lg p-3 text-sm text-red-700">
+          The booking is now <strong>{current.status.replace('_', '-')}</strong>.
+        </div>
+      )}
+
+      {differences.length === 0 ? (
+        <p className="text-sm text-gray-600">
+          Their changes don't touch the fields you edited. Saving keeps both.
+        </p>
+      ) : (
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-left text-gray-500 border-b border-gray-200">
+              <th className="py-2 pr-2 font-medium">Field</th>
+              <th className="py-2 px-2 font-medium">Their version</th>
+              <th className="py-2 pl-2 font-medium">Your edit</th>
+            </tr>
+          </thead>
+          <tbody>
+            {differences.map(field => (
+              <tr key={field.key} className="border-b border-gray-100">
+                <td className="py-2 pr-2 text-gray-600">{field.label}</td>
+                {['theirs', 'mine'].map(side => (
+                  <td key={side} className={side === 'theirs' ? 'py-2 px-2' : 'py-2 pl-2'}>
+                    <label className="flex items-center gap-2 cursor-pointer">
+                      <input
+                        type="radio"
+                        name={`compare-${field.key}`}
+                        checked={choices[field.key] === side}
+                        onChange={() => setChoices(prev => ({ ...prev, [field.key]: side }))}
+                        className="text-green-600 focus:ring-green-500"
+                      />
+                      <span className={choices[field.key] === side ? 'font-medium text-gray-900' : 'text-gray-500'}>
+                        {formatValue(field, side === 'theirs' ? current[field.key] : mine[field.key])}
+                      </span>
+                    </label>
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      <div className="flex gap-3 pt-2">
+        <Button variant="secondary" onClick={onDiscard} disabled={loading} fullWidth>
+          Keep Their Version
+        </Button>
+        <Button onClick={handleSave} loading={loading} fullWidth>
+          Save Selected
+        </Button>
+      </div>
+    </div>
+  );
+}
@@ -1,6 +1,10 @@
 import { formatDateDisplay, formatTimeDisplay } from '../../utils/dateHelpers.js';
+import { formatTimestampDisplay } from '../../utils/timeUtils.js';
 import { getBookingTypeLabel, getStatusBadgeClasses } from '../../utils/colors.js';
 import { useCourts } from '../../hooks/useCourts.js';
+import { getBookingShortCode } from '../../utils/bookingId.js';
+import { getBookingTier, getCustomerTierLabel } from '../../utils/customerTiers.js';
+import { BOOKING_TYPES } from '../../config.js';
 
 /**
  * Display booking details in a readable format
@@ -10,14 +14,20 @@ export default function BookingDetails({ booking }) {
 
   if (!booking) return null;
 
-  const isCheckedIn = booking.checked_in === 'TRUE' || booking.checked_in === true;
+  const isCheckedIn = booking.checked_in === true;
+  const shortCode = getBookingShortCode(booking.booking_id);
 
   return (
     <div className="space-y-4">
       {/* Booking ID Banner */}
       <div className="bg-gray-50 rounded-lg p-3 text-center">
-        <span className="text-xs text-gray-500 uppercase tracking-wider">Booking ID</span>
-        <p className="text-2xl font-mono font-bold text-gray-900">{booking.booking_id}</p>
+        <span className="text-xs text-gray-500 uppercase tracking-wider">
+          {shortCode ? 'Booking Code' : 'Booking ID'}
+        </span>
+        <p className="text-2xl font-mono font-bold text-gray-900">{shortCode || booking.booking_id}</p>
+        {shortCode && (
+          <p className="text-xs font-mono text-gray-500">{booking.booking_id}</p>
+        )}
       </div>
 
       {/* Status Badge */}
@@ -35,12 +45,21 @@ export default function BookingDetails({ booking }) {
       {/* Details Grid */}
       <div className="grid grid-cols-2 gap-4 text-sm">
         <DetailItem label="Date" value={formatDateDisplay(booking.date)} />
-        <DetailItem label="Court" value={getCourtName(parseInt(booking.court, 10))} />
+        <DetailItem label="Court" value={getCourtName(booking.court)} />
         <DetailItem label="Time" value={`${formatTimeDisplay(booking.time_start)} - ${formatTimeDisplay(booking.time_end)}`} />
         <DetailItem label="Type" value={getBookingTypeLabel(booking.booking_type)} />
         <DetailItem label="Customer" value={booking.customer_name || '-'} />
         <DetailItem label="Phone" value={booking.customer_phone || '-'} />
-        <DetailItem label="Payment" value={`$${booking.payment_amount || '0.00'} (${booking.payment_status || 'pending'})`} />
+        {booking.booking_type === BOOKING_TYPES.OPEN && (
+          <DetailItem label="Customer Tier" value={getCustomerTierLabel(getBookingTier(booking))} />
+        )}
+        <DetailItem label="Payment" value={`$${(booking.payment_amount || 0).toFixed(2)} (${booking.payment_status || 'pending'})`} />
+        {booking.discount_amount > 0 && (
+          <DetailItem
+            label="Discount"
+            value={`$${booking.discount_amount.toFixed(2)} off $${(booking.list_price || 0).toFixed(2)}${booking.promo_code ? ` (${booking.promo_code})` : ''}${booking.discount_reason ? ` - ${booking.discount_reason}` : ''}`}
+          />
+        )}
         <DetailItem label="Created By" value={booking.created_by || '-'} />
       </div>
 
@@ -57,7 +76,17 @@ export default function BookingDetails({ booking }) {
         <div className="border-t border-gray-200 pt-4">
           <h4 className="text-xs font-medium text-gray-500 uppercase mb-1">Check-in Info</h4>
           <p className="text-sm text-gray-700">
-            Checked in at {booking.checked_in_at} by {booking.checked_in_by}
+            Checked in at {formatTimestampDisplay(booking.checked_in_at)} by {booking.checked_in_by}
+          </p>
+        </div>
+      )}
+
+      {/* No-show sweep dismissal */}
+      {booking.no_show_dismissed_by && (
+        <div className="border-t border-gray-200 pt-4">
+          <h4 className="text-xs font-medium text-gray-500 uppercase mb-1">No-Show Review</h4>
+          <p className="text-sm text-gray-700">
+            Dismissed at {formatTimestampDisplay(booking.no_show_dismissed_at)} by {booking.no_show_dismissed_by}
           </p>
         </div>
       )}
@@ -68,9 +97,12 @@ export default function BookingDetails({ booking }) {
           <h4 className="text-xs font-medium text-red-500 uppercase mb-1">Cancellation Info</h4>
           <div className="text-sm text-gray-700 space-y-1">
             <p><strong>Reason:</strong> {booking.cancel_reason}</p>
-            <p><strong>Cancelled by:</strong> {booking.cancelled_by} at {booking.cancelled_at}</p>
+            <p><strong>Cancelled by:</strong> {booking.cancelled_by} at {formatTimestampDisplay(booking.cancelled_at)}</p>
             {booking.refund_status && (
-              <p><strong>Refund:</strong> {booking.refund_status} {booking.refund_amount && `($${booking.refund_amount})`}</p>
+              <p><strong>Refund:</strong> {booking.refund_status} {booking.refund_amount !== null && `($${booking.refund_amount.toFixed(2)})`}</p>
+            )}
+            {booking.cancel_policy && (
+              <p><strong>Policy:</strong> {booking.cancel_policy}</p>
             )}
             {booking.refund_note && (
               <p><strong>Note:</strong> {booking.refund_note}</p>
@@ -4,12 +4,19 @@ import { Textarea } from '../common/Input.jsx';
 import Select, { MultiSelect } from '../common/Select.jsx';
 import DatePicker from '../common/DatePicker.jsx';
 import { getTimeSlots, getEndTimeOptions, formatTimeDisplay } from '../../utils/dateHelpers.js';
-import { calculateTotalRate, getRateBreakdown, isFreeBooking } from '../../utils/rates.js';
-import { BOOKING_TYPES, PAYMENT_STATUS, PAYMENT_METHODS, CONFIG } from '../../config.js';
+import { applyDiscount, calculateTotalRate, getRateBreakdown, isFreeBooking } from '../../utils/rates.js';
+import { checkPromoCode, describePromoRule, getPromoRules, normalizePromoCode } from '../../utils/discounts.js';
+import { BOOKING_TYPES, CREDIT_KINDS, CUSTOMER_TIERS, PAYMENT_STATUS, PAYMENT_METHODS } from '../../config.js';
+import { getCustomerTierOptions, DEFAULT_CUSTOMER_TIER } from '../../utils/customerTiers.js';
+import { getDefaultCourtName } from '../../utils/facilityConfig.js';
+import { useFacilityConfig } from '../../hooks/useFacilityConfig.js';
 import { useCourts } from '../../hooks/useCourts.js';
 import { useContractors } from '../../hooks/useContractors.js';
 import { useTeams } from '../../hooks/useTeams.js';
 import { useTournaments } from '../../hooks/useTournaments.js';
+import { useCredits } from '../../hooks/useCredits.js';
+import { useBookingsContext } from '../../context/BookingsContext.jsx';
+import { formatCreditAmount, getLotLabel } from '../../utils/credits.js';
 
 /**
  * Booking form fields for create/edit
@@ -23,46 +30,85 @@ export default function BookingForm({
   const { contractorOptions } = useContractors();
   const { teamOptions } = useTeams();
   const { tournamentOptions } = useTournaments();
-
-  const timeSlots = getTimeSlots();
-  const endTimeOptions = getEndTimeOptions(formData.timeStart);
-
-  // Auto-calculate rate when relevant fields change
+  const { getAccount } = useCredits();
+  const { allBookings } = useBookingsContext();
+
+  const { totalCourts } = useFacilityConfig();
+
+  const timeSlots = getTimeSlots(formData.date);
+  const endTimeOptions = getEndTimeOptions(formData.timeStart, formData.date);
+
+  // Courts being priced, so court rules (e.g. a Stadium premium) apply
+  const pricedCourts = (formData.courts?.length ? formData.courts : [formData.court])
+    .filter(Boolean)
+    .map(Number);
+  const pricedCourtsKey = pricedCourts.join(',');
+  // Only open play is priced by customer tier
+  const isOpenPlay = formData.bookingType === BOOKING_TYPES.OPEN;
+  const pricedTier = isOpenPlay ? formData.customerTier : undefined;
+
+  // Promo code on the form; a code the booking was saved with stays
+  // applied as it was, even once it has expired or run out of uses
+  const keepsSavedPromo = isEditing &&
+    normalizePromoCode(formData.promoCode) === normalizePromoCode(formData.savedPromoCode);
+  const promo = useMemo(() => {
+    if (keepsSavedPromo) return { rule: null, error: null };
+    return checkPromoCode(formData.promoCode, {
+      date: formData.date,
+      bookingType: formData.bookingType,
+      reason: formData.discountReason,
+      ignoreKey: formData.promoIgnoreKey,
+    }, allBookings);
+  }, [keepsSavedPromo, formData.promoCode, formData.date, formData.bookingType, formData.discountReason, formData.promoIgnoreKey, allBookings]);
+  const isStaffOverride = Boolean(getPromoRules().get(normalizePromoCode(formData.promoCode))?.staff);
+
+  // Auto-calculate the price when relevant fields change: the rate card
+  // price when creating, the saved list price when editing, less any discount
   useEffect(() => {
-    if (!isEditing && formData.date && formData.timeStart && formData.timeEnd && formData.bookingType) {
-      const numCourts = formData.courts?.length || 1;
-      const total = calculateTotalRate(
+    if (keepsSavedPromo) return;
+    let listPrice = parseFloat(formData.listPrice) || 0;
+    if (!isEditing) {
+      if (!formData.date || !formData.timeStart || !formData.timeEnd || !formData.bookingType) return;
+      listPrice = calculateTotalRate(
         formData.date,
         formData.timeStart,
         formData.timeEnd,
         formData.bookingType,
-        numCourts
+        pricedCourts,
+        undefined,
+        pricedTier
       );
-      onChange({ paymentAmount: total.toFixed(2) });
     }
-  }, [formData.date, formData.timeStart, formData.timeEnd, formData.bookingType, formData.courts?.length, isEditing]);
+    const { discount, total } = applyDiscount(listPrice, promo.rule);
+    onChange({
+      listPrice: listPrice.toFixed(2),
+      discountAmount: discount.toFixed(2),
+      paymentAmount: total.toFixed(2),
+    });
+  }, [formData.date, formData.timeStart, formData.timeEnd, formData.bookingType, pricedCourtsKey, pricedTier, isEditing, keepsSavedPromo, promo.rule]);
 
   // Get rate breakdown for display
   const rateBreakdown = useMemo(() => {
     if (!formData.date || !formData.timeStart || !formData.timeEnd || !formData.bookingType) {
       return null;
     }
-    const numCourts = formData.courts?.length || 1;
     return getRateBreakdown(
       formData.date,
       formData.timeStart,
       formData.timeEnd,
       formData.bookingType,
-      numCourts
+      pricedCourts,
+      undefined,
+      pricedTier
     );
-  }, [formData.date, formData.timeStart, formData.timeEnd, formData.bookingType, formData.courts?.length]);
+  }, [formData.date, formData.timeStart, formData.timeEnd, formData.bookingType, pricedCourtsKey, pricedTier]);
 
   // Generate court options
   const courts = courtOptions.length > 0 ? courtOptions : Array.from(
-    { length: CONFIG.TOTAL_COURTS },
+    { length: totalCourts },
     (_, i) => ({
       value: i + 1,
-      label: i + 1 === CONFIG.STADIUM_COURT_NUMBER ? 'Stadium' : `Court ${i + 1}`,
+      label: getDefaultCourtName(i + 1),
     })
   );
 
@@ -106,10 +152,31 @@ export default function BookingForm({
     onChange({ [field]: value });
   };
 
+  // Credit and prepaid visits on file for the customer being booked
+  const account = formData.customerName ? getAccount(formData.customerName, formData.customerPhone) : null;
+  const creditLotOptions = (account?.openLots || []).map(lot => ({
+    value: lot.lot_id,
+    label: `${getLotLabel(lot)} - ${formatCreditAmount(lot.kind, lot.balance)} left`,
+  }));
+  const isCreditPayment = formData.paymentMethod === PAYMENT_METHODS.CREDIT;
+
+  const handlePaymentMethodChange = (value) => {
+    if (value === PAYMENT_METHODS.CREDIT) {
+      // Paying from credit settles the booking now
+      onChange({
+        paymentMethod: value,
+        paymentStatus: PAYMENT_STATUS.PAID,
+        creditLotId: formData.creditLotId || creditLotOptions[0]?.value || '',
+      });
+    } else {
+      onChange({ paymentMethod: value });
+    }
+  };
+
   const isContractor = formData.bookingType === BOOKING_TYPES.CONTRACTOR;
   const isTeam = formData.bookingType?.startsWith('team_');
   const isTournament = formData.bookingType === BOOKING_TYPES.TOURNAMENT;
-  const showPayment = !isFreeBooking(formData.bookingType);
+  const showPayment = !isFreeBooking(formData.bookingType, formData.date || undefined);
 
   // Check if multi-day selection
   const isMultiDay = formData.dates && formData.dates.length > 1;
@@ -301,6 +368,26 @@ export default function BookingForm({
         />
       </div>
 
+      {account && account.openLots.length > 0 && (
+        <div className="bg-green-50 border border-green-200 rounded-lg px-3 py-2 text-sm text-green-800">
+          <span className="font-medium">On account: </span>
+          {[
+            account.credit > 0 && `${formatCreditAmount(CREDIT_KINDS.CREDIT, account.credit)} credit`,
+            account.visits > 0 && `${formatCreditAmount(CREDIT_KINDS.PACKAGE, account.visits)} prepaid`,
+          ].filter(Boolean).join(' · ')}
+        </div>
+      )}
+
+      {/* Customer Tier */}
+      {isOpenPlay && (
+        <Select
+          label="Customer Tier"
+          value={formData.customerTier || DEFAULT_CUSTOMER_TIER}
+          onChange={handleFieldChange('customerTier')}
+          options={getCustomerTierOptions()}
+        />
+      )}
+
       {/* Participation Info */}
       <div className="space-y-2">
         <div className="grid grid-cols-2 gap-3">
@@ -315,7 +402,18 @@ export default function BookingForm({
               type="checkbox"
               id="isYouth"
               checked={formData.isYouth || false}
-              onChange={(e) => onChange({ isYouth: e.target.checked })}
+              onChange={(e) => {
+                const isYouth = e.target.checked;
+                // Youth groups pay the junior rate unless a tier was chosen
+                const tier = formData.customerTier || DEFAULT_CUSTOMER_TIER;
+                if (isYouth && tier === DEFAULT_CUSTOMER_TIER) {
+                  onChange({ isYouth, customerTier: CUSTOMER_TIERS.JUNIOR });
+                } else if (!isYouth && tier === CUSTOMER_TIERS.JUNIOR) {
+                  onChange({ isYouth, customerTier: DEFAULT_CUSTOMER_TIER });
+                } else {
+                  onChange({ isYouth });
+                }
+              }}
               className="h-4 w-4 rounded border-gray-300 text-green-600 focus:ring-green-500"
             />
             <label htmlFor="isYouth" className="text-sm text-gray-700">
@@ -342,14 +440,22 @@ export default function BookingForm({
           {rateBreakdown && (
             <div className="bg-blue-50 rounded-lg p-3 text-sm text-blue-800">
               <div className="font-medium">{rateBreakdown.description}</div>
+              {rateBreakdown.tier && rateBreakdown.standardTotal !== rateBreakdown.total && (
+                <div className="text-xs mt-1 text-blue-600">
+                  {rateBreakdown.tier} rate; standard rate ${rateBreakdown.standardTotal.toFixed(2)}
+                </div>
+              )}
+              {parseFloat(formData.discountAmount) > 0 && (
+                <div className="text-xs mt-1 text-blue-600">
+                  List price ${parseFloat(formData.listPrice).toFixed(2)} less ${parseFloat(formData.discountAmount).toFixed(2)}
+                  {formData.promoCode && ` (${normalizePromoCode(formData.promoCode)})`}
+                </div>
+              )}
               {rateBreakdown.totalHours > 0 && (
                 <div className="text-xs mt-1 text-blue-600">
                   {rateBreakdown.totalHours} hour{rateBreakdown.totalHours !== 1 ? 's' : ''}
-                  {rateBreakdown.primeHours > 0 && rateBreakdown.nonPrimeHours > 0 && (
-                    <span> ({rateBreakdown.nonPrimeHours}hr non-prime + {rateBreakdown.primeHours}hr prime)</span>
-                  )}
-                  {(formData.courts?.length || 1) > 1 && (
-                    <span> × {formData.courts?.length} courts</span>
+                  {rateBreakdown.courtCount > 1 && (
+                    <span> × {rateBreakdown.courtCount} courts</span>
                   )}
                 </div>
               )}
@@ -374,11 +480,52 @@ export default function BookingForm({
             <Select
               label="Payment Method"
               value={formData.paymentMethod}
-              onChange={handleFieldChange('paymentMethod')}
+              onChange={handlePaymentMethodChange}
               options={paymentMethodOptions}
               placeholder="Select..."
             />
           </div>
+
+          <div className="grid grid-cols-2 gap-3">
+            <Input
+              label="Promo Code"
+              value={formData.promoCode}
+              onChange={(value) => onChange({ promoCode: value.toUpperCase() })}
+              placeholder="Optional"
+              error={promo.error && !(isStaffOverride && !formData.discountReason) ? promo.error : ''}
+            />
+            {isStaffOverride && (
+              <Input
+                label="Override Reason"
+                value={formData.discountReason}
+                onChange={handleFieldChange('discountReason')}
+                placeholder="Why the discount was given"
+                required
+              />
+            )}
+          </div>
+          {promo.rule && (
+            <div className="text-xs text-green-700 -mt-2">
+              {normalizePromoCode(formData.promoCode)}: {describePromoRule(promo.rule)}
+            </div>
+          )}
+
+          {isCreditPayment && (
+            creditLotOptions.length > 0 ? (
+              <Select
+                label="Pay From"
+                value={formData.creditLotId}
+                onChange={handleFieldChange('creditLotId')}
+                options={creditLotOptions}
+                placeholder="Select credit or package..."
+                required
+              />
+            ) : (
+              <div className="bg-yellow-50 border border-yellow-200 rounded-lg p-3 text-sm text-yellow-800">
+                No credit or prepaid visits on file for this customer. Issue them from the Credits tab first.
+              </div>
+            )
+          )}
         </div>
       )}
 
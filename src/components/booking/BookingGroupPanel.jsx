@@ -0,0 +1,391 @@
+import { useState, useMemo } from 'react';
+import Button from '../common/Button.jsx';
+import Input from '../common/Input.jsx';
+import Select from '../common/Select.jsx';
+import { updateBooking, cancelBooking, recordCredits } from '../../utils/api.js';
+import { getGroupBookings, getGroupSummary, getRemainingBookings, getUnpaidBookings } from '../../utils/bookingGroups.js';
+import { getBookingShortCode } from '../../utils/bookingId.js';
+import { suggestRefund, getCancelReasonLabel } from '../../utils/cancellationPolicy.js';
+import { checkOperatingHours, getDefaultCourtName } from '../../utils/facilityConfig.js';
+import { getTimeSlots, getEndTimeOptions, formatDateDisplay, formatTimeDisplay, normalizeTime } from '../../utils/dateHelpers.js';
+import { getStatusBadgeClasses } from '../../utils/colors.js';
+import { getApiErrorMessage } from '../../utils/apiErrors.js';
+import { CANCEL_REASONS, CREDIT_ENTRY_TYPES, CREDIT_KINDS, PAYMENT_METHODS, PAYMENT_STATUS, REFUND_STATUS } from '../../config.js';
+import { createCreditEntry, getCreditErrorMessage } from '../../utils/credits.js';
+import { useCredits } from '../../hooks/useCredits.js';
+import { useStaffContext } from '../../context/StaffContext.jsx';
+import { useBookingsContext } from '../../context/BookingsContext.jsx';
+import { useToast } from '../common/Toast.jsx';
+
+const ACTIONS = {
+  TIME: 'time',
+  CUSTOMER: 'customer',
+  CANCEL: 'cancel',
+  PAID: 'paid',
+};
+
+const formatMoney = (amount) => `$${(amount || 0).toFixed(2)}`;
+
+/**
+ * Group detail panel
+ * Lists every booking sharing a group_id with payment totals, and
+ * applies time, customer, cancel and payment changes to the whole group.
+ * Time, customer and cancel changes only touch active bookings that have
+ * not started yet.
+ */
+export default function BookingGroupPanel({ groupId, currentBookingId, onBack }) {
+  const { initials } = useStaffContext();
+  const { allBookings, runOptimistic, refreshBookings, getConflicts } = useBookingsContext();
+  const { refresh: refreshCredits } = useCredits();
+  const toast = useToast();
+
+  const [action, setAction] = useState(null);
+  const [running, setRunning] = useState(false);
+  const [timeStart, setTimeStart] = useState('');
+  const [timeEnd, setTimeEnd] = useState('');
+  const [customerName, setCustomerName] = useState('');
+  const [customerPhone, setCustomerPhone] = useState('');
+  const [cancelReason, setCancelReason] = useState('');
+  const [paymentMethod, setPaymentMethod] = useState('');
+
+  // allBookings changes whenever a member does
+  const members = useMemo(() => getGroupBookings(groupId), [groupId, allBookings]);
+  const summary = useMemo(() => getGroupSummary(members), [members]);
+  const remaining = useMemo(() => getRemainingBookings(members), [members]);
+  const unpaid = useMemo(() => getUnpaidBookings(members), [members]);
+
+  const timeOptions = useMemo(() => {
+    const slotDate = remaining[0]?.date;
+    return getTimeSlots(slotDate).map(t => ({ value: t, label: formatTimeDisplay(t) }));
+  }, [remaining]);
+  const endOptions = getEndTimeOptions(timeStart, remaining[0]?.date)
+    .map(t => ({ value: t, label: formatTimeDisplay(t) }));
+
+  const openAction = (next) => {
+    const first = remaining[0];
+    setAction(next === action ? null : next);
+    if (next === ACTIONS.TIME && first) {
+      setTimeStart(normalizeTime(first.time_start));
+      setTimeEnd(normalizeTime(first.time_end));
+    } else if (next === ACTIONS.CUSTOMER && first) {
+      setCustomerName(first.customer_name || '');
+      setCustomerPhone(first.customer_phone || '');
+    } else if (next === ACTIONS.CANCEL) {
+      setCancelReason('');
+    } else if (next === ACTIONS.PAID) {
+      setPaymentMethod('');
+    }
+  };
+
+  /**
+   * Apply a change to each target booking in turn
+   * Every member is its own optimistic update, so one rejected member
+   * rolls back alone and the rest stay applied.
+   * @param {Array<object>} targets
+   * @param {string} label - e.g. "time change"
+   * @param {Function} buildUpdates - booking => updates
+   * @param {Function} send - (booking, updates) => API promise
+   * @returns {Promise<Array<{ booking: object, updates: object }>>} The changes that were saved
+   */
+  const runBulk = async (targets, label, buildUpdates, send) => {
+    if (!initials) {
+      toast.error('Please select a staff member first');
+      return;
+    }
+
+    setRunning(true);
+    const saved = [];
+    const failures = [];
+    try {
+      for (const booking of targets) {
+        const updates = buildUpdates(booking);
+        try {
+          const result = await runOptimistic(
+            { type: 'update', bookingId: booking.booking_id, updates },
+            `${label} for ${booking.booking_id}`,
+            () => send(booking, updates)
+          );
+          if (result.success) {
+            saved.push({ booking, updates });
+          } else {
+            failures.push(result);
+          }
+        } catch (error) {
+          console.error(`[BookingGroupPanel] ${label} failed for ${booking.booking_id}:`, error);
+          failures.push({ error: error.message });
+        }
+      }
+
+      const done = saved.length;
+      if (failures.length === 0) {
+        toast.success(`${label.charAt(0).toUpperCase()}${label.slice(1)} applied to ${done} booking${done === 1 ? '' : 's'}`);
+        setAction(null);
+      } else {
+        toast.warning(
+          `${label} applied to ${done} of ${targets.length} bookings. ${getApiErrorMessage(failures[0], 'Some were not saved')}`,
+          8000
+        );
+      }
+      setTimeout(() => refreshBookings(), 1000);
+      return saved;
+    } finally {
+      setRunning(false);
+    }
+  };
+
+  const stamp = () => ({ modified_at: new Date().toISOString(), modified_by: initials });
+
+  const handleChangeTime = async () => {
+    const start = normalizeTime(timeStart);
+    const end = normalizeTime(timeEnd);
+    if (!start || !end) {
+      toast.error('Please select a start and end time');
+      return;
+    }
+
+    // Check every member first so the group is never left half moved
+    const memberIds = new Set(members.map(b => b.booking_id));
+    for (const booking of remaining) {
+      const hoursError = checkOperatingHours(booking.date, start, end);
+      if (hoursError) {
+        toast.error(hoursError);
+        return;
+      }
+      const clash = getConflicts(booking.date, booking.court, start, end, booking.booking_id)
+        .find(b => !memberIds.has(b.booking_id));
+      if (clash) {
+        toast.error(`${formatDateDisplay(booking.date)} on ${getDefaultCourtName(booking.court)} clashes with ${clash.customer_name || clash.booking_id}`);
+        return;
+      }
+    }
+
+    await runBulk(
+      remaining,
+      'time change',
+      () => ({ time_start: start, time_end: end, ...stamp() }),
+      (booking, updates) => updateBooking(booking.booking_id, updates, booking.version)
+    );
+  };
+
+  const handleChangeCustomer = async () => {
+    if (!customerName.trim()) {
+      toast.error('Customer name is required');
+      return;
+    }
+    await runBulk(
+      remaining,
+      'customer change',
+      () => ({ customer_name: customerName.trim(), customer_phone: customerPhone.trim(), ...stamp() }),
+      (booking, updates) => updateBooking(booking.booking_id, updates, booking.version)
+    );
+  };
+
+  const handleCancelRemaining = async () => {
+    if (!cancelReason) {
+      toast.error('Please select a cancellation reason');
+      return;
+    }
+    if (!confirm(`Cancel ${remaining.length} remaining booking${remaining.length === 1 ? '' : 's'}?`)) return;
+
+    const cancelled = await runBulk(
+      remaining,
+      'cancellation',
+      (booking) => {
+        const { suggestedRefund, refundAmount, policy } = suggestRefund(cancelReason, booking);
+        return {
+          status: 'cancelled',
+          cancel_reason: cancelReason,
+          refund_status: suggestedRefund,
+          refund_amount: refundAmount.toFixed(2),
+          refund_note: `Group ${groupId} cancelled`,
+          cancel_policy: policy,
+          cancelled_by: initials,
+          cancelled_at: new Date().toISOString(),
+        };
+      },
+      (booking, updates) => cancelBooking(booking.booking_id, {
+        reason: updates.cancel_reason,
+        refund_status: updates.refund_status,
+        refund_amount: updates.refund_amount,
+        refund_note: updates.refund_note,
+        cancel_policy: updates.cancel_policy,
+        cancelled_by: initials,
+      })
+    );
+
+    // Refunds the policy gives as credit go on the customer's account in one entry
+    const credits = (cancelled || []).filter(({ updates }) => updates.refund_status === REFUND_STATUS.CREDIT);
+    const creditAmount = Math.round(credits.reduce((sum, { updates }) => sum + parseFloat(updates.refund_amount), 0) * 100) / 100;
+    const customer = credits[0]?.booking;
+    if (creditAmount > 0 && customer?.customer_name) {
+      const result = await recordCredits(createCreditEntry(CREDIT_ENTRY_TYPES.ISSUE, {
+        kind: CREDIT_KINDS.CREDIT,
+        amount: creditAmount,
+        customer_name: customer.customer_name,
+        customer_phone: customer.customer_phone || '',
+        booking_id: credits.map(({ booking }) => booking.booking_id).join(' '),
+        note: `${getCancelReasonLabel(cancelReason)} cancellation of group ${groupId}`,
+      }, initials));
+      if (result.success) {
+        toast.info(`$${creditAmount.toFixed(2)} credit added for ${customer.customer_name}`);
+        refreshCredits();
+      } else {
+        toast.warning(`Credit not recorded: ${getCreditErrorMessage(result, 'the ledger update failed')}`, 8000);
+      }
+    } else if (creditAmount > 0) {
+      toast.warning('No customer name on this group, so the credit was not added to an account', 8000);
+    }
+  };
+
+  const handleMarkPaid = async () => {
+    if (!paymentMethod) {
+      toast.error('Please select a payment method');
+      return;
+    }
+    await runBulk(
+      unpaid,
+      'payment',
+      () => ({ payment_status: PAYMENT_STATUS.PAID, payment_method: paymentMethod, ...stamp() }),
+      (booking, updates) => updateBooking(booking.booking_id, updates, booking.version)
+    );
+  };
+
+  const reasonOptions = Object.values(CANCEL_REASONS)
+    .filter(r => r !== CANCEL_REASONS.NO_SHOW)
+    .map(r => ({ value: r, label: getCancelReasonLabel(r) }));
+  // Paying from credit draws on the ledger, which is done booking by booking
+  const methodOptions = Object.values(PAYMENT_METHODS)
+    .filter(m => m !== PAYMENT_METHODS.NA && m !== PAYMENT_METHODS.CREDIT)
+    .map(m => ({ value: m, label: m.toUpperCase() }));
+
+  return (
+    <div className="space-y-4">
+      {/* Summary */}
+      <div className="bg-gray-50 rounded-lg p-3">
+        <div className="flex items-center justify-between">
+          <div>
+            <span className="text-xs text-gray-500 uppercase tracking-wider">Group</span>
+            <p className="font-mono font-bold text-gray-900">{groupId}</p>
+          </div>
+          <div className="text-right text-sm text-gray-600">
+            <div>{summary.count} bookings ({summary.remaining} upcoming)</div>
+            <div>
+              {summary.firstDate && formatDateDisplay(summary.firstDate)}
+              {summary.lastDate !== summary.firstDate && ` - ${formatDateDisplay(summary.lastDate)}`}
+            </div>
+          </div>
+        </div>
+        <div className="grid grid-cols-4 gap-2 mt-3 text-center text-sm">
+          <div>
+            <div className="text-gray-500">Total</div>
+            <div className="font-semibold text-gray-900">{formatMoney(summary.total)}</div>
+          </div>
+          <div>
+            <div className="text-gray-500">Paid</div>
+            <div className="font-semibold text-green-700">{formatMoney(summary.paid)}</div>
+          </div>
+          <div>
+            <div className="text-gray-500">Outstanding</div>
+            <div className={`font-semibold ${summary.outstanding > 0 ? 'text-amber-700' : 'text-gray-900'}`}>
+              {formatMoney(summary.outstanding)}
+            </div>
+          </div>
+          <div>
+            <div className="text-gray-500">Refunded</div>
+            <div className="font-semibold text-gray-900">{formatMoney(summary.refunded)}</div>
+          </div>
+        </div>
+      </div>
+
+      {/* Members */}
+      <div className="max-h-64 overflow-y-auto border border-gray-200 rounded-lg divide-y divide-gray-100">
+        {members.map(booking => (
+          <div
+            key={booking.booking_id}
+            className={`flex items-center justify-between px-3 py-2 text-sm ${booking.booking_id === currentBookingId ? 'bg-green-50' : ''}`}
+          >
+            <div>
+              <div className="font-medium text-gray-900">
+                {formatDateDisplay(booking.date)} - {getDefaultCourtName(booking.court)}
+              </div>
+              <div className="text-gray-500">
+                {formatTimeDisplay(booking.time_start)} - {formatTimeDisplay(booking.time_end)}
+                <span className="ml-2 font-mono text-xs">{getBookingShortCode(booking.booking_id) || booking.booking_id}</span>
+              </div>
+            </div>
+            <div className="flex items-center gap-2">
+              <span className="text-gray-700">{formatMoney(booking.payment_amount)}</span>
+              <span className="text-xs text-gray-500">{booking.payment_status}</span>
+              <span className={`px-2 py-0.5 text-xs font-medium rounded-full ${getStatusBadgeClasses(booking.status)}`}>
+                {booking.status}
+              </span>
+            </div>
+          </div>
+        ))}
+      </div>
+
+      {/* Bulk actions */}
+      <div className="grid grid-cols-2 gap-2">
+        <Button variant="outline" size="sm" onClick={() => openAction(ACTIONS.TIME)} disabled={remaining.length === 0}>
+          Change Time
+        </Button>
+        <Button variant="outline" size="sm" onClick={() => openAction(ACTIONS.CUSTOMER)} disabled={remaining.length === 0}>
+          Change Customer
+        </Button>
+        <Button variant="outline" size="sm" onClick={() => openAction(ACTIONS.PAID)} disabled={unpaid.length === 0}>
+          Mark All Paid ({unpaid.length})
+        </Button>
+        <Button variant="danger" size="sm" onClick={() => openAction(ACTIONS.CANCEL)} disabled={remaining.length === 0}>
+          Cancel Remaining ({remaining.length})
+        </Button>
+      </div>
+
+      {action === ACTIONS.TIME && (
+        <div className="border border-gray-200 rounded-lg p-3 space-y-3">
+          <p className="text-sm text-gray-600">Moves all {remaining.length} upcoming bookings to the new time.</p>
+          <div className="grid grid-cols-2 gap-3">
+            <Select label="Start Time" value={timeStart} onChange={setTimeStart} options={timeOptions} />
+            <Select label="End Time" value={timeEnd} onChange={setTimeEnd} options={endOptions} />
+          </div>
+          <Button onClick={handleChangeTime} loading={running} fullWidth>Apply Time Change</Button>
+        </div>
+      )}
+
+      {action === ACTIONS.CUSTOMER && (
+        <div className="border border-gray-200 rounded-lg p-3 space-y-3">
+          <div className="grid grid-cols-2 gap-3">
+            <Input label="Customer Name" value={customerName} onChange={setCustomerName} />
+            <Input label="Phone" type="tel" value={customerPhone} onChange={setCustomerPhone} />
+          </div>
+          <Button onClick={handleChangeCustomer} loading={running} fullWidth>Apply to {remaining.length} Bookings</Button>
+        </div>
+      )}
+
+      {action === ACTIONS.PAID && (
+        <div className="border border-gray-200 rounded-lg p-3 space-y-3">
+          <p className="text-sm text-gray-600">
+            Marks {unpaid.length} unpaid bookings totalling {formatMoney(summary.outstanding)} as paid.
+          </p>
+          <Select label="Payment Method" value={paymentMethod} onChange={setPaymentMethod} options={methodOptions} />
+          <Button onClick={handleMarkPaid} loading={running} fullWidth>Mark Paid</Button>
+        </div>
+      )}
+
+      {action === ACTIONS.CANCEL && (
+        <div className="border border-red-200 rounded-lg p-3 space-y-3">
+          <p className="text-sm text-gray-600">
+            Cancels {remaining.length} upcoming bookings. Refunds follow the cancellation policy for each date.
+          </p>
+          <Select label="Cancellation Reason" value={cancelReason} onChange={setCancelReason} options={reasonOptions} />
+          <Button variant="danger" onClick={handleCancelRemaining} loading={running} fullWidth>Cancel Remaining</Button>
+        </div>
+      )}
+
+      <div className="pt-4 border-t border-gray-200">
+        <Button variant="secondary" onClick={onBack} fullWidth>
+          Back to Booking
+        </Button>
+      </div>
+    </div>
+  );
+}
@@ -5,14 +5,34 @@ import BookingForm from './BookingForm.jsx';
 import BookingDetails from './BookingDetails.jsx';
 import CheckInButton from './CheckInButton.jsx';
 import CancelModal from './CancelModal.jsx';
-import { generateBookingId, generateGroupId } from '../../utils/bookingId.js';
-import { createBooking, updateBooking } from '../../utils/api.js';
+import BookingCompare from './BookingCompare.jsx';
+import BookingGroupPanel from './BookingGroupPanel.jsx';
+import { generateBookingId, generateGroupId, getBookingShortCode } from '../../utils/bookingId.js';
+import { createBooking, updateBooking, recordCredits } from '../../utils/api.js';
 import { formatDateISO, formatDateDisplay, formatTimeDisplay, normalizeTime } from '../../utils/dateHelpers.js';
-import { BOOKING_TYPES, PAYMENT_STATUS, CONFIG } from '../../config.js';
+import { BOOKING_TYPES, PAYMENT_STATUS, PAYMENT_METHODS } from '../../config.js';
+import { getDefaultCourtName, checkOperatingHours } from '../../utils/facilityConfig.js';
 import { useStaffContext } from '../../context/StaffContext.jsx';
+import { useFacility } from '../../hooks/useFacility.js';
+import { toFacilityColumn } from '../../utils/facilities.js';
 import { useBookingsContext } from '../../context/BookingsContext.jsx';
 import { useToast } from '../common/Toast.jsx';
+import { useApiErrorHandler } from '../../hooks/useApiErrorHandler.js';
+import { API_ERROR_TYPES } from '../../utils/apiErrors.js';
+import { parseEntity } from '../../utils/schema.js';
 import { canMarkNoShow } from '../../utils/cancellationPolicy.js';
+import { getGroupBookings } from '../../utils/bookingGroups.js';
+import { calculateTotalRate } from '../../utils/rates.js';
+import { checkPromoCode, normalizePromoCode } from '../../utils/discounts.js';
+import { getBookingTier, DEFAULT_CUSTOMER_TIER } from '../../utils/customerTiers.js';
+import {
+  createRedemption,
+  formatCreditAmount,
+  getCreditErrorMessage,
+  getLotLabel,
+  getRedemptionAmount,
+} from '../../utils/credits.js';
+import { useCredits } from '../../hooks/useCredits.js';
 
 /**
  * Generate dates for recurring weekly bookings
@@ -31,10 +51,7 @@ function generateRecurringDates(startDate, weeks) {
 /**
  * Conflict Warning Component
  */
-function ConflictWarning({ conflicts, onProceed, onCancel }) {
-  // Check if this is a server-detected conflict
-  const isServerConflict = conflicts.some(c => c.booking_id === 'SERVER-CONFLICT');
-
+function ConflictWarning({ conflicts, isServerConflict, onProceed, onCancel }) {
   return (
     <div className="space-y-4">
       <div className="bg-amber-50 border border-amber-200 rounded-lg p-4">
@@ -45,10 +62,7 @@ function ConflictWarning({ conflicts, onProceed, onCancel }) {
           <div>
             <h4 className="font-medium text-amber-800">Booking Conflict Detected</h4>
             <p className="text-sm text-amber-700 mt-1">
-              {isServerConflict
-                ? 'This time slot already has an existing booking.'
-                : `${conflicts.length} slot${conflicts.length > 1 ? 's' : ''} already ${conflicts.length > 1 ? 'have' : 'has'} existing bookings:`
-              }
+              {`${conflicts.length} slot${conflicts.length > 1 ? 's' : ''} already ${conflicts.length > 1 ? 'have' : 'has'} existing bookings:`}
             </p>
           </div>
         </div>
@@ -58,16 +72,14 @@ function ConflictWarning({ conflicts, onProceed, onCancel }) {
         {conflicts.map((conflict, idx) => (
           <div key={idx} className="bg-gray-50 rounded-lg p-3 text-sm">
             <div className="font-medium text-gray-900">
-              {formatDateDisplay(conflict.date)} - Court {conflict.court === CONFIG.STADIUM_COURT_NUMBER ? 'Stadium' : conflict.court}
+              {formatDateDisplay(conflict.date)} - {getDefaultCourtName(conflict.court)}
             </div>
             <div className="text-gray-600">
               {formatTimeDisplay(conflict.time_start)} - {formatTimeDisplay(conflict.time_end)}
             </div>
-            {conflict.booking_id !== 'SERVER-CONFLICT' && (
-              <div className="text-gray-500">
-                {conflict.customer_name || conflict.booking_type} ({conflict.booking_id})
-              </div>
-            )}
+            <div className="text-gray-500">
+              {conflict.customer_name || conflict.booking_type} ({conflict.booking_id})
+            </div>
           </div>
         ))}
       </div>
@@ -99,7 +111,7 @@ export default function BookingModal({
   booking = null,
   initialData = null,
 }) {
-  const [mode, setMode] = useState('view'); // 'view', 'edit', 'create', 'conflicts'
+  const [mode, setMode] = useState('view'); // 'view', 'edit', 'create', 'conflicts', 'stale', 'group'
   const [formData, setFormData] = useState({});
   const [loading, setLoading] = useState(false);
   const [showCancelModal, setShowCancelModal] = useState(false);
@@ -107,10 +119,24 @@ export default function BookingModal({
   const [createdBookingId, setCreatedBookingId] = useState(null);
   const [conflicts, setConflicts] = useState([]);
   const [pendingBookings, setPendingBookings] = useState([]);
+  const [isServerConflict, setIsServerConflict] = useState(false);
+  // Version of the booking the edit form was loaded from, and the server's
+  // copy when a save is rejected as stale
+  const [baseVersion, setBaseVersion] = useState(0);
+  const [staleEdit, setStaleEdit] = useState(null);
 
   const { initials } = useStaffContext();
-  const { addBookingLocal, updateBookingLocal, refreshBookings, getConflicts, getClosureConflicts } = useBookingsContext();
+  const { facilityId } = useFacility();
+  const { allBookings, runOptimistic, refreshBookings, getConflicts, getClosureConflicts } = useBookingsContext();
+  const { getAccount, refresh: refreshCredits } = useCredits();
   const toast = useToast();
+  const { handleApiError } = useApiErrorHandler();
+
+  // allBookings changes whenever a group member does
+  const groupSize = useMemo(
+    () => getGroupBookings(booking?.group_id).length,
+    [booking?.group_id, allBookings]
+  );
 
   // Determine mode and initialize form data
   useEffect(() => {
@@ -120,10 +146,12 @@ export default function BookingModal({
       if (booking) {
         // View/Edit existing booking
         setMode('view');
+        setBaseVersion(booking.version || 0);
+        setStaleEdit(null);
         setFormData({
           date: booking.date,
-          court: parseInt(booking.court, 10),
-          courts: [parseInt(booking.court, 10)],
+          court: booking.court,
+          courts: [booking.court],
           timeStart: booking.time_start,
           timeEnd: booking.time_end,
           bookingType: booking.booking_type,
@@ -131,11 +159,18 @@ export default function BookingModal({
           customerName: booking.customer_name || '',
           customerPhone: booking.customer_phone || '',
           paymentStatus: booking.payment_status || PAYMENT_STATUS.PENDING,
-          paymentAmount: booking.payment_amount || '0',
+          paymentAmount: String(booking.payment_amount || 0),
+          listPrice: String(booking.list_price ?? (booking.payment_amount || 0) + (booking.discount_amount || 0)),
+          discountAmount: String(booking.discount_amount || 0),
+          promoCode: booking.promo_code || '',
+          savedPromoCode: booking.promo_code || '',
+          promoIgnoreKey: booking.group_id || booking.booking_id,
+          discountReason: booking.discount_reason || '',
           paymentMethod: booking.payment_method || '',
           notes: booking.notes || '',
-          participantCount: parseInt(booking.participant_count, 10) || 2,
-          isYouth: booking.is_youth === 'TRUE' || booking.is_youth === true,
+          participantCount: booking.participant_count || 2,
+          isYouth: booking.is_youth,
+          customerTier: getBookingTier(booking),
         });
       } else if (initialData) {
         // Create new booking with pre-filled data from drag selection
@@ -163,12 +198,15 @@ export default function BookingModal({
           customerName: '',
           customerPhone: '',
           paymentStatus: PAYMENT_STATUS.PENDING,
-          paymentAmount: '10.00',
+          paymentAmount: calculateTotalRate(initialData.date, startTime, endTime, BOOKING_TYPES.OPEN, selectedCourts).toFixed(2),
+          promoCode: '',
+          discountReason: '',
           paymentMethod: '',
           notes: '',
           isMultiDay: selectedDates.length > 1,
           participantCount: 2,
           isYouth: false,
+          customerTier: DEFAULT_CUSTOMER_TIER,
         });
       }
     }
@@ -199,6 +237,83 @@ export default function BookingModal({
     setFormData(prev => ({ ...prev, ...updates }));
   };
 
+  /**
+   * Credit or package the form pays from, when paying from credit
+   * @returns {object|null} Open lot of the customer's account
+   */
+  const getPaymentLot = () => {
+    const account = getAccount(formData.customerName, formData.customerPhone);
+    return account?.openLots.find(lot => lot.lot_id === formData.creditLotId) || null;
+  };
+
+  /**
+   * Check the chosen credit or package covers the bookings
+   * @param {Array<object>} bookings - With payment_amount
+   * @returns {boolean}
+   */
+  const checkCreditPayment = (bookings) => {
+    const lot = getPaymentLot();
+    if (!lot) {
+      toast.error('Choose a credit or package to pay from');
+      return false;
+    }
+    const needed = getRedemptionAmount(lot, bookings);
+    if (needed > lot.balance) {
+      toast.error(`${getLotLabel(lot)} has ${formatCreditAmount(lot.kind, lot.balance)} left; ${formatCreditAmount(lot.kind, needed)} needed`);
+      return false;
+    }
+    return true;
+  };
+
+  /**
+   * Record the bookings against the chosen credit or package
+   * The bookings are already saved, so a failure only warns.
+   * @param {Array<object>} bookings
+   */
+  const redeemCredit = async (bookings) => {
+    const lot = getPaymentLot();
+    if (!lot) return;
+    const result = await recordCredits(createRedemption(lot, bookings, initials));
+    if (result.success) {
+      refreshCredits();
+    } else {
+      toast.warning(`Saved, but not taken from ${getLotLabel(lot)}: ${getCreditErrorMessage(result, 'the ledger update failed')}`, 8000);
+    }
+  };
+
+  /**
+   * Why the promo code on the form can't be used, if it can't
+   * A code the booking was saved with stays good.
+   * @returns {string|null}
+   */
+  const getPromoError = () => {
+    if (booking && normalizePromoCode(formData.promoCode) === normalizePromoCode(booking.promo_code)) {
+      return null;
+    }
+    return checkPromoCode(formData.promoCode, {
+      date: formData.date,
+      bookingType: formData.bookingType,
+      reason: formData.discountReason,
+      ignoreKey: formData.promoIgnoreKey,
+    }, allBookings).error;
+  };
+
+  /**
+   * Discount columns for a save
+   * @param {number} [share=1] - Number of bookings the form's prices are split across
+   * @returns {object}
+   */
+  const getDiscountFields = (share = 1) => {
+    const promoCode = normalizePromoCode(formData.promoCode);
+    const listPrice = parseFloat(formData.listPrice);
+    return {
+      list_price: Number.isFinite(listPrice) ? (listPrice / share).toFixed(2) : '',
+      discount_amount: ((parseFloat(formData.discountAmount) || 0) / share).toFixed(2),
+      promo_code: promoCode,
+      discount_reason: promoCode ? (formData.discountReason || '').trim() : '',
+    };
+  };
+
   const handleCreate = async (skipConflictCheck = false) => {
     if (!initials) {
       toast.error('Please select a staff member first');
@@ -215,6 +330,12 @@ export default function BookingModal({
       return;
     }
 
+    const promoError = getPromoError();
+    if (promoError) {
+      toast.error(promoError);
+      return;
+    }
+
     // Validate time values
     const normalizedTimeStart = normalizeTime(formData.timeStart);
     const normalizedTimeEnd = normalizeTime(formData.timeEnd);
@@ -234,9 +355,18 @@ export default function BookingModal({
     if (formData.recurring && formData.recurringWeeks > 1) {
       dates = generateRecurringDates(formData.date, formData.recurringWeeks);
     }
+
+    // Every date has to fall within that day's operating hours
+    for (const date of dates) {
+      const hoursError = checkOperatingHours(date, normalizedTimeStart, normalizedTimeEnd);
+      if (hoursError) {
+        toast.error(hoursError);
+        return;
+      }
+    }
     const courts = formData.courts;
     const isGroup = dates.length > 1 || courts.length > 1;
-    const groupId = isGroup ? generateGroupId(new Date(dates[0])) : null;
+    const groupId = isGroup ? generateGroupId(dates[0]) : null;
 
     // Build all proposed bookings
     const proposedBookings = [];
@@ -248,7 +378,8 @@ export default function BookingModal({
     for (const date of dates) {
       for (const court of courts) {
         proposedBookings.push({
-          booking_id: generateBookingId(date, court, normalizedTimeStart),
+          booking_id: generateBookingId(date, court, normalizedTimeStart, facilityId),
+          facility_id: toFacilityColumn(facilityId),
           group_id: groupId,
           date: date,
           court: court,
@@ -260,10 +391,12 @@ export default function BookingModal({
           customer_phone: formData.customerPhone,
           payment_status: formData.paymentStatus,
           payment_amount: paymentPerBooking,
+          ...getDiscountFields(totalBookings),
           payment_method: formData.paymentMethod,
           notes: formData.notes,
           participant_count: formData.participantCount || 2,
           is_youth: formData.isYouth || false,
+          customer_tier: formData.bookingType === BOOKING_TYPES.OPEN ? formData.customerTier || DEFAULT_CUSTOMER_TIER : '',
           status: 'active',
           created_by: initials,
           created_at: new Date().toISOString(),
@@ -271,6 +404,10 @@ export default function BookingModal({
       }
     }
 
+    if (formData.paymentMethod === PAYMENT_METHODS.CREDIT && !checkCreditPayment(proposedBookings)) {
+      return;
+    }
+
     // Check for conflicts unless skipped
     if (!skipConflictCheck) {
       try {
@@ -309,6 +446,7 @@ export default function BookingModal({
         if (allConflicts.length > 0) {
           // Show conflict warning
           setConflicts(allConflicts);
+          setIsServerConflict(false);
           setPendingBookings(proposedBookings);
           setMode('conflicts');
           return;
@@ -338,38 +476,34 @@ export default function BookingModal({
         }
       }
 
-      const result = await createBooking(payload);
+      const primaryId = bookingsToCreate[0].booking_id;
+      const result = await runOptimistic(
+        { type: 'add', bookings: bookingsToCreate },
+        bookingsToCreate.length > 1 ? `${bookingsToCreate.length} new bookings` : `new booking ${primaryId}`,
+        () => createBooking(payload)
+      );
 
       if (result.success) {
-        // Optimistic update
-        bookingsToCreate.forEach(b => addBookingLocal(b));
-
         // Show success with booking ID
-        const primaryId = bookingsToCreate[0].booking_id;
         setCreatedBookingId(primaryId);
         const count = bookingsToCreate.length;
         toast.success(count > 1 ? `${count} bookings created` : `Booking created: ${primaryId}`);
+        if (formData.paymentMethod === PAYMENT_METHODS.CREDIT) {
+          await redeemCredit(bookingsToCreate);
+        }
 
         // Refresh data
         setTimeout(() => refreshBookings(), 1000);
       } else {
-        // Check if it's a server-side conflict error
-        const errorMsg = result.error || 'Failed to create booking';
-        // Check for conflict message (case insensitive)
-        const isConflict = typeof errorMsg === 'string' &&
-          (errorMsg.includes('Conflict detected') ||
-           errorMsg.toLowerCase().includes('conflict') ||
-           errorMsg.includes('already booked'));
-
-        if (isConflict) {
-          // Parse conflict info and show modal
-          const conflictInfo = parseServerConflictError(errorMsg, bookingsToCreate);
-          setConflicts(conflictInfo);
+        const serverConflicts = handleApiError(result, {
+          fallbackMessage: 'Failed to create booking',
+          proposedBookings: bookingsToCreate,
+        });
+        if (serverConflicts.length > 0) {
+          setConflicts(serverConflicts);
+          setIsServerConflict(true);
           setPendingBookings(bookingsToCreate);
           setMode('conflicts');
-          return; // Ensure we don't continue
-        } else {
-          toast.error(errorMsg);
         }
       }
     } catch (error) {
@@ -380,43 +514,9 @@ export default function BookingModal({
     }
   };
 
-  // Parse server conflict error into a format for the ConflictWarning component
-  const parseServerConflictError = (errorMsg, bookings) => {
-    // Error format: "Conflict detected for Court X at HH:MM"
-    const match = errorMsg.match(/Court (\d+|Stadium) at (\d{2}:\d{2})/);
-    if (match) {
-      const court = match[1] === 'Stadium' ? 17 : parseInt(match[1], 10);
-      const time = match[2];
-      const booking = bookings.find(b => b.court === court) || bookings[0];
-      return [{
-        booking_id: 'SERVER-CONFLICT',
-        date: booking.date,
-        court: court,
-        time_start: time,
-        time_end: booking.time_end,
-        customer_name: 'Existing Booking',
-        booking_type: 'unknown',
-      }];
-    }
-    // Fallback: create generic conflict from first booking
-    return [{
-      booking_id: 'SERVER-CONFLICT',
-      date: bookings[0].date,
-      court: bookings[0].court,
-      time_start: bookings[0].time_start,
-      time_end: bookings[0].time_end,
-      customer_name: 'Existing Booking (server detected)',
-      booking_type: 'unknown',
-    }];
-  };
-
   const handleProceedWithConflicts = async () => {
-    // Check if this is a server-detected conflict (we need to force-create)
-    const isServerConflict = conflicts.some(c => c.booking_id === 'SERVER-CONFLICT');
-
     if (isServerConflict) {
-      // Server detected conflict - try to force create
-      // Note: This requires Apps Script to support forceCreate parameter
+      // Server detected conflict - force create
       await createBookings(pendingBookings, true);
     } else {
       // Client-side conflict - filter out conflicting bookings
@@ -463,6 +563,28 @@ export default function BookingModal({
       return;
     }
 
+    // Only a moved booking has to fit the hours; notes and payment can
+    // still be edited on a day that has since been closed
+    const isMoved = formData.date !== booking.date ||
+      normalizedTimeStart !== normalizeTime(booking.time_start) ||
+      normalizedTimeEnd !== normalizeTime(booking.time_end);
+    const hoursError = isMoved && checkOperatingHours(formData.date, normalizedTimeStart, normalizedTimeEnd);
+    if (hoursError) {
+      toast.error(hoursError);
+      return;
+    }
+
+    const promoError = getPromoError();
+    if (promoError) {
+      toast.error(promoError);
+      return;
+    }
+
+    if (isNewCreditPayment(formData.paymentMethod) &&
+        !checkCreditPayment([{ payment_amount: formData.paymentAmount }])) {
+      return;
+    }
+
     setLoading(true);
     try {
       const updates = {
@@ -476,23 +598,64 @@ export default function BookingModal({
         customer_phone: formData.customerPhone,
         payment_status: formData.paymentStatus,
         payment_amount: formData.paymentAmount,
+        ...getDiscountFields(),
         payment_method: formData.paymentMethod,
         notes: formData.notes,
         participant_count: formData.participantCount || 2,
         is_youth: formData.isYouth || false,
+        customer_tier: formData.bookingType === BOOKING_TYPES.OPEN ? formData.customerTier || DEFAULT_CUSTOMER_TIER : '',
         modified_at: new Date().toISOString(),
+        modified_by: initials,
       };
 
-      const result = await updateBooking(booking.booking_id, updates);
+      await saveUpdates(updates, baseVersion);
+    } catch (error) {
+      console.error('[BookingModal] Update error:', error);
+      toast.error('Failed to update booking. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
 
-      if (result.success) {
-        updateBookingLocal(booking.booking_id, updates);
-        toast.success('Booking updated');
-        setMode('view');
-        setTimeout(() => refreshBookings(), 1000);
-      } else {
-        toast.error(result.error || 'Failed to update booking');
+  // Switching an existing booking to credit draws it from the ledger once
+  const isNewCreditPayment = (method) =>
+    method === PAYMENT_METHODS.CREDIT && booking?.payment_method !== PAYMENT_METHODS.CREDIT;
+
+  /**
+   * Send an edit based on a known booking version
+   * A stale rejection opens the compare view instead of an error toast.
+   */
+  const saveUpdates = async (updates, expectedVersion) => {
+    const result = await runOptimistic(
+      { type: 'update', bookingId: booking.booking_id, updates },
+      `changes to ${booking.booking_id}`,
+      () => updateBooking(booking.booking_id, updates, expectedVersion)
+    );
+
+    if (result.success) {
+      toast.success('Booking updated');
+      if (isNewCreditPayment(updates.payment_method)) {
+        await redeemCredit([{ ...booking, ...updates }]);
       }
+      setBaseVersion(Number.isInteger(result.version) ? result.version : expectedVersion + 1);
+      setStaleEdit(null);
+      setMode('view');
+      setTimeout(() => refreshBookings(), 1000);
+    } else if (result.errorType === API_ERROR_TYPES.STALE && result.current) {
+      setStaleEdit({ current: parseEntity('booking', result.current), mine: updates });
+      setMode('stale');
+    } else {
+      handleApiError(result, { fallbackMessage: 'Failed to update booking' });
+    }
+  };
+
+  const handleSaveMerged = async (mergedUpdates) => {
+    setLoading(true);
+    try {
+      await saveUpdates(
+        { ...mergedUpdates, modified_at: new Date().toISOString() },
+        staleEdit.current.version
+      );
     } catch (error) {
       console.error('[BookingModal] Update error:', error);
       toast.error('Failed to update booking. Please try again.');
@@ -501,6 +664,12 @@ export default function BookingModal({
     }
   };
 
+  const handleKeepTheirs = () => {
+    setStaleEdit(null);
+    refreshBookings();
+    onClose();
+  };
+
   const handleCopyId = () => {
     const id = createdBookingId || booking?.booking_id;
     if (id) {
@@ -525,8 +694,8 @@ export default function BookingModal({
     const today = formatDateISO(new Date());
     setFormData({
       date: today,
-      court: parseInt(booking.court, 10),
-      courts: [parseInt(booking.court, 10)],
+      court: booking.court,
+      courts: [booking.court],
       timeStart: booking.time_start,
       timeEnd: booking.time_end,
       bookingType: booking.booking_type,
@@ -534,17 +703,23 @@ export default function BookingModal({
       customerName: booking.customer_name || '',
       customerPhone: booking.customer_phone || '',
       paymentStatus: PAYMENT_STATUS.PENDING,
-      paymentAmount: booking.payment_amount || '10.00',
+      paymentAmount: booking.payment_amount
+        ? booking.payment_amount.toFixed(2)
+        : calculateTotalRate(today, booking.time_start, booking.time_end, booking.booking_type, [booking.court], undefined, getBookingTier(booking)).toFixed(2),
+      promoCode: '',
+      discountReason: '',
       paymentMethod: '',
       notes: booking.notes ? `(Copied from ${booking.booking_id}) ${booking.notes}` : `(Copied from ${booking.booking_id})`,
-      participantCount: parseInt(booking.participant_count, 10) || 2,
-      isYouth: booking.is_youth === 'TRUE' || booking.is_youth === true,
+      participantCount: booking.participant_count || 2,
+      isYouth: booking.is_youth,
+      customerTier: getBookingTier(booking),
     });
     setMode('create');
   };
 
   // Success screen after creation (from create mode or after resolving conflicts)
   if ((mode === 'create' || mode === 'conflicts') && createdBookingId) {
+    const shortCode = getBookingShortCode(createdBookingId);
     return (
       <Modal isOpen={isOpen} onClose={onClose} title="Booking Created" size="sm">
         <div className="text-center space-y-4">
@@ -558,7 +733,10 @@ export default function BookingModal({
 
           <div className="bg-gray-100 rounded-lg p-4">
             <p className="text-sm text-gray-500 mb-1">Give this code to the customer:</p>
-            <p className="text-3xl font-mono font-bold text-gray-900">{createdBookingId}</p>
+            <p className="text-3xl font-mono font-bold text-gray-900">{shortCode || createdBookingId}</p>
+            {shortCode && (
+              <p className="text-xs font-mono text-gray-500 mt-1">{createdBookingId}</p>
+            )}
           </div>
 
           <div className="flex gap-3 justify-center">
@@ -590,20 +768,46 @@ export default function BookingModal({
               ? 'Edit Booking'
               : mode === 'conflicts'
                 ? 'Booking Conflicts'
-                : `Booking: ${booking?.booking_id || ''}`
+                : mode === 'stale'
+                  ? 'Booking Changed Elsewhere'
+                  : mode === 'group'
+                    ? 'Booking Group'
+                    : `Booking: ${booking?.booking_id || ''}`
         }
         size="lg"
       >
         {mode === 'conflicts' ? (
           <ConflictWarning
             conflicts={conflicts}
+            isServerConflict={isServerConflict}
             onProceed={handleProceedWithConflicts}
             onCancel={handleCancelConflicts}
           />
+        ) : mode === 'stale' && staleEdit ? (
+          <BookingCompare
+            key={staleEdit.current.version}
+            current={staleEdit.current}
+            mine={staleEdit.mine}
+            onSave={handleSaveMerged}
+            onDiscard={handleKeepTheirs}
+            loading={loading}
+          />
+        ) : mode === 'group' && booking?.group_id ? (
+          <BookingGroupPanel
+            groupId={booking.group_id}
+            currentBookingId={booking.booking_id}
+            onBack={() => setMode('view')}
+          />
         ) : mode === 'view' && booking ? (
           <div className="space-y-4">
             <BookingDetails booking={booking} />
 
+            {groupSize > 1 && (
+              <Button variant="outline" onClick={() => setMode('group')} fullWidth>
+                View Group ({groupSize} bookings)
+              </Button>
+            )}
+
             {/* Actions for active bookings */}
             {isActive && (
               <div className="border-t border-gray-200 pt-4 space-y-3">
@@ -4,12 +4,15 @@ import Button from '../common/Button.jsx';
 import Select from '../common/Select.jsx';
 import Input from '../common/Input.jsx';
 import { Textarea } from '../common/Input.jsx';
-import { cancelBooking, markNoShow } from '../../utils/api.js';
+import { cancelBooking, markNoShow, recordCredits } from '../../utils/api.js';
 import { suggestRefund, getCancelReasonLabel, getRefundStatusLabel } from '../../utils/cancellationPolicy.js';
-import { CANCEL_REASONS, REFUND_STATUS } from '../../config.js';
+import { CANCEL_REASONS, CREDIT_ENTRY_TYPES, CREDIT_KINDS, REFUND_STATUS } from '../../config.js';
+import { createCreditEntry, getCreditErrorMessage } from '../../utils/credits.js';
+import { useCredits } from '../../hooks/useCredits.js';
 import { useStaffContext } from '../../context/StaffContext.jsx';
 import { useBookingsContext } from '../../context/BookingsContext.jsx';
 import { useToast } from '../common/Toast.jsx';
+import { useApiErrorHandler } from '../../hooks/useApiErrorHandler.js';
 
 /**
  * Modal for cancelling a booking with reason and refund handling
@@ -23,22 +26,18 @@ export default function CancelModal({ isOpen, onClose, booking, isNoShow = false
   const [suggestion, setSuggestion] = useState(null);
 
   const { initials } = useStaffContext();
-  const { updateBookingLocal, refreshBookings } = useBookingsContext();
+  const { runOptimistic, refreshBookings } = useBookingsContext();
+  const { refresh: refreshCredits } = useCredits();
   const toast = useToast();
+  const { handleApiError } = useApiErrorHandler();
 
   // Calculate refund suggestion when reason changes
   useEffect(() => {
     if (reason && booking) {
-      const result = suggestRefund(reason, booking.date, booking.time_start);
+      const result = suggestRefund(reason, booking);
       setSuggestion(result);
       setRefundStatus(result.suggestedRefund);
-
-      // Set refund amount based on suggestion
-      if (result.suggestedRefund === REFUND_STATUS.FULL) {
-        setRefundAmount(booking.payment_amount || '0');
-      } else if (result.suggestedRefund === REFUND_STATUS.NONE) {
-        setRefundAmount('0');
-      }
+      setRefundAmount(result.refundAmount.toFixed(2));
     }
   }, [reason, booking]);
 
@@ -53,16 +52,53 @@ export default function CancelModal({ isOpen, onClose, booking, isNoShow = false
     }
   }, [isOpen, isNoShow]);
 
-  const reasonOptions = Object.values(CANCEL_REASONS).map(r => ({
-    value: r,
-    label: getCancelReasonLabel(r),
-  }));
+  // No-shows are marked as such, not cancelled with a no-show reason
+  const reasonOptions = Object.values(CANCEL_REASONS)
+    .filter(r => isNoShow || r !== CANCEL_REASONS.NO_SHOW)
+    .map(r => ({
+      value: r,
+      label: getCancelReasonLabel(r),
+    }));
 
   const refundOptions = Object.values(REFUND_STATUS).map(s => ({
     value: s,
     label: getRefundStatusLabel(s),
   }));
 
+  const handleRefundStatusChange = (status) => {
+    setRefundStatus(status);
+    // Credit defaults to what was paid
+    if (status === REFUND_STATUS.CREDIT && !(parseFloat(refundAmount) > 0)) {
+      setRefundAmount(String(booking.payment_amount || 0));
+    }
+  };
+
+  /**
+   * Put a "Credit for Future" refund on the customer's account
+   * The cancellation already went through, so a failure only warns.
+   */
+  const issueCredit = async (amount) => {
+    if (!booking.customer_name) {
+      toast.warning('No customer name on this booking, so the credit was not added to an account', 8000);
+      return;
+    }
+    const entry = createCreditEntry(CREDIT_ENTRY_TYPES.ISSUE, {
+      kind: CREDIT_KINDS.CREDIT,
+      amount,
+      customer_name: booking.customer_name,
+      customer_phone: booking.customer_phone || '',
+      booking_id: booking.booking_id,
+      note: `${getCancelReasonLabel(reason)} cancellation of ${booking.booking_id}`,
+    }, initials);
+    const result = await recordCredits(entry);
+    if (result.success) {
+      toast.info(`$${amount.toFixed(2)} credit added for ${booking.customer_name}`);
+      refreshCredits();
+    } else {
+      toast.warning(`Credit not recorded: ${getCreditErrorMessage(result, 'the ledger update failed')}`, 8000);
+    }
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
 
@@ -83,38 +119,46 @@ export default function CancelModal({ isOpen, onClose, booking, isNoShow = false
         refund_status: refundStatus || REFUND_STATUS.NONE,
         refund_amount: refundAmount || '0',
         refund_note: refundNote,
+        cancel_policy: suggestion?.policy || '',
         cancelled_by: initials,
       };
 
-      let result;
-      if (isNoShow) {
-        result = await markNoShow(booking.booking_id, initials);
-      } else {
-        result = await cancelBooking(booking.booking_id, cancelData);
-      }
+      const result = await runOptimistic(
+        {
+          type: 'update',
+          bookingId: booking.booking_id,
+          updates: {
+            status: isNoShow ? 'no_show' : 'cancelled',
+            cancel_reason: reason,
+            refund_status: refundStatus,
+            refund_amount: refundAmount,
+            refund_note: refundNote,
+            cancel_policy: suggestion?.policy || '',
+            cancelled_by: initials,
+            cancelled_at: new Date().toISOString(),
+          },
+        },
+        isNoShow ? `no-show for ${booking.booking_id}` : `cancellation of ${booking.booking_id}`,
+        () => (isNoShow
+          ? markNoShow(booking.booking_id, initials)
+          : cancelBooking(booking.booking_id, cancelData))
+      );
 
       if (result.success) {
-        // Optimistic update
-        updateBookingLocal(booking.booking_id, {
-          status: isNoShow ? 'no_show' : 'cancelled',
-          cancel_reason: reason,
-          refund_status: refundStatus,
-          refund_amount: refundAmount,
-          refund_note: refundNote,
-          cancelled_by: initials,
-          cancelled_at: new Date().toISOString(),
-        });
-
         toast.success(isNoShow
           ? `Marked as no-show: ${booking.booking_id}`
           : `Booking cancelled: ${booking.booking_id}`
         );
+        const creditAmount = parseFloat(refundAmount) || 0;
+        if (refundStatus === REFUND_STATUS.CREDIT && creditAmount > 0) {
+          await issueCredit(creditAmount);
+        }
         onClose();
 
         // Refresh data
         setTimeout(() => refreshBookings(), 1000);
       } else {
-        toast.error(result.error || 'Failed to cancel booking');
+        handleApiError(result, { fallbackMessage: 'Failed to cancel booking' });
       }
     } catch (error) {
       console.error('[CancelModal] Error:', error);
@@ -147,7 +191,7 @@ export default function CancelModal({ isOpen, onClose, booking, isNoShow = false
             </div>
             <div>
               <span className="text-gray-500">Amount Paid:</span>
-              <span className="ml-1">${booking.payment_amount || '0.00'}</span>
+              <span className="ml-1">${(booking.payment_amount || 0).toFixed(2)}</span>
             </div>
             <div>
               <span className="text-gray-500">Payment Status:</span>
@@ -186,15 +230,15 @@ export default function CancelModal({ isOpen, onClose, booking, isNoShow = false
         <Select
           label="Refund Status"
           value={refundStatus}
-          onChange={setRefundStatus}
+          onChange={handleRefundStatusChange}
           options={refundOptions}
           placeholder="Select refund status..."
         />
 
-        {/* Refund Amount - show if partial */}
-        {refundStatus === REFUND_STATUS.PARTIAL && (
+        {/* Refund Amount - show if partial or credit */}
+        {(refundStatus === REFUND_STATUS.PARTIAL || refundStatus === REFUND_STATUS.CREDIT) && (
           <Input
-            label="Refund Amount ($)"
+            label={refundStatus === REFUND_STATUS.CREDIT ? 'Credit Amount ($)' : 'Refund Amount ($)'}
             type="number"
             value={refundAmount}
             onChange={setRefundAmount}
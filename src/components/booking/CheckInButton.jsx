@@ -4,6 +4,7 @@ import { checkInBooking } from '../../utils/api.js';
 import { useStaffContext } from '../../context/StaffContext.jsx';
 import { useBookingsContext } from '../../context/BookingsContext.jsx';
 import { useToast } from '../common/Toast.jsx';
+import { useApiErrorHandler } from '../../hooks/useApiErrorHandler.js';
 
 /**
  * Check-in button for active bookings
@@ -11,10 +12,11 @@ import { useToast } from '../common/Toast.jsx';
 export default function CheckInButton({ booking, onSuccess }) {
   const [loading, setLoading] = useState(false);
   const { initials } = useStaffContext();
-  const { updateBookingLocal, refreshBookings } = useBookingsContext();
+  const { runOptimistic, refreshBookings } = useBookingsContext();
   const toast = useToast();
+  const { handleApiError } = useApiErrorHandler();
 
-  const isCheckedIn = booking.checked_in === 'TRUE' || booking.checked_in === true;
+  const isCheckedIn = booking.checked_in === true;
   const isActive = booking.status === 'active';
 
   if (!isActive || isCheckedIn) return null;
@@ -27,23 +29,28 @@ export default function CheckInButton({ booking, onSuccess }) {
 
     setLoading(true);
     try {
-      const result = await checkInBooking(booking.booking_id, initials);
+      const result = await runOptimistic(
+        {
+          type: 'update',
+          bookingId: booking.booking_id,
+          updates: {
+            checked_in: true,
+            checked_in_at: new Date().toISOString(),
+            checked_in_by: initials,
+          },
+        },
+        `check-in for ${booking.booking_id}`,
+        () => checkInBooking(booking.booking_id, initials)
+      );
 
       if (result.success) {
-        // Optimistic update
-        updateBookingLocal(booking.booking_id, {
-          checked_in: true,
-          checked_in_at: new Date().toISOString(),
-          checked_in_by: initials,
-        });
-
         toast.success(`Checked in: ${booking.customer_name || booking.booking_id}`);
         onSuccess?.();
 
         // Refresh data from server
         setTimeout(() => refreshBookings(), 1000);
       } else {
-        toast.error(result.error || 'Failed to check in');
+        handleApiError(result, { fallbackMessage: 'Failed to check in' });
       }
     } catch (error) {
       console.error('[CheckInButton] Error:', error);
@@ -7,10 +7,15 @@ import { useTeams } from '../../hooks/useTeams.js';
 import { useCourts } from '../../hooks/useCourts.js';
 import { useBookingsContext } from '../../context/BookingsContext.jsx';
 import { useStaffContext } from '../../context/StaffContext.jsx';
+import { useFacility } from '../../hooks/useFacility.js';
+import { toFacilityColumn } from '../../utils/facilities.js';
 import { useToast } from '../common/Toast.jsx';
+import { useApiErrorHandler } from '../../hooks/useApiErrorHandler.js';
 import { createBooking } from '../../utils/api.js';
 import { generateBookingId, generateGroupId } from '../../utils/bookingId.js';
 import { formatDateISO } from '../../utils/dateHelpers.js';
+import { calculateTotalRate } from '../../utils/rates.js';
+import { BOOKING_TYPES } from '../../config.js';
 
 /**
  * Calculate end time based on start time (always 1.5hr blocks)
@@ -30,9 +35,11 @@ function calculateEndTime(startTime) {
 export default function MondayNightLeagueModal({ isOpen, onClose, onSuccess }) {
   const { teams } = useTeams();
   const { courtOptions } = useCourts();
-  const { getConflicts, addBookingLocal, refreshBookings } = useBookingsContext();
+  const { getConflicts, runOptimistic, refreshBookings } = useBookingsContext();
   const { initials } = useStaffContext();
+  const { facilityId } = useFacility();
   const { showToast } = useToast();
+  const { handleApiError } = useApiErrorHandler();
 
   // Find Monday Night League team
   const mnlTeam = useMemo(() => {
@@ -145,15 +152,27 @@ export default function MondayNightLeagueModal({ isOpen, onClose, onSuccess }) {
   // Calculate summary
   const summary = useMemo(() => {
     const assignedCourts = courtAssignments.filter(a => a.competitor1 || a.competitor2).length;
-    const courtRate = mnlTeam ? parseFloat(mnlTeam.court_rate) || 12.00 : 12.00;
-    const totalValue = assignedCourts * courtRate; // $12 per 1.5hr block/court
+    // The league's own block rate, or the rate card for each block
+    const courtRate = mnlTeam ? parseFloat(mnlTeam.court_rate) || null : null;
+    const blockPrices = new Map();
+    courtAssignments
+      .filter(a => a.competitor1 || a.competitor2)
+      .forEach(a => {
+        const session = sessions.find(s => s.sessionId === a.sessionId) || sessions[0];
+        const price = courtRate ?? (selectedDate && session
+          ? calculateTotalRate(selectedDate, session.timeStart, calculateEndTime(session.timeStart), BOOKING_TYPES.TEAM_OTHER, [a.court])
+          : 0);
+        blockPrices.set(a, price);
+      });
+    const totalValue = [...blockPrices.values()].reduce((sum, price) => sum + price, 0);
 
     return {
       assignedCourts,
       courtRate,
+      blockPrices,
       totalValue,
     };
-  }, [courtAssignments, mnlTeam]);
+  }, [courtAssignments, mnlTeam, sessions, selectedDate]);
 
   // Validate form
   const validateForm = () => {
@@ -191,7 +210,7 @@ export default function MondayNightLeagueModal({ isOpen, onClose, onSuccess }) {
     try {
       const proposedBookings = [];
       const groupId = generateGroupId(new Date());
-      const bookingType = 'team_other'; // Monday Night League
+      const bookingType = BOOKING_TYPES.TEAM_OTHER; // Monday Night League
       const teamId = mnlTeam?.team_id || 'MNL';
 
       // Create bookings for each court assignment with competitors
@@ -204,7 +223,8 @@ export default function MondayNightLeagueModal({ isOpen, onClose, onSuccess }) {
         const customerName = `${assignment.competitor1 || 'TBD'} vs ${assignment.competitor2 || 'TBD'}`;
 
         proposedBookings.push({
-          booking_id: generateBookingId(selectedDate, assignment.court, session.timeStart),
+          booking_id: generateBookingId(selectedDate, assignment.court, session.timeStart, facilityId),
+          facility_id: toFacilityColumn(facilityId),
           group_id: groupId,
           date: selectedDate,
           court: assignment.court,
@@ -215,7 +235,7 @@ export default function MondayNightLeagueModal({ isOpen, onClose, onSuccess }) {
           customer_name: customerName,
           customer_phone: mnlTeam?.contact_phone || mnlTeam?.phone || '',
           payment_status: 'invoiced',
-          payment_amount: (summary.courtRate).toFixed(2),
+          payment_amount: (summary.blockPrices.get(assignment) || 0).toFixed(2),
           payment_method: 'invoice',
           notes: `Monday Night League - ${customerName}`,
           participant_count: 4,
@@ -252,11 +272,13 @@ export default function MondayNightLeagueModal({ isOpen, onClose, onSuccess }) {
 
       // Create bookings
       const payload = proposedBookings.length === 1 ? proposedBookings[0] : proposedBookings;
-      const result = await createBooking(payload);
+      const result = await runOptimistic(
+        { type: 'add', bookings: proposedBookings },
+        `${proposedBookings.length} new league bookings`,
+        () => createBooking(payload)
+      );
 
       if (result.success) {
-        // Optimistic update
-        proposedBookings.forEach(b => addBookingLocal(b));
 
         // Show success
         showToast(`${proposedBookings.length} Monday Night League booking(s) created successfully`, 'success');
@@ -267,7 +289,13 @@ export default function MondayNightLeagueModal({ isOpen, onClose, onSuccess }) {
         // Show print option
         setShowPrintOption(true);
       } else {
-        showToast(result.error || 'Failed to create bookings', 'error');
+        const serverConflicts = handleApiError(result, {
+          fallbackMessage: 'Failed to create bookings',
+          proposedBookings,
+        });
+        if (serverConflicts.length > 0) {
+          showToast(`${serverConflicts.length} booking conflict(s) detected. Please adjust your selections.`, 'error');
+        }
       }
     } catch (error) {
       console.error('[MondayNightLeagueModal] Create error:', error);
@@ -478,7 +506,9 @@ export default function MondayNightLeagueModal({ isOpen, onClose, onSuccess }) {
           <div className="space-y-2 text-sm">
             <div className="flex justify-between">
               <span className="text-gray-600">Rate:</span>
-              <span className="font-medium">${summary.courtRate.toFixed(2)} per 1.5hr block/court</span>
+              <span className="font-medium">
+                {summary.courtRate !== null ? `$${summary.courtRate.toFixed(2)} per 1.5hr block/court` : 'Rate card'}
+              </span>
             </div>
             <div className="flex justify-between">
               <span className="text-gray-600">Courts Assigned:</span>
@@ -0,0 +1,396 @@
+import { useState, useMemo } from 'react';
+import Modal from '../common/Modal.jsx';
+import Button from '../common/Button.jsx';
+import Input from '../common/Input.jsx';
+import Select from '../common/Select.jsx';
+import { cancelBooking, recordCredits, callAppsScript } from '../../utils/api.js';
+import { getCancelReasonLabel, getRefundStatusLabel } from '../../utils/cancellationPolicy.js';
+import { getRainoutBookings, getRainoutPlan, getRainoutTotals, getCallList, getRainoutClosures } from '../../utils/rainout.js';
+import { createCreditEntry, getCreditErrorMessage } from '../../utils/credits.js';
+import { getBookingShortCode } from '../../utils/bookingId.js';
+import { getBookingTypeLabel } from '../../utils/colors.js';
+import { getApiErrorMessage } from '../../utils/apiErrors.js';
+import { getTimeSlots, getEndTimeOptions, formatDateDisplay, formatDateISO, formatTimeDisplay } from '../../utils/dateHelpers.js';
+import { parseTimeToMinutes } from '../../utils/timeUtils.js';
+import { CANCEL_REASONS, CREDIT_ENTRY_TYPES, CREDIT_KINDS, REFUND_STATUS } from '../../config.js';
+import { useCourts } from '../../hooks/useCourts.js';
+import { useContractors } from '../../hooks/useContractors.js';
+import { useTeams } from '../../hooks/useTeams.js';
+import { useTournaments } from '../../hooks/useTournaments.js';
+import { useCredits } from '../../hooks/useCredits.js';
+import { useFacility } from '../../hooks/useFacility.js';
+import { useStaffContext } from '../../context/StaffContext.jsx';
+import { useBookingsContext } from '../../context/BookingsContext.jsx';
+import { useToast } from '../common/Toast.jsx';
+
+const formatMoney = (amount) => `$${(amount || 0).toFixed(2)}`;
+
+/**
+ * Default window: from the current slot today, or opening on other days,
+ * through closing
+ */
+function getDefaultWindow(date) {
+  const slots = getTimeSlots(date);
+  let start = slots[0] || '';
+  if (date === formatDateISO(new Date())) {
+    const now = new Date();
+    const minutes = now.getHours() * 60 + now.getMinutes();
+    start = [...slots].reverse().find(t => parseTimeToMinutes(t) <= minutes) || start;
+  }
+  const ends = getEndTimeOptions(start, date);
+  return { timeStart: start, timeEnd: ends[ends.length - 1] || '' };
+}
+
+/**
+ * Weather rainout
+ * Cancels every active booking in a window for weather with the refunds
+ * the cancellation policy suggests, optionally closes the courts, then
+ * lists the customers to call.
+ */
+export default function RainoutModal({ isOpen, onClose }) {
+  const { initials } = useStaffContext();
+  const { bookings, runOptimistic, refreshBookings } = useBookingsContext();
+  const { courts, getCourtName } = useCourts();
+  const { contractors } = useContractors();
+  const { teams } = useTeams();
+  const { tournaments } = useTournaments();
+  const { refresh: refreshCredits } = useCredits();
+  const { facilityId } = useFacility();
+  const toast = useToast();
+
+  const today = formatDateISO(new Date());
+  const [date, setDate] = useState(today);
+  const [{ timeStart, timeEnd }, setWindow] = useState(() => getDefaultWindow(today));
+  // Empty means every court
+  const [selectedCourts, setSelectedCourts] = useState([]);
+  const [closeCourts, setCloseCourts] = useState(true);
+  const [running, setRunning] = useState(false);
+  const [calls, setCalls] = useState(null);
+
+  const rainoutWindow = useMemo(() => ({
+    date,
+    timeStart,
+    timeEnd,
+    courts: selectedCourts.length > 0 ? selectedCourts : null,
+  }), [date, timeStart, timeEnd, selectedCourts]);
+
+  const plan = useMemo(() => {
+    if (!timeStart || !timeEnd) return [];
+    return getRainoutPlan(getRainoutBookings(bookings, rainoutWindow));
+  }, [bookings, rainoutWindow, timeStart, timeEnd]);
+  const totals = getRainoutTotals(plan);
+
+  const timeOptions = getTimeSlots(date).map(t => ({ value: t, label: formatTimeDisplay(t) }));
+  const endOptions = getEndTimeOptions(timeStart, date).map(t => ({ value: t, label: formatTimeDisplay(t) }));
+
+  const handleDateChange = (value) => {
+    setDate(value);
+    setWindow(getDefaultWindow(value));
+  };
+
+  const handleStartChange = (value) => {
+    const ends = getEndTimeOptions(value, date);
+    setWindow(prev => ({ timeStart: value, timeEnd: ends.includes(prev.timeEnd) ? prev.timeEnd : ends[ends.length - 1] || '' }));
+  };
+
+  const toggleCourt = (courtNumber) => {
+    setSelectedCourts(prev => (prev.includes(courtNumber)
+      ? prev.filter(c => c !== courtNumber)
+      : [...prev, courtNumber].sort((a, b) => a - b)));
+  };
+
+  /**
+   * Put credit refunds on customers' accounts, one entry per customer
+   * The cancellations already went through, so a failure only warns.
+   */
+  const issueCredits = async (callList) => {
+    const entries = callList
+      .filter(call => call.credit > 0 && call.name)
+      .map(call => createCreditEntry(CREDIT_ENTRY_TYPES.ISSUE, {
+        kind: CREDIT_KINDS.CREDIT,
+        amount: Math.round(call.credit * 100) / 100,
+        customer_name: call.name,
+        customer_phone: call.phone,
+        booking_id: call.bookings.map(b => b.booking_id).join(' '),
+        note: `${getCancelReasonLabel(CANCEL_REASONS.WEATHER)} rainout on ${date}`,
+      }, initials));
+    const unnamed = callList.filter(call => call.credit > 0 && !call.name).length;
+    if (unnamed > 0) {
+      toast.warning(`${unnamed} booking${unnamed === 1 ? ' has' : 's have'} no customer name, so ${unnamed === 1 ? 'its' : 'their'} credit was not added to an account`, 8000);
+    }
+    if (entries.length === 0) return;
+
+    const result = await recordCredits(entries);
+    if (result.success) {
+      toast.info(`Credit added for ${entries.length} customer${entries.length === 1 ? '' : 's'}`);
+      refreshCredits();
+    } else {
+      toast.warning(`Credits not recorded: ${getCreditErrorMessage(result, 'the ledger update failed')}`, 8000);
+    }
+  };
+
+  const saveClosures = async () => {
+    const reason = `${getCancelReasonLabel(CANCEL_REASONS.WEATHER)} rainout`;
+    const closures = getRainoutClosures(rainoutWindow, reason, facilityId);
+    let saved = 0;
+    for (const closure of closures) {
+      try {
+        const result = await callAppsScript('saveClosure', { closure });
+        if (result.success) {
+          saved++;
+        } else {
+          console.error('[RainoutModal] Closure not saved:', result);
+        }
+      } catch (error) {
+        console.error('[RainoutModal] Closure not saved:', error);
+      }
+    }
+    if (saved < closures.length) {
+      toast.warning(`Saved ${saved} of ${closures.length} closures. Add the rest from Closures.`, 8000);
+    }
+  };
+
+  const handleRun = async () => {
+    if (!initials) {
+      toast.error('Please select a staff member first');
+      return;
+    }
+    if (plan.length === 0 && !closeCourts) {
+      toast.error('No bookings to cancel in this window');
+      return;
+    }
+    const what = `Cancel ${plan.length} booking${plan.length === 1 ? '' : 's'}${closeCourts ? ' and close the courts' : ''}`;
+    if (!confirm(`${what} for weather on ${formatDateDisplay(date)}?`)) return;
+
+    setRunning(true);
+    const saved = [];
+    const failures = [];
+    try {
+      // Each booking is its own optimistic update, so a rejected one rolls back alone
+      for (const row of plan) {
+        const { booking } = row;
+        const updates = {
+          status: 'cancelled',
+          cancel_reason: CANCEL_REASONS.WEATHER,
+          refund_status: row.suggestedRefund,
+          refund_amount: row.refundAmount.toFixed(2),
+          refund_note: `Rainout ${date}`,
+          cancel_policy: row.policy,
+          cancelled_by: initials,
+          cancelled_at: new Date().toISOString(),
+        };
+        try {
+          const result = await runOptimistic(
+            { type: 'update', bookingId: booking.booking_id, updates },
+            `rainout cancellation of ${booking.booking_id}`,
+            () => cancelBooking(booking.booking_id, {
+              reason: updates.cancel_reason,
+              refund_status: updates.refund_status,
+              refund_amount: updates.refund_amount,
+              refund_note: updates.refund_note,
+              cancel_policy: updates.cancel_policy,
+              cancelled_by: initials,
+            })
+          );
+          if (result.success) {
+            saved.push(row);
+          } else {
+            failures.push(result);
+          }
+        } catch (error) {
+          console.error(`[RainoutModal] Cancellation failed for ${booking.booking_id}:`, error);
+          failures.push({ error: error.message });
+        }
+      }
+
+      if (failures.length === 0) {
+        toast.success(`Cancelled ${saved.length} booking${saved.length === 1 ? '' : 's'} for weather`);
+      } else {
+        toast.warning(
+          `Cancelled ${saved.length} of ${plan.length} bookings. ${getApiErrorMessage(failures[0], 'Some were not saved')}`,
+          8000
+        );
+      }
+
+      const callList = getCallList(saved, { contractors, teams, tournaments });
+      await issueCredits(callList);
+      if (closeCourts) await saveClosures();
+      setCalls(callList);
+      setTimeout(() => refreshBookings(), 1000);
+    } finally {
+      setRunning(false);
+    }
+  };
+
+  const getCallText = (call) => {
+    const slots = call.bookings
+      .map(b => `${formatTimeDisplay(b.time_start)} ${getCourtName(b.court)}`)
+      .join(', ');
+    const money = [
+      call.refund > 0 && `refund ${formatMoney(call.refund)}`,
+      call.credit > 0 && `credit ${formatMoney(call.credit)}`,
+    ].filter(Boolean).join(', ');
+    return `${call.name || 'No name'} - ${call.phone || 'no phone'} - ${slots}${money ? ` (${money})` : ''}`;
+  };
+
+  const handleCopy = () => {
+    const text = [`Rainout ${formatDateDisplay(date)}`, ...calls.map(getCallText)].join('\n');
+    navigator.clipboard.writeText(text);
+    toast.info('Call list copied to clipboard');
+  };
+
+  if (calls) {
+    return (
+      <Modal isOpen={isOpen} onClose={onClose} title="Rainout Call List" size="2xl">
+        <div className="space-y-4">
+          <p className="text-sm text-gray-600">
+            {calls.length === 0
+              ? 'No customers to call.'
+              : `${calls.length} customer${calls.length === 1 ? '' : 's'} to call about ${formatDateDisplay(date)}.`}
+          </p>
+          {calls.length > 0 && (
+            <ul className="divide-y divide-gray-100 border border-gray-200 rounded-lg text-sm">
+              {calls.map((call, idx) => (
+                <li key={idx} className="px-3 py-2">
+                  <div className="flex items-center justify-between">
+                    <span className="font-medium text-gray-900">{call.name || 'No name'}</span>
+                    {call.phone
+                      ? <a href={`tel:${call.phone}`} className="font-mono text-blue-600">{call.phone}</a>
+                      : <span className="text-red-600">No phone</span>}
+                  </div>
+                  <div className="text-gray-500">
+                    {call.bookings.map(b => `${formatTimeDisplay(b.time_start)} ${getCourtName(b.court)}`).join(', ')}
+                    {call.refund > 0 && ` • Refund ${formatMoney(call.refund)}`}
+                    {call.credit > 0 && ` • Credit ${formatMoney(call.credit)}`}
+                  </div>
+                </li>
+              ))}
+            </ul>
+          )}
+          <div className="flex gap-3 pt-4 border-t">
+            {calls.length > 0 && (
+              <Button variant="secondary" onClick={handleCopy} fullWidth>
+                Copy Call List
+              </Button>
+            )}
+            <Button onClick={onClose} fullWidth>
+              Done
+            </Button>
+          </div>
+        </div>
+      </Modal>
+    );
+  }
+
+  return (
+    <Modal isOpen={isOpen} onClose={onClose} title="Weather Rainout" size="2xl">
+      <div className="space-y-4">
+        <div className="grid grid-cols-3 gap-4">
+          <Input label="Date" type="date" value={date} onChange={handleDateChange} required />
+          <Select label="From" value={timeStart} onChange={handleStartChange} options={timeOptions} />
+          <Select label="Until" value={timeEnd} onChange={(value) => setWindow(prev => ({ ...prev, timeEnd: value }))} options={endOptions} />
+        </div>
+
+        <div>
+          <span className="block text-sm font-medium text-gray-700 mb-1">
+            Courts {selectedCourts.length === 0 && <span className="font-normal text-gray-500">(all)</span>}
+          </span>
+          <div className="flex flex-wrap gap-2">
+            {courts.map(court => (
+              <button
+                key={court.court_number}
+                type="button"
+                onClick={() => toggleCourt(court.court_number)}
+                className={`px-3 py-1 text-sm rounded-full ${
+                  selectedCourts.includes(court.court_number)
+                    ? 'bg-green-100 text-green-800 font-medium'
+                    : 'bg-gray-100 text-gray-600 hover:bg-gray-200'
+                }`}
+              >
+                {getCourtName(court.court_number)}
+              </button>
+            ))}
+          </div>
+        </div>
+
+        <div className="flex items-center gap-3">
+          <input
+            type="checkbox"
+            id="rainoutClose"
+            checked={closeCourts}
+            onChange={(e) => setCloseCourts(e.target.checked)}
+            className="h-4 w-4 rounded border-gray-300 text-green-600"
+          />
+          <label htmlFor="rainoutClose" className="text-sm text-gray-700">
+            Also close {selectedCourts.length === 0 ? 'all courts' : 'these courts'} for the window
+          </label>
+        </div>
+
+        {/* Preview */}
+        <div className="border border-gray-200 rounded-lg">
+          <div className="px-3 py-2 bg-gray-50 border-b border-gray-200 flex items-center justify-between text-sm">
+            <span className="font-medium text-gray-700">
+              {plan.length} booking{plan.length === 1 ? '' : 's'} to cancel
+            </span>
+            <span className="text-gray-600">
+              Refunds {formatMoney(totals.refunds)} • Credit {formatMoney(totals.credits)}
+            </span>
+          </div>
+          {plan.length === 0 ? (
+            <div className="p-4 text-center text-sm text-gray-500">No active bookings in this window.</div>
+          ) : (
+            <div className="max-h-72 overflow-y-auto">
+              <table className="w-full text-sm">
+                <thead className="text-xs text-gray-500 uppercase">
+                  <tr>
+                    <th className="px-3 py-2 text-left">Time</th>
+                    <th className="px-3 py-2 text-left">Court</th>
+                    <th className="px-3 py-2 text-left">Booking</th>
+                    <th className="px-3 py-2 text-right">Paid</th>
+                    <th className="px-3 py-2 text-left">Refund</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-100">
+                  {plan.map(({ booking, suggestedRefund, refundAmount, explanation }) => (
+                    <tr key={booking.booking_id}>
+                      <td className="px-3 py-2 whitespace-nowrap">
+                        {formatTimeDisplay(booking.time_start)} - {formatTimeDisplay(booking.time_end)}
+                      </td>
+                      <td className="px-3 py-2">{getCourtName(booking.court)}</td>
+                      <td className="px-3 py-2">
+                        <div className="text-gray-900">{booking.customer_name || getBookingTypeLabel(booking.booking_type)}</div>
+                        <div className="text-xs font-mono text-gray-500">
+                          {getBookingShortCode(booking.booking_id) || booking.booking_id}
+                        </div>
+                      </td>
+                      <td className="px-3 py-2 text-right">{formatMoney(parseFloat(booking.payment_amount))}</td>
+                      <td className="px-3 py-2" title={explanation}>
+                        {getRefundStatusLabel(suggestedRefund)}
+                        {suggestedRefund !== REFUND_STATUS.NONE && ` ${formatMoney(refundAmount)}`}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+
+        <div className="flex gap-3 pt-4 border-t">
+          <Button type="button" variant="secondary" onClick={onClose} fullWidth>
+            Close
+          </Button>
+          <Button
+            variant="danger"
+            onClick={handleRun}
+            loading={running}
+            disabled={!timeStart || !timeEnd || (plan.length === 0 && !closeCourts)}
+            fullWidth
+          >
+            {plan.length > 0 ? `Cancel ${plan.length} Booking${plan.length === 1 ? '' : 's'}` : 'Close Courts'}
+          </Button>
+        </div>
+      </div>
+    </Modal>
+  );
+}
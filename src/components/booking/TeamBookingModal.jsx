@@ -1,4 +1,4 @@
-import { useState, useMemo, useEffect } from 'react';
+import { useState, useMemo, useEffect, useCallback } from 'react';
 import Modal from '../common/Modal.jsx';
 import Input from '../common/Input.jsx';
 import Select, { MultiSelect } from '../common/Select.jsx';
@@ -7,10 +7,14 @@ import { useTeams } from '../../hooks/useTeams.js';
 import { useCourts } from '../../hooks/useCourts.js';
 import { useBookingsContext } from '../../context/BookingsContext.jsx';
 import { useStaffContext } from '../../context/StaffContext.jsx';
+import { useFacility } from '../../hooks/useFacility.js';
+import { toFacilityColumn } from '../../utils/facilities.js';
 import { useToast } from '../common/Toast.jsx';
+import { useApiErrorHandler } from '../../hooks/useApiErrorHandler.js';
 import { createBooking } from '../../utils/api.js';
 import { generateBookingId, generateGroupId } from '../../utils/bookingId.js';
 import { formatDateISO, formatDateDisplay, formatTimeDisplay } from '../../utils/dateHelpers.js';
+import { calculateTotalRate } from '../../utils/rates.js';
 import { TEAM_TYPE_TO_BOOKING_TYPE } from '../views/TeamsView.jsx';
 
 // Team duration mapping (in hours)
@@ -102,9 +106,11 @@ function ConflictWarning({ conflicts, onProceed, onCancel }) {
 export default function TeamBookingModal({ isOpen, onClose }) {
   const { teams, activeTeams } = useTeams();
   const { courtOptions } = useCourts();
-  const { getConflicts, addBookingLocal, refreshBookings } = useBookingsContext();
+  const { getConflicts, runOptimistic, refreshBookings } = useBookingsContext();
   const { initials } = useStaffContext();
+  const { facilityId } = useFacility();
   const { showToast } = useToast();
+  const { handleApiError } = useApiErrorHandler();
 
   const currentYear = new Date().getFullYear();
 
@@ -231,6 +237,16 @@ export default function TeamBookingModal({ isOpen, onClose }) {
     return `${type} (${duration}hr)`;
   }, [selectedTeam]);
 
+  // Price of one court for one entry: the team's contracted hourly rate,
+  // or the rate card when the team has none
+  const getCourtPrice = useCallback((entry, court) => {
+    const courtRate = parseFloat(selectedTeam?.court_rate);
+    if (courtRate > 0) return courtRate * teamDuration;
+    if (!selectedTeam || !entry.date || !entry.timeStart) return 0;
+    const bookingType = TEAM_TYPE_TO_BOOKING_TYPE[selectedTeam.team_type] || selectedTeam.team_type;
+    return calculateTotalRate(entry.date, entry.timeStart, calculateEndTime(entry.timeStart, teamDuration), bookingType, [court]);
+  }, [selectedTeam, teamDuration]);
+
   // Calculate summary
   const summary = useMemo(() => {
     if (!selectedTeam) {
@@ -247,15 +263,15 @@ export default function TeamBookingModal({ isOpen, onClose }) {
     }));
 
     const totalCourts = courtsPerDay.reduce((sum, day) => sum + day.courts, 0);
-    const courtRate = parseFloat(selectedTeam.court_rate) || 0;
-    const calculatedValue = totalCourts * courtRate * teamDuration;
+    const calculatedValue = dateTimeEntries.reduce((sum, entry) =>
+      sum + entry.courts.reduce((courtSum, court) => courtSum + getCourtPrice(entry, court), 0), 0);
 
     return {
       totalCourts,
       courtsPerDay,
       calculatedValue,
     };
-  }, [selectedTeam, dateTimeEntries, teamDuration]);
+  }, [selectedTeam, dateTimeEntries, getCourtPrice]);
 
   // Handle adding a new date/time entry
   const handleAddEntry = () => {
@@ -354,7 +370,8 @@ export default function TeamBookingModal({ isOpen, onClose }) {
 
         for (const court of entry.courts) {
           proposedBookings.push({
-            booking_id: generateBookingId(entry.date, court, entry.timeStart),
+            booking_id: generateBookingId(entry.date, court, entry.timeStart, facilityId),
+            facility_id: toFacilityColumn(facilityId),
             group_id: groupId,
             date: entry.date,
             court: court,
@@ -365,7 +382,7 @@ export default function TeamBookingModal({ isOpen, onClose }) {
             customer_name: teamName,
             customer_phone: selectedTeam.contact_phone || selectedTeam.phone || '',
             payment_status: 'invoiced',
-            payment_amount: ((parseFloat(selectedTeam.court_rate) || 0) * teamDuration).toFixed(2),
+            payment_amount: getCourtPrice(entry, court).toFixed(2),
             payment_method: 'invoice',
             notes: `Team booking for ${teamName}`,
             participant_count: 4,
@@ -407,11 +424,13 @@ export default function TeamBookingModal({ isOpen, onClose }) {
 
       // No conflicts, create bookings
       const payload = proposedBookings.length === 1 ? proposedBookings[0] : proposedBookings;
-      const result = await createBooking(payload);
+      const result = await runOptimistic(
+        { type: 'add', bookings: proposedBookings },
+        `${proposedBookings.length} new team bookings`,
+        () => createBooking(payload)
+      );
 
       if (result.success) {
-        // Optimistic update
-        proposedBookings.forEach(b => addBookingLocal(b));
 
         // Show success
         setCreatedCount(proposedBookings.length);
@@ -425,7 +444,14 @@ export default function TeamBookingModal({ isOpen, onClose }) {
           onClose();
         }, 2000);
       } else {
-        showToast(result.error || 'Failed to create team bookings', 'error');
+        const serverConflicts = handleApiError(result, {
+          fallbackMessage: 'Failed to create team bookings',
+          proposedBookings,
+        });
+        if (serverConflicts.length > 0) {
+          setConflicts(serverConflicts);
+          setShowConflicts(true);
+        }
       }
     } catch (error) {
       console.error('[TeamBookingModal] Create error:', error);
@@ -594,7 +620,7 @@ export default function TeamBookingModal({ isOpen, onClose }) {
               <span className="font-medium text-green-700">${summary.calculatedValue.toFixed(2)}</span>
             </div>
             <div className="text-xs text-gray-500 mt-1">
-              (Team Rate × Court Qty × Time Blocks)
+              {parseFloat(selectedTeam?.court_rate) > 0 ? '(Team Rate × Court Qty × Time Blocks)' : '(Rate card for each court and time)'}
             </div>
           </div>
         </div>
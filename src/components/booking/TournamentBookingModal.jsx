@@ -7,7 +7,10 @@ import { useTournaments } from '../../hooks/useTournaments.js';
 import { useCourts } from '../../hooks/useCourts.js';
 import { useBookingsContext } from '../../context/BookingsContext.jsx';
 import { useStaffContext } from '../../context/StaffContext.jsx';
+import { useFacility } from '../../hooks/useFacility.js';
+import { toFacilityColumn } from '../../utils/facilities.js';
 import { useToast } from '../common/Toast.jsx';
+import { useApiErrorHandler } from '../../hooks/useApiErrorHandler.js';
 import { createBooking } from '../../utils/api.js';
 import { generateBookingId, generateGroupId } from '../../utils/bookingId.js';
 import { formatDateDisplay, formatTimeDisplay } from '../../utils/dateHelpers.js';
@@ -68,9 +71,11 @@ function ConflictWarning({ conflicts, onCancel }) {
 export default function TournamentBookingModal({ isOpen, onClose }) {
   const { tournaments, upcomingTournaments, getTournamentById } = useTournaments();
   const { courtOptions } = useCourts();
-  const { getConflicts, addBookingLocal, refreshBookings } = useBookingsContext();
+  const { getConflicts, runOptimistic, refreshBookings } = useBookingsContext();
   const { initials } = useStaffContext();
+  const { facilityId } = useFacility();
   const { showToast } = useToast();
+  const { handleApiError } = useApiErrorHandler();
 
   const currentYear = new Date().getFullYear();
 
@@ -336,7 +341,8 @@ export default function TournamentBookingModal({ isOpen, onClose }) {
       for (const entry of dateTimeEntries) {
         for (const court of entry.courts) {
           proposedBookings.push({
-            booking_id: generateBookingId(entry.date, court, entry.timeStart),
+            booking_id: generateBookingId(entry.date, court, entry.timeStart, facilityId),
+            facility_id: toFacilityColumn(facilityId),
             group_id: groupId,
             date: entry.date,
             court: court,
@@ -389,11 +395,13 @@ export default function TournamentBookingModal({ isOpen, onClose }) {
 
       // No conflicts, create bookings
       const payload = proposedBookings.length === 1 ? proposedBookings[0] : proposedBookings;
-      const result = await createBooking(payload);
+      const result = await runOptimistic(
+        { type: 'add', bookings: proposedBookings },
+        `${proposedBookings.length} new tournament bookings`,
+        () => createBooking(payload)
+      );
 
       if (result.success) {
-        // Optimistic update
-        proposedBookings.forEach(b => addBookingLocal(b));
 
         // Show success
         setCreatedCount(proposedBookings.length);
@@ -407,7 +415,14 @@ export default function TournamentBookingModal({ isOpen, onClose }) {
           onClose();
         }, 2000);
       } else {
-        showToast(result.error || 'Failed to create tournament bookings', 'error');
+        const serverConflicts = handleApiError(result, {
+          fallbackMessage: 'Failed to create tournament bookings',
+          proposedBookings,
+        });
+        if (serverConflicts.length > 0) {
+          setConflicts(serverConflicts);
+          setShowConflicts(true);
+        }
       }
     } catch (error) {
       console.error('[TournamentBookingModal] Create error:', error);
@@ -31,6 +31,8 @@ export function ToastProvider({ children }) {
     warning: (message, duration) => addToast(message, 'warning', duration),
     info: (message, duration) => addToast(message, 'info', duration),
     remove: removeToast,
+    // (message, type, duration) form used by the team and tournament screens
+    showToast: addToast,
   };
 
   return (
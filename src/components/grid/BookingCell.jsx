@@ -4,6 +4,8 @@ import { formatTimeShort } from '../../utils/dateHelpers.js';
 /**
  * Individual booking cell in the grid
  * Supports side-by-side display for overlapping bookings
+ * Pending bookings (not yet confirmed by the server) are drawn faded
+ * with a dashed outline
  */
 export default function BookingCell({
   booking,
@@ -12,11 +14,12 @@ export default function BookingCell({
   slotsSpanned = 1,
   overlapCount = 1,
   overlapIndex = 0,
+  isPending = false,
 }) {
   if (!booking) return null;
 
   const colorClasses = getBookingCellClasses(booking.booking_type);
-  const isCheckedIn = booking.checked_in === 'TRUE' || booking.checked_in === true;
+  const isCheckedIn = booking.checked_in === true;
   const isCancelled = booking.status === 'cancelled';
   const isNoShow = booking.status === 'no_show';
 
@@ -41,6 +44,7 @@ export default function BookingCell({
         hover:shadow-md hover:z-20
         ${colorClasses}
         ${isCancelled || isNoShow ? 'opacity-50 line-through' : ''}
+        ${isPending ? 'opacity-60 border-2 border-dashed border-gray-500 animate-pulse' : ''}
       `}
       style={{
         height: `${height}px`,
@@ -48,7 +52,7 @@ export default function BookingCell({
         left: `calc(${leftPercent}% + 2px)`,
         width: `calc(${widthPercent}% - 4px)`,
       }}
-      title={`${booking.customer_name || booking.entity_id || 'Booking'} - ${formatTimeShort(booking.time_start)} to ${formatTimeShort(booking.time_end)}`}
+      title={`${booking.customer_name || booking.entity_id || 'Booking'} - ${formatTimeShort(booking.time_start)} to ${formatTimeShort(booking.time_end)}${isPending ? ' (saving...)' : ''}`}
     >
       <div className="p-1 h-full flex flex-col">
         {/* Customer/Entity Name */}
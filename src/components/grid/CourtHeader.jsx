@@ -1,13 +1,16 @@
-import { CONFIG } from '../../config.js';
+import { useFacilityConfig } from '../../hooks/useFacilityConfig.js';
+import { getDefaultCourtName } from '../../utils/facilityConfig.js';
 
 /**
  * Court column headers
  */
 export default function CourtHeader({ courts }) {
+  const { totalCourts, stadiumCourtNumber } = useFacilityConfig();
+
   // Generate court list if not provided
-  const courtList = courts || Array.from({ length: CONFIG.TOTAL_COURTS }, (_, i) => ({
+  const courtList = courts || Array.from({ length: totalCourts }, (_, i) => ({
     court_number: i + 1,
-    court_name: i + 1 === CONFIG.STADIUM_COURT_NUMBER ? 'Stadium' : `Court ${i + 1}`,
+    court_name: getDefaultCourtName(i + 1),
     status: 'open',
   }));
 
@@ -30,7 +33,7 @@ export default function CourtHeader({ courts }) {
           `}
         >
           <span className="text-xs font-semibold text-gray-700">
-            {parseInt(court.court_number, 10) === CONFIG.STADIUM_COURT_NUMBER
+            {parseInt(court.court_number, 10) === stadiumCourtNumber
               ? 'Stadium'
               : `Court ${court.court_number}`
             }
@@ -1,5 +1,5 @@
 import { useState, useEffect } from 'react';
-import { getCurrentTime, getTimePosition, isToday } from '../../utils/dateHelpers.js';
+import { getCurrentTime, getTimePosition, getTimeSlots, isToday } from '../../utils/dateHelpers.js';
 import { TIME_SLOT_HEIGHT } from './TimeColumn.jsx';
 
 /**
@@ -17,7 +17,7 @@ export default function CurrentTimeLine({ selectedDate, headerHeight = 48 }) {
 
     const updatePosition = () => {
       const currentTime = getCurrentTime();
-      const percentage = getTimePosition(currentTime);
+      const percentage = getTimePosition(currentTime, selectedDate);
       setPosition(percentage);
     };
 
@@ -35,7 +35,7 @@ export default function CurrentTimeLine({ selectedDate, headerHeight = 48 }) {
   // Calculate pixel position
   // Total height = number of slots * slot height
   // Position is percentage of operating hours
-  const totalSlotsHeight = 25 * TIME_SLOT_HEIGHT; // 25 slots from 8:30 to 21:00
+  const totalSlotsHeight = getTimeSlots(selectedDate).length * TIME_SLOT_HEIGHT;
   const topPosition = headerHeight + (position / 100) * totalSlotsHeight;
 
   return (
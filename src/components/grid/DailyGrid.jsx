@@ -1,8 +1,9 @@
 import { useState, useMemo, useCallback, useEffect } from 'react';
-import { CONFIG } from '../../config.js';
 import { getTimeSlots } from '../../utils/dateHelpers.js';
+import { getOperatingHours, getDefaultCourtName } from '../../utils/facilityConfig.js';
 import { useBookingsContext } from '../../context/BookingsContext.jsx';
 import { useCourts } from '../../hooks/useCourts.js';
+import { useFacilityConfig } from '../../hooks/useFacilityConfig.js';
 import TimeColumn, { TIME_SLOT_HEIGHT } from './TimeColumn.jsx';
 import CourtHeader from './CourtHeader.jsx';
 import CurrentTimeLine from './CurrentTimeLine.jsx';
@@ -10,7 +11,7 @@ import BookingCell from './BookingCell.jsx';
 import ClosedCell from './ClosedCell.jsx';
 
 /**
- * Main daily grid view showing all 17 courts
+ * Main daily grid view showing every court
  * Supports drag-to-select for booking time ranges
  */
 export default function DailyGrid({
@@ -18,10 +19,13 @@ export default function DailyGrid({
   onBookingClick,
   onEmptyCellClick,
 }) {
-  const { getBookingsForDate, loading, error, isSlotClosed } = useBookingsContext();
+  const { getBookingsForDate, loading, error, isSlotClosed, pendingBookingIds } = useBookingsContext();
   const { courts } = useCourts();
+  const facility = useFacilityConfig();
 
-  const timeSlots = getTimeSlots();
+  const timeSlots = useMemo(() => getTimeSlots(selectedDate), [selectedDate, facility]);
+  const operatingHours = getOperatingHours(selectedDate);
+  const dayEnd = operatingHours.end;
 
   // Drag selection state
   const [isDragging, setIsDragging] = useState(false);
@@ -36,12 +40,12 @@ export default function DailyGrid({
   // Generate court list
   const courtList = useMemo(() => {
     if (courts.length > 0) return courts;
-    return Array.from({ length: CONFIG.TOTAL_COURTS }, (_, i) => ({
+    return Array.from({ length: facility.totalCourts }, (_, i) => ({
       court_number: i + 1,
-      court_name: i + 1 === CONFIG.STADIUM_COURT_NUMBER ? 'Stadium' : `Court ${i + 1}`,
+      court_name: getDefaultCourtName(i + 1),
       status: 'open',
     }));
-  }, [courts]);
+  }, [courts, facility]);
 
   // Build booking map for quick lookup - supports overlapping bookings
   const bookingMap = useMemo(() => {
@@ -231,7 +235,7 @@ export default function DailyGrid({
       // Get the time values
       const startTime = timeSlots[minTimeIndex];
       // End time is the START of the slot after the last selected slot
-      const endTime = timeSlots[maxTimeIndex + 1] || '21:00';
+      const endTime = timeSlots[maxTimeIndex + 1] || dayEnd;
 
       // Get list of selected courts
       const selectedCourts = [];
@@ -255,7 +259,7 @@ export default function DailyGrid({
     setIsDragging(false);
     setDragStart(null);
     setDragEnd(null);
-  }, [isDragging, dragStart, dragEnd, selectionRange, timeSlots, selectedDate, onEmptyCellClick]);
+  }, [isDragging, dragStart, dragEnd, selectionRange, timeSlots, dayEnd, selectedDate, onEmptyCellClick]);
 
   // Handle mouse up anywhere (in case user releases outside grid)
   useEffect(() => {
@@ -297,8 +301,26 @@ export default function DailyGrid({
     );
   }
 
+  if (operatingHours.closed) {
+    return (
+      <div className="flex flex-col items-center justify-center h-64 bg-white border border-gray-200 rounded-lg">
+        <div className="text-gray-700 font-medium">The center is closed on this day</div>
+        {operatingHours.note && (
+          <div className="text-sm text-gray-500 mt-1">{operatingHours.note}</div>
+        )}
+      </div>
+    );
+  }
+
   return (
     <div className="relative overflow-auto bg-white border border-gray-200 rounded-lg">
+      {/* Special hours for this day */}
+      {operatingHours.note && (
+        <div className="px-3 py-1.5 text-sm text-amber-800 bg-amber-50 border-b border-amber-200">
+          {operatingHours.note}
+        </div>
+      )}
+
       {/* Grid Container */}
       <div className="relative min-w-max">
         {/* Header Row */}
@@ -310,7 +332,7 @@ export default function DailyGrid({
         {/* Grid Body */}
         <div className="flex">
           {/* Time Column */}
-          <TimeColumn />
+          <TimeColumn timeSlots={timeSlots} />
 
           {/* Court Columns */}
           <div className="flex flex-1">
@@ -344,6 +366,7 @@ export default function DailyGrid({
                             slotsSpanned={cellData.slotsSpanned}
                             overlapCount={cellData.overlapCount}
                             overlapIndex={cellData.overlapIndex}
+                            isPending={pendingBookingIds.has(cellData.booking.booking_id)}
                           />
                         ))
                       ) : closureInfo?.isClosed ? (
@@ -2,9 +2,9 @@ import { getTimeSlots, formatTimeShort } from '../../utils/dateHelpers.js';
 
 /**
  * Time column showing time labels
+ * @param {Array<string>} timeSlots - Rows of the grid (defaults to year-round hours)
  */
-export default function TimeColumn() {
-  const timeSlots = getTimeSlots();
+export default function TimeColumn({ timeSlots = getTimeSlots() }) {
 
   return (
     <div className="sticky left-0 z-20 bg-gray-50 border-r border-gray-200">
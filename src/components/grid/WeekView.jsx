@@ -1,5 +1,4 @@
 import { useState, useMemo, useCallback, useEffect } from 'react';
-import { CONFIG } from '../../config.js';
 import {
   getTimeSlots,
   getStartOfWeek,
@@ -10,11 +9,15 @@ import {
   isToday,
   parseDate,
 } from '../../utils/dateHelpers.js';
+import { getOperatingHours, getDefaultCourtName } from '../../utils/facilityConfig.js';
 import { useBookingsContext } from '../../context/BookingsContext.jsx';
 import { useCourts } from '../../hooks/useCourts.js';
+import { useFacilityConfig } from '../../hooks/useFacilityConfig.js';
+import { useFacility } from '../../hooks/useFacility.js';
 import Select from '../common/Select.jsx';
 import Button, { IconButton } from '../common/Button.jsx';
 import BookingCell from './BookingCell.jsx';
+import ClosedCell from './ClosedCell.jsx';
 
 /**
  * Weekly view for a single court with drag-to-select support
@@ -26,24 +29,38 @@ export default function WeekView({
   onEmptyCellClick,
 }) {
   const [selectedCourt, setSelectedCourt] = useState(1);
-  const { getBookingsForDateAndCourt, loading } = useBookingsContext();
+  const { getBookingsForDateAndCourt, loading, pendingBookingIds } = useBookingsContext();
   const { courtOptions } = useCourts();
+  const { totalCourts, stadiumCourtNumber } = useFacilityConfig();
+  const facilityName = useFacility().facility.name;
+
+  // Another facility may have fewer courts
+  useEffect(() => {
+    if (selectedCourt > totalCourts) setSelectedCourt(1);
+  }, [selectedCourt, totalCourts]);
 
   // Drag selection state
   const [isDragging, setIsDragging] = useState(false);
   const [dragStart, setDragStart] = useState(null); // { dayIndex, timeIndex }
   const [dragEnd, setDragEnd] = useState(null); // { dayIndex, timeIndex }
 
-  const timeSlots = getTimeSlots();
   const weekStart = getStartOfWeek(parseDate(selectedDate));
   const weekDays = getWeekDays(weekStart);
 
+  // Rows cover the longest hours of any day in the week (seasons can change mid-week)
+  const daySlots = weekDays.map(day => new Set(getTimeSlots(day)));
+  const dayHours = weekDays.map(day => getOperatingHours(day));
+  const timeSlots = [...new Set(daySlots.flatMap(slots => [...slots]))].sort();
+  const weekDayEnd = dayHours
+    .filter(hours => !hours.closed)
+    .reduce((latest, hours) => (hours.end > latest ? hours.end : latest), '00:00');
+
   // Generate court options if not loaded
   const courts = courtOptions.length > 0 ? courtOptions : Array.from(
-    { length: CONFIG.TOTAL_COURTS },
+    { length: totalCourts },
     (_, i) => ({
       value: i + 1,
-      label: i + 1 === CONFIG.STADIUM_COURT_NUMBER ? 'Stadium' : `Court ${i + 1}`,
+      label: getDefaultCourtName(i + 1),
     })
   );
 
@@ -228,7 +245,7 @@ export default function WeekView({
 
       // Get the time values
       const startTime = timeSlots[minTimeIndex];
-      const endTime = timeSlots[maxTimeIndex + 1] || '21:00';
+      const endTime = timeSlots[maxTimeIndex + 1] || weekDayEnd;
 
       // Get list of selected dates
       const selectedDates = [];
@@ -253,7 +270,7 @@ export default function WeekView({
     setIsDragging(false);
     setDragStart(null);
     setDragEnd(null);
-  }, [isDragging, dragStart, dragEnd, selectionRange, timeSlots, weekDays, selectedCourt, onEmptyCellClick]);
+  }, [isDragging, dragStart, dragEnd, selectionRange, timeSlots, weekDayEnd, weekDays, selectedCourt, onEmptyCellClick]);
 
   // Handle mouse up anywhere
   useEffect(() => {
@@ -309,18 +326,18 @@ export default function WeekView({
   };
 
   const goToNextCourt = () => {
-    if (selectedCourt < CONFIG.TOTAL_COURTS) {
+    if (selectedCourt < totalCourts) {
       setSelectedCourt(selectedCourt + 1);
     }
   };
 
-  const courtLabel = selectedCourt === CONFIG.STADIUM_COURT_NUMBER ? 'Stadium Court' : `Court ${selectedCourt}`;
+  const courtLabel = selectedCourt === stadiumCourtNumber ? 'Stadium Court' : `Court ${selectedCourt}`;
 
   return (
     <div className="space-y-4 print-container">
       {/* Print Header - only visible when printing */}
       <div className="print-header hidden">
-        <h1>Rebsamen Tennis Center - {courtLabel}</h1>
+        <h1>{facilityName} - {courtLabel}</h1>
         <p>Week of {weekRangeStr}</p>
       </div>
 
@@ -372,7 +389,7 @@ export default function WeekView({
           <IconButton
             onClick={goToNextCourt}
             aria-label="Next court"
-            disabled={selectedCourt >= CONFIG.TOTAL_COURTS}
+            disabled={selectedCourt >= totalCourts}
           >
             <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
               <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 5l7 7-7 7" />
@@ -389,7 +406,7 @@ export default function WeekView({
             <div className="w-16 flex-shrink-0 h-12 flex items-center justify-center border-r border-gray-200">
               <span className="text-xs font-medium text-gray-500">Time</span>
             </div>
-            {weekDays.map((day) => {
+            {weekDays.map((day, dayIndex) => {
               const dateStr = formatDateISO(day);
               const dayName = day.toLocaleDateString('en-US', { weekday: 'short' });
               return (
@@ -405,6 +422,11 @@ export default function WeekView({
                   <span className={`text-sm font-semibold ${isToday(day) ? 'text-green-700' : 'text-gray-700'}`}>
                     {formatDateShort(day)}
                   </span>
+                  {dayHours[dayIndex].note && (
+                    <span className="text-[10px] text-amber-700 truncate max-w-full px-1" title={dayHours[dayIndex].note}>
+                      {dayHours[dayIndex].note}
+                    </span>
+                  )}
                 </div>
               );
             })}
@@ -426,6 +448,7 @@ export default function WeekView({
                 const key = `${dateStr}-${time}`;
                 const cellDataArray = weekBookings.get(key);
                 const isSelected = isCellSelected(dayIndex, timeIndex);
+                const isOpen = daySlots[dayIndex].has(time);
 
                 return (
                   <div
@@ -446,8 +469,11 @@ export default function WeekView({
                           slotsSpanned={cellData.slotsSpanned}
                           overlapCount={cellData.overlapCount}
                           overlapIndex={cellData.overlapIndex}
+                          isPending={pendingBookingIds.has(cellData.booking.booking_id)}
                         />
                       ))
+                    ) : !isOpen ? (
+                      <ClosedCell reason={dayHours[dayIndex].closed ? (dayHours[dayIndex].note || 'Closed') : 'Outside hours'} />
                     ) : (
                       <EmptyCell
                         dayIndex={dayIndex}
@@ -1,5 +1,10 @@
 import { useStaffContext } from '../../context/StaffContext.jsx';
 import { useBookingsContext } from '../../context/BookingsContext.jsx';
+import { useFacility } from '../../hooks/useFacility.js';
+import { isLiveBackend } from '../../utils/backend.js';
+import { CONFIG } from '../../config.js';
+import OutboxStatus from './OutboxStatus.jsx';
+import NoShowQueue from './NoShowQueue.jsx';
 
 /**
  * Application header with staff info and actions
@@ -7,6 +12,7 @@ import { useBookingsContext } from '../../context/BookingsContext.jsx';
 export default function Header({ onStaffClick, onRefresh, appMode, onSwitchMode }) {
   const { currentStaff, initials } = useStaffContext();
   const { loading, lastRefresh } = useBookingsContext();
+  const { facilityId, facility, facilities, setFacility } = useFacility();
 
   const formatLastRefresh = () => {
     if (!lastRefresh) return 'Never';
@@ -35,16 +41,49 @@ export default function Header({ onStaffClick, onRefresh, appMode, onSwitchMode
               <path d="M2 12h20" />
             </svg>
             <div>
-              <h1 className="text-lg font-bold leading-tight">Rebsamen Tennis Center</h1>
+              {facilities.length > 1 ? (
+                <select
+                  value={facilityId}
+                  onChange={(e) => setFacility(e.target.value)}
+                  className="text-lg font-bold leading-tight bg-transparent border-none p-0 pr-6 focus:ring-0 cursor-pointer"
+                  aria-label="Facility"
+                  title="Switch facility"
+                >
+                  {facilities.map(f => (
+                    <option key={f.id} value={f.id} className="text-gray-900 text-base font-normal">
+                      {f.name}
+                    </option>
+                  ))}
+                </select>
+              ) : (
+                <h1 className="text-lg font-bold leading-tight">{facility.name}</h1>
+              )}
               <p className="text-xs text-green-200">
                 {appMode === 'maintenance' ? 'Maintenance Dashboard' : 'Court Scheduler'}
               </p>
             </div>
           </div>
+          {/* Local data badge - warns staff they are not on the live sheet */}
+          {!isLiveBackend() && (
+            <span
+              className="px-2 py-0.5 text-xs font-semibold uppercase tracking-wide bg-yellow-400 text-yellow-900 rounded"
+              title={CONFIG.MOCK_SERVER_URL
+                ? `Connected to mock server at ${CONFIG.MOCK_SERVER_URL}`
+                : 'Changes are stored in this browser only'}
+            >
+              {CONFIG.MOCK_SERVER_URL ? 'Mock Server' : 'Local Data'}
+            </span>
+          )}
         </div>
 
         {/* Actions */}
         <div className="flex items-center gap-4">
+          {/* Offline outbox - writes waiting to reach the server */}
+          <OutboxStatus />
+
+          {/* Bookings the no-show sweep flagged for review */}
+          {appMode === 'full' && <NoShowQueue />}
+
           {/* Refresh Status - only show in full mode */}
           {appMode === 'full' && (
             <div className="flex items-center gap-2 text-sm">
@@ -52,7 +91,7 @@ export default function Header({ onStaffClick, onRefresh, appMode, onSwitchMode
                 onClick={onRefresh}
                 disabled={loading}
                 className="flex items-center gap-1 px-2 py-1 rounded hover:bg-white/10 transition-colors disabled:opacity-50"
-                title="Refresh bookings"
+                title="Refresh all data"
               >
                 <svg
                   className={`w-4 h-4 ${loading ? 'animate-spin' : ''}`}
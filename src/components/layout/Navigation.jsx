@@ -20,6 +20,7 @@ export default function Navigation({
     { id: 'contractors', label: 'Contractors' },
     { id: 'tournaments', label: 'Tournaments' },
     { id: 'closures', label: 'Closures' },
+    { id: 'credits', label: 'Credits' },
     { id: 'search', label: 'Search' },
   ];
 
@@ -0,0 +1,107 @@
+import { useState } from 'react';
+import { useNoShowQueue } from '../../hooks/useNoShowQueue.js';
+import { useStaffContext } from '../../context/StaffContext.jsx';
+import { useCourts } from '../../hooks/useCourts.js';
+import { useToast } from '../common/Toast.jsx';
+import { useApiErrorHandler } from '../../hooks/useApiErrorHandler.js';
+import { getBookingTypeLabel } from '../../utils/colors.js';
+import { formatDateDisplay, formatDateISO, formatTimeDisplay } from '../../utils/dateHelpers.js';
+
+/**
+ * Header queue of bookings the no-show sweep flagged
+ * Each can be confirmed as a no-show or dismissed in one click; both
+ * record the staff member.
+ */
+export default function NoShowQueue() {
+  const [isOpen, setIsOpen] = useState(false);
+  const [busyId, setBusyId] = useState(null);
+  const { candidates, count, confirm, dismiss } = useNoShowQueue();
+  const { initials } = useStaffContext();
+  const { getCourtName } = useCourts();
+  const toast = useToast();
+  const { handleApiError } = useApiErrorHandler();
+
+  if (count === 0) return null;
+
+  const handle = async (booking, action) => {
+    if (!initials) {
+      toast.error('Please select a staff member first');
+      return;
+    }
+    setBusyId(booking.booking_id);
+    try {
+      const result = await (action === 'confirm' ? confirm(booking) : dismiss(booking));
+      if (result.success) {
+        toast.success(action === 'confirm'
+          ? `Marked as no-show: ${booking.booking_id}`
+          : `No-show dismissed: ${booking.booking_id}`);
+      } else {
+        handleApiError(result, { fallbackMessage: 'Failed to update booking' });
+      }
+    } catch (error) {
+      console.error('[NoShowQueue] Error:', error);
+      toast.error('Failed to update booking. Please try again.');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const today = formatDateISO(new Date());
+
+  return (
+    <div className="relative">
+      <button
+        onClick={() => setIsOpen(prev => !prev)}
+        className="flex items-center gap-1.5 px-2 py-1 text-xs rounded bg-orange-500 hover:bg-orange-600 transition-colors"
+        title="Bookings that may be no-shows"
+      >
+        <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M18.364 18.364A9 9 0 005.636 5.636m12.728 12.728A9 9 0 015.636 5.636m12.728 12.728L5.636 5.636" />
+        </svg>
+        <span>{count} no-show{count === 1 ? '' : 's'} to review</span>
+      </button>
+
+      {isOpen && (
+        <div className="absolute right-0 mt-2 w-96 bg-white text-gray-900 rounded-lg shadow-xl z-50">
+          <div className="px-4 py-2 border-b border-gray-200 text-sm font-medium">
+            Possible No-Shows
+            <p className="text-xs font-normal text-gray-500">Over and never checked in</p>
+          </div>
+          <ul className="max-h-80 overflow-y-auto divide-y divide-gray-100">
+            {candidates.map(booking => (
+              <li key={booking.booking_id} className="px-4 py-2 text-sm">
+                <div className="flex items-center justify-between">
+                  <span className="font-medium">
+                    {booking.customer_name || getBookingTypeLabel(booking.booking_type)}
+                  </span>
+                  <span className="text-xs text-gray-500">{getCourtName(booking.court)}</span>
+                </div>
+                <div className="text-xs text-gray-500">
+                  {booking.date !== today && `${formatDateDisplay(booking.date)} · `}
+                  {formatTimeDisplay(booking.time_start)} - {formatTimeDisplay(booking.time_end)}
+                  {booking.customer_phone && ` · ${booking.customer_phone}`}
+                </div>
+                <div className="flex gap-3 mt-1 text-xs">
+                  <button
+                    onClick={() => handle(booking, 'confirm')}
+                    disabled={busyId === booking.booking_id}
+                    className="text-red-600 hover:underline disabled:opacity-50"
+                  >
+                    Confirm No-Show
+                  </button>
+                  <button
+                    onClick={() => handle(booking, 'dismiss')}
+                    disabled={busyId === booking.booking_id}
+                    className="text-gray-600 hover:underline disabled:opacity-50"
+                  >
+                    Dismiss
+                  </button>
+                </div>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+}
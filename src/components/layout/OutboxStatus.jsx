@@ -0,0 +1,127 @@
+import { useState } from 'react';
+import { useOutbox } from '../../hooks/useOutbox.js';
+import { useBookingsContext } from '../../context/BookingsContext.jsx';
+import { OUTBOX_STATUS } from '../../utils/outbox.js';
+
+const ACTION_LABELS = {
+  createBooking: 'New booking',
+  updateBooking: 'Booking edit',
+  checkIn: 'Check-in',
+  cancelBooking: 'Cancellation',
+  markNoShow: 'No-show',
+  rekeyBookings: 'Booking ID update',
+  logMaintenance: 'Maintenance log',
+  saveClosure: 'Closure',
+  deleteClosure: 'Closure removal',
+  createTeam: 'New team',
+  updateTeam: 'Team edit',
+  deleteTeam: 'Team removal',
+  createTournament: 'New tournament',
+  updateTournament: 'Tournament edit',
+  deleteTournament: 'Tournament removal',
+  createContractor: 'New contractor',
+  updateContractor: 'Contractor edit',
+  deleteContractor: 'Contractor removal',
+};
+
+/**
+ * Describe the record an outbox entry touches
+ * @param {object} entry
+ * @returns {string}
+ */
+function describeEntry(entry) {
+  const { data } = entry;
+  if (data.bookingId) return data.bookingId;
+  if (data.booking) {
+    const bookings = Array.isArray(data.booking) ? data.booking : [data.booking];
+    return bookings.length > 1
+      ? `${bookings[0].booking_id} +${bookings.length - 1} more`
+      : bookings[0].booking_id;
+  }
+  if (data.renames) return `${data.renames.length} bookings`;
+  return data.logEntry?.task_name || data.closure?.date || '';
+}
+
+/**
+ * Header indicator for writes waiting in the offline outbox
+ */
+export default function OutboxStatus() {
+  const [isOpen, setIsOpen] = useState(false);
+  const { entries, pendingCount, failedCount, retry, discard } = useOutbox();
+  const { syncOutbox, refreshBookings } = useBookingsContext();
+
+  if (entries.length === 0) return null;
+
+  const handleRetry = (entryId) => {
+    retry(entryId);
+    syncOutbox();
+  };
+
+  const handleDiscard = (entryId) => {
+    if (!confirm('Discard this change? It will not be sent to the server.')) return;
+    discard(entryId);
+    // Reload so the discarded optimistic change disappears from the grid
+    refreshBookings();
+  };
+
+  return (
+    <div className="relative">
+      <button
+        onClick={() => setIsOpen(prev => !prev)}
+        className={`flex items-center gap-1.5 px-2 py-1 text-xs rounded transition-colors ${
+          failedCount > 0 ? 'bg-red-500 hover:bg-red-600' : 'bg-yellow-500 hover:bg-yellow-600'
+        }`}
+        title="Changes waiting to be sent"
+      >
+        <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 8v4l3 3m6-3a9 9 0 11-18 0 9 9 0 0118 0z" />
+        </svg>
+        <span>
+          {pendingCount > 0 && `${pendingCount} pending`}
+          {pendingCount > 0 && failedCount > 0 && ', '}
+          {failedCount > 0 && `${failedCount} failed`}
+        </span>
+      </button>
+
+      {isOpen && (
+        <div className="absolute right-0 mt-2 w-80 bg-white text-gray-900 rounded-lg shadow-xl z-50">
+          <div className="px-4 py-2 border-b border-gray-200 text-sm font-medium">
+            Unsent Changes
+          </div>
+          <ul className="max-h-80 overflow-y-auto divide-y divide-gray-100">
+            {entries.map(entry => (
+              <li key={entry.id} className="px-4 py-2 text-sm">
+                <div className="flex items-center justify-between">
+                  <span className="font-medium">{ACTION_LABELS[entry.action] || entry.action}</span>
+                  <span className={`px-2 py-0.5 text-xs rounded-full ${
+                    entry.status === OUTBOX_STATUS.FAILED
+                      ? 'bg-red-100 text-red-800'
+                      : 'bg-yellow-100 text-yellow-800'
+                  }`}>
+                    {entry.status === OUTBOX_STATUS.FAILED ? 'Failed' : 'Pending'}
+                  </span>
+                </div>
+                <div className="text-xs text-gray-500">
+                  {describeEntry(entry)} · {new Date(entry.createdAt).toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' })}
+                </div>
+                {entry.error && (
+                  <div className="text-xs text-red-600 mt-1">{entry.error}</div>
+                )}
+                {entry.status === OUTBOX_STATUS.FAILED && (
+                  <div className="flex gap-3 mt-1 text-xs">
+                    <button onClick={() => handleRetry(entry.id)} className="text-green-700 hover:underline">
+                      Retry
+                    </button>
+                    <button onClick={() => handleDiscard(entry.id)} className="text-red-600 hover:underline">
+                      Discard
+                    </button>
+                  </div>
+                )}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -10,11 +10,14 @@ import {
   getAvailabilityGrid,
   formatCurrency,
   formatTimeForReport,
-  TIME_PERIODS,
-  TOTAL_COURTS,
+  getTimePeriods,
 } from '../../utils/reportUtils.js';
-import { fetchMaintenanceLog, fetchMaintenanceTasks } from '../../utils/api.js';
-import { CONFIG } from '../../config.js';
+import { useMaintenance } from '../../hooks/useMaintenance.js';
+import { useFacilityConfig } from '../../hooks/useFacilityConfig.js';
+import { useFacility } from '../../hooks/useFacility.js';
+import { useCourts } from '../../hooks/useCourts.js';
+import { getLightsSchedule } from '../../utils/lights.js';
+import { getSunset } from '../../utils/sunset.js';
 
 /**
  * Daily Dashboard Report - Real-time operational metrics
@@ -26,41 +29,30 @@ import { CONFIG } from '../../config.js';
  * ├────────────────────────────┬─────────────────────────┤
  * │ Revenue                    │ Contractors Today       │
  * ├────────────────────────────┴─────────────────────────┤
+ * │ Lights Schedule                                      │
+ * ├──────────────────────────────────────────────────────┤
  * │ Daily Maintenance                                    │
  * └──────────────────────────────────────────────────────┘
  */
 export default function DailyDashboard({ selectedDate, onEmptyCellClick }) {
   const { bookings, closures, loading } = useBookingsContext();
+  const facilityName = useFacility().facility.name;
   const { contractors } = useContractors();
+  // Utilization depends on the configured hours and courts
+  const facility = useFacilityConfig();
+  const { courts, getCourtName } = useCourts();
 
   // Maintenance data
-  const [maintenanceLog, setMaintenanceLog] = useState([]);
-  const [maintenanceTasks, setMaintenanceTasks] = useState([]);
-  const [maintenanceLoading, setMaintenanceLoading] = useState(true);
-
-  // Load maintenance data
-  useEffect(() => {
-    const loadMaintenance = async () => {
-      try {
-        const [log, tasks] = await Promise.all([
-          fetchMaintenanceLog(),
-          fetchMaintenanceTasks(),
-        ]);
-        setMaintenanceLog(log);
-        setMaintenanceTasks(tasks.filter(t => t.is_active === 'TRUE'));
-      } catch (error) {
-        console.error('Error loading maintenance data:', error);
-      } finally {
-        setMaintenanceLoading(false);
-      }
-    };
-    loadMaintenance();
-  }, []);
+  const {
+    tasks: maintenanceTasks,
+    maintenanceLog,
+    loading: maintenanceLoading,
+  } = useMaintenance();
 
   // Calculate all metrics using closures-aware function
   const utilization = useMemo(() =>
     getDailyUtilizationWithClosures(bookings, closures, selectedDate),
-    [bookings, closures, selectedDate]
+    [bookings, closures, selectedDate, facility]
   );
 
   const revenue = useMemo(() =>
@@ -80,7 +72,12 @@ export default function DailyDashboard({ selectedDate, onEmptyCellClick }) {
 
   const availabilityGrid = useMemo(() =>
     getAvailabilityGrid(bookings, closures, selectedDate),
-    [bookings, closures, selectedDate]
+    [bookings, closures, selectedDate, facility]
+  );
+
+  const lightsSchedule = useMemo(() =>
+    getLightsSchedule(bookings, selectedDate),
+    [bookings, selectedDate, courts]
   );
 
   if (loading) {
@@ -95,7 +92,7 @@ export default function DailyDashboard({ selectedDate, onEmptyCellClick }) {
     <div className="space-y-4">
       {/* Print Header */}
       <div className="print-header hidden">
-        <h1>Rebsamen Tennis Center - Daily Report</h1>
+        <h1>{facilityName} - Daily Report</h1>
         <p>{formatDateDisplay(selectedDate)}</p>
       </div>
 
@@ -119,6 +116,14 @@ export default function DailyDashboard({ selectedDate, onEmptyCellClick }) {
         <ContractorsCard contractorData={contractorData} />
       </div>
 
+      {/* Lights Schedule - Full Width */}
+      <LightsCard
+        schedule={lightsSchedule}
+        sunset={getSunset(selectedDate)}
+        hasLitCourts={courts.some(c => c.has_lights)}
+        getCourtName={getCourtName}
+      />
+
       {/* Maintenance Summary - Full Width */}
       <MaintenanceCard
         selectedDate={selectedDate}
@@ -314,10 +319,12 @@ function AvailabilityGridDisplay({ grid, selectedDate, onEmptyCellClick }) {
   const [dragStart, setDragStart] = useState(null); // { court, timeIndex }
   const [dragEnd, setDragEnd] = useState(null);
 
+  const { totalCourts, stadiumCourtNumber } = useFacilityConfig();
+  const timePeriods = getTimePeriods(selectedDate);
   const periods = [
-    { key: 'MORNING', label: TIME_PERIODS.MORNING.label },
-    { key: 'AFTERNOON', label: TIME_PERIODS.AFTERNOON.label },
-    { key: 'PRIME', label: TIME_PERIODS.PRIME.label },
+    { key: 'MORNING', label: timePeriods.MORNING.label },
+    { key: 'AFTERNOON', label: timePeriods.AFTERNOON.label },
+    { key: 'PRIME', label: timePeriods.PRIME.label },
   ];
 
   // Flatten all slots with timeIndex for drag tracking
@@ -430,8 +437,8 @@ function AvailabilityGridDisplay({ grid, selectedDate, onEmptyCellClick }) {
 
   // Court headers
   const courtHeaders = [];
-  for (let i = 1; i <= TOTAL_COURTS; i++) {
-    courtHeaders.push(i === CONFIG.STADIUM_COURT_NUMBER ? 'Stad' : String(i));
+  for (let i = 1; i <= totalCourts; i++) {
+    courtHeaders.push(i === stadiumCourtNumber ? 'Stad' : String(i));
   }
 
   // Group slots by period for display
@@ -472,7 +479,7 @@ function AvailabilityGridDisplay({ grid, selectedDate, onEmptyCellClick }) {
               <React.Fragment key={key}>
                 {/* Period header row */}
                 <tr className="bg-gray-50">
-                  <td colSpan={TOTAL_COURTS + 1} className="py-2 px-2 font-medium text-gray-700">
+                  <td colSpan={totalCourts + 1} className="py-2 px-2 font-medium text-gray-700">
                     {label} - <span className="text-green-600">{openCount} slots open</span>
                   </td>
                 </tr>
@@ -621,6 +628,64 @@ function ContractorsCard({ contractorData }) {
   );
 }
 
+/**
+ * Lights Schedule Card
+ * Which banks to switch on after sunset, and when they can go off
+ */
+function LightsCard({ schedule, sunset, hasLitCourts, getCourtName }) {
+  return (
+    <div className="bg-white rounded-lg border border-gray-200">
+      <div className="px-4 py-3 border-b border-gray-200 bg-gray-50 flex items-center justify-between">
+        <h3 className="font-medium text-gray-900">Lights Schedule</h3>
+        {sunset && (
+          <span className="text-sm text-gray-500">
+            Sunset {formatTimeForReport(sunset)}
+            {schedule.lightsOn && <span> · lights from {formatTimeForReport(schedule.lightsOn)}</span>}
+          </span>
+        )}
+      </div>
+      {!hasLitCourts ? (
+        <div className="p-4 text-sm text-gray-500">
+          No courts are marked as lit. Set has_lights on the courts sheet.
+        </div>
+      ) : schedule.banks.length === 0 ? (
+        <div className="p-4 text-sm text-gray-500">
+          No lit courts are booked after dark
+        </div>
+      ) : (
+        <div className="divide-y divide-gray-100">
+          {schedule.banks.map(bank => (
+            <div key={bank.name} className="px-4 py-3 flex items-start justify-between">
+              <div>
+                <span className="text-sm font-medium text-gray-900">{bank.name}</span>
+                {(bank.courts.length > 1 || getCourtName(bank.courts[0]) !== bank.name) && (
+                  <span className="text-xs text-gray-500 ml-2">
+                    {bank.courts.map(getCourtName).join(', ')}
+                  </span>
+                )}
+              </div>
+              <div className="text-right space-y-0.5">
+                {bank.intervals.map(interval => (
+                  <div key={interval.on} className="text-sm text-gray-600">
+                    <span className="font-medium text-gray-900">
+                      {formatTimeForReport(interval.on)} - {formatTimeForReport(interval.off)}
+                    </span>
+                    {bank.courts.length > 1 && (
+                      <span className="text-xs text-gray-500 ml-2">
+                        for {interval.courts.map(getCourtName).join(', ')}
+                      </span>
+                    )}
+                  </div>
+                ))}
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
 /**
  * Maintenance Summary Card with weekly grid and follow-ups as cards
  */
@@ -660,12 +725,12 @@ function MaintenanceCard({ selectedDate, maintenanceLog, maintenanceTasks, loadi
       return 'not_done';
     }
 
-    if (entry.follow_up_needed === 'TRUE') return 'issue';
+    if (entry.follow_up_needed) return 'issue';
     return 'complete';
   };
 
   const followUps = maintenanceLog.filter(e =>
-    e.follow_up_needed === 'TRUE'
+    e.follow_up_needed
   ).sort((a, b) => {
     const dateA = a.date || a.completed_date;
     const dateB = b.date || b.completed_date;
@@ -0,0 +1,62 @@
+import { useMemo } from 'react';
+import { useFacilityConfig } from '../../hooks/useFacilityConfig.js';
+import { getHolidaysInRange } from '../../utils/facilityConfig.js';
+import { formatTimeDisplay } from '../../utils/dateHelpers.js';
+
+/**
+ * Holiday Notice
+ * Lists holidays in a report's range and its comparison range, since
+ * they are priced as weekends and may run short hours, which skews
+ * revenue and utilization against the other period.
+ */
+export default function HolidayNotice({ startDate, endDate, compareStart, compareEnd, compareLabel }) {
+  const facility = useFacilityConfig();
+
+  const holidays = useMemo(() =>
+    getHolidaysInRange(startDate, endDate),
+    [facility, startDate, endDate]
+  );
+  const compareHolidays = useMemo(() =>
+    compareStart && compareEnd ? getHolidaysInRange(compareStart, compareEnd) : [],
+    [facility, compareStart, compareEnd]
+  );
+
+  if (holidays.length === 0 && compareHolidays.length === 0) return null;
+
+  return (
+    <div className="bg-amber-50 border border-amber-200 rounded-lg px-4 py-3 text-sm text-amber-900">
+      <div className="font-medium mb-1">Holidays</div>
+      <ul className="space-y-0.5">
+        {holidays.map(holiday => (
+          <HolidayLine key={holiday.date} holiday={holiday} />
+        ))}
+        {compareHolidays.map(holiday => (
+          <HolidayLine key={holiday.date} holiday={holiday} prefix={compareLabel} />
+        ))}
+      </ul>
+    </div>
+  );
+}
+
+function HolidayLine({ holiday, prefix }) {
+  const [year, month, day] = holiday.date.split('-').map(Number);
+  const dateLabel = new Date(year, month - 1, day).toLocaleDateString('en-US', {
+    weekday: 'short',
+    month: 'short',
+    day: 'numeric',
+  });
+
+  let hours = '';
+  if (holiday.hours?.closed) {
+    hours = ', closed';
+  } else if (holiday.hours) {
+    hours = `, open ${formatTimeDisplay(holiday.hours.dayStart)} - ${formatTimeDisplay(holiday.hours.dayEnd)}`;
+  }
+
+  return (
+    <li>
+      {prefix && <span className="text-amber-700">{prefix}: </span>}
+      {dateLabel} - {holiday.label} (priced as weekend{hours})
+    </li>
+  );
+}
@@ -1,6 +1,7 @@
 import { useState, useMemo } from 'react';
 import { useBookingsContext } from '../../context/BookingsContext.jsx';
 import { useTeams } from '../../hooks/useTeams.js';
+import { useFacility } from '../../hooks/useFacility.js';
 import { formatDateISO, formatDateDisplay } from '../../utils/dateHelpers.js';
 import { getBookingDurationHours } from '../../utils/reportUtils.js';
 import Select from '../common/Select.jsx';
@@ -37,7 +38,7 @@ const TEAM_TYPE_LABELS = {
  */
 function getTeamInvoiceData(bookings, teams, teamId, startDate, endDate) {
   const team = teams?.find(t => t.team_id === teamId);
-  const courtRate = team?.court_rate ? parseFloat(team.court_rate) : 0;
+  const courtRate = team?.court_rate || 0;
 
   const teamBookings = bookings.filter(b =>
     b.entity_id === teamId &&
@@ -98,6 +99,7 @@ function formatTime(time) {
  */
 export default function InvoiceReport({ startDate, endDate }) {
   const { bookings, loading } = useBookingsContext();
+  const facilityName = useFacility().facility.name;
   const { teams, loading: teamsLoading } = useTeams();
   const [selectedTeamType, setSelectedTeamType] = useState('');
   const [selectedTeamId, setSelectedTeamId] = useState('');
@@ -106,7 +108,7 @@ export default function InvoiceReport({ startDate, endDate }) {
   const teamTypeOptions = useMemo(() => {
     if (!teams?.length) return [];
     const types = [...new Set(teams
-      .filter(t => t.is_active !== 'FALSE' && t.is_active !== false)
+      .filter(t => t.is_active)
       .map(t => t.team_type)
       .filter(Boolean)
     )];
@@ -120,7 +122,7 @@ export default function InvoiceReport({ startDate, endDate }) {
   const filteredTeams = useMemo(() => {
     if (!teams?.length) return [];
     return teams
-      .filter(t => t.is_active !== 'FALSE' && t.is_active !== false)
+      .filter(t => t.is_active)
       .filter(t => !selectedTeamType || t.team_type === selectedTeamType);
   }, [teams, selectedTeamType]);
 
@@ -198,7 +200,7 @@ export default function InvoiceReport({ startDate, endDate }) {
             <div className="flex justify-between items-start">
               <div>
                 <h2 className="text-2xl font-bold text-gray-900">Court Usage Invoice</h2>
-                <p className="text-gray-600 mt-1">Rebsamen Tennis Center</p>
+                <p className="text-gray-600 mt-1">{facilityName}</p>
               </div>
               <div className="text-right">
                 <p className="text-sm text-gray-500">Invoice Date</p>
@@ -292,7 +294,7 @@ export default function InvoiceReport({ startDate, endDate }) {
 
               {/* Footer Note */}
               <div className="mt-8 pt-4 border-t border-gray-200 text-center text-sm text-gray-500">
-                <p>Thank you for using Rebsamen Tennis Center</p>
+                <p>Thank you for using {facilityName}</p>
                 <p className="mt-1">Payment due within 30 days of invoice date</p>
               </div>
             </>
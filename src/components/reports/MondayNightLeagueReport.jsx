@@ -40,7 +40,7 @@ export default function MondayNightLeagueReport({ selectedDate }) {
 
       sessionMap.get(key).matches.push({
         court: booking.court,
-        courtName: getCourtName(parseInt(booking.court, 10)),
+        courtName: getCourtName(booking.court),
         competitor1: booking.customer_name?.split(' vs ')[0]?.trim() || 'TBD',
         competitor2: booking.customer_name?.split(' vs ')[1]?.trim() || 'TBD',
         bookingId: booking.booking_id,
@@ -3,6 +3,10 @@ import { useBookingsContext } from '../../context/BookingsContext.jsx';
 import { useContractors } from '../../hooks/useContractors.js';
 import { useTournaments } from '../../hooks/useTournaments.js';
 import { useConfig } from '../../hooks/useConfig.js';
+import { useFacilityConfig } from '../../hooks/useFacilityConfig.js';
+import { useFacility } from '../../hooks/useFacility.js';
+import HolidayNotice from './HolidayNotice.jsx';
+import { getCustomerTierLabel } from '../../utils/customerTiers.js';
 import { formatDateISO } from '../../utils/dateHelpers.js';
 import {
   getMonthEnd,
@@ -20,8 +24,9 @@ import {
   getYTDRange,
   getCancellationBreakdown,
   formatCurrency,
-  TIME_PERIODS,
-  getTotalSlotsForPeriod,
+  getTimePeriods,
+  getTotalSlotsForRange,
+  getFacilityRollup,
 } from '../../utils/reportUtils.js';
 import { parseTimeToMinutes } from '../../utils/timeUtils.js';
 
@@ -29,15 +34,21 @@ import { parseTimeToMinutes } from '../../utils/timeUtils.js';
  * Monthly Performance Report - Board-level reporting
  */
 export default function MonthlyReport({ monthStart }) {
-  const { bookings, loading } = useBookingsContext();
+  const { bookings, allBookings, loading } = useBookingsContext();
+  const { facility: { name: facilityName }, facilities } = useFacility();
   const { contractors } = useContractors();
   const { tournaments } = useTournaments();
   const { getConfigValue } = useConfig();
+  // Utilization depends on the configured hours and courts
+  const facility = useFacilityConfig();
 
   // Date calculations
   const startDate = formatDateISO(monthStart);
   const endDate = formatDateISO(getMonthEnd(monthStart));
   const ytdRange = getYTDRange(monthStart);
+  const prevMonthStart = new Date(monthStart.getFullYear(), monthStart.getMonth() - 1, 1);
+  const prevMonthStartStr = formatDateISO(prevMonthStart);
+  const prevMonthEndStr = formatDateISO(getMonthEnd(prevMonthStart));
 
   // Config values
   const revenueTarget = parseFloat(getConfigValue('monthly_revenue_target')) || 0;
@@ -51,7 +62,7 @@ export default function MonthlyReport({ monthStart }) {
   // Core metrics
   const comparison = useMemo(() =>
     getMonthlyComparison(bookings, monthStart),
-    [bookings, monthStart]
+    [bookings, monthStart, facility]
   );
 
   const yoyComparison = useMemo(() =>
@@ -111,13 +122,6 @@ export default function MonthlyReport({ monthStart }) {
 
   // Calculate total players (bookings participant_count + tournaments players)
   const playersMetrics = useMemo(() => {
-    // Get previous month dates
-    const prevMonthStart = new Date(monthStart);
-    prevMonthStart.setMonth(prevMonthStart.getMonth() - 1);
-    const prevMonthEnd = getMonthEnd(prevMonthStart);
-    const prevStartDate = formatDateISO(prevMonthStart);
-    const prevEndDate = formatDateISO(prevMonthEnd);
-
     // Get last year same month dates
     const lastYearMonthStart = new Date(monthStart);
     lastYearMonthStart.setFullYear(lastYearMonthStart.getFullYear() - 1);
@@ -141,7 +145,7 @@ export default function MonthlyReport({ monthStart }) {
     };
 
     const thisMonth = getPlayersForRange(startDate, endDate);
-    const lastMonth = getPlayersForRange(prevStartDate, prevEndDate);
+    const lastMonth = getPlayersForRange(prevMonthStartStr, prevMonthEndStr);
     const lastYear = getPlayersForRange(lastYearStartDate, lastYearEndDate);
 
     // Check if we have data from last year
@@ -154,7 +158,7 @@ export default function MonthlyReport({ monthStart }) {
       yoyChange: thisMonth - lastYear,
       hasLastYearData,
     };
-  }, [bookings, tournaments, monthStart, startDate, endDate]);
+  }, [bookings, tournaments, monthStart, startDate, endDate, prevMonthStartStr, prevMonthEndStr]);
 
   // Utilization by time period
   const utilizationByPeriod = useMemo(() => {
@@ -164,19 +168,20 @@ export default function MonthlyReport({ monthStart }) {
       b.status !== 'cancelled'
     );
 
-    const daysInMonth = new Date(monthStart.getFullYear(), monthStart.getMonth() + 1, 0).getDate();
-
     const periodStats = {};
-    Object.keys(TIME_PERIODS).forEach(periodKey => {
-      const period = TIME_PERIODS[periodKey];
-      const totalSlots = getTotalSlotsForPeriod(periodKey) * daysInMonth;
+    const periods = getTimePeriods();
+    Object.keys(periods).forEach(periodKey => {
+      const period = periods[periodKey];
+      const totalSlots = getTotalSlotsForRange(startDate, endDate, { period: periodKey });
 
       let bookedHours = 0;
       monthBookings.forEach(b => {
+        // Period boundaries follow each day's own operating hours
+        const dayPeriod = getTimePeriods(b.date)[periodKey];
         const bookingStart = parseTimeToMinutes(b.time_start);
         const bookingEnd = parseTimeToMinutes(b.time_end);
-        const periodStart = parseTimeToMinutes(period.start);
-        const periodEnd = parseTimeToMinutes(period.end);
+        const periodStart = parseTimeToMinutes(dayPeriod.start);
+        const periodEnd = parseTimeToMinutes(dayPeriod.end);
 
         const overlapStart = Math.max(bookingStart, periodStart);
         const overlapEnd = Math.min(bookingEnd, periodEnd);
@@ -194,7 +199,13 @@ export default function MonthlyReport({ monthStart }) {
     });
 
     return periodStats;
-  }, [bookings, startDate, endDate, monthStart]);
+  }, [bookings, startDate, endDate, facility]);
+
+  // Every facility side by side (config covers all facilities' hours and courts)
+  const facilityRollup = useMemo(() =>
+    getFacilityRollup(allBookings, facilities, startDate, endDate),
+    [allBookings, facilities, startDate, endDate, facility]
+  );
 
   // Cost recovery calculation
   const costRecovery = operatingExpenses > 0
@@ -222,11 +233,19 @@ export default function MonthlyReport({ monthStart }) {
     <div className="space-y-4 monthly-report">
       {/* Print Header */}
       <div className="print-header hidden print:block mb-6">
-        <h1 className="text-2xl font-bold">Rebsamen Tennis Center</h1>
+        <h1 className="text-2xl font-bold">{facilityName}</h1>
         <h2 className="text-xl">Monthly Performance Report - {monthName}</h2>
         <p className="text-sm text-gray-600">Generated {new Date().toLocaleDateString()}</p>
       </div>
 
+      <HolidayNotice
+        startDate={startDate}
+        endDate={endDate}
+        compareStart={prevMonthStartStr}
+        compareEnd={prevMonthEndStr}
+        compareLabel="Last month"
+      />
+
       {/* Row 1: Key Metrics, Utilization, Participation - 33/33/33 */}
       <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
         <ExecutiveMetricsCard
@@ -276,6 +295,11 @@ export default function MonthlyReport({ monthStart }) {
           contractorPercentage={contractorPercentage}
         />
       </div>
+
+      {/* Row 4: All Facilities - only when more than one site is scheduled */}
+      {facilities.length > 1 && (
+        <FacilityRollupCard rollup={facilityRollup} monthName={monthName} />
+      )}
     </div>
   );
 }
@@ -540,6 +564,12 @@ function FinancialCard({ revenue, revenuePerHour, waivedValue }) {
             <span className="text-gray-600">Court Rentals</span>
             <span className="font-medium">{formatCurrency(revenue.byType.courtRentals)}</span>
           </div>
+          {Object.entries(revenue.byTier).map(([tier, { amount, count }]) => (
+            <div key={tier} className="flex justify-between text-xs pl-3">
+              <span className="text-gray-500">{getCustomerTierLabel(tier)} ({count})</span>
+              <span className="text-gray-700">{formatCurrency(amount)}</span>
+            </div>
+          ))}
           <div className="flex justify-between text-sm">
             <span className="text-gray-600">Contractors</span>
             <span className="font-medium">{formatCurrency(revenue.byType.contractors)}</span>
@@ -554,6 +584,23 @@ function FinancialCard({ revenue, revenuePerHour, waivedValue }) {
           </div>
         </div>
 
+        {/* Discounts */}
+        {revenue.discounts.count > 0 && (
+          <div className="space-y-2 mb-4 pt-3 border-t border-gray-200">
+            <div className="text-xs font-medium text-gray-500 uppercase">Discounts</div>
+            <div className="flex justify-between text-sm">
+              <span className="text-gray-600">List Price</span>
+              <span className="font-medium">{formatCurrency(revenue.listPrice)}</span>
+            </div>
+            {Object.entries(revenue.discounts.byCode).map(([code, { amount, count }]) => (
+              <div key={code} className="flex justify-between text-sm">
+                <span className="text-gray-600">{code} ({count})</span>
+                <span className="font-medium text-red-600">-{formatCurrency(amount)}</span>
+              </div>
+            ))}
+          </div>
+        )}
+
         {/* Waived Value */}
         <div className="pt-3 border-t border-gray-200">
           <div className="text-xs font-medium text-gray-500 uppercase mb-2">Waived Value</div>
@@ -732,6 +779,24 @@ function BookingPatternsCard({ efficiency, cancellations }) {
               </div>
             )}
 
+            {cancellations.noShows.total > 0 && (
+              <div className="mb-4">
+                <div className="text-xs font-medium text-gray-500 uppercase mb-2">
+                  No-Shows Confirmed By ({cancellations.noShows.total})
+                </div>
+                <div className="space-y-1">
+                  {Object.entries(cancellations.noShows.byStaff)
+                    .sort((a, b) => b[1] - a[1])
+                    .map(([staff, count]) => (
+                      <div key={staff} className="flex justify-between text-sm">
+                        <span className="text-gray-600">{staff}</span>
+                        <span className="font-medium">{count}</span>
+                      </div>
+                    ))}
+                </div>
+              </div>
+            )}
+
             <div className="pt-3 border-t border-gray-200">
               <div className="flex justify-between text-sm">
                 <span className="text-gray-600">Check-in Rate</span>
@@ -856,3 +921,56 @@ function TargetProgress({ current, target }) {
     </div>
   );
 }
+
+/**
+ * Facility Rollup Card - every facility's month side by side
+ */
+function FacilityRollupCard({ rollup, monthName }) {
+  const { facilities, total } = rollup;
+  return (
+    <div className="bg-white rounded-lg border border-gray-200">
+      <div className="px-4 py-3 border-b border-gray-200 bg-gray-50">
+        <div className="flex justify-between items-center">
+          <h3 className="font-medium text-gray-900">All Facilities</h3>
+          <span className="text-sm text-gray-500">{monthName}</span>
+        </div>
+      </div>
+      <div className="p-4 overflow-x-auto">
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="border-b border-gray-200">
+              <th className="text-left py-2 font-medium text-gray-700">Facility</th>
+              <th className="text-right py-2 font-medium text-gray-700">Courts</th>
+              <th className="text-right py-2 font-medium text-gray-700">Bookings</th>
+              <th className="text-right py-2 font-medium text-gray-700">Hours</th>
+              <th className="text-right py-2 font-medium text-gray-700">Utilization</th>
+              <th className="text-right py-2 font-medium text-gray-700">Revenue</th>
+            </tr>
+          </thead>
+          <tbody>
+            {facilities.map(facility => (
+              <tr key={facility.id} className="border-b border-gray-100">
+                <td className="py-2 text-gray-900">{facility.name}</td>
+                <td className="py-2 text-right text-gray-900">{facility.courts}</td>
+                <td className="py-2 text-right text-gray-900">{facility.bookings}</td>
+                <td className="py-2 text-right text-gray-900">{Math.round(facility.hours)}</td>
+                <td className="py-2 text-right text-gray-900">{facility.utilization}%</td>
+                <td className="py-2 text-right text-gray-900">{formatCurrency(facility.revenue)}</td>
+              </tr>
+            ))}
+          </tbody>
+          <tfoot>
+            <tr className="border-t border-gray-200 font-medium">
+              <td className="py-2">Total</td>
+              <td className="py-2 text-right">{total.courts}</td>
+              <td className="py-2 text-right">{total.bookings}</td>
+              <td className="py-2 text-right">{Math.round(total.hours)}</td>
+              <td className="py-2 text-right">{total.utilization}%</td>
+              <td className="py-2 text-right">{formatCurrency(total.revenue)}</td>
+            </tr>
+          </tfoot>
+        </table>
+      </div>
+    </div>
+  );
+}
@@ -1,7 +1,11 @@
-import { useMemo, useState, useEffect } from 'react';
+import { useMemo } from 'react';
 import { useBookingsContext } from '../../context/BookingsContext.jsx';
 import { useContractors } from '../../hooks/useContractors.js';
 import { useTeams } from '../../hooks/useTeams.js';
+import { useFacilityConfig } from '../../hooks/useFacilityConfig.js';
+import { useFacility } from '../../hooks/useFacility.js';
+import HolidayNotice from './HolidayNotice.jsx';
+import { getCustomerTierLabel } from '../../utils/customerTiers.js';
 import { formatDateISO } from '../../utils/dateHelpers.js';
 import {
   getWeekEnd,
@@ -14,39 +18,25 @@ import {
   getParticipationMetrics,
   formatCurrency,
 } from '../../utils/reportUtils.js';
-import { fetchMaintenanceLog, fetchMaintenanceTasks } from '../../utils/api.js';
+import { useMaintenance } from '../../hooks/useMaintenance.js';
 
 /**
  * Weekly Summary Report - Week over week comparison
  */
 export default function WeeklySummary({ weekStart }) {
   const { bookings, loading } = useBookingsContext();
+  const facilityName = useFacility().facility.name;
   const { contractors } = useContractors();
   const { teams } = useTeams();
+  // Utilization depends on the configured hours and courts
+  const facility = useFacilityConfig();
 
   // Maintenance data
-  const [maintenanceLog, setMaintenanceLog] = useState([]);
-  const [maintenanceTasks, setMaintenanceTasks] = useState([]);
-  const [maintenanceLoading, setMaintenanceLoading] = useState(true);
-
-  // Load maintenance data
-  useEffect(() => {
-    const loadMaintenance = async () => {
-      try {
-        const [log, tasks] = await Promise.all([
-          fetchMaintenanceLog(),
-          fetchMaintenanceTasks(),
-        ]);
-        setMaintenanceLog(log);
-        setMaintenanceTasks(tasks.filter(t => t.is_active === 'TRUE'));
-      } catch (error) {
-        console.error('Error loading maintenance data:', error);
-      } finally {
-        setMaintenanceLoading(false);
-      }
-    };
-    loadMaintenance();
-  }, []);
+  const {
+    tasks: maintenanceTasks,
+    maintenanceLog,
+    loading: maintenanceLoading,
+  } = useMaintenance();
 
   // Calculate date range
   const startDate = formatDateISO(weekStart);
@@ -55,7 +45,7 @@ export default function WeeklySummary({ weekStart }) {
   // Calculate all metrics
   const comparison = useMemo(() =>
     getWeeklyComparison(bookings, weekStart),
-    [bookings, weekStart]
+    [bookings, weekStart, facility]
   );
 
   const typeBreakdown = useMemo(() =>
@@ -121,10 +111,18 @@ export default function WeeklySummary({ weekStart }) {
     <div className="space-y-4">
       {/* Print Header */}
       <div className="print-header hidden">
-        <h1>Rebsamen Tennis Center - Weekly Summary</h1>
+        <h1>{facilityName} - Weekly Summary</h1>
         <p>Week of {startDate} to {endDate}</p>
       </div>
 
+      <HolidayNotice
+        startDate={startDate}
+        endDate={endDate}
+        compareStart={lastWeekStartStr}
+        compareEnd={lastWeekEndStr}
+        compareLabel="Last week"
+      />
+
       {/* Row 1: Utilization Summary & Booking Types (50/50) */}
       <div className="grid grid-cols-1 lg:grid-cols-2 gap-4">
         <UtilizationComparisonCard comparison={comparison} />
@@ -312,6 +310,12 @@ function RevenueCard({ revenue }) {
             <span className="text-gray-600">Court Rentals</span>
             <span className="font-medium">{formatCurrency(revenue.byType.courtRentals)}</span>
           </div>
+          {Object.entries(revenue.byTier).map(([tier, { amount, count }]) => (
+            <div key={tier} className="flex justify-between text-xs pl-3">
+              <span className="text-gray-500">{getCustomerTierLabel(tier)} ({count})</span>
+              <span className="text-gray-700">{formatCurrency(amount)}</span>
+            </div>
+          ))}
           <div className="flex justify-between text-sm">
             <span className="text-gray-600">Contractors</span>
             <span className="font-medium">{formatCurrency(revenue.byType.contractors)}</span>
@@ -326,6 +330,26 @@ function RevenueCard({ revenue }) {
           </div>
         </div>
 
+        {/* Discounts */}
+        {revenue.discounts.count > 0 && (
+          <div className="mt-4 pt-4 border-t border-gray-200 space-y-2">
+            <div className="flex justify-between text-sm">
+              <span className="text-gray-600">List Price</span>
+              <span className="font-medium">{formatCurrency(revenue.listPrice)}</span>
+            </div>
+            <div className="flex justify-between text-sm">
+              <span className="text-gray-600">Discounts ({revenue.discounts.count})</span>
+              <span className="font-medium text-red-600">-{formatCurrency(revenue.discounts.total)}</span>
+            </div>
+            {Object.entries(revenue.discounts.byCode).map(([code, { amount, count }]) => (
+              <div key={code} className="flex justify-between text-xs pl-3">
+                <span className="text-gray-500">{code} ({count})</span>
+                <span className="text-gray-700">-{formatCurrency(amount)}</span>
+              </div>
+            ))}
+          </div>
+        )}
+
         {/* Collection Status */}
         <div className="mt-4 pt-4 border-t border-gray-200">
           <div className="flex justify-between text-sm">
@@ -616,13 +640,13 @@ function MaintenanceCard({ weekStart, maintenanceLog, maintenanceTasks, loading
       return 'not_done';
     }
 
-    if (entry.follow_up_needed === 'TRUE') return 'issue';
+    if (entry.follow_up_needed) return 'issue';
     return 'complete';
   };
 
   // Get follow-ups for this week
   const weekFollowUps = maintenanceLog.filter(e => {
-    if (e.follow_up_needed !== 'TRUE') return false;
+    if (!e.follow_up_needed) return false;
     const entryDate = e.date || e.completed_date;
     return entryDate >= weekDates[0] && entryDate <= weekDates[6];
   }).sort((a, b) => {
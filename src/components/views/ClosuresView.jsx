@@ -1,13 +1,18 @@
-import { useState, useEffect, useMemo } from 'react';
+import { useState, useMemo } from 'react';
 import { useBookingsContext } from '../../context/BookingsContext.jsx';
-import { fetchClosures } from '../../utils/api.js';
+import { useCollection } from '../../hooks/useCollection.js';
 import Button from '../common/Button.jsx';
 import Modal from '../common/Modal.jsx';
 import Input from '../common/Input.jsx';
 import Select from '../common/Select.jsx';
+import RainoutModal from '../booking/RainoutModal.jsx';
 import { formatDateDisplay, formatDateISO } from '../../utils/dateHelpers.js';
 import { useToast } from '../common/Toast.jsx';
-import { CONFIG } from '../../config.js';
+import { useApiErrorHandler } from '../../hooks/useApiErrorHandler.js';
+import { getDefaultCourtName } from '../../utils/facilityConfig.js';
+import { useFacilityConfig } from '../../hooks/useFacilityConfig.js';
+import { useFacility } from '../../hooks/useFacility.js';
+import { filterByFacility, toFacilityColumn } from '../../utils/facilities.js';
 import { callAppsScript } from '../../utils/api.js';
 
 /**
@@ -16,36 +21,23 @@ import { callAppsScript } from '../../utils/api.js';
  */
 export default function ClosuresView() {
   const { closures, refreshBookings } = useBookingsContext();
-  const [allClosures, setAllClosures] = useState([]);
-  const [loading, setLoading] = useState(true);
+  // All of this facility's closures, including inactive ones
+  const { rows, loading } = useCollection('closures');
+  const { facilityId } = useFacility();
+  const allClosures = useMemo(() => filterByFacility(rows, facilityId), [rows, facilityId]);
   const [showModal, setShowModal] = useState(false);
   const [editingClosure, setEditingClosure] = useState(null);
+  const [showRainout, setShowRainout] = useState(false);
   const [filter, setFilter] = useState('active'); // 'active', 'all', 'past'
   const toast = useToast();
-
-  // Fetch all closures including inactive
-  useEffect(() => {
-    loadClosures();
-  }, []);
-
-  const loadClosures = async () => {
-    setLoading(true);
-    try {
-      const data = await fetchClosures();
-      setAllClosures(data);
-    } catch (error) {
-      console.error('[ClosuresView] Error loading closures:', error);
-    } finally {
-      setLoading(false);
-    }
-  };
+  const { handleApiError } = useApiErrorHandler();
 
   // Filter closures
   const filteredClosures = useMemo(() => {
     const today = formatDateISO(new Date());
     return allClosures.filter(c => {
       if (filter === 'active') {
-        return c.is_active === 'TRUE' && c.date >= today;
+        return c.is_active && c.date >= today;
       }
       if (filter === 'past') {
         return c.date < today;
@@ -70,10 +62,9 @@ export default function ClosuresView() {
       if (result.success) {
         toast.success(editingClosure ? 'Closure updated' : 'Closure created');
         setShowModal(false);
-        loadClosures();
-        refreshBookings(); // Refresh to update grid display
+        refreshBookings(); // Reloads closures for this list and the grid
       } else {
-        toast.error(result.error || 'Failed to save closure');
+        handleApiError(result, { fallbackMessage: 'Failed to save closure' });
       }
     } catch (error) {
       toast.error('Failed to save closure');
@@ -87,10 +78,9 @@ export default function ClosuresView() {
       const result = await callAppsScript('deleteClosure', { closureId: closure.closure_id });
       if (result.success) {
         toast.success('Closure deleted');
-        loadClosures();
         refreshBookings();
       } else {
-        toast.error(result.error || 'Failed to delete closure');
+        handleApiError(result, { fallbackMessage: 'Failed to delete closure' });
       }
     } catch (error) {
       toast.error('Failed to delete closure');
@@ -100,8 +90,7 @@ export default function ClosuresView() {
   const getCourtLabel = (court) => {
     if (!court || court.toLowerCase() === 'all') return 'All Courts';
     const num = parseInt(court, 10);
-    if (num === CONFIG.STADIUM_COURT_NUMBER) return 'Stadium';
-    return `Court ${num}`;
+    return getDefaultCourtName(num);
   };
 
   const getTimeLabel = (start, end) => {
@@ -123,9 +112,14 @@ export default function ClosuresView() {
                 Manage court closures for holidays, maintenance, and special events
               </p>
             </div>
-            <Button onClick={handleAdd}>
-              + Add Closure
-            </Button>
+            <div className="flex gap-2">
+              <Button variant="secondary" onClick={() => setShowRainout(true)}>
+                Rainout
+              </Button>
+              <Button onClick={handleAdd}>
+                + Add Closure
+              </Button>
+            </div>
           </div>
 
           {/* Filter */}
@@ -166,7 +160,7 @@ export default function ClosuresView() {
               <div
                 key={closure.closure_id || idx}
                 className={`px-6 py-4 hover:bg-gray-50 ${
-                  closure.is_active !== 'TRUE' ? 'opacity-50' : ''
+                  !closure.is_active ? 'opacity-50' : ''
                 }`}
               >
                 <div className="flex items-center justify-between">
@@ -193,7 +187,7 @@ export default function ClosuresView() {
                     )}
                   </div>
                   <div className="flex items-center gap-2">
-                    {closure.is_active !== 'TRUE' && (
+                    {!closure.is_active && (
                       <span className="px-2 py-1 text-xs bg-gray-100 text-gray-600 rounded">
                         Inactive
                       </span>
@@ -220,6 +214,11 @@ export default function ClosuresView() {
           onSave={handleSave}
         />
       )}
+
+      {/* Weather rainout: cancel, close and call list */}
+      {showRainout && (
+        <RainoutModal isOpen={true} onClose={() => setShowRainout(false)} />
+      )}
     </div>
   );
 }
@@ -228,13 +227,15 @@ export default function ClosuresView() {
  * Closure Add/Edit Modal
  */
 function ClosureModal({ closure, onClose, onSave }) {
+  const { totalCourts } = useFacilityConfig();
+  const { facilityId } = useFacility();
   const [formData, setFormData] = useState({
     date: closure?.date || formatDateISO(new Date()),
     court: closure?.court || 'all',
     time_start: closure?.time_start || '',
     time_end: closure?.time_end || '',
     reason: closure?.reason || '',
-    is_active: closure?.is_active || 'TRUE',
+    is_active: closure?.is_active ?? true,
   });
   const [allDay, setAllDay] = useState(!closure?.time_start && !closure?.time_end);
   const [saving, setSaving] = useState(false);
@@ -242,9 +243,9 @@ function ClosureModal({ closure, onClose, onSave }) {
   // Generate court options
   const courtOptions = [
     { value: 'all', label: 'All Courts' },
-    ...Array.from({ length: CONFIG.TOTAL_COURTS }, (_, i) => ({
+    ...Array.from({ length: totalCourts }, (_, i) => ({
       value: String(i + 1),
-      label: i + 1 === CONFIG.STADIUM_COURT_NUMBER ? 'Stadium' : `Court ${i + 1}`,
+      label: getDefaultCourtName(i + 1),
     })),
   ];
 
@@ -255,6 +256,7 @@ function ClosureModal({ closure, onClose, onSave }) {
     const data = {
       ...formData,
       closure_id: closure?.closure_id || `CLO-${Date.now()}`,
+      facility_id: closure ? closure.facility_id || '' : toFacilityColumn(facilityId),
       time_start: allDay ? '' : formData.time_start,
       time_end: allDay ? '' : formData.time_end,
     };
@@ -324,8 +326,8 @@ function ClosureModal({ closure, onClose, onSave }) {
           <input
             type="checkbox"
             id="isActive"
-            checked={formData.is_active === 'TRUE'}
-            onChange={(e) => setFormData(prev => ({ ...prev, is_active: e.target.checked ? 'TRUE' : 'FALSE' }))}
+            checked={formData.is_active}
+            onChange={(e) => setFormData(prev => ({ ...prev, is_active: e.target.checked }))}
             className="h-4 w-4 rounded border-gray-300 text-green-600"
           />
           <label htmlFor="isActive" className="text-sm text-gray-700">Active</label>
@@ -11,6 +11,7 @@ import { formatDateISO, formatDateDisplay, formatTimeDisplay } from '../../utils
 import { parseTimeToMinutes } from '../../utils/timeUtils.js';
 import { useCourts } from '../../hooks/useCourts.js';
 import { useToast } from '../common/Toast.jsx';
+import { useApiErrorHandler } from '../../hooks/useApiErrorHandler.js';
 
 /**
  * Contractor schedule view - shows all bookings for a specific contractor
@@ -20,6 +21,7 @@ export default function ContractorView({ onBookingClick }) {
   const { bookings, loading: bookingsLoading } = useBookingsContext();
   const { getCourtName } = useCourts();
   const { showToast } = useToast();
+  const { handleApiError } = useApiErrorHandler();
 
   // Default date range: current month
   const today = new Date();
@@ -107,7 +109,7 @@ export default function ContractorView({ onBookingClick }) {
         }
         refreshContractors();
       } else {
-        showToast(result.error || 'Failed to delete contractor', 'error');
+        handleApiError(result, { fallbackMessage: 'Failed to delete contractor' });
       }
     } catch (error) {
       showToast('Failed to delete contractor', 'error');
@@ -129,7 +131,7 @@ export default function ContractorView({ onBookingClick }) {
         setEditingContractor(null);
         refreshContractors();
       } else {
-        showToast(result.error || 'Failed to save contractor', 'error');
+        handleApiError(result, { fallbackMessage: 'Failed to save contractor' });
       }
     } catch (error) {
       showToast('Failed to save contractor', 'error');
@@ -285,7 +287,7 @@ export default function ContractorView({ onBookingClick }) {
                         {formatTimeDisplay(booking.time_start)} - {formatTimeDisplay(booking.time_end)}
                       </td>
                       <td className="px-4 py-3 text-sm text-gray-900">
-                        {getCourtName(parseInt(booking.court, 10))}
+                        {getCourtName(booking.court)}
                       </td>
                       <td className="px-4 py-3 text-sm">
                         <span className={`
@@ -351,11 +353,11 @@ function ContractorCard({ contractor, onClick, isSelected }) {
           )}
         </div>
         <span className={`px-2 py-1 text-xs font-medium rounded-full ${
-          contractor.status === 'active' || contractor.is_active === 'TRUE'
+          contractor.status === 'active' || contractor.is_active
             ? 'bg-green-100 text-green-800'
             : 'bg-gray-100 text-gray-800'
         }`}>
-          {contractor.status === 'active' || contractor.is_active === 'TRUE' ? 'Active' : 'Inactive'}
+          {contractor.status === 'active' || contractor.is_active ? 'Active' : 'Inactive'}
         </span>
       </div>
       <div className="mt-3 space-y-1 text-sm">
@@ -384,11 +386,11 @@ function ContractorDetailModal({ contractor, onClose, onEdit, onDuplicate, onDel
             )}
           </div>
           <span className={`px-2 py-1 text-xs font-medium rounded-full ${
-            contractor.status === 'active' || contractor.is_active === 'TRUE'
+            contractor.status === 'active' || contractor.is_active
               ? 'bg-green-100 text-green-800'
               : 'bg-gray-100 text-gray-800'
           }`}>
-            {contractor.status === 'active' || contractor.is_active === 'TRUE' ? 'Active' : 'Inactive'}
+            {contractor.status === 'active' || contractor.is_active ? 'Active' : 'Inactive'}
           </span>
         </div>
 
@@ -0,0 +1,441 @@
+import { useState, useMemo } from 'react';
+import Button from '../common/Button.jsx';
+import Modal from '../common/Modal.jsx';
+import Input from '../common/Input.jsx';
+import Select from '../common/Select.jsx';
+import { useToast } from '../common/Toast.jsx';
+import { useCredits } from '../../hooks/useCredits.js';
+import { useStaffContext } from '../../context/StaffContext.jsx';
+import { recordCredits } from '../../utils/api.js';
+import { formatDateDisplay } from '../../utils/dateHelpers.js';
+import {
+  createCreditEntry,
+  formatCreditAmount,
+  getCreditErrorMessage,
+  getLotLabel,
+  isLotOpen,
+} from '../../utils/credits.js';
+import { CREDIT_ENTRY_TYPES, CREDIT_KINDS } from '../../config.js';
+
+const ENTRY_TYPE_LABELS = {
+  [CREDIT_ENTRY_TYPES.ISSUE]: 'Issued',
+  [CREDIT_ENTRY_TYPES.REDEEM]: 'Redeemed',
+  [CREDIT_ENTRY_TYPES.EXPIRE]: 'Expired',
+  [CREDIT_ENTRY_TYPES.ADJUST]: 'Adjusted',
+};
+
+/**
+ * Customer Credits View
+ * Account credit and prepaid punch cards: issue, adjust, expire and
+ * look back over each customer's ledger
+ */
+export default function CreditsView() {
+  const { accounts, loading, refresh } = useCredits();
+  const { initials } = useStaffContext();
+  const toast = useToast();
+  const [search, setSearch] = useState('');
+  const [filter, setFilter] = useState('open'); // 'open', 'all'
+  const [showIssue, setShowIssue] = useState(false);
+  const [adjustingLot, setAdjustingLot] = useState(null);
+  const [expandedLotId, setExpandedLotId] = useState(null);
+
+  const filteredAccounts = useMemo(() => {
+    const term = search.trim().toLowerCase();
+    const digits = term.replace(/\D/g, '');
+    return accounts.filter(account => {
+      if (filter === 'open' && account.openLots.length === 0) return false;
+      if (!term) return true;
+      return account.customer_name.toLowerCase().includes(term) ||
+        (digits.length >= 3 && account.customer_phone.replace(/\D/g, '').includes(digits));
+    });
+  }, [accounts, search, filter]);
+
+  /**
+   * Write ledger entries and reload the balances
+   * @returns {Promise<boolean>} Whether the server took them
+   */
+  const record = async (entries, successMessage) => {
+    if (!initials) {
+      toast.error('Please select a staff member first');
+      return false;
+    }
+    try {
+      const result = await recordCredits(entries);
+      if (result.success) {
+        toast.success(successMessage);
+        refresh();
+        return true;
+      }
+      toast.error(getCreditErrorMessage(result, 'Failed to update credits'));
+    } catch (error) {
+      console.error('[CreditsView] Error:', error);
+      toast.error('Failed to update credits. Please try again.');
+    }
+    return false;
+  };
+
+  const handleIssue = async (fields) => {
+    const entry = createCreditEntry(CREDIT_ENTRY_TYPES.ISSUE, fields, initials);
+    const saved = await record(entry, `${getLotLabel({ ...fields, issued: fields.amount })} issued to ${fields.customer_name}`);
+    if (saved) setShowIssue(false);
+  };
+
+  const handleAdjust = async (amount, reason) => {
+    const lot = adjustingLot;
+    const entry = createCreditEntry(CREDIT_ENTRY_TYPES.ADJUST, { lot_id: lot.lot_id, amount, note: reason }, initials);
+    const saved = await record(entry, `${getLotLabel(lot)} adjusted by ${formatCreditAmount(lot.kind, amount)}`);
+    if (saved) setAdjustingLot(null);
+  };
+
+  const handleExpire = async (lot) => {
+    const remaining = formatCreditAmount(lot.kind, lot.balance);
+    if (!confirm(`Write off the ${remaining} left on ${getLotLabel(lot)} for ${lot.customer_name}?`)) return;
+    const entry = createCreditEntry(CREDIT_ENTRY_TYPES.EXPIRE, {
+      lot_id: lot.lot_id,
+      amount: -lot.balance,
+      note: lot.expired ? `Expired ${lot.expires_on}` : 'Expired early',
+    }, initials);
+    await record(entry, `${remaining} expired on ${getLotLabel(lot)}`);
+  };
+
+  return (
+    <div className="p-4">
+      <div className="bg-white rounded-lg shadow">
+        {/* Header */}
+        <div className="px-6 py-4 border-b border-gray-200">
+          <div className="flex items-center justify-between">
+            <div>
+              <h2 className="text-xl font-semibold text-gray-900">Customer Credits</h2>
+              <p className="text-sm text-gray-500 mt-1">
+                Account credit and prepaid punch cards. Pay from them with the Credit payment method.
+              </p>
+            </div>
+            <Button onClick={() => setShowIssue(true)}>
+              + Issue Credit
+            </Button>
+          </div>
+
+          {/* Search & Filter */}
+          <div className="mt-4 flex items-center gap-4">
+            <div className="w-72">
+              <Input
+                value={search}
+                onChange={setSearch}
+                placeholder="Search name or phone..."
+              />
+            </div>
+            <div className="flex gap-2">
+              {[
+                { value: 'open', label: 'With Balance' },
+                { value: 'all', label: 'All' },
+              ].map(opt => (
+                <button
+                  key={opt.value}
+                  onClick={() => setFilter(opt.value)}
+                  className={`px-3 py-1 text-sm rounded-full ${
+                    filter === opt.value
+                      ? 'bg-green-100 text-green-800 font-medium'
+                      : 'bg-gray-100 text-gray-600 hover:bg-gray-200'
+                  }`}
+                >
+                  {opt.label}
+                </button>
+              ))}
+            </div>
+          </div>
+        </div>
+
+        {/* Accounts */}
+        <div className="divide-y divide-gray-100">
+          {loading ? (
+            <div className="p-8 text-center text-gray-500">Loading credits...</div>
+          ) : filteredAccounts.length === 0 ? (
+            <div className="p-8 text-center text-gray-500">
+              No customer credits found. Click "Issue Credit" to add one.
+            </div>
+          ) : (
+            filteredAccounts.map(account => (
+              <div key={account.customerKey} className="px-6 py-4">
+                <div className="flex items-center justify-between mb-2">
+                  <div>
+                    <div className="font-medium text-gray-900">{account.customer_name}</div>
+                    {account.customer_phone && (
+                      <div className="text-sm text-gray-500">{account.customer_phone}</div>
+                    )}
+                  </div>
+                  <div className="text-right text-sm">
+                    <div className="font-medium text-green-700">
+                      {formatCreditAmount(CREDIT_KINDS.CREDIT, account.credit)} credit
+                    </div>
+                    {account.visits > 0 && (
+                      <div className="text-gray-600">{formatCreditAmount(CREDIT_KINDS.PACKAGE, account.visits)} prepaid</div>
+                    )}
+                  </div>
+                </div>
+
+                <div className="space-y-1">
+                  {account.lots
+                    .filter(lot => filter === 'all' || isLotOpen(lot))
+                    .map(lot => (
+                      <LotRow
+                        key={lot.lot_id}
+                        lot={lot}
+                        expanded={expandedLotId === lot.lot_id}
+                        onToggle={() => setExpandedLotId(expandedLotId === lot.lot_id ? null : lot.lot_id)}
+                        onAdjust={() => setAdjustingLot(lot)}
+                        onExpire={() => handleExpire(lot)}
+                      />
+                    ))}
+                </div>
+              </div>
+            ))
+          )}
+        </div>
+      </div>
+
+      {showIssue && (
+        <IssueCreditModal
+          onClose={() => setShowIssue(false)}
+          onSave={handleIssue}
+        />
+      )}
+
+      {adjustingLot && (
+        <AdjustCreditModal
+          lot={adjustingLot}
+          onClose={() => setAdjustingLot(null)}
+          onSave={handleAdjust}
+        />
+      )}
+    </div>
+  );
+}
+
+/**
+ * One credit or package with its balance, actions and history
+ */
+function LotRow({ lot, expanded, onToggle, onAdjust, onExpire }) {
+  let status = 'Open';
+  if (lot.expired && lot.balance > 0) status = `Expired ${formatDateDisplay(lot.expires_on)}`;
+  else if (lot.balance <= 0) status = 'Used up';
+  else if (lot.expires_on) status = `Expires ${formatDateDisplay(lot.expires_on)}`;
+
+  return (
+    <div className="bg-gray-50 rounded-lg text-sm">
+      <div className="flex items-center justify-between px-3 py-2">
+        <button type="button" onClick={onToggle} className="text-left flex-1">
+          <span className="font-medium text-gray-900">{getLotLabel(lot)}</span>
+          <span className="text-gray-500">
+            {' '}• {formatCreditAmount(lot.kind, lot.balance)} of {formatCreditAmount(lot.kind, lot.issued)} left • {status}
+          </span>
+        </button>
+        <div className="flex items-center gap-2">
+          <Button variant="ghost" size="sm" onClick={onAdjust}>
+            Adjust
+          </Button>
+          {lot.balance > 0 && (
+            <Button variant="ghost" size="sm" onClick={onExpire}>
+              Expire
+            </Button>
+          )}
+        </div>
+      </div>
+
+      {expanded && (
+        <table className="w-full text-xs border-t border-gray-200">
+          <tbody className="divide-y divide-gray-100">
+            {lot.entries.map(entry => (
+              <tr key={entry.entry_id}>
+                <td className="px-3 py-1.5 text-gray-500 whitespace-nowrap">
+                  {entry.created_at ? formatDateDisplay(new Date(entry.created_at)) : '-'}
+                </td>
+                <td className="px-3 py-1.5">{ENTRY_TYPE_LABELS[entry.type] || entry.type}</td>
+                <td className={`px-3 py-1.5 text-right font-medium ${entry.amount < 0 ? 'text-red-600' : 'text-green-700'}`}>
+                  {entry.amount > 0 ? '+' : ''}{formatCreditAmount(lot.kind, entry.amount)}
+                </td>
+                <td className="px-3 py-1.5 text-gray-600">
+                  {[entry.booking_id, entry.note].filter(Boolean).join(' - ')}
+                </td>
+                <td className="px-3 py-1.5 text-gray-500">{entry.created_by}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
+
+/**
+ * Issue account credit or a prepaid package
+ */
+function IssueCreditModal({ onClose, onSave }) {
+  const [formData, setFormData] = useState({
+    customer_name: '',
+    customer_phone: '',
+    kind: CREDIT_KINDS.PACKAGE,
+    amount: '10',
+    label: '',
+    expires_on: '',
+    note: '',
+  });
+  const [saving, setSaving] = useState(false);
+  const isPackage = formData.kind === CREDIT_KINDS.PACKAGE;
+
+  const setField = (field) => (value) => setFormData(prev => ({ ...prev, [field]: value }));
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const amount = isPackage ? parseInt(formData.amount, 10) : Math.round(parseFloat(formData.amount) * 100) / 100;
+    if (!(amount > 0)) return;
+
+    setSaving(true);
+    await onSave({
+      ...formData,
+      customer_name: formData.customer_name.trim(),
+      customer_phone: formData.customer_phone.trim(),
+      amount,
+    });
+    setSaving(false);
+  };
+
+  return (
+    <Modal isOpen={true} onClose={onClose} title="Issue Credit">
+      <form onSubmit={handleSubmit} className="space-y-4">
+        <div className="grid grid-cols-2 gap-3">
+          <Input
+            label="Customer Name"
+            value={formData.customer_name}
+            onChange={setField('customer_name')}
+            required
+          />
+          <Input
+            label="Phone Number"
+            type="tel"
+            value={formData.customer_phone}
+            onChange={setField('customer_phone')}
+            placeholder="(501) 555-1234"
+          />
+        </div>
+
+        <div className="grid grid-cols-2 gap-3">
+          <Select
+            label="Type"
+            value={formData.kind}
+            onChange={(kind) => setFormData(prev => ({
+              ...prev,
+              kind,
+              amount: kind === CREDIT_KINDS.PACKAGE ? '10' : '',
+            }))}
+            options={[
+              { value: CREDIT_KINDS.PACKAGE, label: 'Prepaid visits (punch card)' },
+              { value: CREDIT_KINDS.CREDIT, label: 'Account credit ($)' },
+            ]}
+          />
+          <Input
+            label={isPackage ? 'Visits' : 'Amount ($)'}
+            type="number"
+            value={formData.amount}
+            onChange={setField('amount')}
+            min={isPackage ? '1' : '0.01'}
+            step={isPackage ? '1' : '0.01'}
+            required
+          />
+        </div>
+
+        <div className="grid grid-cols-2 gap-3">
+          <Input
+            label="Name (optional)"
+            value={formData.label}
+            onChange={setField('label')}
+            placeholder={isPackage ? 'e.g., 10-visit card' : 'e.g., Rainout credit'}
+          />
+          <Input
+            label="Expires (optional)"
+            type="date"
+            value={formData.expires_on}
+            onChange={setField('expires_on')}
+          />
+        </div>
+
+        <Input
+          label="Note"
+          value={formData.note}
+          onChange={setField('note')}
+          placeholder={isPackage ? 'e.g., Paid at POS, receipt #' : 'Reason for the credit'}
+        />
+
+        <div className="flex gap-3 pt-4 border-t">
+          <Button type="button" variant="secondary" onClick={onClose} fullWidth>
+            Cancel
+          </Button>
+          <Button type="submit" loading={saving} fullWidth>
+            Issue
+          </Button>
+        </div>
+      </form>
+    </Modal>
+  );
+}
+
+/**
+ * Correct a lot's balance up or down, with a reason
+ */
+function AdjustCreditModal({ lot, onClose, onSave }) {
+  const [amount, setAmount] = useState('');
+  const [reason, setReason] = useState('');
+  const [saving, setSaving] = useState(false);
+  const isPackage = lot.kind === CREDIT_KINDS.PACKAGE;
+  const value = isPackage ? parseInt(amount, 10) : Math.round(parseFloat(amount) * 100) / 100;
+  const isValid = Number.isFinite(value) && value !== 0 && lot.balance + value >= 0 && reason.trim() !== '';
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!isValid) return;
+    setSaving(true);
+    await onSave(value, reason.trim());
+    setSaving(false);
+  };
+
+  return (
+    <Modal isOpen={true} onClose={onClose} title="Adjust Credit" size="sm">
+      <form onSubmit={handleSubmit} className="space-y-4">
+        <div className="bg-gray-50 rounded-lg p-3 text-sm">
+          <div className="font-medium text-gray-900">{lot.customer_name}</div>
+          <div className="text-gray-600">
+            {getLotLabel(lot)} • {formatCreditAmount(lot.kind, lot.balance)} left
+          </div>
+        </div>
+
+        <Input
+          label={isPackage ? 'Visits to add (negative to remove)' : 'Amount to add ($, negative to remove)'}
+          type="number"
+          value={amount}
+          onChange={setAmount}
+          step={isPackage ? '1' : '0.01'}
+          required
+        />
+        {Number.isFinite(value) && lot.balance + value < 0 && (
+          <p className="text-sm text-red-600">That would take the balance below zero.</p>
+        )}
+
+        <Input
+          label="Reason"
+          value={reason}
+          onChange={setReason}
+          placeholder="e.g., Visit entered in error"
+          required
+        />
+
+        <div className="flex gap-3 pt-4 border-t">
+          <Button type="button" variant="secondary" onClick={onClose} fullWidth>
+            Cancel
+          </Button>
+          <Button type="submit" loading={saving} disabled={!isValid} fullWidth>
+            Save Adjustment
+          </Button>
+        </div>
+      </form>
+    </Modal>
+  );
+}
@@ -1,10 +1,12 @@
 import { useState, useEffect, useMemo, useCallback } from 'react';
 import { useStaffContext } from '../../context/StaffContext.jsx';
-import { logMaintenance, fetchMaintenanceLog, fetchMaintenanceTasks } from '../../utils/api.js';
+import { logMaintenance } from '../../utils/api.js';
 import { formatDateDisplay, formatDateISO } from '../../utils/dateHelpers.js';
 import Button, { IconButton } from '../common/Button.jsx';
 import { Textarea } from '../common/Input.jsx';
 import { useToast } from '../common/Toast.jsx';
+import { useApiErrorHandler } from '../../hooks/useApiErrorHandler.js';
+import { useMaintenance } from '../../hooks/useMaintenance.js';
 
 /**
  * Get the Monday of the week containing the given date
@@ -39,10 +41,9 @@ function formatWeekRange(weekStart) {
 export default function MaintenanceView() {
   const { initials } = useStaffContext();
   const toast = useToast();
+  const { handleApiError } = useApiErrorHandler();
 
-  const [tasks, setTasks] = useState([]);
-  const [maintenanceLog, setMaintenanceLog] = useState([]);
-  const [loading, setLoading] = useState(true);
+  const { tasks, maintenanceLog, loading, error: loadError, addLogEntry } = useMaintenance();
   const [completedForDate, setCompletedForDate] = useState(new Set());
 
   // Selected date for checklist (can view yesterday/tomorrow)
@@ -61,29 +62,11 @@ export default function MaintenanceView() {
   const selectedDayOfMonth = selectedDate.getDate();
   const isToday = selectedDateStr === today;
 
-  // Load tasks and maintenance log
   useEffect(() => {
-    const loadData = async () => {
-      try {
-        const [tasksData, logData] = await Promise.all([
-          fetchMaintenanceTasks(),
-          fetchMaintenanceLog(),
-        ]);
-
-        // Filter to active tasks only
-        const activeTasks = tasksData.filter(t => t.is_active === 'TRUE');
-        setTasks(activeTasks);
-        setMaintenanceLog(logData);
-      } catch (error) {
-        console.error('[MaintenanceView] Error loading data:', error);
-        toast.error('Failed to load maintenance data');
-      } finally {
-        setLoading(false);
-      }
-    };
-
-    loadData();
-  }, []);
+    if (loadError) {
+      toast.error('Failed to load maintenance data');
+    }
+  }, [loadError]);
 
   // Update completed tasks when selectedDate or log changes
   useEffect(() => {
@@ -136,7 +119,7 @@ export default function MaintenanceView() {
       courts: t.courts,
       instructions: t.instructions,
       estimated_minutes: t.estimated_minutes,
-      day: parseInt(t.day_of_week, 10) || 0,
+      day: t.day_of_week || 0,
     }));
   }, [tasks]);
 
@@ -147,7 +130,7 @@ export default function MaintenanceView() {
       courts: t.courts,
       instructions: t.instructions,
       estimated_minutes: t.estimated_minutes,
-      dayOfMonth: parseInt(t.day_of_month, 10) || 1,
+      dayOfMonth: t.day_of_month || 1,
     }));
   }, [tasks]);
 
@@ -193,10 +176,10 @@ export default function MaintenanceView() {
 
       if (result.success) {
         setCompletedForDate(prev => new Set([...prev, task.id]));
-        setMaintenanceLog(prev => [...prev, logEntry]);
+        addLogEntry(logEntry);
         toast.success(`Completed: ${task.label}`);
       } else {
-        toast.error(result.error || 'Failed to log task');
+        handleApiError(result, { fallbackMessage: 'Failed to log task' });
       }
     } catch (error) {
       console.error('[MaintenanceView] Error:', error);
@@ -282,7 +265,7 @@ export default function MaintenanceView() {
         if (entryDate < weekStartStr || entryDate > weekEndStr) return false;
 
         // Follow-up filter
-        if (showFollowUpOnly && entry.follow_up_needed !== 'TRUE') return false;
+        if (showFollowUpOnly && !entry.follow_up_needed) return false;
 
         return true;
       })
@@ -552,7 +535,7 @@ export default function MaintenanceView() {
                 </tr>
               ) : (
                 recentHistory.map((entry, index) => (
-                  <tr key={`${entry.task_id}-${entry.completed_at || entry.log_id}-${index}`} className={entry.follow_up_needed === 'TRUE' ? 'bg-amber-50' : ''}>
+                  <tr key={`${entry.task_id}-${entry.completed_at || entry.log_id}-${index}`} className={entry.follow_up_needed ? 'bg-amber-50' : ''}>
                     <td className="px-4 py-3 text-sm text-gray-900">
                       {formatDateDisplay(entry.date || entry.completed_date)}
                     </td>
@@ -569,7 +552,7 @@ export default function MaintenanceView() {
                       {entry.notes || '-'}
                     </td>
                     <td className="px-4 py-3 text-sm">
-                      {entry.follow_up_needed === 'TRUE' ? (
+                      {entry.follow_up_needed ? (
                         <div>
                           <span className="px-2 py-1 text-xs font-medium rounded-full bg-amber-100 text-amber-800">
                             Needs Follow Up
@@ -616,7 +599,7 @@ function TaskItem({ task, completed, completionInfo, onComplete }) {
     // Pre-fill with existing completion info if re-completing
     if (completionInfo) {
       setNotes(completionInfo.notes || '');
-      setFollowUpNeeded(completionInfo.follow_up_needed === 'TRUE');
+      setFollowUpNeeded(completionInfo.follow_up_needed);
       setFollowUpNote(completionInfo.follow_up_note || '');
     }
     setIsEditing(true);
@@ -664,7 +647,7 @@ function TaskItem({ task, completed, completionInfo, onComplete }) {
             {completed && completionInfo && (
               <span className="text-xs text-green-600 ml-2">
                 by {completionInfo.completed_by}
-                {completionInfo.follow_up_needed === 'TRUE' && (
+                {completionInfo.follow_up_needed && (
                   <span className="ml-1 text-amber-600">• Follow-up needed</span>
                 )}
               </span>
@@ -726,7 +709,7 @@ function TaskItem({ task, completed, completionInfo, onComplete }) {
                   <span className="font-medium">Notes:</span> {completionInfo.notes}
                 </div>
               )}
-              {completionInfo.follow_up_needed === 'TRUE' && (
+              {completionInfo.follow_up_needed && (
                 <div className="text-amber-700 bg-amber-50 p-2 rounded mt-2">
                   <span className="font-medium">Follow-up needed:</span> {completionInfo.follow_up_note || 'Yes'}
                 </div>
@@ -1,6 +1,10 @@
 import { useState, useMemo } from 'react';
 import { useBookingsContext } from '../../context/BookingsContext.jsx';
 import { useCourts } from '../../hooks/useCourts.js';
+import { useOutbox } from '../../hooks/useOutbox.js';
+import { OUTBOX_STATUS } from '../../utils/outbox.js';
+import { useToast } from '../common/Toast.jsx';
+import { useApiErrorHandler } from '../../hooks/useApiErrorHandler.js';
 import Input from '../common/Input.jsx';
 import Select from '../common/Select.jsx';
 import DatePicker, { DateRangePicker } from '../common/DatePicker.jsx';
@@ -8,6 +12,16 @@ import Button from '../common/Button.jsx';
 import { formatDateDisplay, formatTimeDisplay, formatDateISO } from '../../utils/dateHelpers.js';
 import { getBookingTypeLabel, getStatusBadgeClasses } from '../../utils/colors.js';
 import { BOOKING_TYPES, BOOKING_STATUS } from '../../config.js';
+import {
+  getBookingShortCode,
+  isLegacyBookingId,
+  matchesBookingIdSearch,
+  planBookingIdMigration,
+} from '../../utils/bookingId.js';
+import { rekeyBookings } from '../../utils/api.js';
+
+// Renames sent per request when re-keying legacy IDs
+const MIGRATION_BATCH_SIZE = 100;
 
 /**
  * Search view for finding bookings
@@ -30,9 +44,9 @@ export default function SearchView({ onBookingClick }) {
     if (!hasSearched && !searchQuery && !dateStart) return [];
 
     return bookings.filter(b => {
-      // Booking ID exact match
+      // Booking ID, short code, or the legacy ID a booking was re-keyed from
       if (searchType === 'id' && searchQuery) {
-        return b.booking_id?.toLowerCase().includes(searchQuery.toLowerCase());
+        return matchesBookingIdSearch(b, searchQuery);
       }
 
       // Name partial match
@@ -88,7 +102,7 @@ export default function SearchView({ onBookingClick }) {
   };
 
   const searchTypeOptions = [
-    { value: 'id', label: 'Booking ID' },
+    { value: 'id', label: 'Booking ID / Code' },
     { value: 'name', label: 'Customer Name' },
     { value: 'phone', label: 'Phone Number' },
     { value: 'date', label: 'Date Range' },
@@ -109,6 +123,8 @@ export default function SearchView({ onBookingClick }) {
     <div className="space-y-6 p-4">
       <h2 className="text-xl font-semibold text-gray-900">Search Bookings</h2>
 
+      <BookingIdMigrationBanner />
+
       {/* Search Form */}
       <div className="bg-white rounded-lg border border-gray-200 p-4 space-y-4">
         <div className="flex gap-4 items-end">
@@ -122,10 +138,10 @@ export default function SearchView({ onBookingClick }) {
 
           {(searchType === 'id' || searchType === 'name' || searchType === 'phone') && (
             <Input
-              label={searchType === 'id' ? 'Booking ID' : searchType === 'name' ? 'Customer Name' : 'Phone Number'}
+              label={searchType === 'id' ? 'Booking ID or Short Code' : searchType === 'name' ? 'Customer Name' : 'Phone Number'}
               value={searchQuery}
               onChange={setSearchQuery}
-              placeholder={searchType === 'id' ? 'e.g., 1605-0900' : searchType === 'name' ? 'e.g., John Smith' : 'e.g., 501-555-1234'}
+              placeholder={searchType === 'id' ? 'e.g., K7M2QX' : searchType === 'name' ? 'e.g., John Smith' : 'e.g., 501-555-1234'}
               className="flex-1"
             />
           )}
@@ -246,8 +262,11 @@ export default function SearchView({ onBookingClick }) {
                       onClick={() => onBookingClick?.(booking)}
                       className="hover:bg-gray-50 cursor-pointer"
                     >
-                      <td className="px-4 py-3 text-sm font-mono font-medium text-gray-900">
-                        {booking.booking_id}
+                      <td className="px-4 py-3 text-sm font-mono text-gray-900">
+                        <div className="font-semibold">{getBookingShortCode(booking.booking_id) || booking.booking_id}</div>
+                        {getBookingShortCode(booking.booking_id) && (
+                          <div className="text-xs text-gray-500">{booking.booking_id}</div>
+                        )}
                       </td>
                       <td className="px-4 py-3 text-sm text-gray-900">
                         {formatDateDisplay(booking.date)}
@@ -256,7 +275,7 @@ export default function SearchView({ onBookingClick }) {
                         {formatTimeDisplay(booking.time_start)} - {formatTimeDisplay(booking.time_end)}
                       </td>
                       <td className="px-4 py-3 text-sm text-gray-900">
-                        {getCourtName(parseInt(booking.court, 10))}
+                        {getCourtName(booking.court)}
                       </td>
                       <td className="px-4 py-3 text-sm text-gray-900">
                         <div>{booking.customer_name || 'N/A'}</div>
@@ -295,3 +314,84 @@ export default function SearchView({ onBookingClick }) {
     </div>
   );
 }
+
+/**
+ * Offers to re-key bookings still on old month-repeating IDs
+ * Hidden once every booking has a new ID.
+ */
+function BookingIdMigrationBanner() {
+  const { allBookings, refreshAll } = useBookingsContext();
+  const { entries, pendingCount } = useOutbox();
+  const toast = useToast();
+  const { handleApiError } = useApiErrorHandler();
+  const [running, setRunning] = useState(false);
+
+  const legacyCount = useMemo(
+    () => allBookings.filter(b => isLegacyBookingId(b.booking_id)).length,
+    [allBookings]
+  );
+
+  // A migration sent while offline waits in the outbox; starting another
+  // would queue the same renames twice. A rejected one can be run again.
+  const queued = entries.some(e => e.action === 'rekeyBookings' && e.status === OUTBOX_STATUS.PENDING);
+
+  if (legacyCount === 0) return null;
+
+  const handleMigrate = async () => {
+    // Queued writes still name bookings by their old IDs
+    if (pendingCount > 0) {
+      toast.warning('Wait for queued changes to reach the server before updating IDs');
+      return;
+    }
+    if (!confirm(`Give ${legacyCount} bookings new IDs? Old IDs stay searchable.`)) return;
+
+    setRunning(true);
+    const renames = planBookingIdMigration(allBookings);
+    let renamed = 0;
+    let skipped = 0;
+    let queuedCount = 0;
+    try {
+      for (let i = 0; i < renames.length; i += MIGRATION_BATCH_SIZE) {
+        const batch = renames.slice(i, i + MIGRATION_BATCH_SIZE);
+        const result = await rekeyBookings(batch);
+        if (!result.success) {
+          handleApiError(result, { fallbackMessage: 'Failed to update booking IDs' });
+          break;
+        }
+        if (result.queued) {
+          queuedCount += batch.length;
+          continue;
+        }
+        renamed += result.renamed?.length || 0;
+        skipped += result.skipped?.length || 0;
+      }
+      if (queuedCount > 0) {
+        toast.info(`ID update for ${queuedCount} bookings is queued and will finish when the connection returns`, 8000);
+      } else if (skipped > 0) {
+        console.warn(`[SearchView] ${skipped} bookings were not re-keyed`);
+        toast.warning(`Updated ${renamed} booking IDs; ${skipped} were skipped`);
+      } else if (renamed > 0) {
+        toast.success(`Updated ${renamed} booking IDs`);
+      }
+    } catch (error) {
+      console.error('[SearchView] Booking ID migration error:', error);
+      toast.error('Failed to update booking IDs');
+    } finally {
+      setRunning(false);
+      refreshAll();
+    }
+  };
+
+  return (
+    <div className="flex items-center justify-between gap-4 p-3 bg-amber-50 border border-amber-200 rounded-lg">
+      <p className="text-sm text-amber-800">
+        {queued
+          ? `Updating IDs for ${legacyCount} bookings is waiting to reach the server.`
+          : `${legacyCount} bookings still use old IDs that repeat from month to month.`}
+      </p>
+      <Button size="sm" variant="secondary" onClick={handleMigrate} disabled={running || queued}>
+        {running ? 'Updating...' : queued ? 'Pending' : 'Update IDs'}
+      </Button>
+    </div>
+  );
+}
@@ -10,6 +10,7 @@ import Input from '../common/Input.jsx';
 import Select from '../common/Select.jsx';
 import { Textarea } from '../common/Input.jsx';
 import { useToast } from '../common/Toast.jsx';
+import { useApiErrorHandler } from '../../hooks/useApiErrorHandler.js';
 import TeamBookingModal from '../booking/TeamBookingModal.jsx';
 import MondayNightLeagueModal from '../booking/MondayNightLeagueModal.jsx';
 
@@ -63,6 +64,7 @@ export default function TeamsView({ onBookingClick }) {
   const { bookings, loading: bookingsLoading } = useBookingsContext();
   const { getCourtName } = useCourts();
   const { showToast } = useToast();
+  const { handleApiError } = useApiErrorHandler();
 
   const [bookingsFilter, setBookingsFilter] = useState('upcoming');
   const [teamTypeFilter, setTeamTypeFilter] = useState('all');
@@ -163,7 +165,7 @@ export default function TeamsView({ onBookingClick }) {
         setSelectedTeam(null);
         refreshTeams();
       } else {
-        showToast(result.error || 'Failed to delete team', 'error');
+        handleApiError(result, { fallbackMessage: 'Failed to delete team' });
       }
     } catch (error) {
       showToast('Failed to delete team', 'error');
@@ -186,7 +188,7 @@ export default function TeamsView({ onBookingClick }) {
         refreshTeams();
         return { success: true };
       } else {
-        showToast(result.error || 'Failed to save team', 'error');
+        handleApiError(result, { fallbackMessage: 'Failed to save team' });
         return { success: false };
       }
     } catch (error) {
@@ -360,7 +362,7 @@ export default function TeamsView({ onBookingClick }) {
                       <div className="font-medium text-gray-900">{booking.customer_name || 'N/A'}</div>
                       <div className="text-xs text-gray-500">{getBookingTypeLabel(booking.booking_type)}</div>
                     </td>
-                    <td className="px-4 py-3 text-sm text-gray-900">{getCourtName(parseInt(booking.court, 10))}</td>
+                    <td className="px-4 py-3 text-sm text-gray-900">{getCourtName(booking.court)}</td>
                     <td className="px-4 py-3 text-sm font-mono text-gray-500">{booking.booking_id}</td>
                   </tr>
                 ))
@@ -440,7 +442,7 @@ function TeamCard({ team, onClick, onViewDetails, inSeason, isSelected }) {
         <div className="text-xs text-gray-600 truncate mt-1">{team.school_name || team.organization}</div>
       )}
       {team.court_rate && (
-        <div className="text-xs text-green-600 font-medium mt-1">${parseFloat(team.court_rate).toFixed(2)}/hr</div>
+        <div className="text-xs text-green-600 font-medium mt-1">${team.court_rate.toFixed(2)}/hr</div>
       )}
       <button
         onClick={(e) => {
@@ -507,7 +509,7 @@ function TeamDetailModal({ team, onClose, onEdit, onDuplicate, onDelete }) {
           {team.court_rate && (
             <div>
               <span className="text-sm font-medium text-gray-500">Court Rate:</span>
-              <p className="text-gray-900">${parseFloat(team.court_rate).toFixed(2)}/hr</p>
+              <p className="text-gray-900">${team.court_rate.toFixed(2)}/hr</p>
             </div>
           )}
           {team.season_start && team.season_end && (
@@ -583,7 +585,7 @@ function TeamFormModal({ isOpen, onClose, team, onSubmit }) {
         default_courts: team.default_courts || '',
         season_start: team.season_start || '',
         season_end: team.season_end || '',
-        court_rate: team.court_rate || '',
+        court_rate: team.court_rate ?? '',
         notes: team.notes || '',
       });
     } else {
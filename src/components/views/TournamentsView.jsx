@@ -8,6 +8,7 @@ import Modal from '../common/Modal.jsx';
 import Input from '../common/Input.jsx';
 import { Textarea } from '../common/Input.jsx';
 import { useToast } from '../common/Toast.jsx';
+import { useApiErrorHandler } from '../../hooks/useApiErrorHandler.js';
 import TournamentBookingModal from '../booking/TournamentBookingModal.jsx';
 
 /**
@@ -18,6 +19,7 @@ export default function TournamentsView({ onBookingClick }) {
   const { bookings, loading: bookingsLoading } = useBookingsContext();
   const { getCourtName } = useCourts();
   const { showToast } = useToast();
+  const { handleApiError } = useApiErrorHandler();
 
   const [tournamentsFilter, setTournamentsFilter] = useState('upcoming');
   const [bookingsFilter, setBookingsFilter] = useState('upcoming');
@@ -95,7 +97,7 @@ export default function TournamentsView({ onBookingClick }) {
         setSelectedTournament(null);
         refreshTournaments();
       } else {
-        showToast(result.error || 'Failed to cancel tournament', 'error');
+        handleApiError(result, { fallbackMessage: 'Failed to cancel tournament' });
       }
     } catch (error) {
       showToast('Failed to cancel tournament', 'error');
@@ -117,7 +119,7 @@ export default function TournamentsView({ onBookingClick }) {
         setEditingTournament(null);
         refreshTournaments();
       } else {
-        showToast(result.error || 'Failed to save tournament', 'error');
+        handleApiError(result, { fallbackMessage: 'Failed to save tournament' });
       }
     } catch (error) {
       showToast('Failed to save tournament', 'error');
@@ -286,7 +288,7 @@ export default function TournamentsView({ onBookingClick }) {
                       {formatTimeDisplay(booking.time_start)} - {formatTimeDisplay(booking.time_end)}
                     </td>
                     <td className="px-4 py-3 text-sm font-medium text-gray-900">{booking.customer_name || 'Tournament'}</td>
-                    <td className="px-4 py-3 text-sm text-gray-900">{getCourtName(parseInt(booking.court, 10))}</td>
+                    <td className="px-4 py-3 text-sm text-gray-900">{getCourtName(booking.court)}</td>
                     <td className="px-4 py-3 text-sm font-mono text-gray-500">{booking.booking_id}</td>
                   </tr>
                 ))
@@ -19,21 +19,63 @@ export const CONFIG = {
   // Apps Script URL (LIVE)
   APPS_SCRIPT_URL: 'https://script.google.com/macros/s/AKfycbxL-Ox9W67VmpSa60kk2SNoqA76HxveHzcpdsgFysVQRYmpAYRYAfQ6gUFIAr1q3scjQw/exec',
 
+  // Data backend: 'sheets' (live Google Sheet) or 'local' (IndexedDB stand-in)
+  // Set VITE_DATA_BACKEND=local in .env.local for training and demos
+  DATA_BACKEND: import.meta.env.VITE_DATA_BACKEND || 'sheets',
+  // Optional JSON file used to seed the local backend on first run
+  LOCAL_SEED_URL: import.meta.env.VITE_LOCAL_SEED_URL || '',
+  // Local mock Apps Script server (npm run mock-server), e.g. http://localhost:8787
+  // When set, the sheets backend reads and writes there instead of production
+  MOCK_SERVER_URL: import.meta.env.VITE_MOCK_SERVER_URL || '',
+
   // Time configuration
+  // Defaults only - the config sheet overrides these (see utils/facilityConfig.js)
   DAY_START_HOUR: 8,
   DAY_START_MINUTE: 0,
   DAY_END_HOUR: 21,
   DAY_END_MINUTE: 0,
   SLOT_MINUTES: 30,
 
-  // Courts
+  // Facility that rows with a blank facility_id belong to (see utils/facilities.js)
+  MAIN_FACILITY_ID: 'rebsamen',
+  MAIN_FACILITY_NAME: 'Rebsamen Tennis Center',
+  // Where sunset is worked out for night lighting (see utils/sunset.js)
+  LOCATION: {
+    LATITUDE: 34.7465,
+    LONGITUDE: -92.2896,
+    TIME_ZONE: 'America/Chicago',
+  },
+
+  // Courts (defaults, also overridable from the config sheet)
   TOTAL_COURTS: 17,
   STADIUM_COURT_NUMBER: 17,
 
   // Refresh interval in ms
   REFRESH_INTERVAL: 60000, // 1 minute
+  // Apps Script request timeout in ms
+  API_TIMEOUT: 30000,
+  // Live change notifications: how long the server may hold a long-poll,
+  // and how long to wait before reconnecting after an error
+  LIVE_POLL_TIMEOUT: 20000,
+  LIVE_RETRY_DELAY: 10000,
+  // Full reload interval in ms - refreshes in between only pull changed rows
+  FULL_RELOAD_INTERVAL: 900000, // 15 minutes
+
+  // No-show sweep (see findNoShowCandidates in utils/cancellationPolicy.js):
+  // minutes after a booking ends before it is flagged, and how many days
+  // back the sweep looks
+  NO_SHOW_GRACE_MINUTES: 15,
+  NO_SHOW_LOOKBACK_DAYS: 1,
 };
 
+if (CONFIG.MOCK_SERVER_URL) {
+  const base = CONFIG.MOCK_SERVER_URL.replace(/\/$/, '');
+  Object.keys(CONFIG.CSV_URLS).forEach(collection => {
+    CONFIG.CSV_URLS[collection] = `${base}/csv/${collection}`;
+  });
+  CONFIG.APPS_SCRIPT_URL = `${base}/exec`;
+}
+
 // Booking type enum values
 export const BOOKING_TYPES = {
   OPEN: 'open',
@@ -47,6 +89,15 @@ export const BOOKING_TYPES = {
   HOLD: 'hold',
 };
 
+// Customer pricing tiers (priced by rate_tier_<tier> rows, see utils/rates.js)
+export const CUSTOMER_TIERS = {
+  RESIDENT: 'resident',
+  NON_RESIDENT: 'non_resident',
+  SENIOR: 'senior',
+  JUNIOR: 'junior',
+  MEMBER: 'member',
+};
+
 // Booking status values
 export const BOOKING_STATUS = {
   ACTIVE: 'active',
@@ -90,5 +141,21 @@ export const PAYMENT_METHODS = {
   CHECK: 'check',
   INVOICE: 'invoice',
   CARD: 'card',
+  // Drawn from the customer's credit ledger (see utils/credits.js)
+  CREDIT: 'credit',
   NA: 'na',
 };
+
+// Customer credit ledger: what a lot holds (dollars or prepaid visits)
+export const CREDIT_KINDS = {
+  CREDIT: 'credit',
+  PACKAGE: 'package',
+};
+
+// Customer credit ledger entry types
+export const CREDIT_ENTRY_TYPES = {
+  ISSUE: 'issue',
+  REDEEM: 'redeem',
+  EXPIRE: 'expire',
+  ADJUST: 'adjust',
+};
@@ -1,67 +1,237 @@
-import { createContext, useContext, useState, useCallback, useEffect } from 'react';
-import { fetchBookings as apiFetchBookings, fetchClosures } from '../utils/api.js';
+import { createContext, useContext, useState, useCallback, useEffect, useMemo, useRef } from 'react';
+import { fetchChangesSince } from '../utils/api.js';
+import {
+  loadCollection,
+  refreshCollections,
+  getLoadedCollections,
+  setCollectionRows,
+  setLoadTransform,
+  selectBy,
+  getCollectionState,
+} from '../utils/dataStore.js';
+import { useCollection } from '../hooks/useCollection.js';
+import { useFacility } from '../hooks/useFacility.js';
+import { filterByFacility, isInFacility } from '../utils/facilities.js';
 import { CONFIG } from '../config.js';
 import { parseTimeToMinutes } from '../utils/timeUtils.js';
+import {
+  applyPendingBookingMutations,
+  replayOutbox,
+  getOutboxEntries,
+  subscribeOutbox,
+  OUTBOX_STATUS,
+} from '../utils/outbox.js';
+import { mergeChangedRows } from '../utils/sync.js';
+import { getBookingRowKey, isLegacyBookingId } from '../utils/bookingId.js';
+import { parseEntity } from '../utils/schema.js';
+import { applyChange, invertChange, getChangeBookingIds } from '../utils/optimistic.js';
+import { getApiErrorMessage } from '../utils/apiErrors.js';
+import { publishLocalUpdate, subscribeLocalUpdates, subscribeRemoteChanges } from '../utils/liveUpdates.js';
+import { useToast } from '../components/common/Toast.jsx';
+
+// Rows written shortly before a full load may not be in the published CSV yet,
+// so the first incremental sync after a full load looks back this far
+const SYNC_OVERLAP_MS = 5 * 60 * 1000;
+
+// Collections this provider loads and syncs itself
+const OWN_COLLECTIONS = ['bookings', 'closures'];
 
 const BookingsContext = createContext(null);
 
 /**
  * Bookings Context Provider
- * Manages bookings state with auto-refresh
+ * Manages bookings state with auto-refresh. Rows live in the central
+ * data store (utils/dataStore.js); this provider owns loading, syncing
+ * and optimistic changes for bookings and closures.
+ *
+ * bookings and closures are scoped to the facility chosen in the Header;
+ * allBookings covers every facility for cross-facility reports.
  */
 export function BookingsProvider({ children }) {
-  const [bookings, setBookings] = useState([]);
-  const [closures, setClosures] = useState([]);
-  const [loading, setLoading] = useState(true);
-  const [error, setError] = useState(null);
+  const { rows: allBookings, byId: bookingsById, loading, error } = useCollection('bookings', { autoLoad: false });
+  const { rows: allClosures } = useCollection('closures', { autoLoad: false });
+  const { facilityId } = useFacility();
+  const bookings = useMemo(() => filterByFacility(allBookings, facilityId), [allBookings, facilityId]);
+  const closures = useMemo(
+    () => allClosures.filter(c => c.is_active && isInFacility(c, facilityId)),
+    [allClosures, facilityId]
+  );
+  const setBookings = useCallback((rowsOrUpdater) => setCollectionRows('bookings', rowsOrUpdater), []);
   const [lastRefresh, setLastRefresh] = useState(null);
+  const [outboxEntries, setOutboxEntries] = useState(() => getOutboxEntries());
+  const toast = useToast();
+
+  // Optimistic changes not yet confirmed by the server, keyed by id:
+  // { change, inverse, label, outboxId, published }
+  const transactionsRef = useRef(new Map());
+  const [transactionCount, setTransactionCount] = useState(0);
+
+  // Incremental sync cursors per collection, and when the last full load ran
+  const syncCursorsRef = useRef({ bookings: null, closures: null });
+  const lastFullLoadRef = useRef(0);
+
+  /**
+   * Re-apply in-flight optimistic changes on top of freshly loaded rows
+   * @param {Array<object>} rows
+   * @returns {Array<object>}
+   */
+  const applyInFlight = (rows) => {
+    let result = rows;
+    transactionsRef.current.forEach(tx => {
+      result = applyChange(result, tx.change);
+    });
+    return result;
+  };
+
+  // Keep optimistic changes that are still waiting in the outbox or in flight
+  useEffect(() => {
+    setLoadTransform('bookings', rows => applyInFlight(applyPendingBookingMutations(rows)));
+    return () => setLoadTransform('bookings', null);
+  }, []);
 
   const fetchBookings = useCallback(async () => {
     try {
-      setLoading(true);
-      setError(null);
+      const cursor = new Date(Date.now() - SYNC_OVERLAP_MS).toISOString();
       console.log('[BookingsContext] Fetching bookings and closures...');
       const [bookingsData, closuresData] = await Promise.all([
-        apiFetchBookings(),
-        fetchClosures().catch(() => []), // Gracefully handle missing closures sheet
+        loadCollection('bookings', { force: true }),
+        loadCollection('closures', { force: true }).catch(() => []), // Gracefully handle missing closures sheet
       ]);
       console.log('[BookingsContext] Received bookings:', bookingsData.length);
       console.log('[BookingsContext] Received closures:', closuresData.length);
-      setBookings(bookingsData);
-      setClosures(closuresData.filter(c => c.is_active === 'TRUE'));
+      syncCursorsRef.current = { bookings: cursor, closures: cursor };
+      lastFullLoadRef.current = Date.now();
       setLastRefresh(new Date());
     } catch (err) {
+      // The error is kept on the store entry and shown from there
       console.error('[BookingsContext] Error fetching data:', err);
-      setError(err.message || 'Failed to fetch data');
-    } finally {
-      setLoading(false);
     }
   }, []);
 
+  /**
+   * Pull only rows changed since the last sync and merge them into state.
+   * Falls back to a full reload when there is no cursor yet, when the
+   * periodic full reload is due, or when the backend can't serve changes.
+   */
+  const syncChanges = useCallback(async () => {
+    const cursors = syncCursorsRef.current;
+    const fullReloadDue = Date.now() - lastFullLoadRef.current >= CONFIG.FULL_RELOAD_INTERVAL;
+    if (!cursors.bookings || fullReloadDue) {
+      return fetchBookings();
+    }
+
+    try {
+      const bookingChanges = await fetchChangesSince('bookings', cursors.bookings);
+      const merged = mergeChangedRows(
+        getCollectionState('bookings').rows,
+        bookingChanges.rows,
+        'booking_id',
+        bookingChanges.deletedIds,
+        { rowKey: getBookingRowKey, isSharedId: isLegacyBookingId }
+      );
+      if (!merged) {
+        console.log('[BookingsContext] Changes to legacy booking IDs, doing full reload');
+        return fetchBookings();
+      }
+      setBookings(applyInFlight(applyPendingBookingMutations(merged)));
+      syncCursorsRef.current.bookings = bookingChanges.serverTime;
+    } catch (err) {
+      console.warn('[BookingsContext] Incremental sync failed, doing full reload:', err);
+      return fetchBookings();
+    }
+
+    try {
+      const closureChanges = await fetchChangesSince('closures', cursors.closures);
+      setCollectionRows('closures', prev =>
+        mergeChangedRows(prev, closureChanges.rows, 'closure_id', closureChanges.deletedIds)
+      );
+      syncCursorsRef.current.closures = closureChanges.serverTime;
+    } catch (err) {
+      // Closures sheet may not exist; the next full reload picks up any changes
+      console.log('[BookingsContext] Closure changes unavailable:', err.message);
+    }
+
+    setLastRefresh(new Date());
+  }, [fetchBookings, setBookings]);
+
+  // Coalesces sync requests from live notifications so only one runs at a time
+  const syncStateRef = useRef({ running: false, again: false });
+
+  /**
+   * Run an incremental sync now, or right after the one in progress
+   */
+  const requestSync = useCallback(async () => {
+    const state = syncStateRef.current;
+    if (state.running) {
+      state.again = true;
+      return;
+    }
+    state.running = true;
+    try {
+      do {
+        state.again = false;
+        await syncChanges();
+      } while (state.again);
+    } finally {
+      state.running = false;
+    }
+  }, [syncChanges]);
+
+  /**
+   * Send any queued offline writes, then reload so the grid reflects
+   * what the server accepted
+   */
+  const syncOutbox = useCallback(async () => {
+    const hasPending = getOutboxEntries().some(e => e.status === OUTBOX_STATUS.PENDING);
+    if (!hasPending) return;
+    const { sent, failed } = await replayOutbox();
+    if (sent || failed) {
+      await fetchBookings();
+    }
+  }, [fetchBookings]);
+
   // Initial fetch and auto-refresh setup
   useEffect(() => {
     fetchBookings();
+    syncOutbox();
 
-    // Auto-refresh every minute
+    // Auto-refresh every minute (incremental, with periodic full reload)
     const interval = setInterval(() => {
-      fetchBookings();
+      syncOutbox();
+      syncChanges();
     }, CONFIG.REFRESH_INTERVAL);
 
-    return () => clearInterval(interval);
-  }, [fetchBookings]);
+    // Replay queued writes as soon as the connection returns
+    window.addEventListener('online', syncOutbox);
+
+    return () => {
+      clearInterval(interval);
+      window.removeEventListener('online', syncOutbox);
+    };
+  }, [fetchBookings, syncOutbox, syncChanges]);
 
   const refreshBookings = useCallback(() => {
     return fetchBookings();
   }, [fetchBookings]);
 
+  /**
+   * Reload bookings and every other collection in use, together
+   */
+  const refreshAll = useCallback(() => {
+    const others = getLoadedCollections().filter(name => !OWN_COLLECTIONS.includes(name));
+    return Promise.all([fetchBookings(), refreshCollections(others)]);
+  }, [fetchBookings]);
+
   /**
    * Get bookings for a specific date
+   * Reads the store's date index, which is rebuilt for each new rows
+   * array, so allBookings is what the callback depends on.
    * @param {string} date - Date in YYYY-MM-DD format
    * @returns {Array}
    */
   const getBookingsForDate = useCallback((date) => {
-    return bookings.filter(b => b.date === date);
-  }, [bookings]);
+    return selectBy('bookings', 'date', date).filter(b => isInFacility(b, facilityId));
+  }, [allBookings, facilityId]);
 
   /**
    * Get bookings for a specific court on a date
@@ -70,11 +240,8 @@ export function BookingsProvider({ children }) {
    * @returns {Array}
    */
   const getBookingsForDateAndCourt = useCallback((date, court) => {
-    return bookings.filter(b =>
-      b.date === date &&
-      parseInt(b.court, 10) === court
-    );
-  }, [bookings]);
+    return getBookingsForDate(date).filter(b => b.court === court);
+  }, [getBookingsForDate]);
 
   /**
    * Get booking by ID
@@ -82,8 +249,8 @@ export function BookingsProvider({ children }) {
    * @returns {object|null}
    */
   const getBookingById = useCallback((bookingId) => {
-    return bookings.find(b => b.booking_id === bookingId) || null;
-  }, [bookings]);
+    return bookingsById.get(bookingId) || null;
+  }, [bookingsById]);
 
   /**
    * Check if a time slot is available
@@ -206,29 +373,170 @@ export function BookingsProvider({ children }) {
   }, [closures]);
 
   /**
-   * Add a new booking to local state (optimistic update)
+   * Forget a confirmed optimistic change
    */
-  const addBookingLocal = useCallback((booking) => {
-    setBookings(prev => [...prev, booking]);
+  const settleTransaction = useCallback((txId) => {
+    if (transactionsRef.current.delete(txId)) {
+      setTransactionCount(transactionsRef.current.size);
+    }
   }, []);
 
   /**
-   * Update a booking in local state (optimistic update)
+   * Undo an optimistic change the server rejected
+   * @param {string} txId
+   * @param {string} reason - Shown in the toast when nobody else reports the failure
    */
-  const updateBookingLocal = useCallback((bookingId, updates) => {
-    setBookings(prev => prev.map(b =>
-      b.booking_id === bookingId ? { ...b, ...updates } : b
-    ));
-  }, []);
+  const rollbackTransaction = useCallback((txId, reason = '') => {
+    const tx = transactionsRef.current.get(txId);
+    if (!tx) return;
+    transactionsRef.current.delete(txId);
+    setTransactionCount(transactionsRef.current.size);
+    setBookings(prev => tx.inverse.reduce(applyChange, prev));
+    if (tx.published) {
+      publishLocalUpdate({ type: 'bookings', changes: tx.inverse });
+    }
+    console.warn(`[BookingsContext] Rolled back ${tx.label}`, reason);
+    toast.warning(reason ? `Undid ${tx.label}: ${reason}` : `Undid ${tx.label} - it was not saved`, 8000);
+  }, [toast]);
+
+  /**
+   * Apply a booking change locally, then send it to the server
+   * The change shows immediately with a pending style. If the server
+   * rejects it (now, or later when a queued write is replayed) it is
+   * rolled back and a toast says what was undone. Updates bump the local
+   * version the same way the server does, so a follow-up edit sends the
+   * right expectedVersion.
+   * @param {object} change - See utils/optimistic.js
+   * @param {string} label - What the change is, e.g. "check-in for 0105-1400"
+   * @param {Function} request - Sends the change; resolves to the API result
+   * @returns {Promise<object>} API result
+   */
+  const runOptimistic = useCallback(async (change, label, request) => {
+    const typedChange = change.type === 'add'
+      ? { ...change, bookings: change.bookings.map(b => parseEntity('booking', b)) }
+      : change.type === 'update'
+        ? { ...change, updates: parseEntity('booking', change.updates) }
+        : change;
+
+    const txId = `tx-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+    const tx = { change: typedChange, inverse: [], label, outboxId: null };
+    transactionsRef.current.set(txId, tx);
+    setTransactionCount(transactionsRef.current.size);
+    setBookings(prev => {
+      if (typedChange.type === 'update' && typedChange.updates.version === undefined) {
+        const current = prev.find(b => b.booking_id === typedChange.bookingId);
+        typedChange.updates = { ...typedChange.updates, version: (current?.version || 0) + 1 };
+      }
+      tx.inverse = invertChange(prev, typedChange);
+      return applyChange(prev, typedChange);
+    });
+
+    let result;
+    try {
+      result = await request();
+    } catch (err) {
+      rollbackTransaction(txId);
+      throw err;
+    }
+
+    if (result.success) {
+      // Other tabs show the change straight away
+      publishLocalUpdate({ type: 'bookings', changes: [typedChange] });
+      tx.published = true;
+    }
+
+    if (!result.success) {
+      // The caller reports why; the toast only says what was undone
+      rollbackTransaction(txId);
+    } else if (result.queued) {
+      // Settled or rolled back when the outbox replays it
+      tx.outboxId = result.outboxId;
+    } else {
+      settleTransaction(txId);
+      if (typedChange.type === 'update' && Number.isInteger(result.version)) {
+        setBookings(prev => applyChange(prev, {
+          type: 'update',
+          bookingId: typedChange.bookingId,
+          updates: { version: result.version },
+        }));
+      }
+    }
+    return result;
+  }, [rollbackTransaction, settleTransaction, setBookings]);
+
+  // Resolve queued optimistic changes as the outbox replays them
+  useEffect(() => {
+    return subscribeOutbox(entries => {
+      setOutboxEntries(entries);
+      transactionsRef.current.forEach((tx, txId) => {
+        if (!tx.outboxId) return;
+        const entry = entries.find(e => e.id === tx.outboxId);
+        if (!entry) {
+          settleTransaction(txId);
+        } else if (entry.status === OUTBOX_STATUS.FAILED) {
+          rollbackTransaction(txId, getApiErrorMessage(entry, entry.error || 'the server rejected it'));
+        }
+      });
+    });
+  }, [settleTransaction, rollbackTransaction]);
+
+  // Changes from other tabs arrive instantly; other terminals via the backend
+  useEffect(() => {
+    const unsubscribeLocal = subscribeLocalUpdates(message => {
+      if (message?.type === 'bookings') {
+        setBookings(prev => message.changes.reduce(applyChange, prev));
+      } else if (message?.type === 'invalidate') {
+        requestSync();
+      }
+    });
+    const unsubscribeRemote = subscribeRemoteChanges(collections => {
+      console.log('[BookingsContext] Remote changes in', collections.join(', '));
+      if (collections.some(name => OWN_COLLECTIONS.includes(name))) {
+        requestSync();
+      }
+      // Teams, courts, etc. are reloaded only if something is using them
+      const loaded = getLoadedCollections();
+      const others = collections.filter(name => !OWN_COLLECTIONS.includes(name) && loaded.includes(name));
+      if (others.length > 0) refreshCollections(others);
+    });
+    return () => {
+      unsubscribeLocal();
+      unsubscribeRemote();
+    };
+  }, [requestSync, setBookings]);
+
+  /**
+   * Bookings with changes the server has not confirmed yet
+   */
+  const pendingBookingIds = useMemo(() => {
+    const ids = new Set();
+    transactionsRef.current.forEach(tx => {
+      getChangeBookingIds(tx.change).forEach(id => ids.add(id));
+    });
+    outboxEntries
+      .filter(e => e.status === OUTBOX_STATUS.PENDING)
+      .forEach(({ data }) => {
+        if (data.bookingId) ids.add(data.bookingId);
+        if (data.booking) {
+          (Array.isArray(data.booking) ? data.booking : [data.booking])
+            .forEach(b => ids.add(b.booking_id));
+        }
+      });
+    return ids;
+    // transactionCount tracks changes to transactionsRef
+  }, [transactionCount, outboxEntries]);
 
   const value = {
     bookings,
+    allBookings,
     closures,
     loading,
     error,
     lastRefresh,
     fetchBookings,
     refreshBookings,
+    refreshAll,
+    syncOutbox,
     getBookingsForDate,
     getBookingsForDateAndCourt,
     getBookingById,
@@ -236,8 +544,8 @@ export function BookingsProvider({ children }) {
     getConflicts,
     isSlotClosed,
     getClosureConflicts,
-    addBookingLocal,
-    updateBookingLocal,
+    runOptimistic,
+    pendingBookingIds,
   };
 
   return (
@@ -0,0 +1,74 @@
+import { useCallback } from 'react';
+import { useToast } from '../components/common/Toast.jsx';
+import { useBookingsContext } from '../context/BookingsContext.jsx';
+import { API_ERROR_TYPES, getApiErrorMessage } from '../utils/apiErrors.js';
+
+/**
+ * Hook for reporting failed Apps Script calls
+ *
+ * handleApiError(result, options) shows a toast for the error type and
+ * returns the clashing bookings when the failure was a conflict, so the
+ * caller can show its conflict screen with the real bookings.
+ */
+export function useApiErrorHandler() {
+  const toast = useToast();
+  const { getBookingById, getConflicts, refreshBookings } = useBookingsContext();
+
+  /**
+   * Match a conflict error to bookings loaded in this browser
+   * @param {object} apiError - Typed error from callAppsScript
+   * @param {Array<object>} proposedBookings - Bookings that were being created
+   * @returns {Array<object>}
+   */
+  const resolveConflicts = useCallback((apiError, proposedBookings) => {
+    const resolved = new Map();
+    const addLocalClashes = (proposed) => {
+      getConflicts(proposed.date, proposed.court, proposed.time_start, proposed.time_end, proposed.booking_id)
+        .forEach(b => resolved.set(b.booking_id, b));
+    };
+
+    (apiError.conflicts || []).forEach(conflict => {
+      if (conflict.booking_id) {
+        resolved.set(conflict.booking_id, getBookingById(conflict.booking_id) || conflict);
+        return;
+      }
+      // Legacy servers only report court and start time
+      proposedBookings
+        .filter(b => b.court === conflict.court &&
+          (!conflict.time_start || b.time_start === conflict.time_start))
+        .forEach(addLocalClashes);
+    });
+
+    if (resolved.size === 0) {
+      proposedBookings.forEach(addLocalClashes);
+    }
+    return [...resolved.values()];
+  }, [getBookingById, getConflicts]);
+
+  /**
+   * Report a failed call
+   * @param {object} result - Typed error from callAppsScript
+   * @param {object} options
+   * @param {string} options.fallbackMessage - Shown for unclassified errors
+   * @param {Array<object>} options.proposedBookings - Bookings being written, for conflict lookup
+   * @returns {Array<object>} Clashing bookings (empty unless a conflict was found)
+   */
+  const handleApiError = useCallback((result, { fallbackMessage, proposedBookings = [] } = {}) => {
+    console.warn(`[API] ${result.errorType || 'error'}:`, result.error);
+
+    if (result.errorType === API_ERROR_TYPES.CONFLICT) {
+      const conflicts = resolveConflicts(result, proposedBookings);
+      if (conflicts.length > 0) return conflicts;
+
+      // The clashing booking was made elsewhere and has not synced here yet
+      toast.error('This slot was just booked from another device. Reloading bookings...');
+      refreshBookings();
+      return [];
+    }
+
+    toast.error(getApiErrorMessage(result, fallbackMessage));
+    return [];
+  }, [resolveConflicts, toast, refreshBookings]);
+
+  return { handleApiError };
+}
@@ -1,9 +1,11 @@
-import { useState, useEffect, useCallback, useMemo } from 'react';
-import { fetchClosures } from '../utils/api.js';
+import { useCallback, useMemo } from 'react';
+import { useCollection } from './useCollection.js';
+import { useFacility } from './useFacility.js';
+import { isInFacility } from '../utils/facilities.js';
 import { parseTimeToMinutes } from '../utils/timeUtils.js';
 
 /**
- * Hook for fetching and managing court closures data
+ * Hook for reading court closures from the data store
  *
  * CSV Expected Columns:
  * - date: YYYY-MM-DD format
@@ -11,33 +13,18 @@ import { parseTimeToMinutes } from '../utils/timeUtils.js';
  * - time_start: HH:MM format or "00:00" for full day
  * - time_end: HH:MM format or "21:00" for full day
  * - reason: text description
- * - is_active: TRUE/FALSE
+ * - is_active: TRUE/FALSE (typed as boolean by schema.js)
+ * - facility_id: blank for the main facility (see utils/facilities.js)
  */
 export function useClosures() {
-  const [closures, setClosures] = useState([]);
-  const [loading, setLoading] = useState(true);
-  const [error, setError] = useState(null);
-
-  const loadClosures = useCallback(async () => {
-    try {
-      setLoading(true);
-      setError(null);
-      const data = await fetchClosures();
-      // Filter to active closures only
-      const activeClosures = data.filter(c => c.is_active === 'TRUE');
-      setClosures(activeClosures);
-    } catch (err) {
-      console.error('[useClosures] Error:', err);
-      setError(err.message || 'Failed to fetch closures');
-      setClosures([]);
-    } finally {
-      setLoading(false);
-    }
-  }, []);
+  const { rows, loading, error, refresh } = useCollection('closures');
+  const { facilityId } = useFacility();
 
-  useEffect(() => {
-    loadClosures();
-  }, [loadClosures]);
+  // Filter to active closures at this facility
+  const closures = useMemo(
+    () => rows.filter(c => c.is_active && isInFacility(c, facilityId)),
+    [rows, facilityId]
+  );
 
   /**
    * Check if a specific slot is closed
@@ -112,7 +99,7 @@ export function useClosures() {
     closures,
     loading,
     error,
-    refresh: loadClosures,
+    refresh,
     isSlotClosed,
     isRangeClosed,
     getClosuresForDate,
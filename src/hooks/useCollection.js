@@ -0,0 +1,38 @@
+import { useEffect, useCallback, useSyncExternalStore } from 'react';
+import {
+  subscribeStore,
+  getCollectionState,
+  loadCollection,
+} from '../utils/dataStore.js';
+
+/**
+ * Hook for reading a collection from the central data store
+ * Loads the collection on first use; components mounting at the same
+ * time share one request (see utils/dataStore.js).
+ * @param {string} collection - e.g. 'courts', 'teams'
+ * @param {object} options
+ * @param {boolean} options.autoLoad - Load if not loaded yet (default true)
+ * @returns {{ rows: Array<object>, byId: Map, loading: boolean, error: string|null, loadedAt: Date|null, refresh: Function }}
+ */
+export function useCollection(collection, { autoLoad = true } = {}) {
+  const state = useSyncExternalStore(subscribeStore, () => getCollectionState(collection));
+
+  useEffect(() => {
+    if (!autoLoad) return;
+    // Errors are kept in the store entry
+    loadCollection(collection).catch(() => {});
+  }, [collection, autoLoad]);
+
+  const refresh = useCallback(() => {
+    return loadCollection(collection, { force: true }).catch(() => {});
+  }, [collection]);
+
+  return {
+    rows: state.rows,
+    byId: state.byId,
+    loading: state.status === 'idle' || state.status === 'loading',
+    error: state.error,
+    loadedAt: state.loadedAt,
+    refresh,
+  };
+}
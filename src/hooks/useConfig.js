@@ -1,31 +1,14 @@
-import { useState, useEffect, useCallback } from 'react';
-import { fetchConfig } from '../utils/api.js';
+import { useCallback } from 'react';
+import { useCollection } from './useCollection.js';
+import { useFacility } from './useFacility.js';
 
 /**
- * Hook for fetching facility config data
+ * Hook for reading facility config from the data store
+ * Rows for the current facility win over shared rows (blank facility_id).
  */
 export function useConfig() {
-  const [config, setConfig] = useState([]);
-  const [loading, setLoading] = useState(true);
-  const [error, setError] = useState(null);
-
-  const loadConfig = useCallback(async () => {
-    try {
-      setLoading(true);
-      setError(null);
-      const data = await fetchConfig();
-      setConfig(data);
-    } catch (err) {
-      console.error('[useConfig] Error:', err);
-      setError(err.message || 'Failed to fetch config');
-    } finally {
-      setLoading(false);
-    }
-  }, []);
-
-  useEffect(() => {
-    loadConfig();
-  }, [loadConfig]);
+  const { rows: config, loading, error, refresh } = useCollection('config');
+  const { facilityId } = useFacility();
 
   /**
    * Get config value by key
@@ -33,15 +16,17 @@ export function useConfig() {
    * @returns {string|null}
    */
   const getConfigValue = useCallback((key) => {
-    const item = config.find(c => c.key === key || c.setting === key);
+    const matches = config.filter(c => c.key === key || c.setting === key);
+    const item = matches.find(c => c.facility_id && c.facility_id === facilityId) ||
+      matches.find(c => !c.facility_id);
     return item?.value || null;
-  }, [config]);
+  }, [config, facilityId]);
 
   return {
     config,
     loading,
     error,
-    refresh: loadConfig,
+    refresh,
     getConfigValue,
   };
 }
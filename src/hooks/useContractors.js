@@ -1,35 +1,16 @@
-import { useState, useEffect, useCallback } from 'react';
-import { fetchContractors } from '../utils/api.js';
+import { useCallback, useMemo } from 'react';
+import { useCollection } from './useCollection.js';
 
 /**
- * Hook for fetching contractors data
+ * Hook for reading contractors from the data store
  */
 export function useContractors() {
-  const [contractors, setContractors] = useState([]);
-  const [loading, setLoading] = useState(true);
-  const [error, setError] = useState(null);
+  const { rows, loading, error, refresh } = useCollection('contractors');
 
-  const loadContractors = useCallback(async () => {
-    try {
-      setLoading(true);
-      setError(null);
-      const data = await fetchContractors();
-      // Filter to active contractors
-      const active = data.filter(c =>
-        c.status === 'active' || c.is_active === 'TRUE' || c.is_active === true
-      );
-      setContractors(active);
-    } catch (err) {
-      console.error('[useContractors] Error:', err);
-      setError(err.message || 'Failed to fetch contractors');
-    } finally {
-      setLoading(false);
-    }
-  }, []);
-
-  useEffect(() => {
-    loadContractors();
-  }, [loadContractors]);
+  // Filter to active contractors
+  const contractors = useMemo(() => {
+    return rows.filter(c => c.status === 'active' || c.is_active);
+  }, [rows]);
 
   /**
    * Get contractor by ID
@@ -55,7 +36,7 @@ export function useContractors() {
     contractors,
     loading,
     error,
-    refresh: loadContractors,
+    refresh,
     getContractorById,
     contractorOptions,
   };
@@ -1,36 +1,24 @@
-import { useState, useEffect, useCallback } from 'react';
-import { fetchCourts } from '../utils/api.js';
-import { CONFIG } from '../config.js';
+import { useCallback, useMemo } from 'react';
+import { useCollection } from './useCollection.js';
+import { useFacilityConfig } from './useFacilityConfig.js';
+import { useFacility } from './useFacility.js';
+import { filterByFacility } from '../utils/facilities.js';
 
 /**
- * Hook for fetching and managing courts data
+ * Hook for reading the current facility's courts from the data store
+ * Court numbers restart at 1 for every facility.
  */
 export function useCourts() {
-  const [courts, setCourts] = useState([]);
-  const [loading, setLoading] = useState(true);
-  const [error, setError] = useState(null);
+  const { rows, loading, error, refresh } = useCollection('courts');
+  const { stadiumCourtNumber } = useFacilityConfig();
+  const { facilityId } = useFacility();
 
-  const loadCourts = useCallback(async () => {
-    try {
-      setLoading(true);
-      setError(null);
-      const data = await fetchCourts();
-      // Sort by display order
-      const sorted = data.sort((a, b) =>
-        (parseInt(a.display_order, 10) || 0) - (parseInt(b.display_order, 10) || 0)
-      );
-      setCourts(sorted);
-    } catch (err) {
-      console.error('[useCourts] Error:', err);
-      setError(err.message || 'Failed to fetch courts');
-    } finally {
-      setLoading(false);
-    }
-  }, []);
+  // Sort by display order
+  const courts = useMemo(() => {
+    return [...filterByFacility(rows, facilityId)].sort((a, b) => a.display_order - b.display_order);
+  }, [rows, facilityId]);
 
-  useEffect(() => {
-    loadCourts();
-  }, [loadCourts]);
+  const byNumber = useMemo(() => new Map(courts.map(c => [c.court_number, c])), [courts]);
 
   /**
    * Get court by number
@@ -38,8 +26,8 @@ export function useCourts() {
    * @returns {object|null}
    */
   const getCourtByNumber = useCallback((courtNumber) => {
-    return courts.find(c => parseInt(c.court_number, 10) === courtNumber) || null;
-  }, [courts]);
+    return byNumber.get(courtNumber) || null;
+  }, [byNumber]);
 
   /**
    * Get court name
@@ -47,18 +35,18 @@ export function useCourts() {
    * @returns {string}
    */
   const getCourtName = useCallback((courtNumber) => {
-    if (courtNumber === CONFIG.STADIUM_COURT_NUMBER) {
+    if (courtNumber === stadiumCourtNumber) {
       return 'Stadium';
     }
     const court = getCourtByNumber(courtNumber);
     return court?.court_name || `Court ${courtNumber}`;
-  }, [getCourtByNumber]);
+  }, [getCourtByNumber, stadiumCourtNumber]);
 
   /**
    * Get all court options for dropdowns
    */
   const courtOptions = courts.map(c => ({
-    value: parseInt(c.court_number, 10),
+    value: c.court_number,
     label: c.court_name || `Court ${c.court_number}`,
     status: c.status,
   }));
@@ -67,7 +55,7 @@ export function useCourts() {
     courts,
     loading,
     error,
-    refresh: loadCourts,
+    refresh,
     getCourtByNumber,
     getCourtName,
     courtOptions,
@@ -0,0 +1,38 @@
+import { useCallback, useMemo } from 'react';
+import { useCollection } from './useCollection.js';
+import { getCustomerAccounts, findCustomerAccount } from '../utils/credits.js';
+
+/**
+ * Hook for the customer credit ledger
+ * Balances are worked out from the ledger entries (see utils/credits.js);
+ * write with recordCredits() in utils/api.js and then call refresh().
+ */
+export function useCredits() {
+  const { rows, loading, error, refresh } = useCollection('credits');
+
+  // Accounts with their credits and packages, most recent customer first
+  const accounts = useMemo(() => {
+    return getCustomerAccounts(rows).sort((a, b) =>
+      (b.lots[b.lots.length - 1]?.issued_at || '').localeCompare(a.lots[a.lots.length - 1]?.issued_at || '')
+    );
+  }, [rows]);
+
+  /**
+   * Account for a customer, matched on phone then name
+   * @param {string} customerName
+   * @param {string} [customerPhone]
+   * @returns {object|null}
+   */
+  const getAccount = useCallback((customerName, customerPhone) => {
+    return findCustomerAccount(accounts, { customer_name: customerName, customer_phone: customerPhone });
+  }, [accounts]);
+
+  return {
+    entries: rows,
+    accounts,
+    loading,
+    error,
+    refresh,
+    getAccount,
+  };
+}
@@ -0,0 +1,31 @@
+import { useMemo, useSyncExternalStore } from 'react';
+import { useCollection } from './useCollection.js';
+import {
+  subscribeFacility,
+  getCurrentFacilityId,
+  getFacilities,
+  setCurrentFacility,
+} from '../utils/facilities.js';
+
+/**
+ * Hook for the facility being scheduled and the list to switch between
+ * Re-renders when the Header switcher changes facility or the config
+ * sheet (which lists the facilities) loads.
+ * @returns {{ facilityId: string, facility: object, facilities: Array<object>, loading: boolean, setFacility: Function }}
+ */
+export function useFacility() {
+  const { rows, loading } = useCollection('config');
+  const facilityId = useSyncExternalStore(subscribeFacility, getCurrentFacilityId);
+  // getFacilities() caches per rows array
+  const facilities = useMemo(() => getFacilities(), [rows]);
+  const facility = facilities.find(f => f.id === facilityId) || { id: facilityId, name: facilityId };
+
+  return {
+    facilityId,
+    facility,
+    facilities,
+    // Until the config arrives only the main facility is known
+    loading,
+    setFacility: setCurrentFacility,
+  };
+}
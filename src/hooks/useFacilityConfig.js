@@ -0,0 +1,18 @@
+import { useMemo } from 'react';
+import { useCollection } from './useCollection.js';
+import { useFacility } from './useFacility.js';
+import { getFacilityConfig } from '../utils/facilityConfig.js';
+
+/**
+ * Hook for the current facility's settings from the config sheet
+ * Loads the config collection and re-renders once it arrives or the
+ * facility changes, so getTimeSlots() and friends pick up the
+ * configured hours.
+ * @returns {object} See utils/facilityConfig.js
+ */
+export function useFacilityConfig() {
+  const { rows } = useCollection('config');
+  const { facilityId } = useFacility();
+  // getFacilityConfig() caches per rows array and facility
+  return useMemo(() => getFacilityConfig(facilityId), [rows, facilityId]);
+}
@@ -0,0 +1,40 @@
+import { useCallback, useMemo } from 'react';
+import { useCollection } from './useCollection.js';
+import { setCollectionRows } from '../utils/dataStore.js';
+import { parseEntity } from '../utils/schema.js';
+
+/**
+ * Hook for reading maintenance tasks and the maintenance log from the data store
+ */
+export function useMaintenance() {
+  const log = useCollection('maintenanceLog');
+  const taskDefinitions = useCollection('maintenanceTasks');
+
+  // Filter to active tasks only
+  const tasks = useMemo(() => {
+    return taskDefinitions.rows.filter(t => t.is_active);
+  }, [taskDefinitions.rows]);
+
+  const refreshLog = log.refresh;
+  const refreshTasks = taskDefinitions.refresh;
+  const refresh = useCallback(() => {
+    return Promise.all([refreshLog(), refreshTasks()]);
+  }, [refreshLog, refreshTasks]);
+
+  /**
+   * Add a just-logged entry without waiting for the next reload
+   * @param {object} logEntry
+   */
+  const addLogEntry = useCallback((logEntry) => {
+    setCollectionRows('maintenanceLog', prev => [...prev, parseEntity('maintenanceLog', logEntry)]);
+  }, []);
+
+  return {
+    tasks,
+    maintenanceLog: log.rows,
+    loading: log.loading || taskDefinitions.loading,
+    error: log.error || taskDefinitions.error,
+    refresh,
+    addLogEntry,
+  };
+}
@@ -0,0 +1,82 @@
+import { useState, useEffect, useMemo, useCallback, useRef } from 'react';
+import { CONFIG, BOOKING_STATUS, CANCEL_REASONS } from '../config.js';
+import { findNoShowCandidates } from '../utils/cancellationPolicy.js';
+import { markNoShow, updateBooking } from '../utils/api.js';
+import { useBookingsContext } from '../context/BookingsContext.jsx';
+import { useStaffContext } from '../context/StaffContext.jsx';
+
+/**
+ * Hook for the no-show review queue
+ * Sweeps the facility's bookings every refresh interval, and whenever
+ * they change, for bookings that look like no-shows (see
+ * findNoShowCandidates). Staff confirm each one, which marks it a
+ * no-show in their name, or dismiss it, which records who dismissed it
+ * so it is not flagged again.
+ */
+export function useNoShowQueue() {
+  const { bookings, runOptimistic } = useBookingsContext();
+  const { initials } = useStaffContext();
+  const [now, setNow] = useState(() => new Date());
+
+  useEffect(() => {
+    const interval = setInterval(() => setNow(new Date()), CONFIG.REFRESH_INTERVAL);
+    return () => clearInterval(interval);
+  }, []);
+
+  const candidates = useMemo(() => findNoShowCandidates(bookings, now), [bookings, now]);
+
+  // Log when the sweep turns up more bookings than last time
+  const lastCountRef = useRef(0);
+  useEffect(() => {
+    if (candidates.length > lastCountRef.current) {
+      console.log(`[NoShowQueue] ${candidates.length} booking(s) waiting for review`);
+    }
+    lastCountRef.current = candidates.length;
+  }, [candidates.length]);
+
+  /**
+   * Mark a booking as a no-show, confirmed by the current staff member
+   * @param {object} booking
+   * @returns {Promise<object>} API result
+   */
+  const confirm = useCallback((booking) => {
+    return runOptimistic(
+      {
+        type: 'update',
+        bookingId: booking.booking_id,
+        updates: {
+          status: BOOKING_STATUS.NO_SHOW,
+          cancel_reason: CANCEL_REASONS.NO_SHOW,
+          cancelled_by: initials,
+          cancelled_at: new Date().toISOString(),
+        },
+      },
+      `no-show for ${booking.booking_id}`,
+      () => markNoShow(booking.booking_id, initials)
+    );
+  }, [runOptimistic, initials]);
+
+  /**
+   * Take a booking off the queue without marking it
+   * @param {object} booking
+   * @returns {Promise<object>} API result
+   */
+  const dismiss = useCallback((booking) => {
+    const updates = {
+      no_show_dismissed_by: initials,
+      no_show_dismissed_at: new Date().toISOString(),
+    };
+    return runOptimistic(
+      { type: 'update', bookingId: booking.booking_id, updates },
+      `no-show dismissal for ${booking.booking_id}`,
+      () => updateBooking(booking.booking_id, updates, booking.version)
+    );
+  }, [runOptimistic, initials]);
+
+  return {
+    candidates,
+    count: candidates.length,
+    confirm,
+    dismiss,
+  };
+}
@@ -0,0 +1,40 @@
+import { useState, useEffect, useCallback } from 'react';
+import {
+  getOutboxEntries,
+  subscribeOutbox,
+  retryEntry,
+  discardEntry,
+  OUTBOX_STATUS,
+} from '../utils/outbox.js';
+
+/**
+ * Hook for observing the offline write queue
+ */
+export function useOutbox() {
+  const [entries, setEntries] = useState(() => getOutboxEntries());
+
+  useEffect(() => {
+    // Pick up anything queued before this component mounted
+    setEntries(getOutboxEntries());
+    return subscribeOutbox(setEntries);
+  }, []);
+
+  const retry = useCallback((entryId) => {
+    retryEntry(entryId);
+  }, []);
+
+  const discard = useCallback((entryId) => {
+    discardEntry(entryId);
+  }, []);
+
+  const pendingCount = entries.filter(e => e.status === OUTBOX_STATUS.PENDING).length;
+  const failedCount = entries.filter(e => e.status === OUTBOX_STATUS.FAILED).length;
+
+  return {
+    entries,
+    pendingCount,
+    failedCount,
+    retry,
+    discard,
+  };
+}
@@ -1,35 +1,20 @@
-import { useState, useEffect, useCallback } from 'react';
-import { fetchStaff } from '../utils/api.js';
+import { useCallback, useMemo } from 'react';
+import { useCollection } from './useCollection.js';
+import { useFacility } from './useFacility.js';
+import { worksAtFacility } from '../utils/facilities.js';
 
 /**
- * Hook for fetching staff list
+ * Hook for reading the current facility's staff from the data store
  */
 export function useStaff() {
-  const [staff, setStaff] = useState([]);
-  const [loading, setLoading] = useState(true);
-  const [error, setError] = useState(null);
+  const { rows, loading, error, refresh } = useCollection('staff');
+  const { facilityId } = useFacility();
 
-  const loadStaff = useCallback(async () => {
-    try {
-      setLoading(true);
-      setError(null);
-      const data = await fetchStaff();
-      // Filter to active staff only
-      const activeStaff = data.filter(s =>
-        s.is_active === 'TRUE' || s.is_active === true || s.is_active === '1'
-      );
-      setStaff(activeStaff);
-    } catch (err) {
-      console.error('[useStaff] Error:', err);
-      setError(err.message || 'Failed to fetch staff');
-    } finally {
-      setLoading(false);
-    }
-  }, []);
-
-  useEffect(() => {
-    loadStaff();
-  }, [loadStaff]);
+  // Filter to active staff who work at this facility
+  const staff = useMemo(
+    () => rows.filter(s => s.is_active && worksAtFacility(s, facilityId)),
+    [rows, facilityId]
+  );
 
   /**
    * Get staff by initials
@@ -55,7 +40,7 @@ export function useStaff() {
     staff,
     loading,
     error,
-    refresh: loadStaff,
+    refresh,
     getStaffByInitials,
     staffOptions,
   };
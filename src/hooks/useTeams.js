@@ -1,8 +1,8 @@
-import { useState, useEffect, useCallback, useMemo } from 'react';
-import { fetchTeams } from '../utils/api.js';
+import { useCallback, useMemo } from 'react';
+import { useCollection } from './useCollection.js';
 
 /**
- * Hook for fetching teams data
+ * Hook for reading teams from the data store
  *
  * Handles various CSV column naming conventions:
  * - name OR team_name
@@ -11,27 +11,7 @@ import { fetchTeams } from '../utils/api.js';
  * - phone OR contact_phone
  */
 export function useTeams() {
-  const [rawTeams, setRawTeams] = useState([]);
-  const [loading, setLoading] = useState(true);
-  const [error, setError] = useState(null);
-
-  const loadTeams = useCallback(async () => {
-    try {
-      setLoading(true);
-      setError(null);
-      const data = await fetchTeams();
-      setRawTeams(data);
-    } catch (err) {
-      console.error('[useTeams] Error:', err);
-      setError(err.message || 'Failed to fetch teams');
-    } finally {
-      setLoading(false);
-    }
-  }, []);
-
-  useEffect(() => {
-    loadTeams();
-  }, [loadTeams]);
+  const { rows: rawTeams, loading, error, refresh } = useCollection('teams');
 
   /**
    * Normalize team data to handle various CSV column naming conventions
@@ -44,7 +24,6 @@ export function useTeams() {
       team_type: t.team_type || t.type || '', // CSV might use 'type' instead of 'team_type'
       school_name: t.school_name || t.organization || '',
       contact_phone: t.contact_phone || t.phone || '',
-      court_rate: t.court_rate || '', // Team-specific court rate
     }));
   }, [rawTeams]);
 
@@ -61,11 +40,7 @@ export function useTeams() {
    * Get active teams (is_active=TRUE) - shows all regardless of season
    */
   const activeTeams = useMemo(() => {
-    return teams.filter(t => {
-      // Check is_active flag only
-      if (t.is_active === 'FALSE' || t.is_active === false) return false;
-      return true;
-    });
+    return teams.filter(t => t.is_active);
   }, [teams]);
 
   /**
@@ -100,7 +75,7 @@ export function useTeams() {
     activeTeams,
     loading,
     error,
-    refresh: loadTeams,
+    refresh,
     getTeamById,
     teamOptions,
     isInSeason,
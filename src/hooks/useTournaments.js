@@ -1,8 +1,8 @@
-import { useState, useEffect, useCallback } from 'react';
-import { fetchTournaments } from '../utils/api.js';
+import { useCallback } from 'react';
+import { useCollection } from './useCollection.js';
 
 /**
- * Hook for fetching tournaments data
+ * Hook for reading tournaments from the data store
  *
  * TOURNAMENTS CSV STRUCTURE:
  * ========================
@@ -30,28 +30,7 @@ import { fetchTournaments } from '../utils/api.js';
  * 4. Copy the URL and add it to config.js under CSV_URLS.tournaments
  */
 export function useTournaments() {
-  const [tournaments, setTournaments] = useState([]);
-  const [loading, setLoading] = useState(true);
-  const [error, setError] = useState(null);
-
-  const loadTournaments = useCallback(async () => {
-    try {
-      setLoading(true);
-      setError(null);
-      const data = await fetchTournaments();
-      console.log('[useTournaments] Raw tournament data:', data);
-      setTournaments(data);
-    } catch (err) {
-      console.error('[useTournaments] Error:', err);
-      setError(err.message || 'Failed to fetch tournaments');
-    } finally {
-      setLoading(false);
-    }
-  }, []);
-
-  useEffect(() => {
-    loadTournaments();
-  }, [loadTournaments]);
+  const { rows: tournaments, byId, loading, error, refresh } = useCollection('tournaments');
 
   /**
    * Get tournament by ID
@@ -59,8 +38,8 @@ export function useTournaments() {
    * @returns {object|null}
    */
   const getTournamentById = useCallback((tournamentId) => {
-    return tournaments.find(t => t.tournament_id === tournamentId) || null;
-  }, [tournaments]);
+    return byId.get(tournamentId) || null;
+  }, [byId]);
 
   /**
    * Get active tournaments (status=active and within date range)
@@ -125,7 +104,7 @@ export function useTournaments() {
     upcomingTournaments,
     loading,
     error,
-    refresh: loadTournaments,
+    refresh,
     getTournamentById,
     tournamentOptions,
   };
@@ -1,29 +1,65 @@
-import { CONFIG } from '../config.js';
-import { fetchCSV } from './csvParser.js';
+import { getBackend } from './backend.js';
+import { parseEntities } from './schema.js';
+import { toApiError, timeoutError, isTimeoutError, isNetworkError } from './apiErrors.js';
+import { publishLocalUpdate } from './liveUpdates.js';
+import {
+  enqueueMutation,
+  getOutboxEntries,
+  replayOutbox,
+  OUTBOX_STATUS,
+} from './outbox.js';
+
+/**
+ * Queue a mutation in the outbox and report it as accepted
+ * @param {string} action
+ * @param {object} data
+ * @returns {object} Response data with queued flag
+ */
+function queueMutation(action, data) {
+  const entry = enqueueMutation(action, data);
+  return { success: true, queued: true, outboxId: entry.id };
+}
 
 /**
  * Call Apps Script API
- * Uses text/plain content type to avoid CORS preflight (OPTIONS request)
- * which Google Apps Script doesn't support
+ * Routed through the configured backend adapter (see backend.js).
+ * When offline, or while earlier writes are still waiting in the outbox,
+ * the mutation is queued and replayed in order once the network returns.
  * @param {string} action - Action name
  * @param {object} data - Request data
- * @returns {Promise<object>} Response data
+ * Failures resolve to a typed error (see apiErrors.js) rather than throwing.
+ * @returns {Promise<object>} Response data ({ queued: true } when deferred)
  */
 export async function callAppsScript(action, data) {
+  const hasPending = getOutboxEntries().some(e => e.status === OUTBOX_STATUS.PENDING);
+  if (hasPending || navigator.onLine === false) {
+    console.log(`[API] Offline or outbox busy, queueing ${action}`);
+    const result = queueMutation(action, data);
+    if (navigator.onLine !== false) replayOutbox();
+    return result;
+  }
+
   try {
     const payload = { action, ...data };
     console.log(`[API] Sending ${action}:`, JSON.stringify(payload, null, 2));
 
-    const response = await fetch(CONFIG.APPS_SCRIPT_URL, {
-      method: 'POST',
-      headers: { 'Content-Type': 'text/plain;charset=utf-8' },
-      body: JSON.stringify(payload),
-    });
-
-    const result = await response.json();
+    const result = await getBackend().execute(action, data);
     console.log(`[API] ${action} response:`, result);
+    if (!result?.success) {
+      return toApiError(result);
+    }
+    // Let other tabs on this machine reload what changed
+    publishLocalUpdate({ type: 'invalidate', action });
     return result;
   } catch (error) {
+    if (isNetworkError(error)) {
+      console.warn(`[API] ${action} network error, queueing for replay`);
+      return queueMutation(action, data);
+    }
+    if (isTimeoutError(error)) {
+      console.warn(`[API] ${action} timed out`);
+      return timeoutError(action);
+    }
     console.error(`[API] ${action} error:`, error);
     throw error;
   }
@@ -40,12 +76,19 @@ export async function createBooking(booking) {
 
 /**
  * Update an existing booking
+ * Pass the version the edit started from so the server can reject the
+ * write if another terminal changed the booking in the meantime.
  * @param {string} bookingId
  * @param {object} updates
- * @returns {Promise<object>}
+ * @param {number} [expectedVersion] - Booking version the edit is based on
+ * @returns {Promise<object>} { success, version } or a 'stale' error with the current row
  */
-export async function updateBooking(bookingId, updates) {
-  return callAppsScript('updateBooking', { bookingId, updates });
+export async function updateBooking(bookingId, updates, expectedVersion) {
+  const data = { bookingId, updates };
+  if (expectedVersion !== undefined && expectedVersion !== null) {
+    data.expectedVersion = expectedVersion;
+  }
+  return callAppsScript('updateBooking', data);
 }
 
 /**
@@ -61,7 +104,7 @@ export async function checkInBooking(bookingId, staffInitials) {
 /**
  * Cancel a booking
  * @param {string} bookingId
- * @param {object} cancelData - { reason, refund_status, refund_amount, refund_note, cancelled_by }
+ * @param {object} cancelData - { reason, refund_status, refund_amount, refund_note, cancel_policy, cancelled_by }
  * @returns {Promise<object>}
  */
 export async function cancelBooking(bookingId, cancelData) {
@@ -78,6 +121,16 @@ export async function markNoShow(bookingId, staffInitials) {
   return callAppsScript('markNoShow', { bookingId, staffInitials });
 }
 
+/**
+ * Move bookings to new IDs
+ * @param {Array<{ from: string, to: string, date: string, court: number, time_start: string }>} renames -
+ *   See planBookingIdMigration()
+ * @returns {Promise<object>} { success, renamed, skipped }
+ */
+export async function rekeyBookings(renames) {
+  return callAppsScript('rekeyBookings', { renames });
+}
+
 /**
  * Log a maintenance entry
  * @param {object} logEntry
@@ -92,17 +145,44 @@ export async function logMaintenance(logEntry) {
  * @returns {Promise<Array>}
  */
 export async function fetchBookings() {
-  const data = await fetchCSV(CONFIG.CSV_URLS.bookings);
+  const data = parseEntities('booking', await getBackend().fetchCollection('bookings'));
   console.log('[API] Fetched bookings:', data.length);
   return data;
 }
 
+// Entity schema used to type each collection's rows (see schema.js)
+const COLLECTION_ENTITIES = {
+  bookings: 'booking',
+  courts: 'court',
+  staff: 'staff',
+  contractors: 'contractor',
+  teams: 'team',
+  maintenanceLog: 'maintenanceLog',
+  maintenanceTasks: 'maintenanceTask',
+  tournaments: 'tournament',
+  closures: 'closure',
+  credits: 'creditEntry',
+};
+
+/**
+ * Fetch rows of a collection changed since the last sync
+ * @param {string} collection - Collection name (e.g. 'bookings', 'closures')
+ * @param {string} since - Cursor (serverTime) returned by the previous sync
+ * @returns {Promise<{ rows: Array, deletedIds: Array<string>, serverTime: string }>}
+ */
+export async function fetchChangesSince(collection, since) {
+  const changes = await getBackend().fetchChangesSince(collection, since);
+  console.log(`[API] Fetched ${collection} changes since ${since}:`, changes.rows.length);
+  const entity = COLLECTION_ENTITIES[collection];
+  return entity ? { ...changes, rows: parseEntities(entity, changes.rows) } : changes;
+}
+
 /**
  * Fetch courts data
  * @returns {Promise<Array>}
  */
 export async function fetchCourts() {
-  const data = await fetchCSV(CONFIG.CSV_URLS.courts);
+  const data = parseEntities('court', await getBackend().fetchCollection('courts'));
   console.log('[API] Fetched courts:', data.length);
   return data;
 }
@@ -112,7 +192,7 @@ export async function fetchCourts() {
  * @returns {Promise<Array>}
  */
 export async function fetchStaff() {
-  const data = await fetchCSV(CONFIG.CSV_URLS.staff);
+  const data = parseEntities('staff', await getBackend().fetchCollection('staff'));
   console.log('[API] Fetched staff:', data.length);
   return data;
 }
@@ -122,7 +202,7 @@ export async function fetchStaff() {
  * @returns {Promise<Array>}
  */
 export async function fetchConfig() {
-  const data = await fetchCSV(CONFIG.CSV_URLS.config);
+  const data = await getBackend().fetchCollection('config');
   console.log('[API] Fetched config:', data.length);
   return data;
 }
@@ -132,7 +212,7 @@ export async function fetchConfig() {
  * @returns {Promise<Array>}
  */
 export async function fetchContractors() {
-  const data = await fetchCSV(CONFIG.CSV_URLS.contractors);
+  const data = parseEntities('contractor', await getBackend().fetchCollection('contractors'));
   console.log('[API] Fetched contractors:', data.length);
   return data;
 }
@@ -142,7 +222,7 @@ export async function fetchContractors() {
  * @returns {Promise<Array>}
  */
 export async function fetchTeams() {
-  const data = await fetchCSV(CONFIG.CSV_URLS.teams);
+  const data = parseEntities('team', await getBackend().fetchCollection('teams'));
   console.log('[API] Fetched teams:', data.length);
   return data;
 }
@@ -152,7 +232,7 @@ export async function fetchTeams() {
  * @returns {Promise<Array>}
  */
 export async function fetchMaintenanceLog() {
-  const data = await fetchCSV(CONFIG.CSV_URLS.maintenanceLog);
+  const data = parseEntities('maintenanceLog', await getBackend().fetchCollection('maintenanceLog'));
   console.log('[API] Fetched maintenance log:', data.length);
   return data;
 }
@@ -162,7 +242,7 @@ export async function fetchMaintenanceLog() {
  * @returns {Promise<Array>}
  */
 export async function fetchMaintenanceTasks() {
-  const data = await fetchCSV(CONFIG.CSV_URLS.maintenanceTasks);
+  const data = parseEntities('maintenanceTask', await getBackend().fetchCollection('maintenanceTasks'));
   console.log('[API] Fetched maintenance tasks:', data.length);
   return data;
 }
@@ -172,7 +252,7 @@ export async function fetchMaintenanceTasks() {
  * @returns {Promise<Array>}
  */
 export async function fetchTournaments() {
-  const data = await fetchCSV(CONFIG.CSV_URLS.tournaments);
+  const data = parseEntities('tournament', await getBackend().fetchCollection('tournaments'));
   console.log('[API] Fetched tournaments:', data.length);
   return data;
 }
@@ -184,7 +264,7 @@ export async function fetchTournaments() {
  */
 export async function fetchClosures() {
   try {
-    const data = await fetchCSV(CONFIG.CSV_URLS.closures);
+    const data = parseEntities('closure', await getBackend().fetchCollection('closures'));
     console.log('[API] Fetched closures:', data.length);
     return data;
   } catch (error) {
@@ -194,6 +274,35 @@ export async function fetchClosures() {
   }
 }
 
+/**
+ * Fetch the customer credit ledger
+ * @returns {Promise<Array>}
+ */
+export async function fetchCredits() {
+  try {
+    const data = parseEntities('creditEntry', await getBackend().fetchCollection('credits'));
+    console.log('[API] Fetched credits:', data.length);
+    return data;
+  } catch (error) {
+    // Deployments without a Credits sheet have no ledger yet
+    console.log('[API] No credits sheet found, returning empty array');
+    return [];
+  }
+}
+
+// ============================================
+// CUSTOMER CREDIT LEDGER
+// ============================================
+
+/**
+ * Append entries to the customer credit ledger
+ * @param {object|Array<object>} entries - Ledger entries (see utils/credits.js)
+ * @returns {Promise<object>}
+ */
+export async function recordCredits(entries) {
+  return callAppsScript('recordCredits', { entries });
+}
+
 // ============================================
 // TEAM CRUD OPERATIONS
 // ============================================
@@ -0,0 +1,189 @@
+import { CONFIG } from '../config.js';
+
+/**
+ * Apps Script error taxonomy
+ *
+ * Failed calls resolve to { success: false, error, errorType, ... } so
+ * callers can branch on errorType instead of matching message text.
+ * Servers that return a structured errorType are passed through; older
+ * deployments that only send a message are classified from its wording.
+ *
+ * Extra fields by type:
+ * - conflict: conflicts - clashing bookings as far as the server reported
+ *   them ({ booking_id, date, court, time_start, time_end, ... }; legacy
+ *   messages only give court and time_start)
+ * - validation: fields - names of the offending fields
+ * - stale: current - the row as it is now on the server
+ */
+
+export const API_ERROR_TYPES = {
+  CONFLICT: 'conflict',
+  VALIDATION: 'validation',
+  AUTH: 'auth',
+  TIMEOUT: 'timeout',
+  QUOTA: 'quota',
+  NOT_FOUND: 'not_found',
+  STALE: 'stale',
+  UNKNOWN: 'unknown',
+};
+
+// Message patterns used when the server sends no errorType
+const MESSAGE_PATTERNS = [
+  { type: API_ERROR_TYPES.CONFLICT, pattern: /conflict|already booked/i },
+  { type: API_ERROR_TYPES.QUOTA, pattern: /too many times|quota|rate limit/i },
+  { type: API_ERROR_TYPES.AUTH, pattern: /authori[sz]|permission|unauthori[sz]ed|access denied/i },
+  { type: API_ERROR_TYPES.TIMEOUT, pattern: /timed? ?out|exceeded maximum execution time/i },
+  { type: API_ERROR_TYPES.STALE, pattern: /changed by someone else|stale|version mismatch/i },
+  { type: API_ERROR_TYPES.NOT_FOUND, pattern: /not found/i },
+  { type: API_ERROR_TYPES.VALIDATION, pattern: /invalid|required|missing/i },
+];
+
+/**
+ * Pull court and time out of a legacy conflict message
+ * Format: "Conflict detected for Court X at HH:MM"
+ * @param {string} message
+ * @returns {Array<object>}
+ */
+function parseLegacyConflict(message) {
+  const match = message.match(/Court (\d+|Stadium) at (\d{1,2}:\d{2})/i);
+  if (!match) return [];
+  return [{
+    booking_id: null,
+    court: match[1].toLowerCase() === 'stadium' ? CONFIG.STADIUM_COURT_NUMBER : parseInt(match[1], 10),
+    time_start: match[2].padStart(5, '0'),
+  }];
+}
+
+/**
+ * Pull field names out of a legacy validation message
+ * Format: "Missing required fields: date, court" or "Invalid date"
+ * @param {string} message
+ * @returns {Array<string>}
+ */
+function parseLegacyFields(message) {
+  const listMatch = message.match(/fields?:\s*(.+)$/i);
+  if (listMatch) {
+    return listMatch[1].split(',').map(f => f.trim()).filter(Boolean);
+  }
+  const fieldMatch = message.match(/(?:invalid|missing)\s+([a-z_]+)/i);
+  return fieldMatch ? [fieldMatch[1]] : [];
+}
+
+/**
+ * Classify a failed Apps Script response
+ * @param {object} result - Raw response ({ success: false, error, ... })
+ * @returns {object} Response with errorType and type-specific fields
+ */
+export function toApiError(result) {
+  const message = typeof result?.error === 'string' ? result.error : 'Request failed';
+  const knownTypes = Object.values(API_ERROR_TYPES);
+  const errorType = knownTypes.includes(result?.errorType)
+    ? result.errorType
+    : (MESSAGE_PATTERNS.find(p => p.pattern.test(message))?.type || API_ERROR_TYPES.UNKNOWN);
+
+  const apiError = { ...result, success: false, error: message, errorType };
+
+  if (errorType === API_ERROR_TYPES.CONFLICT) {
+    apiError.conflicts = Array.isArray(result?.conflicts) && result.conflicts.length > 0
+      ? result.conflicts
+      : parseLegacyConflict(message);
+  }
+  if (errorType === API_ERROR_TYPES.VALIDATION) {
+    apiError.fields = Array.isArray(result?.fields) ? result.fields : parseLegacyFields(message);
+  }
+  if (errorType === API_ERROR_TYPES.STALE) {
+    apiError.current = result?.current || null;
+  }
+  return apiError;
+}
+
+/**
+ * Build the error result for a non-2xx HTTP response
+ * @param {number} status - HTTP status code
+ * @returns {object}
+ */
+export function httpError(status) {
+  let errorType = API_ERROR_TYPES.UNKNOWN;
+  if (status === 401 || status === 403) errorType = API_ERROR_TYPES.AUTH;
+  else if (status === 404) errorType = API_ERROR_TYPES.NOT_FOUND;
+  else if (status === 408 || status === 504) errorType = API_ERROR_TYPES.TIMEOUT;
+  else if (status === 429) errorType = API_ERROR_TYPES.QUOTA;
+  return { success: false, errorType, error: `HTTP error! status: ${status}` };
+}
+
+/**
+ * Build the error result for a request that timed out
+ * The write may still have reached the sheet, so it is not retried
+ * automatically.
+ * @param {string} action
+ * @returns {object}
+ */
+export function timeoutError(action) {
+  return {
+    success: false,
+    errorType: API_ERROR_TYPES.TIMEOUT,
+    error: `${action} timed out`,
+  };
+}
+
+/**
+ * Check whether a thrown error is a request timeout
+ * @param {Error} error
+ * @returns {boolean}
+ */
+export function isTimeoutError(error) {
+  return error?.name === 'TimeoutError' || error?.name === 'AbortError';
+}
+
+/**
+ * Wrap a fetch() rejection that means the request never reached the server
+ * Only the backend that calls fetch() can tell this apart from a bug, so
+ * it wraps the rejection and callers check for it with isNetworkError().
+ * @param {Error} cause - The fetch() rejection
+ * @returns {Error}
+ */
+export function networkError(cause) {
+  const error = new Error(`Network request failed: ${cause?.message || cause}`, { cause });
+  error.name = 'NetworkError';
+  return error;
+}
+
+/**
+ * Check whether a thrown error means the request never reached the server
+ * @param {Error} error
+ * @returns {boolean}
+ */
+export function isNetworkError(error) {
+  return error?.name === 'NetworkError';
+}
+
+/**
+ * Staff-facing message for a failed call
+ * Conflicts are shown by the caller with the clashing bookings, so this
+ * is only used for the other types.
+ * @param {object} apiError - Result of toApiError()
+ * @param {string} fallback - Message for unknown errors
+ * @returns {string}
+ */
+export function getApiErrorMessage(apiError, fallback = 'Request failed') {
+  switch (apiError.errorType) {
+    case API_ERROR_TYPES.VALIDATION:
+      return apiError.fields?.length > 0
+        ? `Please check: ${apiError.fields.join(', ')}`
+        : apiError.error;
+    case API_ERROR_TYPES.AUTH:
+      return 'The server refused this change (not authorized). Ask an administrator to check the script deployment.';
+    case API_ERROR_TYPES.TIMEOUT:
+      return 'The server did not respond in time. Refresh before retrying - the change may already be saved.';
+    case API_ERROR_TYPES.QUOTA:
+      return 'Google usage limit reached. Wait a few minutes and try again.';
+    case API_ERROR_TYPES.NOT_FOUND:
+      return `${apiError.error}. It may have been removed - refresh and try again.`;
+    case API_ERROR_TYPES.CONFLICT:
+      return 'This time slot already has an existing booking.';
+    case API_ERROR_TYPES.STALE:
+      return 'Someone else changed this record while you were editing. Refresh and try again.';
+    default:
+      return apiError.error && apiError.error !== 'Request failed' ? apiError.error : fallback;
+  }
+}
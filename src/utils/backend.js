@@ -0,0 +1,52 @@
+import { CONFIG } from '../config.js';
+import { createSheetsBackend } from './sheetsBackend.js';
+import { createLocalBackend } from './localBackend.js';
+
+/**
+ * Data backend selection
+ *
+ * Every backend adapter implements the same interface:
+ * - name: identifier shown in logs and the header
+ * - fetchCollection(collection): resolves to an array of sheet-style rows
+ *   (all values as strings, keyed by column name)
+ * - fetchChangesSince(collection, since): resolves to
+ *   { rows, deletedIds, serverTime } with only the rows written after the
+ *   `since` cursor; serverTime is the cursor for the next call
+ * - execute(action, data): runs an Apps Script protocol action
+ *   (createBooking, updateTeam, saveClosure, ...) and resolves to
+ *   { success, error?, ... }
+ * - subscribeChanges(onChange): optional; calls onChange(collections)
+ *   when another terminal writes, and returns an unsubscribe function
+ *
+ * The adapter is chosen by CONFIG.DATA_BACKEND.
+ */
+const BACKEND_FACTORIES = {
+  sheets: createSheetsBackend,
+  local: createLocalBackend,
+};
+
+let activeBackend = null;
+
+/**
+ * Get the configured backend adapter (created on first use)
+ * @returns {object} Backend adapter
+ */
+export function getBackend() {
+  if (!activeBackend) {
+    const factory = BACKEND_FACTORIES[CONFIG.DATA_BACKEND];
+    if (!factory) {
+      console.error(`[Backend] Unknown backend "${CONFIG.DATA_BACKEND}", falling back to sheets`);
+    }
+    activeBackend = (factory || createSheetsBackend)();
+    console.log(`[Backend] Using ${activeBackend.name} backend`);
+  }
+  return activeBackend;
+}
+
+/**
+ * Check whether the app is running against live data
+ * @returns {boolean}
+ */
+export function isLiveBackend() {
+  return getBackend().name === 'sheets' && !CONFIG.MOCK_SERVER_URL;
+}
@@ -0,0 +1,470 @@
+import { parseTimeToMinutes } from './timeUtils.js';
+
+/**
+ * Apps Script action protocol
+ *
+ * Shared implementation of every write action the Apps Script web app
+ * accepts, written against a small storage interface so the same rules
+ * (conflict detection, forceCreate, soft deletes, generated IDs) run in
+ * the IndexedDB local backend and in the Node mock server.
+ *
+ * Store interface (all async):
+ * - getAll(collection): every stored row
+ * - getOne(collection, id): one row or null
+ * - putAll(collection, records): insert or replace rows, stamping updated_at
+ * - remove(collection, id, where): hard delete; with where(row), only the
+ *   rows under that ID it returns true for
+ * - getDeletedSince(collection, since): optional, IDs hard-deleted after
+ *   the cursor
+ *
+ * Every update bumps the row's version column. Updates that carry an
+ * expectedVersion are rejected as stale when the row has moved on, so
+ * two terminals editing the same row cannot silently overwrite each other.
+ */
+
+/**
+ * Collections and the column each one is keyed by
+ */
+export const COLLECTION_KEYS = {
+  bookings: 'booking_id',
+  courts: 'court_number',
+  staff: 'staff_id',
+  config: 'key',
+  maintenanceLog: 'log_id',
+  maintenanceTasks: 'task_id',
+  contractors: 'contractor_id',
+  teams: 'team_id',
+  tournaments: 'tournament_id',
+  closures: 'closure_id',
+  credits: 'entry_id',
+};
+
+/**
+ * Convert a value to the string form the published sheet would show
+ * @param {*} value
+ * @returns {string}
+ */
+function toSheetValue(value) {
+  if (value === null || value === undefined) return '';
+  if (value === true) return 'TRUE';
+  if (value === false) return 'FALSE';
+  return String(value);
+}
+
+/**
+ * Convert a record to a sheet-style row (all values as strings)
+ * @param {object} record
+ * @returns {object}
+ */
+export function toSheetRow(record) {
+  const row = {};
+  Object.entries(record).forEach(([key, value]) => {
+    row[key] = toSheetValue(value);
+  });
+  return row;
+}
+
+const REQUIRED_BOOKING_FIELDS = ['booking_id', 'date', 'court', 'time_start', 'time_end'];
+
+/**
+ * Find the active bookings that overlap a proposed one
+ * @param {Array<object>} existing - Stored bookings
+ * @param {object} booking - Proposed booking
+ * @returns {Array<object>}
+ */
+export function findBookingConflicts(existing, booking) {
+  const start = parseTimeToMinutes(booking.time_start);
+  const end = parseTimeToMinutes(booking.time_end);
+  return existing.filter(b =>
+    b.status === 'active' &&
+    b.booking_id !== booking.booking_id &&
+    b.date === booking.date &&
+    // Court numbers restart at every facility; blank is the main facility
+    (b.facility_id || '') === (booking.facility_id || '') &&
+    parseInt(b.court, 10) === parseInt(booking.court, 10) &&
+    start < parseTimeToMinutes(b.time_end) &&
+    end > parseTimeToMinutes(b.time_start)
+  );
+}
+
+/**
+ * List the fields of a proposed booking that are missing or invalid
+ * @param {object} booking
+ * @returns {Array<string>}
+ */
+function invalidBookingFields(booking) {
+  const fields = REQUIRED_BOOKING_FIELDS.filter(field =>
+    booking[field] === undefined || booking[field] === null || String(booking[field]).trim() === ''
+  );
+  if (!fields.includes('time_start') && !fields.includes('time_end') &&
+      parseTimeToMinutes(booking.time_end) <= parseTimeToMinutes(booking.time_start)) {
+    fields.push('time_end');
+  }
+  return fields;
+}
+
+/**
+ * Check whether a stored booking is the one a rename names
+ * @param {object} row - Stored booking
+ * @param {{ date: string, court: string|number, time_start: string }} slot
+ * @returns {boolean}
+ */
+function isSameSlot(row, slot) {
+  return row.date === slot.date &&
+    parseInt(row.court, 10) === parseInt(slot.court, 10) &&
+    parseTimeToMinutes(row.time_start) === parseTimeToMinutes(slot.time_start);
+}
+
+const CREDIT_ENTRY_TYPES = ['issue', 'redeem', 'expire', 'adjust'];
+const CREDIT_KINDS = ['credit', 'package'];
+
+/**
+ * List the fields of a credit ledger entry that are missing or invalid
+ * @param {object} entry
+ * @returns {Array<string>}
+ */
+function invalidCreditFields(entry) {
+  const fields = [];
+  const amount = parseFloat(entry.amount);
+  if (!entry.entry_id) fields.push('entry_id');
+  if (!CREDIT_ENTRY_TYPES.includes(entry.type)) fields.push('type');
+  if (!Number.isFinite(amount) || amount === 0 ||
+      (entry.type === 'issue' && amount < 0) ||
+      ((entry.type === 'redeem' || entry.type === 'expire') && amount > 0)) {
+    fields.push('amount');
+  }
+  if (entry.type === 'issue') {
+    if (!CREDIT_KINDS.includes(entry.kind)) fields.push('kind');
+    if (!String(entry.customer_name || '').trim()) fields.push('customer_name');
+  } else if (!entry.lot_id) {
+    fields.push('lot_id');
+  }
+  // Adjustments must say why
+  if (entry.type === 'adjust' && !String(entry.note || '').trim()) fields.push('note');
+  return fields;
+}
+
+/**
+ * Create the action handlers for a store
+ * @param {object} store - Storage implementation (see module comment)
+ * @returns {object} Map of action name to async handler(data)
+ */
+export function createActionHandlers(store) {
+  /**
+   * Merge updates into an existing record
+   * @param {string} collection
+   * @param {string} id
+   * @param {object} updates
+   * @param {number} [expectedVersion] - Version the caller last saw
+   * @returns {Promise<object>} Action result with the new version
+   */
+  const updateRecord = async (collection, id, updates, expectedVersion) => {
+    const existing = await store.getOne(collection, id);
+    if (!existing) {
+      return { success: false, errorType: 'not_found', error: `Not found: ${id}` };
+    }
+
+    const currentVersion = parseInt(existing.version, 10) || 0;
+    if (expectedVersion !== undefined && expectedVersion !== null &&
+        parseInt(expectedVersion, 10) !== currentVersion) {
+      return {
+        success: false,
+        errorType: 'stale',
+        error: `${id} was changed by someone else`,
+        current: existing,
+      };
+    }
+
+    const version = currentVersion + 1;
+    await store.putAll(collection, [{ ...existing, ...updates, version }]);
+    return { success: true, version };
+  };
+
+  return {
+    async createBooking({ booking }) {
+      const bookings = Array.isArray(booking) ? booking : [booking];
+      const forceCreate = bookings.some(b => b.forceCreate);
+      const records = bookings.map(({ forceCreate: _force, ...b }) => b);
+
+      const fields = [...new Set(records.flatMap(invalidBookingFields))];
+      if (fields.length > 0) {
+        return {
+          success: false,
+          errorType: 'validation',
+          error: `Invalid booking fields: ${fields.join(', ')}`,
+          fields,
+        };
+      }
+
+      // IDs are unique; reusing one would overwrite another booking.
+      // A replayed create (same created_at) is not a clash.
+      const ids = records.map(b => String(b.booking_id));
+      const taken = [];
+      for (const record of records) {
+        const stored = await store.getOne('bookings', String(record.booking_id));
+        if (stored && stored.created_at !== String(record.created_at ?? '')) taken.push(String(record.booking_id));
+      }
+      if (taken.length > 0 || new Set(ids).size !== ids.length) {
+        return {
+          success: false,
+          errorType: 'validation',
+          error: `Booking ID already in use: ${taken[0] || ids.find((id, i) => ids.indexOf(id) !== i)}`,
+          fields: ['booking_id'],
+        };
+      }
+
+      if (!forceCreate) {
+        const existing = await store.getAll('bookings');
+        const clashes = records.flatMap(record =>
+          findBookingConflicts(existing, record).map(b => ({ record, booking: b }))
+        );
+        if (clashes.length > 0) {
+          const first = clashes[0].record;
+          return {
+            success: false,
+            errorType: 'conflict',
+            error: `Conflict detected for Court ${first.court} at ${first.time_start}`,
+            conflicts: clashes.map(({ booking: b }) => ({
+              booking_id: b.booking_id,
+              date: b.date,
+              court: parseInt(b.court, 10),
+              time_start: b.time_start,
+              time_end: b.time_end,
+              customer_name: b.customer_name || '',
+              booking_type: b.booking_type || '',
+            })),
+          };
+        }
+      }
+
+      await store.putAll('bookings', records);
+      return { success: true, bookingIds: records.map(b => b.booking_id) };
+    },
+
+    updateBooking({ bookingId, updates, expectedVersion }) {
+      return updateRecord('bookings', bookingId, updates, expectedVersion);
+    },
+
+    checkIn({ bookingId, staffInitials }) {
+      return updateRecord('bookings', bookingId, {
+        checked_in: true,
+        checked_in_at: new Date().toISOString(),
+        checked_in_by: staffInitials,
+      });
+    },
+
+    cancelBooking({ bookingId, cancelData }) {
+      return updateRecord('bookings', bookingId, {
+        status: 'cancelled',
+        cancel_reason: cancelData.reason,
+        refund_status: cancelData.refund_status,
+        refund_amount: cancelData.refund_amount,
+        refund_note: cancelData.refund_note,
+        cancel_policy: cancelData.cancel_policy || '',
+        cancelled_by: cancelData.cancelled_by,
+        cancelled_at: new Date().toISOString(),
+      });
+    },
+
+    markNoShow({ bookingId, staffInitials }) {
+      return updateRecord('bookings', bookingId, {
+        status: 'no_show',
+        cancel_reason: 'no_show',
+        cancelled_by: staffInitials,
+        cancelled_at: new Date().toISOString(),
+      });
+    },
+
+    // Move bookings to new IDs (see planBookingIdMigration in bookingId.js).
+    // Legacy IDs repeat from month to month, so each rename names the row
+    // by its date, court and start time as well and only that row moves.
+    // The old ID is kept in legacy_id; renames whose row is gone, can't be
+    // told apart from another, or whose new ID is taken are skipped and
+    // reported.
+    async rekeyBookings({ renames }) {
+      const renamed = [];
+      const skipped = [];
+      for (const rename of renames || []) {
+        const { from, to } = rename;
+        const stored = await store.getAll('bookings');
+        const sameId = stored.filter(row => String(row.booking_id) === String(from));
+        const candidates = rename.date === undefined ? sameId : sameId.filter(row => isSameSlot(row, rename));
+        if (candidates.length === 0) {
+          skipped.push({ from, to, reason: 'not_found' });
+          continue;
+        }
+        if (candidates.length > 1) {
+          skipped.push({ from, to, reason: 'ambiguous' });
+          continue;
+        }
+        if (await store.getOne('bookings', to)) {
+          skipped.push({ from, to, reason: 'taken' });
+          continue;
+        }
+        const existing = candidates[0];
+        const version = (parseInt(existing.version, 10) || 0) + 1;
+        await store.putAll('bookings', [{ ...existing, booking_id: to, legacy_id: from, version }]);
+        await store.remove('bookings', from, row => isSameSlot(row, existing));
+        renamed.push({ from, to });
+      }
+      return { success: true, renamed, skipped };
+    },
+
+    // Appends to the credit ledger. Entries carry client-made IDs, so a
+    // replayed write is skipped rather than counted twice. Each redeem,
+    // expire or adjust entry draws on one issued credit or package (its
+    // lot) and may not take the lot below zero.
+    async recordCredits({ entries }) {
+      const records = Array.isArray(entries) ? entries : [entries];
+      const stored = await store.getAll('credits');
+      const known = new Set(stored.map(e => String(e.entry_id)));
+      const ledger = [...stored];
+      const added = [];
+
+      for (const entry of records.filter(e => !known.has(String(e.entry_id)))) {
+        const fields = invalidCreditFields(entry);
+        if (fields.length > 0) {
+          return {
+            success: false,
+            errorType: 'validation',
+            error: `Invalid credit fields: ${fields.join(', ')}`,
+            fields,
+          };
+        }
+
+        let record = { ...entry, lot_id: entry.entry_id };
+        if (entry.type !== 'issue') {
+          const lot = ledger.find(e => e.entry_id === entry.lot_id && e.type === 'issue');
+          if (!lot) {
+            return { success: false, errorType: 'not_found', error: `Credit not found: ${entry.lot_id}` };
+          }
+          const usedOn = String(entry.created_at || new Date().toISOString()).slice(0, 10);
+          if (entry.type === 'redeem' && lot.expires_on && usedOn > lot.expires_on) {
+            return {
+              success: false,
+              errorType: 'validation',
+              error: `Invalid lot_id: ${entry.lot_id} expired on ${lot.expires_on}`,
+              fields: ['lot_id'],
+            };
+          }
+          const balance = ledger
+            .filter(e => e.lot_id === entry.lot_id)
+            .reduce((sum, e) => sum + (parseFloat(e.amount) || 0), 0);
+          if (balance + parseFloat(entry.amount) < -0.005) {
+            return {
+              success: false,
+              errorType: 'validation',
+              error: `Invalid amount: only ${Math.round(balance * 100) / 100} left on ${entry.lot_id}`,
+              fields: ['amount'],
+            };
+          }
+          // Ledger rows are read on their own, so copy who the lot belongs to
+          record = {
+            ...entry,
+            kind: lot.kind,
+            customer_name: lot.customer_name,
+            customer_phone: lot.customer_phone || '',
+          };
+        }
+        ledger.push(record);
+        added.push(record);
+      }
+
+      await store.putAll('credits', added);
+      return { success: true, entryIds: records.map(e => e.entry_id) };
+    },
+
+    async logMaintenance({ logEntry }) {
+      const logId = `LOG-${Date.now()}`;
+      await store.putAll('maintenanceLog', [{ ...logEntry, log_id: logId }]);
+      return { success: true, logId };
+    },
+
+    async saveClosure({ closure }) {
+      await store.putAll('closures', [closure]);
+      return { success: true, closureId: closure.closure_id };
+    },
+
+    async deleteClosure({ closureId }) {
+      await store.remove('closures', closureId);
+      return { success: true };
+    },
+
+    async createTeam({ team }) {
+      const teamId = `TEAM-${Date.now()}`;
+      await store.putAll('teams', [{ is_active: true, ...team, team_id: teamId }]);
+      return { success: true, teamId };
+    },
+
+    updateTeam({ teamId, updates }) {
+      return updateRecord('teams', teamId, updates);
+    },
+
+    deleteTeam({ teamId }) {
+      return updateRecord('teams', teamId, { is_active: false });
+    },
+
+    async createTournament({ tournament }) {
+      const tournamentId = `TOURN-${Date.now()}`;
+      await store.putAll('tournaments', [{ status: 'active', ...tournament, tournament_id: tournamentId }]);
+      return { success: true, tournamentId };
+    },
+
+    updateTournament({ tournamentId, updates }) {
+      return updateRecord('tournaments', tournamentId, updates);
+    },
+
+    deleteTournament({ tournamentId }) {
+      return updateRecord('tournaments', tournamentId, { status: 'cancelled' });
+    },
+
+    async createContractor({ contractor }) {
+      const contractorId = `CON-${Date.now()}`;
+      await store.putAll('contractors', [{ is_active: true, ...contractor, contractor_id: contractorId }]);
+      return { success: true, contractorId };
+    },
+
+    updateContractor({ contractorId, updates }) {
+      return updateRecord('contractors', contractorId, updates);
+    },
+
+    deleteContractor({ contractorId }) {
+      return updateRecord('contractors', contractorId, { is_active: false });
+    },
+
+    // Every row of a collection, for sheets that are not published as CSV
+    async getCollection({ collection }) {
+      if (!COLLECTION_KEYS[collection]) {
+        return { success: false, errorType: 'not_found', error: `Unknown collection: ${collection}` };
+      }
+      return { success: true, rows: await store.getAll(collection) };
+    },
+
+    async getChangesSince({ collection, since }) {
+      const serverTime = new Date().toISOString();
+      const rows = await store.getAll(collection);
+      return {
+        success: true,
+        rows: rows.filter(row => (row.updated_at || '') > since),
+        deletedIds: store.getDeletedSince ? await store.getDeletedSince(collection, since) : [],
+        serverTime,
+      };
+    },
+
+    // Reports which collections changed after `since`. Answers at once;
+    // servers that support long-polling hold the request until something
+    // changes or timeoutMs passes (see scripts/mockAppsScript.js).
+    async waitForChanges({ since }) {
+      const serverTime = new Date().toISOString();
+      const collections = [];
+      for (const collection of Object.keys(COLLECTION_KEYS)) {
+        const rows = await store.getAll(collection);
+        const deletedIds = store.getDeletedSince ? await store.getDeletedSince(collection, since) : [];
+        if (deletedIds.length > 0 || rows.some(row => (row.updated_at || '') > since)) {
+          collections.push(collection);
+        }
+      }
+      return { success: true, collections, serverTime };
+    },
+  };
+}
@@ -0,0 +1,102 @@
+import { describe, it, expect } from 'vitest';
+import { COLLECTION_KEYS, createActionHandlers, toSheetRow } from './backendActions.js';
+
+/**
+ * In-memory store with the Sheets semantics the mock server has: rows are
+ * kept in order and nothing stops two rows sharing an ID
+ */
+function createMemoryStore(data) {
+  const deleted = [];
+  return {
+    data,
+    deleted,
+    async getAll(collection) {
+      return data[collection] || [];
+    },
+    async getOne(collection, id) {
+      const key = COLLECTION_KEYS[collection];
+      return (data[collection] || []).find(row => row[key] === String(id)) || null;
+    },
+    async putAll(collection, records) {
+      const key = COLLECTION_KEYS[collection];
+      records.forEach(record => {
+        const row = toSheetRow(record);
+        const index = data[collection].findIndex(existing => existing[key] === row[key]);
+        if (index >= 0) {
+          data[collection][index] = row;
+        } else {
+          data[collection].push(row);
+        }
+      });
+    },
+    async remove(collection, id, where) {
+      const key = COLLECTION_KEYS[collection];
+      data[collection] = data[collection].filter(row => row[key] !== String(id) || (where && !where(row)));
+      deleted.push(String(id));
+    },
+  };
+}
+
+const legacyBooking = (date, extra = {}) => ({
+  booking_id: '0503-1800',
+  date,
+  court: '3',
+  time_start: '18:00',
+  time_end: '19:00',
+  status: 'active',
+  version: '1',
+  ...extra,
+});
+
+describe('rekeyBookings', () => {
+  it('moves only the named row when two bookings share a legacy ID', async () => {
+    const store = createMemoryStore({
+      bookings: [
+        legacyBooking('2026-03-05', { customer_name: 'March' }),
+        legacyBooking('2026-04-05', { customer_name: 'April' }),
+      ],
+    });
+    const actions = createActionHandlers(store);
+
+    const result = await actions.rekeyBookings({
+      renames: [
+        { from: '0503-1800', to: 'B-20260305-03-1800-AAAAAA', date: '2026-03-05', court: 3, time_start: '18:00' },
+        { from: '0503-1800', to: 'B-20260405-03-1800-BBBBBB', date: '2026-04-05', court: 3, time_start: '18:00' },
+      ],
+    });
+
+    expect(result.skipped).toEqual([]);
+    expect(result.renamed).toHaveLength(2);
+    const byName = Object.fromEntries(store.data.bookings.map(b => [b.customer_name, b]));
+    expect(store.data.bookings).toHaveLength(2);
+    expect(byName.March).toMatchObject({ booking_id: 'B-20260305-03-1800-AAAAAA', legacy_id: '0503-1800', version: '2' });
+    expect(byName.April).toMatchObject({ booking_id: 'B-20260405-03-1800-BBBBBB', legacy_id: '0503-1800', version: '2' });
+  });
+
+  it('skips a rename that does not say which of several rows it means', async () => {
+    const store = createMemoryStore({
+      bookings: [legacyBooking('2026-03-05'), legacyBooking('2026-04-05')],
+    });
+    const actions = createActionHandlers(store);
+
+    const result = await actions.rekeyBookings({
+      renames: [{ from: '0503-1800', to: 'B-20260305-03-1800-AAAAAA' }],
+    });
+
+    expect(result.renamed).toEqual([]);
+    expect(result.skipped).toEqual([{ from: '0503-1800', to: 'B-20260305-03-1800-AAAAAA', reason: 'ambiguous' }]);
+    expect(store.data.bookings.map(b => b.booking_id)).toEqual(['0503-1800', '0503-1800']);
+  });
+
+  it('skips a rename whose row is no longer there', async () => {
+    const store = createMemoryStore({ bookings: [legacyBooking('2026-04-05')] });
+    const actions = createActionHandlers(store);
+
+    const result = await actions.rekeyBookings({
+      renames: [{ from: '0503-1800', to: 'B-20260305-03-1800-AAAAAA', date: '2026-03-05', court: 3, time_start: '18:00' }],
+    });
+
+    expect(result.skipped[0].reason).toBe('not_found');
+    expect(store.data.bookings[0].booking_id).toBe('0503-1800');
+  });
+});
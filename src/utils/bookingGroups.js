@@ -0,0 +1,90 @@
+import { BOOKING_STATUS, PAYMENT_STATUS } from '../config.js';
+import { selectBy } from './dataStore.js';
+import { normalizeTime } from './timeUtils.js';
+
+/**
+ * Booking groups
+ *
+ * Multi-court and recurring bookings share a group_id (see
+ * generateGroupId in bookingId.js). Each member is still an ordinary
+ * booking row; these helpers look at a group as a unit.
+ */
+
+/**
+ * Every booking in a group, in date, time and court order
+ * Includes cancelled and no-show members.
+ * @param {string} groupId
+ * @returns {Array<object>}
+ */
+export function getGroupBookings(groupId) {
+  if (!groupId) return [];
+  return [...selectBy('bookings', 'group_id', groupId)].sort((a, b) =>
+    a.date.localeCompare(b.date) ||
+    String(normalizeTime(a.time_start)).localeCompare(String(normalizeTime(b.time_start))) ||
+    a.court - b.court
+  );
+}
+
+/**
+ * Check whether a member has not started yet
+ * @param {object} booking
+ * @param {Date} [now]
+ * @returns {boolean}
+ */
+export function isUpcoming(booking, now = new Date()) {
+  return new Date(`${booking.date}T${normalizeTime(booking.time_start)}`) > now;
+}
+
+/**
+ * Active members that have not started yet
+ * Bulk edits and "cancel remaining" only touch these.
+ * @param {Array<object>} members
+ * @param {Date} [now]
+ * @returns {Array<object>}
+ */
+export function getRemainingBookings(members, now = new Date()) {
+  return members.filter(b => b.status === BOOKING_STATUS.ACTIVE && isUpcoming(b, now));
+}
+
+/**
+ * Active members still waiting on payment
+ * @param {Array<object>} members
+ * @returns {Array<object>}
+ */
+export function getUnpaidBookings(members) {
+  return members.filter(b =>
+    b.status === BOOKING_STATUS.ACTIVE &&
+    (b.payment_status === PAYMENT_STATUS.PENDING || b.payment_status === PAYMENT_STATUS.INVOICED)
+  );
+}
+
+/**
+ * Counts, dates and payment totals for a group
+ * Totals cover active members only; cancelled members show in
+ * refunded instead.
+ * @param {Array<object>} members - From getGroupBookings()
+ * @param {Date} [now]
+ * @returns {object} { count, active, remaining, cancelled, firstDate, lastDate, courts, total, paid, outstanding, refunded }
+ */
+export function getGroupSummary(members, now = new Date()) {
+  const active = members.filter(b => b.status === BOOKING_STATUS.ACTIVE);
+  const unpaid = new Set(getUnpaidBookings(members));
+  const sum = (rows, field = 'payment_amount') => rows.reduce((total, b) => total + (b[field] || 0), 0);
+
+  const total = sum(active);
+  const outstanding = sum(active.filter(b => unpaid.has(b)));
+
+  return {
+    count: members.length,
+    active: active.length,
+    remaining: getRemainingBookings(members, now).length,
+    cancelled: members.length - active.length,
+    firstDate: members[0]?.date || null,
+    lastDate: members[members.length - 1]?.date || null,
+    courts: [...new Set(members.map(b => b.court))].sort((a, b) => a - b),
+    total,
+    paid: sum(active.filter(b => b.payment_status === PAYMENT_STATUS.PAID)),
+    outstanding,
+    refunded: sum(members.filter(b => b.status !== BOOKING_STATUS.ACTIVE), 'refund_amount'),
+  };
+}
@@ -1,21 +1,78 @@
+import { CONFIG } from '../config.js';
 import { normalizeTime } from './dateHelpers.js';
+import { getFacilityConfig, getOperatingHoursBounds } from './facilityConfig.js';
+import { getFacilities, getRowFacilityId, toFacilityColumn } from './facilities.js';
+import { getCollectionState, getIndex } from './dataStore.js';
+import { parseTimeToMinutes } from './timeUtils.js';
 
 /**
- * Generate booking ID from date, court, and time
- * Format: DDCC-HHMM
- * DD = Day of month (01-31)
- * CC = Court number (01-17, 17=Stadium)
- * HH = Hour (08-21)
- * MM = Minutes (00 or 30)
+ * Booking IDs
+ *
+ * Format: [FACILITY-]YYYYMMDD-CC-HHMM-XXXXXX
+ * - YYYYMMDD: booking date
+ * - CC: court number (court numbers restart at every facility, so
+ *   bookings outside the main facility carry the facility ID as a prefix)
+ * - HHMM: start time
+ * - XXXXXX: random short code, unique across all bookings
+ *
+ * The short code is what staff read out over the phone; it uses Crockford
+ * base32 (no I, L, O or U) so it survives being spelled aloud and typed
+ * back in with O for 0 or I for 1.
+ *
+ * Older bookings used DDCC-HHMM, which repeats every month. Those IDs are
+ * still parsed (legacy: true) until planBookingIdMigration() re-keys them;
+ * re-keyed rows keep the old ID in a legacy_id column.
+ */
+
+const SHORT_CODE_ALPHABET = '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
+const SHORT_CODE_LENGTH = 6;
+const BOOKING_ID_PATTERN = /^(?:([A-Z][A-Z0-9_]*)-)?(\d{4})(\d{2})(\d{2})-(\d{2})-(\d{2})(\d{2})-([0-9A-HJKMNP-TV-Z]{6})$/i;
+const LEGACY_ID_PATTERN = /^(?:([A-Z][A-Z0-9_]*)-)?(\d{2})(\d{2})-(\d{2})(\d{2})$/i;
+
+// Short codes and group IDs handed out this session, so a batch can't reuse one before it is stored
+const issuedCodes = new Set();
+// bookings rows array -> Set of short codes in use
+const codeCache = new WeakMap();
+
+/**
+ * Random short code
+ * @returns {string}
+ */
+function randomShortCode() {
+  const values = new Uint32Array(SHORT_CODE_LENGTH);
+  crypto.getRandomValues(values);
+  return Array.from(values, v => SHORT_CODE_ALPHABET[v % SHORT_CODE_ALPHABET.length]).join('');
+}
+
+/**
+ * Check whether a short code is already used by a loaded booking
+ * @param {string} code
+ * @returns {boolean}
+ */
+function isShortCodeTaken(code) {
+  if (issuedCodes.has(code)) return true;
+  const { rows } = getCollectionState('bookings');
+  let codes = codeCache.get(rows);
+  if (!codes) {
+    codes = new Set(rows.map(b => getBookingShortCode(b.booking_id)).filter(Boolean));
+    codeCache.set(rows, codes);
+  }
+  return codes.has(code);
+}
+
+/**
+ * Generate a unique booking ID
+ * See the module comment for the format.
  *
  * @param {Date|string} date - Booking date
- * @param {number} court - Court number (1-17)
+ * @param {number} court - Court number
  * @param {string|number} timeStart - Start time in HH:MM format or decimal
- * @returns {string} Booking ID in DDCC-HHMM format
+ * @param {string} [facilityId] - Facility the booking is at (defaults to the main facility)
+ * @returns {string} Booking ID
  */
-export function generateBookingId(date, court, timeStart) {
-  const d = new Date(date);
-  const day = String(d.getDate()).padStart(2, '0');
+export function generateBookingId(date, court, timeStart, facilityId) {
+  const d = typeof date === 'string' ? new Date(`${date}T12:00:00`) : new Date(date);
+  const datePart = `${d.getFullYear()}${String(d.getMonth() + 1).padStart(2, '0')}${String(d.getDate()).padStart(2, '0')}`;
   const courtStr = String(court).padStart(2, '0');
   const normalized = normalizeTime(timeStart);
 
@@ -30,57 +87,225 @@ export function generateBookingId(date, court, timeStart) {
     }
   }
 
-  return `${day}${courtStr}-${hour}${minute}`;
+  let code = randomShortCode();
+  while (isShortCodeTaken(code)) {
+    code = randomShortCode();
+  }
+
+  const prefix = facilityId ? toFacilityColumn(facilityId).toUpperCase() : '';
+  issuedCodes.add(code);
+  return `${prefix ? `${prefix}-` : ''}${datePart}-${courtStr}-${hour}${minute}-${code}`;
+}
+
+/**
+ * Facility ID from an ID prefix
+ * @param {string} [prefix]
+ * @returns {string}
+ */
+function prefixToFacilityId(prefix) {
+  if (!prefix) return CONFIG.MAIN_FACILITY_ID;
+  const facility = getFacilities().find(f => f.id.toUpperCase() === prefix.toUpperCase());
+  return facility ? facility.id : prefix.toLowerCase();
 }
 
 /**
  * Parse booking ID back to components
- * @param {string} bookingId - ID in DDCC-HHMM format
- * @returns {object} { day, court, hour, minute }
+ * Legacy DDCC-HHMM IDs have no year, month or short code.
+ * @param {string} bookingId
+ * @returns {object|null} { facilityId, date, year, month, day, court, hour, minute, shortCode, legacy }
  */
 export function parseBookingId(bookingId) {
-  if (!bookingId || bookingId.length !== 9) {
-    return null;
+  const id = String(bookingId || '').trim();
+  const match = id.match(BOOKING_ID_PATTERN);
+  if (match) {
+    const [, prefix, year, month, day, court, hour, minute, shortCode] = match;
+    return {
+      facilityId: prefixToFacilityId(prefix),
+      date: `${year}-${month}-${day}`,
+      year: parseInt(year, 10),
+      month: parseInt(month, 10),
+      day: parseInt(day, 10),
+      court: parseInt(court, 10),
+      hour: parseInt(hour, 10),
+      minute: parseInt(minute, 10),
+      shortCode: shortCode.toUpperCase(),
+      legacy: false,
+    };
   }
 
-  const [dayCourt, time] = bookingId.split('-');
-  if (!dayCourt || !time) {
-    return null;
+  const legacy = id.match(LEGACY_ID_PATTERN);
+  if (legacy) {
+    const [, prefix, day, court, hour, minute] = legacy;
+    return {
+      facilityId: prefixToFacilityId(prefix),
+      date: null,
+      year: null,
+      month: null,
+      day: parseInt(day, 10),
+      court: parseInt(court, 10),
+      hour: parseInt(hour, 10),
+      minute: parseInt(minute, 10),
+      shortCode: null,
+      legacy: true,
+    };
   }
 
-  return {
-    day: parseInt(dayCourt.substring(0, 2), 10),
-    court: parseInt(dayCourt.substring(2, 4), 10),
-    hour: parseInt(time.substring(0, 2), 10),
-    minute: parseInt(time.substring(2, 4), 10),
-  };
+  return null;
 }
 
 /**
- * Validate booking ID format
+ * Check whether an ID uses the old month-repeating DDCC-HHMM format
+ * @param {string} bookingId
+ * @returns {boolean}
+ */
+export function isLegacyBookingId(bookingId) {
+  return Boolean(parseBookingId(bookingId)?.legacy);
+}
+
+/**
+ * Identity of a booking row
+ * The booking ID, plus date, court and start time for legacy IDs, which
+ * several rows can share.
+ * @param {object} booking
+ * @returns {string}
+ */
+export function getBookingRowKey(booking) {
+  if (!isLegacyBookingId(booking.booking_id)) return booking.booking_id;
+  return [booking.booking_id, booking.date, Number(booking.court), booking.time_start].join('|');
+}
+
+/**
+ * Validate a booking ID
+ * The date must exist, and court, start time and minutes are checked
+ * against the config of the booking's facility (court count, earliest
+ * opening to latest closing of any day, slot length). Legacy IDs are
+ * not valid for new bookings.
  * @param {string} bookingId
  * @returns {boolean}
  */
 export function isValidBookingId(bookingId) {
-  // Format: DDCC-HHMM
-  // DD: 01-31, CC: 01-17, HH: 08-21, MM: 00 or 30
-  const pattern = /^(0[1-9]|[12][0-9]|3[01])(0[1-9]|1[0-7])-(0[89]|1[0-9]|2[01])(00|30)$/;
-  return pattern.test(bookingId);
+  const parsed = parseBookingId(bookingId);
+  if (!parsed || parsed.legacy) return false;
+  const { facilityId, year, month, day, court, hour, minute } = parsed;
+  if (!getFacilities().some(f => f.id === facilityId)) return false;
+
+  const date = new Date(year, month - 1, day);
+  if (date.getMonth() !== month - 1 || date.getDate() !== day) return false;
+
+  const { totalCourts, slotMinutes } = getFacilityConfig(facilityId);
+  const bounds = getOperatingHoursBounds(facilityId);
+  const earliest = parseTimeToMinutes(bounds.start);
+  const latest = parseTimeToMinutes(bounds.end);
+  const startMinutes = hour * 60 + minute;
+
+  return court >= 1 && court <= totalCourts &&
+    minute < 60 && minute % slotMinutes === 0 &&
+    startMinutes >= earliest && startMinutes < latest;
+}
+
+/**
+ * Short code of a booking ID, for phone lookups
+ * @param {string} bookingId
+ * @returns {string|null} Null for legacy IDs
+ */
+export function getBookingShortCode(bookingId) {
+  return parseBookingId(bookingId)?.shortCode || null;
+}
+
+/**
+ * Clean up a short code typed in by staff
+ * Drops spaces and dashes, upper-cases, and maps look-alike letters
+ * (O to 0, I and L to 1).
+ * @param {string} input
+ * @returns {string}
+ */
+export function normalizeShortCode(input) {
+  return String(input || '')
+    .toUpperCase()
+    .replace(/[\s-]/g, '')
+    .replace(/O/g, '0')
+    .replace(/[IL]/g, '1');
+}
+
+/**
+ * Check whether a booking matches an ID search
+ * Matches the full ID, the short code, a legacy ID the booking was
+ * re-keyed from, or the booking's group ID.
+ * @param {object} booking
+ * @param {string} query
+ * @returns {boolean}
+ */
+export function matchesBookingIdSearch(booking, query) {
+  const text = String(query || '').trim().toLowerCase();
+  if (!text) return false;
+  if (booking.booking_id?.toLowerCase().includes(text)) return true;
+  if (booking.legacy_id && String(booking.legacy_id).toLowerCase() === text) return true;
+  if (booking.group_id && String(booking.group_id).toLowerCase() === text) return true;
+
+  const code = normalizeShortCode(query);
+  const shortCode = getBookingShortCode(booking.booking_id);
+  return code.length >= 4 && Boolean(shortCode) && shortCode.startsWith(code);
+}
+
+/**
+ * New IDs for every booking still on a legacy ID
+ * IDs are built from each row's own date, court, start time and facility.
+ * Legacy IDs repeat from month to month, so each rename also carries the
+ * date, court and start time the server finds the row by.
+ * @param {Array<object>} bookings - Bookings from every facility
+ * @returns {Array<{ from: string, to: string, date: string, court: number, time_start: string }>}
+ */
+export function planBookingIdMigration(bookings) {
+  return bookings
+    .filter(b => isLegacyBookingId(b.booking_id))
+    .map(b => ({
+      from: b.booking_id,
+      to: generateBookingId(b.date, b.court, b.time_start, getRowFacilityId(b)),
+      date: b.date,
+      court: b.court,
+      time_start: b.time_start,
+    }));
 }
 
 /**
- * Generate group ID for multi-court bookings
- * Format: GRP-MMDD-XXX
- * @param {Date} date - Booking date
+ * Generate group ID for multi-court and recurring bookings
+ * Format: GRP-YYYYMMDD-XXXXXX, with a short code like booking IDs use.
+ * Groups made before this used GRP-MMDD-XXX, which could repeat.
+ * @param {Date|string} date - Date of the group's first booking
  * @returns {string} Group ID
  */
 export function generateGroupId(date) {
-  const d = new Date(date);
-  const month = String(d.getMonth() + 1).padStart(2, '0');
-  const day = String(d.getDate()).padStart(2, '0');
-  const random = String(Math.floor(Math.random() * 1000)).padStart(3, '0');
+  const d = typeof date === 'string' ? new Date(`${date}T12:00:00`) : new Date(date);
+  const datePart = `${d.getFullYear()}${String(d.getMonth() + 1).padStart(2, '0')}${String(d.getDate()).padStart(2, '0')}`;
+  const groups = getIndex('bookings', 'group_id');
+
+  let groupId;
+  do {
+    groupId = `GRP-${datePart}-${randomShortCode()}`;
+  } while (issuedCodes.has(groupId) || groups.has(groupId));
+
+  issuedCodes.add(groupId);
+  return groupId;
+}
+
+/**
+ * Generate an ID for a customer credit ledger entry
+ * Format: CR-YYYYMMDD-XXXXXX. Made on this terminal, so a replayed write
+ * is recognised by the server instead of being recorded twice.
+ * @param {Date} [date]
+ * @returns {string}
+ */
+export function generateCreditEntryId(date = new Date()) {
+  const datePart = `${date.getFullYear()}${String(date.getMonth() + 1).padStart(2, '0')}${String(date.getDate()).padStart(2, '0')}`;
+  const { byId } = getCollectionState('credits');
+
+  let entryId;
+  do {
+    entryId = `CR-${datePart}-${randomShortCode()}`;
+  } while (issuedCodes.has(entryId) || byId.has(entryId));
 
-  return `GRP-${month}${day}-${random}`;
+  issuedCodes.add(entryId);
+  return entryId;
 }
 
 /**
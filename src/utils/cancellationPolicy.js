@@ -1,60 +1,253 @@
-import { CANCEL_REASONS, REFUND_STATUS } from '../config.js';
+import { CONFIG, BOOKING_TYPES, CANCEL_REASONS, REFUND_STATUS } from '../config.js';
+import { getCollectionState } from './dataStore.js';
+import { getRowFacilityId } from './facilities.js';
+import { getConfigValues } from './facilityConfig.js';
+import { formatDateISO } from './dateHelpers.js';
 
 /**
- * Auto-suggest refund status based on cancellation policy
- * @param {string} reason - cancel reason
- * @param {string} bookingDate - original booking date (YYYY-MM-DD)
- * @param {string} bookingTime - original booking start time (HH:MM)
- * @returns {object} { suggestedRefund, explanation }
+ * Cancellation policy
+ *
+ * Refunds are suggested from cancel_ rows in the config sheet, read with
+ * the same facility precedence as the rate card (see facilityConfig.js):
+ * | key                  | example                                             |
+ * |----------------------|-----------------------------------------------------|
+ * | cancel_<name>        | 7d 100%; 48h 50%; any 0%                            |
+ * | cancel_lessons       | types contractor; 48h 100% credit; any 0%           |
+ * | cancel_usta_spring   | types team_usta; entity TEAM-12; 14d 100%; any 25%  |
+ *
+ * A rule is ";"-separated parts:
+ * - reasons customer other ...: cancel reasons it covers (customer by default)
+ * - types contractor ...: booking types it covers (all by default)
+ * - entity ID ...: contractors, teams or tournaments it covers (all by default)
+ * - tiers: notice, refund percent and optionally "credit" to refund as
+ *   account credit instead of cash. Notice is hours (48h), days (7d) or
+ *   "any"; the longest notice the cancellation meets wins, and meeting
+ *   none refunds nothing.
+ * - credit: refund every tier as account credit
+ *
+ * The most specific rule for a booking wins: one naming its entity beats
+ * one naming its type, which beats a general rule. Between rules as
+ * specific as each other, the first in the sheet wins, and any sheet row
+ * beats the defaults below. The defaults keep the standing policy; a row
+ * with a default's name replaces it and "none" removes it. Reasons no
+ * rule covers are left to staff.
  */
-export function suggestRefund(reason, bookingDate, bookingTime) {
-  // Weather always gets full refund
-  if (reason === CANCEL_REASONS.WEATHER) {
-    return {
-      suggestedRefund: REFUND_STATUS.FULL,
-      explanation: 'Weather cancellations receive full refund per policy',
-    };
+
+const KEY_PREFIX = 'cancel_';
+const TIER_PATTERN = /^(any|(\d+(?:\.\d+)?)\s*([hd]))\s+(\d+(?:\.\d+)?)\s*%(?:\s+(credit))?$/;
+
+// Rules in effect when the config sheet has no cancel_ rows
+const DEFAULT_RULES = [
+  { name: 'weather', value: 'reasons weather facility; any 100%' },
+  { name: 'no_show', value: 'reasons no_show; any 0%' },
+  { name: 'customer', value: 'reasons customer; 24h 100%; any 0%' },
+];
+
+/**
+ * Display label for a rule name
+ * @param {string} name - e.g. "usta_spring"
+ * @returns {string}
+ */
+function getRuleLabel(name) {
+  return name.split('_').map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' ');
+}
+
+/**
+ * Parse a cancel_ row value
+ * @param {string} name
+ * @param {string} value
+ * @returns {{ rule: object|null, error: string|null }}
+ */
+export function parsePolicyRule(name, value) {
+  const rule = {
+    name,
+    label: getRuleLabel(name),
+    reasons: [CANCEL_REASONS.CUSTOMER],
+    types: null,
+    entities: null,
+    tiers: [],
+  };
+  let allCredit = false;
+
+  for (const part of value.split(';').map(p => p.trim()).filter(Boolean)) {
+    const [word, ...rest] = part.split(/\s+/);
+    const lower = word.toLowerCase();
+    const tier = part.toLowerCase().match(TIER_PATTERN);
+    if (tier) {
+      const hours = tier[1] === 'any' ? -Infinity : Number(tier[2]) * (tier[3] === 'd' ? 24 : 1);
+      const percent = Number(tier[4]);
+      if (percent > 100) return { rule: null, error: `cannot refund more than 100% in "${part}"` };
+      rule.tiers.push({ hours, percent, credit: Boolean(tier[5]), text: part.toLowerCase() });
+    } else if (lower === 'reasons' && rest.length > 0) {
+      const reasons = rest.map(r => r.toLowerCase());
+      const unknown = reasons.filter(r => !Object.values(CANCEL_REASONS).includes(r));
+      if (unknown.length > 0) return { rule: null, error: `has unknown cancel reasons: ${unknown.join(', ')}` };
+      rule.reasons = reasons;
+    } else if (lower === 'types' && rest.length > 0) {
+      const types = rest.map(t => t.toLowerCase());
+      const unknown = types.filter(t => !Object.values(BOOKING_TYPES).includes(t));
+      if (unknown.length > 0) return { rule: null, error: `has unknown booking types: ${unknown.join(', ')}` };
+      rule.types = types;
+    } else if (lower === 'entity' && rest.length > 0) {
+      rule.entities = rest;
+    } else if (lower === 'credit' && rest.length === 0) {
+      allCredit = true;
+    } else {
+      return { rule: null, error: `has an invalid part "${part}"` };
+    }
   }
 
-  // No-shows never get refund
-  if (reason === CANCEL_REASONS.NO_SHOW) {
-    return {
-      suggestedRefund: REFUND_STATUS.NONE,
-      explanation: 'No-shows do not receive refunds',
-    };
+  if (rule.tiers.length === 0) {
+    return { rule: null, error: 'needs at least one tier, like 24h 100%' };
+  }
+  if (allCredit) rule.tiers.forEach(tier => { tier.credit = true; });
+  rule.tiers.sort((a, b) => b.hours - a.hours);
+  return { rule, error: null };
+}
+
+/**
+ * Build the cancellation rules from config sheet rows
+ * @param {Array<object>} rows - Config sheet rows
+ * @param {string} facilityId
+ * @returns {{ rules: Array<object>, issues: Array<{ key: string, message: string }> }}
+ *   rules in the order they are tried: sheet order, then the defaults
+ *   no row replaces
+ */
+export function parsePolicyRules(rows, facilityId) {
+  const { values } = getConfigValues(rows, facilityId);
+  const issues = [];
+  const entries = new Map();
+
+  values.forEach((value, key) => {
+    if (!key.startsWith(KEY_PREFIX) || value === '') return;
+    entries.set(key.slice(KEY_PREFIX.length), value);
+  });
+  DEFAULT_RULES.forEach(({ name, value }) => {
+    if (!entries.has(name)) entries.set(name, value);
+  });
+
+  const rules = [];
+  entries.forEach((value, name) => {
+    if (value.toLowerCase() === 'none') return;
+    const { rule, error } = parsePolicyRule(name, value);
+    if (error) {
+      issues.push({ key: `${KEY_PREFIX}${name}`, message: error });
+    } else {
+      rules.push(rule);
+    }
+  });
+  return { rules, issues };
+}
+
+// config rows array -> Map of facility ID -> rules
+const rulesCache = new WeakMap();
+
+/**
+ * Cancellation rules for a facility, from the loaded config rows
+ * @param {string} facilityId
+ * @returns {Array<object>}
+ */
+function getPolicyRules(facilityId) {
+  const { rows } = getCollectionState('config');
+  let byFacility = rulesCache.get(rows);
+  if (!byFacility) {
+    byFacility = new Map();
+    rulesCache.set(rows, byFacility);
   }
+  let rules = byFacility.get(facilityId);
+  if (!rules) {
+    const parsed = parsePolicyRules(rows, facilityId);
+    if (parsed.issues.length > 0) {
+      console.warn(`[CancellationPolicy] Ignoring invalid cancellation rules for ${facilityId}:`, parsed.issues);
+    }
+    rules = parsed.rules;
+    byFacility.set(facilityId, rules);
+  }
+  return rules;
+}
+
+/**
+ * Most specific rule covering a cancellation
+ * Ties go to the rule tried first (see parsePolicyRules()).
+ * @param {string} reason
+ * @param {object} booking
+ * @returns {object|null}
+ */
+export function findPolicyRule(reason, booking) {
+  let best = null;
+  let bestScore = -1;
+  getPolicyRules(getRowFacilityId(booking)).forEach(rule => {
+    if (!rule.reasons.includes(reason)) return;
+    if (rule.types && !rule.types.includes(booking.booking_type)) return;
+    if (rule.entities && !rule.entities.includes(booking.entity_id)) return;
+    const score = (rule.entities ? 2 : 0) + (rule.types ? 1 : 0);
+    if (score > bestScore) {
+      best = rule;
+      bestScore = score;
+    }
+  });
+  return best;
+}
+
+/**
+ * Describe how much notice was given
+ * @param {number} hours
+ * @returns {string}
+ */
+function describeNotice(hours) {
+  if (hours < 0) return 'Cancelled after the start time';
+  if (hours >= 48) return `Cancelled ${Math.floor(hours / 24)} days ahead`;
+  return `Cancelled ${Math.floor(hours)} hours ahead`;
+}
 
-  // Facility issues get full refund
-  if (reason === CANCEL_REASONS.FACILITY) {
+/**
+ * Suggest a refund from the cancellation policy
+ * @param {string} reason - cancel reason
+ * @param {object} booking - With date, time_start, booking_type, entity_id and payment_amount
+ * @param {Date} [now]
+ * @returns {object} { suggestedRefund, refundAmount, percent, policy, explanation }
+ *   policy is the rule and tier that fired, e.g. "customer: 24h 100%",
+ *   for the booking's cancel_policy column; '' when staff decide
+ */
+export function suggestRefund(reason, booking, now = new Date()) {
+  const rule = findPolicyRule(reason, booking);
+  if (!rule) {
     return {
-      suggestedRefund: REFUND_STATUS.FULL,
-      explanation: 'Facility issues receive full refund',
+      suggestedRefund: REFUND_STATUS.NONE,
+      refundAmount: 0,
+      percent: 0,
+      policy: '',
+      explanation: 'Staff discretion',
     };
   }
 
-  // Customer cancellation - check 24 hour rule
-  if (reason === CANCEL_REASONS.CUSTOMER) {
-    const bookingDateTime = new Date(`${bookingDate}T${bookingTime}`);
-    const now = new Date();
-    const hoursUntilBooking = (bookingDateTime - now) / (1000 * 60 * 60);
-
-    if (hoursUntilBooking >= 24) {
-      return {
-        suggestedRefund: REFUND_STATUS.FULL,
-        explanation: 'Cancelled 24+ hours in advance - full refund per policy',
-      };
-    } else {
-      return {
-        suggestedRefund: REFUND_STATUS.NONE,
-        explanation: 'Cancelled less than 24 hours before - no refund per policy',
-      };
-    }
+  const hoursUntilBooking = (new Date(`${booking.date}T${booking.time_start}`) - now) / (1000 * 60 * 60);
+  const tier = rule.tiers.find(t => hoursUntilBooking >= t.hours) || null;
+  const percent = tier ? tier.percent : 0;
+  const paid = parseFloat(booking.payment_amount) || 0;
+  const refundAmount = Math.round(paid * percent) / 100;
+
+  let suggestedRefund = REFUND_STATUS.PARTIAL;
+  if (percent === 0) {
+    suggestedRefund = REFUND_STATUS.NONE;
+  } else if (tier.credit) {
+    suggestedRefund = REFUND_STATUS.CREDIT;
+  } else if (percent === 100) {
+    suggestedRefund = REFUND_STATUS.FULL;
   }
 
-  // Default for 'other'
+  const outcome = percent === 0
+    ? 'no refund'
+    : `${percent}% ${tier.credit ? 'as account credit' : 'refund'} ($${refundAmount.toFixed(2)})`;
+  const notice = tier && tier.hours === -Infinity && rule.tiers.length === 1
+    ? getCancelReasonLabel(reason)
+    : describeNotice(hoursUntilBooking);
   return {
-    suggestedRefund: REFUND_STATUS.NONE,
-    explanation: 'Staff discretion',
+    suggestedRefund,
+    refundAmount,
+    percent,
+    policy: `${rule.name}: ${tier ? tier.text : 'no tier met'}`,
+    explanation: `${notice} - ${outcome} under the ${rule.label} policy`,
   };
 }
 
@@ -95,24 +288,58 @@ export function getRefundStatusLabel(status) {
  * @param {string} bookingDate
  * @param {string} bookingEndTime
  * @param {number} graceMinutes - Grace period in minutes (default 15)
+ * @param {Date} [now]
  * @returns {boolean}
  */
-export function isPastNoShowThreshold(bookingDate, bookingEndTime, graceMinutes = 15) {
+export function isPastNoShowThreshold(bookingDate, bookingEndTime, graceMinutes = 15, now = new Date()) {
   const endDateTime = new Date(`${bookingDate}T${bookingEndTime}`);
   endDateTime.setMinutes(endDateTime.getMinutes() + graceMinutes);
-  return new Date() > endDateTime;
+  return now > endDateTime;
 }
 
 /**
  * Check if booking can be marked as no-show
  * @param {object} booking
+ * @param {Date} [now]
  * @returns {boolean}
  */
-export function canMarkNoShow(booking) {
+export function canMarkNoShow(booking, now = new Date()) {
   if (booking.status !== 'active') return false;
   if (booking.checked_in) return false;
 
   // Must be past start time
   const startDateTime = new Date(`${booking.date}T${booking.time_start}`);
-  return new Date() > startDateTime;
+  return now > startDateTime;
+}
+
+/**
+ * Bookings the no-show sweep puts up for review
+ * Active bookings nobody checked in for, once they are over by the grace
+ * period. Maintenance and holds have nobody to check in, bookings staff
+ * already dismissed stay dismissed, and only the last few days are swept
+ * so old unchecked bookings don't flood the queue.
+ * @param {Array<object>} bookings
+ * @param {Date} [now]
+ * @param {object} [options]
+ * @param {number} [options.graceMinutes]
+ * @param {number} [options.lookbackDays] - Days before today to include
+ * @returns {Array<object>} Oldest first
+ */
+export function findNoShowCandidates(bookings, now = new Date(), {
+  graceMinutes = CONFIG.NO_SHOW_GRACE_MINUTES,
+  lookbackDays = CONFIG.NO_SHOW_LOOKBACK_DAYS,
+} = {}) {
+  const since = new Date(now);
+  since.setDate(since.getDate() - lookbackDays);
+  const sinceDate = formatDateISO(since);
+  return bookings
+    .filter(b =>
+      b.date >= sinceDate &&
+      canMarkNoShow(b, now) &&
+      !b.no_show_dismissed_by && !b.no_show_dismissed_at &&
+      b.booking_type !== BOOKING_TYPES.MAINTENANCE &&
+      b.booking_type !== BOOKING_TYPES.HOLD &&
+      isPastNoShowThreshold(b.date, b.time_end, graceMinutes, now)
+    )
+    .sort((a, b) => a.date.localeCompare(b.date) || a.time_start.localeCompare(b.time_start));
 }
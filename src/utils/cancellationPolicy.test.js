@@ -0,0 +1,96 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { parsePolicyRules, findPolicyRule, suggestRefund } from './cancellationPolicy.js';
+import { setCollectionRows } from './dataStore.js';
+import { CANCEL_REASONS, REFUND_STATUS } from '../config.js';
+
+const setConfig = (rows) => setCollectionRows('config', rows);
+
+const booking = (extra = {}) => ({
+  booking_id: '20261019-03-1800-7K2M9Q',
+  date: '2026-10-19',
+  time_start: '18:00',
+  booking_type: 'open',
+  entity_id: '',
+  payment_amount: '40.00',
+  ...extra,
+});
+
+// Hours before the booking above starts
+const hoursAhead = (hours) => new Date(new Date('2026-10-19T18:00').getTime() - hours * 60 * 60 * 1000);
+
+beforeEach(() => setConfig([]));
+
+describe('rule precedence', () => {
+  it('tries sheet rules before the defaults they do not replace', () => {
+    const { rules, issues } = parsePolicyRules([
+      { key: 'cancel_standard', value: '7d 100%; 48h 50%; any 0%' },
+      { key: 'cancel_no_show', value: 'none' },
+    ], 'rebsamen');
+    expect(issues).toEqual([]);
+    expect(rules.map(r => r.name)).toEqual(['standard', 'weather', 'customer']);
+  });
+
+  it('lets a general sheet rule win over the customer default', () => {
+    setConfig([{ key: 'cancel_standard', value: '7d 100%; 48h 50%; any 0%' }]);
+    expect(findPolicyRule(CANCEL_REASONS.CUSTOMER, booking()).name).toBe('standard');
+  });
+
+  it('prefers a rule naming the booking type, then one naming the entity', () => {
+    setConfig([
+      { key: 'cancel_standard', value: '7d 100%; any 0%' },
+      { key: 'cancel_lessons', value: 'types contractor; 48h 100% credit; any 0%' },
+      { key: 'cancel_pro_smith', value: 'types contractor; entity CON-7; any 100%' },
+    ]);
+    expect(findPolicyRule(CANCEL_REASONS.CUSTOMER, booking({ booking_type: 'contractor' })).name).toBe('lessons');
+    expect(findPolicyRule(CANCEL_REASONS.CUSTOMER, booking({ booking_type: 'contractor', entity_id: 'CON-7' })).name).toBe('pro_smith');
+  });
+
+  it('reports invalid rows and leaves reasons no rule covers to staff', () => {
+    const rows = [{ key: 'cancel_other', value: 'reasons other; 24h 150%' }];
+    setConfig(rows);
+    const { issues } = parsePolicyRules(rows, 'rebsamen');
+    expect(issues).toHaveLength(1);
+    expect(suggestRefund(CANCEL_REASONS.OTHER, booking(), hoursAhead(48))).toMatchObject({
+      suggestedRefund: REFUND_STATUS.NONE,
+      refundAmount: 0,
+      policy: '',
+    });
+  });
+});
+
+describe('suggestRefund', () => {
+  beforeEach(() => setConfig([{ key: 'cancel_standard', value: '7d 100%; 48h 50%; any 0%' }]));
+
+  it('picks the longest notice tier the cancellation meets', () => {
+    expect(suggestRefund(CANCEL_REASONS.CUSTOMER, booking(), hoursAhead(8 * 24))).toMatchObject({
+      suggestedRefund: REFUND_STATUS.FULL,
+      refundAmount: 40,
+      policy: 'standard: 7d 100%',
+    });
+    expect(suggestRefund(CANCEL_REASONS.CUSTOMER, booking(), hoursAhead(72))).toMatchObject({
+      suggestedRefund: REFUND_STATUS.PARTIAL,
+      refundAmount: 20,
+      percent: 50,
+      policy: 'standard: 48h 50%',
+    });
+    expect(suggestRefund(CANCEL_REASONS.CUSTOMER, booking(), hoursAhead(2))).toMatchObject({
+      suggestedRefund: REFUND_STATUS.NONE,
+      refundAmount: 0,
+      policy: 'standard: any 0%',
+    });
+  });
+
+  it('refunds credit tiers as account credit', () => {
+    setConfig([{ key: 'cancel_lessons', value: 'types contractor; 48h 100% credit; any 0%' }]);
+    expect(suggestRefund(CANCEL_REASONS.CUSTOMER, booking({ booking_type: 'contractor', payment_amount: '25.50' }), hoursAhead(72)))
+      .toMatchObject({ suggestedRefund: REFUND_STATUS.CREDIT, refundAmount: 25.5 });
+  });
+
+  it('keeps the weather default alongside a general customer rule', () => {
+    expect(suggestRefund(CANCEL_REASONS.WEATHER, booking(), hoursAhead(1))).toMatchObject({
+      suggestedRefund: REFUND_STATUS.FULL,
+      refundAmount: 40,
+      policy: 'weather: any 100%',
+    });
+  });
+});
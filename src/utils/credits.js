@@ -0,0 +1,227 @@
+import { CREDIT_ENTRY_TYPES, CREDIT_KINDS } from '../config.js';
+import { generateCreditEntryId } from './bookingId.js';
+import { formatDateISO } from './dateHelpers.js';
+import { API_ERROR_TYPES, getApiErrorMessage } from './apiErrors.js';
+
+/**
+ * Customer credit ledger
+ *
+ * Store credit ("Credit for Future" refunds, goodwill) and prepaid
+ * punch cards live in one append-only ledger, the credits collection.
+ * Every credit or card starts with an issue entry, which opens a lot;
+ * redeem, expire and adjust entries draw on one lot by its lot_id. A
+ * lot's balance is the sum of its entries' amounts: dollars for credit,
+ * visits for packages.
+ *
+ * Customers have no sheet of their own, so entries carry the customer's
+ * name and phone and accounts are matched on the phone number (or the
+ * name when there is none), the same way bookings identify them.
+ */
+
+/**
+ * Key an account is grouped under
+ * @param {{ customer_name?: string, customer_phone?: string }} customer
+ * @returns {string} '' when there is nothing to match on
+ */
+export function getCustomerKey({ customer_name, customer_phone } = {}) {
+  const digits = String(customer_phone || '').replace(/\D/g, '').slice(-10);
+  if (digits.length >= 7) return `tel:${digits}`;
+  const name = normalizeName(customer_name);
+  return name ? `name:${name}` : '';
+}
+
+/**
+ * Lower-case a name and collapse its spaces
+ * @param {string} name
+ * @returns {string}
+ */
+function normalizeName(name) {
+  return String(name || '').trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+/**
+ * Format a lot amount
+ * @param {string} kind - CREDIT_KINDS value
+ * @param {number} amount
+ * @returns {string} e.g. "$25.00" or "7 visits"
+ */
+export function formatCreditAmount(kind, amount) {
+  if (kind === CREDIT_KINDS.PACKAGE) {
+    return `${amount} visit${amount === 1 ? '' : 's'}`;
+  }
+  return `${amount < 0 ? '-' : ''}$${Math.abs(amount).toFixed(2)}`;
+}
+
+/**
+ * Display name for a lot
+ * @param {object} lot
+ * @returns {string}
+ */
+export function getLotLabel(lot) {
+  if (lot.label) return lot.label;
+  return lot.kind === CREDIT_KINDS.PACKAGE ? `${lot.issued}-visit card` : 'Account credit';
+}
+
+/**
+ * Every credit and package on the ledger with its balance
+ * @param {Array<object>} entries - Credits collection rows
+ * @param {string} [today] - YYYY-MM-DD; lots expiring before it are expired
+ * @returns {Array<object>} { lot_id, kind, label, customer_name, customer_phone, customerKey,
+ *   issued, balance, expires_on, expired, issued_at, entries } oldest first
+ */
+export function getCreditLots(entries, today = formatDateISO(new Date())) {
+  const lots = new Map();
+  entries
+    .filter(e => e.type === CREDIT_ENTRY_TYPES.ISSUE)
+    .forEach(e => {
+      lots.set(e.lot_id, {
+        lot_id: e.lot_id,
+        kind: e.kind || CREDIT_KINDS.CREDIT,
+        label: e.label || '',
+        customer_name: e.customer_name || '',
+        customer_phone: e.customer_phone || '',
+        customerKey: getCustomerKey(e),
+        issued: e.amount,
+        balance: 0,
+        expires_on: e.expires_on || '',
+        expired: Boolean(e.expires_on) && e.expires_on < today,
+        issued_at: e.created_at || '',
+        entries: [],
+      });
+    });
+
+  entries.forEach(e => {
+    const lot = lots.get(e.lot_id);
+    if (!lot) return;
+    lot.entries.push(e);
+    lot.balance += e.amount || 0;
+  });
+
+  return [...lots.values()].map(lot => ({
+    ...lot,
+    balance: Math.round(lot.balance * 100) / 100,
+    entries: lot.entries.sort((a, b) => String(a.created_at).localeCompare(String(b.created_at))),
+  })).sort((a, b) => a.issued_at.localeCompare(b.issued_at));
+}
+
+/**
+ * Check whether a lot can still be redeemed
+ * @param {object} lot
+ * @returns {boolean}
+ */
+export function isLotOpen(lot) {
+  return lot.balance > 0 && !lot.expired;
+}
+
+/**
+ * Ledger grouped by customer
+ * @param {Array<object>} entries
+ * @param {string} [today]
+ * @returns {Array<object>} { customerKey, customer_name, customer_phone, credit, visits, lots, openLots }
+ *   credit and visits count open lots only
+ */
+export function getCustomerAccounts(entries, today) {
+  const accounts = new Map();
+  getCreditLots(entries, today).forEach(lot => {
+    if (!accounts.has(lot.customerKey)) {
+      accounts.set(lot.customerKey, {
+        customerKey: lot.customerKey,
+        customer_name: lot.customer_name,
+        customer_phone: lot.customer_phone,
+        credit: 0,
+        visits: 0,
+        lots: [],
+        openLots: [],
+      });
+    }
+    const account = accounts.get(lot.customerKey);
+    account.lots.push(lot);
+    if (isLotOpen(lot)) {
+      account.openLots.push(lot);
+      if (lot.kind === CREDIT_KINDS.PACKAGE) {
+        account.visits += lot.balance;
+      } else {
+        account.credit = Math.round((account.credit + lot.balance) * 100) / 100;
+      }
+    }
+  });
+  return [...accounts.values()];
+}
+
+/**
+ * Account for a customer being booked, if they have one
+ * Matches on phone number, then on name.
+ * @param {Array<object>} accounts - From getCustomerAccounts()
+ * @param {{ customer_name?: string, customer_phone?: string }} customer
+ * @returns {object|null}
+ */
+export function findCustomerAccount(accounts, customer) {
+  const key = getCustomerKey(customer);
+  if (!key) return null;
+  const name = normalizeName(customer.customer_name);
+  return accounts.find(a => a.customerKey === key) ||
+    (name ? accounts.find(a => normalizeName(a.customer_name) === name) : null) ||
+    null;
+}
+
+/**
+ * New ledger entry, stamped with an ID, the time and the staff member
+ * @param {string} type - CREDIT_ENTRY_TYPES value
+ * @param {object} fields - lot_id, amount, note, ... (issue entries also kind, customer_name, ...)
+ * @param {string} initials - Staff member recording it
+ * @returns {object}
+ */
+export function createCreditEntry(type, fields, initials) {
+  const now = new Date();
+  const entryId = generateCreditEntryId(now);
+  return {
+    entry_id: entryId,
+    lot_id: type === CREDIT_ENTRY_TYPES.ISSUE ? entryId : fields.lot_id,
+    type,
+    ...fields,
+    created_by: initials,
+    created_at: now.toISOString(),
+  };
+}
+
+/**
+ * What paying for bookings takes from a lot
+ * Credit pays the bookings' amounts; a package pays one visit each.
+ * @param {object} lot
+ * @param {Array<object>} bookings
+ * @returns {number}
+ */
+export function getRedemptionAmount(lot, bookings) {
+  if (lot.kind === CREDIT_KINDS.PACKAGE) return bookings.length;
+  return Math.round(bookings.reduce((sum, b) => sum + (parseFloat(b.payment_amount) || 0), 0) * 100) / 100;
+}
+
+/**
+ * Ledger entry paying for bookings from a lot
+ * @param {object} lot
+ * @param {Array<object>} bookings
+ * @param {string} initials
+ * @returns {object}
+ */
+export function createRedemption(lot, bookings, initials) {
+  return createCreditEntry(CREDIT_ENTRY_TYPES.REDEEM, {
+    lot_id: lot.lot_id,
+    amount: -getRedemptionAmount(lot, bookings),
+    booking_id: bookings.map(b => b.booking_id).join(' '),
+    note: bookings.length > 1 ? `${bookings.length} bookings` : '',
+  }, initials);
+}
+
+/**
+ * Message for a rejected ledger write
+ * The server's own wording says how much was left, so validation errors
+ * keep it rather than just naming the field.
+ * @param {object} result - Failed recordCredits() result
+ * @param {string} fallback
+ * @returns {string}
+ */
+export function getCreditErrorMessage(result, fallback) {
+  return result.errorType === API_ERROR_TYPES.VALIDATION && result.error
+    ? result.error
+    : getApiErrorMessage(result, fallback);
+}
@@ -0,0 +1,30 @@
+import { describe, it, expect } from 'vitest';
+import { parseCSV } from './csvParser.js';
+import { parseEntities } from './schema.js';
+import { getCreditLots } from './credits.js';
+
+// Ledger as the Sheets CSV export returns it: rows out of time order and
+// a mix of the app's ISO timestamps and Sheets' display form
+const CREDITS_CSV = [
+  'entry_id,lot_id,type,kind,amount,customer_name,customer_phone,created_at',
+  'CR-2,CR-2,issue,credit,10,Ann,501-555-1234,2026-10-02T15:00:00.000Z',
+  'CR-4,CR-1,redeem,,-5,,,10/5/2026 9:30:00',
+  'CR-1,CR-1,issue,credit,25,Ann,501-555-1234,2026-10-01T15:00:00.000Z',
+  'CR-3,CR-1,redeem,,-8,,,2026-10-03T15:00:00.000Z',
+].join('\r\n');
+
+describe('getCreditLots on CSV rows', () => {
+  const lots = getCreditLots(parseEntities('creditEntry', parseCSV(CREDITS_CSV)), '2026-10-19');
+
+  it('keeps when each lot was issued', () => {
+    expect(lots.map(lot => [lot.lot_id, lot.issued_at])).toEqual([
+      ['CR-1', '2026-10-01T15:00:00.000Z'],
+      ['CR-2', '2026-10-02T15:00:00.000Z'],
+    ]);
+  });
+
+  it('orders a lot\'s entries by time', () => {
+    expect(lots[0].entries.map(e => e.entry_id)).toEqual(['CR-1', 'CR-3', 'CR-4']);
+    expect(lots[0].balance).toBe(12);
+  });
+});
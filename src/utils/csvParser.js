@@ -6,42 +6,255 @@ import { normalizeTime } from './timeUtils.js';
  * @returns {Array<Object>} Array of row objects with header keys
  */
 export function parseCSV(csvText) {
-  const lines = csvText.trim().split('\n');
-  if (lines.length === 0) return [];
+  return parseCSVWithErrors(csvText).rows;
+}
+
+/**
+ * Parse CSV text into row objects, collecting row-level errors
+ * @param {string} csvText - Raw CSV text
+ * @returns {{ rows: Array<Object>, errors: Array<{ row: number, line: number, message: string }> }}
+ */
+export function parseCSVWithErrors(csvText) {
+  const parser = createCSVParser();
+  parser.push(csvText);
+  return parser.end();
+}
+
+/**
+ * Create an incremental RFC 4180 CSV parser
+ *
+ * Text can be pushed in arbitrary chunks (e.g. straight from a fetch
+ * stream). Handles quoted fields containing commas, escaped quotes and
+ * line breaks, CRLF or LF line endings and a leading byte order mark.
+ * The first record is the header row; each following record becomes an
+ * object keyed by normalized header, with date/time fields normalized.
+ *
+ * Problems are reported per row instead of shifting columns:
+ * - rows with more fields than headers are skipped
+ * - rows with fewer fields are kept, padded with empty values
+ * - stray quotes are kept literally
+ * - an unterminated quoted field drops the record it starts
+ *
+ * @returns {{ push: function(string): void, end: function(): { rows: Array<Object>, errors: Array<Object> } }}
+ */
+export function createCSVParser() {
+  const rows = [];
+  const errors = [];
+
+  let headers = null;
+  let dataRowCount = 0;
+  let record = [];
+  let field = '';
+  let state = FIELD_START;
+  let line = 1;
+  let recordLine = 1;
+  let recordErrors = [];
+  let skipLineFeed = false;
+  let isFirstChunk = true;
+
+  const endField = () => {
+    record.push(field);
+    field = '';
+    state = FIELD_START;
+  };
+
+  const endRecord = () => {
+    endField();
+    emitRecord(record, recordLine, recordErrors);
+    record = [];
+    recordErrors = [];
+    recordLine = line;
+  };
+
+  const emitRecord = (values, startLine, problems) => {
+    // Blank line
+    if (values.length === 1 && values[0].trim() === '') return;
+
+    if (!headers) {
+      headers = values.map(normalizeKey);
+      return;
+    }
+
+    dataRowCount++;
+    const reportAll = () => problems.forEach(message => {
+      errors.push({ row: dataRowCount, line: startLine, message });
+    });
 
-  // Parse header row
-  const headers = parseCSVLine(lines[0]);
+    // Trailing empty fields beyond the header are harmless
+    let trimmed = values;
+    while (trimmed.length > headers.length && trimmed[trimmed.length - 1].trim() === '') {
+      trimmed = trimmed.slice(0, -1);
+    }
 
-  // Parse data rows
-  const data = [];
-  for (let i = 1; i < lines.length; i++) {
-    const line = lines[i].trim();
-    if (!line) continue;
+    if (trimmed.length > headers.length) {
+      problems.push(`Expected ${headers.length} fields but found ${trimmed.length}; row skipped`);
+      reportAll();
+      return;
+    }
+
+    if (trimmed.length < headers.length) {
+      problems.push(`Expected ${headers.length} fields but found ${trimmed.length}; missing fields left blank`);
+    }
+    reportAll();
 
-    const values = parseCSVLine(line);
     const row = {};
+    headers.forEach((key, index) => {
+      const value = trimmed[index] !== undefined ? trimmed[index].trim() : '';
+      row[key] = normalizeField(key, value);
+    });
+    rows.push(row);
+  };
 
-    headers.forEach((header, index) => {
-      const key = header.trim().toLowerCase().replace(/\s+/g, '_');
-      let value = values[index] ? values[index].trim() : '';
+  const push = (chunk) => {
+    let text = chunk;
+    if (isFirstChunk) {
+      isFirstChunk = false;
+      if (text.charCodeAt(0) === 0xFEFF) text = text.slice(1);
+    }
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
 
-      // Normalize date fields to YYYY-MM-DD format
-      if (key === 'date' || key.endsWith('_date')) {
-        value = normalizeDateFormat(value);
+      // Second half of a CRLF pair - the record already ended on CR
+      if (skipLineFeed) {
+        skipLineFeed = false;
+        if (char === '\n') continue;
       }
 
-      // Normalize time fields to HH:MM format (using centralized timeUtils)
-      if (key === 'time' || key.startsWith('time_') || key.endsWith('_time') || key.endsWith('_at')) {
-        value = normalizeTime(value);
+      switch (state) {
+        case QUOTED:
+          if (char === '"') {
+            state = QUOTE_IN_QUOTED;
+          } else {
+            if (char === '\n') line++;
+            field += char;
+          }
+          break;
+
+        case QUOTE_IN_QUOTED:
+          if (char === '"') {
+            // Escaped quote
+            field += '"';
+            state = QUOTED;
+            break;
+          }
+          if (char === ',' || char === '\r' || char === '\n') {
+            handleDelimiter(char);
+            break;
+          }
+          recordErrors.push(`Unexpected character after closing quote at line ${line}`);
+          field += char;
+          state = UNQUOTED;
+          break;
+
+        case FIELD_START:
+          if (char === '"') {
+            state = QUOTED;
+            break;
+          }
+          // falls through
+        case UNQUOTED:
+          if (char === ',' || char === '\r' || char === '\n') {
+            handleDelimiter(char);
+            break;
+          }
+          if (char === '"') {
+            recordErrors.push(`Unexpected quote in unquoted field at line ${line}`);
+          }
+          field += char;
+          state = UNQUOTED;
+          break;
+
+        default:
+          break;
       }
+    }
+  };
 
-      row[key] = value;
-    });
+  const handleDelimiter = (char) => {
+    if (char === ',') {
+      endField();
+      return;
+    }
+    line++;
+    if (char === '\r') skipLineFeed = true;
+    endRecord();
+  };
+
+  const end = () => {
+    if (state === QUOTED) {
+      errors.push({
+        row: dataRowCount + 1,
+        line: recordLine,
+        message: 'Unterminated quoted field; record dropped',
+      });
+    } else if (field !== '' || record.length > 0) {
+      endRecord();
+    }
+
+    return { rows, errors };
+  };
+
+  return { push, end };
+}
+
+// Parser states
+const FIELD_START = 'field_start';
+const UNQUOTED = 'unquoted';
+const QUOTED = 'quoted';
+const QUOTE_IN_QUOTED = 'quote_in_quoted';
 
-    data.push(row);
+/**
+ * Normalize a column header to a snake_case row key
+ * @param {string} header
+ * @returns {string}
+ */
+function normalizeKey(header) {
+  return header.trim().toLowerCase().replace(/\s+/g, '_');
+}
+
+/**
+ * Normalize a single field value based on its column key
+ * @param {string} key - Normalized column key
+ * @param {string} value - Raw string value
+ * @returns {string}
+ */
+function normalizeField(key, value) {
+  // Normalize date fields to YYYY-MM-DD format
+  if (key === 'date' || key.endsWith('_date')) {
+    return normalizeDateFormat(value);
   }
 
-  return data;
+  // Timestamps (created_at, cancelled_at, ...) keep their date
+  if (key.endsWith('_at')) {
+    return normalizeTimestamp(value);
+  }
+
+  // Normalize time fields to HH:MM format (using centralized timeUtils)
+  if (key === 'time' || key.startsWith('time_') || key.endsWith('_time')) {
+    return normalizeTime(value);
+  }
+
+  return value;
+}
+
+/**
+ * Normalize a row received as JSON (e.g. from Apps Script) so it matches
+ * what parseCSV would produce for the same sheet row
+ * @param {object} record - Row keyed by column header
+ * @returns {object} Row with snake_case keys and string values
+ */
+export function normalizeRow(record) {
+  const row = {};
+  Object.entries(record).forEach(([header, rawValue]) => {
+    const key = normalizeKey(header);
+    let value = rawValue;
+    if (value === null || value === undefined) value = '';
+    if (value === true) value = 'TRUE';
+    if (value === false) value = 'FALSE';
+    row[key] = normalizeField(key, String(value).trim());
+  });
+  return row;
 }
 
 /**
@@ -58,6 +271,11 @@ function normalizeDateFormat(dateStr) {
     return dateStr;
   }
 
+  // ISO timestamp (as serialized by Apps Script JSON responses)
+  if (/^\d{4}-\d{2}-\d{2}T/.test(dateStr)) {
+    return dateStr.substring(0, 10);
+  }
+
   // Handle MM/DD/YYYY or M/D/YYYY format
   const slashMatch = dateStr.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
   if (slashMatch) {
@@ -69,55 +287,34 @@ function normalizeDateFormat(dateStr) {
   return dateStr;
 }
 
-// normalizeTime is now imported from './timeUtils.js'
-
 /**
- * Parse a single CSV line handling quoted fields
- * @param {string} line - CSV line
- * @returns {Array<string>} Array of field values
+ * Normalize a timestamp column
+ * ISO timestamps, as the app writes them, are kept whole; Sheets'
+ * M/D/YYYY H:MM:SS display form is read as local time and converted to
+ * ISO. Older rows holding only a time of day are normalized to HH:MM.
+ * @param {string} value
+ * @returns {string}
  */
-function parseCSVLine(line) {
-  const result = [];
-  let current = '';
-  let inQuotes = false;
-
-  for (let i = 0; i < line.length; i++) {
-    const char = line[i];
-    const nextChar = line[i + 1];
-
-    if (inQuotes) {
-      if (char === '"' && nextChar === '"') {
-        // Escaped quote
-        current += '"';
-        i++;
-      } else if (char === '"') {
-        // End of quoted field
-        inQuotes = false;
-      } else {
-        current += char;
-      }
-    } else {
-      if (char === '"') {
-        // Start of quoted field
-        inQuotes = true;
-      } else if (char === ',') {
-        // Field separator
-        result.push(current);
-        current = '';
-      } else {
-        current += char;
-      }
-    }
-  }
+function normalizeTimestamp(value) {
+  if (!value || /^\d{4}-\d{2}-\d{2}T/.test(value)) return value;
 
-  // Add last field
-  result.push(current);
+  const sheetsMatch = value.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})\s+(\d{1,2}):(\d{2})(?::(\d{2}))?\s*(AM|PM)?$/i);
+  if (sheetsMatch) {
+    const [, month, day, year, hour, minute, second = '0', period] = sheetsMatch;
+    let hours = Number(hour);
+    if (period?.toUpperCase() === 'PM' && hours !== 12) hours += 12;
+    if (period?.toUpperCase() === 'AM' && hours === 12) hours = 0;
+    return new Date(Number(year), Number(month) - 1, Number(day), hours, Number(minute), Number(second)).toISOString();
+  }
 
-  return result;
+  return normalizeTime(value) || value;
 }
 
+// normalizeTime is now imported from './timeUtils.js'
+
 /**
  * Fetch and parse CSV from URL
+ * Parses the response as it streams in; row-level problems are logged
  * @param {string} url - CSV URL
  * @returns {Promise<Array<Object>>} Parsed data
  */
@@ -127,8 +324,26 @@ export async function fetchCSV(url) {
     if (!response.ok) {
       throw new Error(`HTTP error! status: ${response.status}`);
     }
-    const text = await response.text();
-    return parseCSV(text);
+
+    const parser = createCSVParser();
+    if (response.body && typeof TextDecoder !== 'undefined') {
+      const reader = response.body.getReader();
+      const decoder = new TextDecoder();
+      for (;;) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        parser.push(decoder.decode(value, { stream: true }));
+      }
+      parser.push(decoder.decode());
+    } else {
+      parser.push(await response.text());
+    }
+
+    const { rows, errors } = parser.end();
+    if (errors.length > 0) {
+      console.warn(`[fetchCSV] ${errors.length} parse problem(s) in`, url, errors);
+    }
+    return rows;
   } catch (error) {
     console.error('[fetchCSV] Error fetching:', url, error);
     throw error;
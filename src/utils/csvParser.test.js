@@ -0,0 +1,102 @@
+import { describe, it, expect } from 'vitest';
+import { parseCSV, parseCSVWithErrors, createCSVParser, normalizeRow } from './csvParser.js';
+import { findNoShowCandidates } from './cancellationPolicy.js';
+import { parseEntities } from './schema.js';
+
+const chunkedParse = (chunks) => {
+  const parser = createCSVParser();
+  chunks.forEach(chunk => parser.push(chunk));
+  return parser.end();
+};
+
+describe('createCSVParser', () => {
+  it('keeps commas, escaped quotes and line breaks inside quoted fields', () => {
+    const csv = 'name,notes\n"Smith, Jo","Said ""hi""\nthen left"\nLee,plain\n';
+    expect(parseCSV(csv)).toEqual([
+      { name: 'Smith, Jo', notes: 'Said "hi"\nthen left' },
+      { name: 'Lee', notes: 'plain' },
+    ]);
+  });
+
+  it('reads CRLF line endings and drops a leading byte order mark', () => {
+    expect(parseCSV('\uFEFFName,Court\r\nJo,3\r\nLee,4\r\n')).toEqual([
+      { name: 'Jo', court: '3' },
+      { name: 'Lee', court: '4' },
+    ]);
+  });
+
+  it('skips rows with too many fields and pads rows with too few', () => {
+    const { rows, errors } = parseCSVWithErrors('a,b,c\n1,2,3,4\n5,6\n7,8,9,,\n');
+    expect(rows).toEqual([
+      { a: '5', b: '6', c: '' },
+      { a: '7', b: '8', c: '9' },
+    ]);
+    expect(errors).toEqual([
+      { row: 1, line: 2, message: 'Expected 3 fields but found 4; row skipped' },
+      { row: 2, line: 3, message: 'Expected 3 fields but found 2; missing fields left blank' },
+    ]);
+  });
+
+  it('drops a record whose quoted field never closes', () => {
+    const { rows, errors } = parseCSVWithErrors('a,b\n1,2\n3,"open\n4,5\n');
+    expect(rows).toEqual([{ a: '1', b: '2' }]);
+    expect(errors).toEqual([{ row: 2, line: 3, message: 'Unterminated quoted field; record dropped' }]);
+  });
+
+  it('counts lines inside quoted fields when reporting errors', () => {
+    const { errors } = parseCSVWithErrors('a,b\n"x\ny",1\n1,2,3\n');
+    expect(errors).toEqual([{ row: 2, line: 4, message: 'Expected 2 fields but found 3; row skipped' }]);
+  });
+
+  it('gives the same rows however the text is split into chunks', () => {
+    const csv = '\uFEFFname,notes\r\n"Smith, Jo","Said ""hi""\r\nthen left"\r\nLee,plain\r\n';
+    const whole = parseCSVWithErrors(csv);
+    for (let at = 1; at < csv.length; at++) {
+      expect(chunkedParse([csv.slice(0, at), csv.slice(at)])).toEqual(whole);
+    }
+    expect(chunkedParse(csv.split(''))).toEqual(whole);
+  });
+
+  it('drops a byte order mark that follows an empty first chunk', () => {
+    expect(chunkedParse(['', '\uFEFFa\n1\n']).rows).toEqual([{ a: '1' }]);
+  });
+
+  it('does not start an extra record when CR and LF arrive in separate chunks', () => {
+    expect(chunkedParse(['a,b\r', '\n1,2\r', '\n'])).toEqual({ rows: [{ a: '1', b: '2' }], errors: [] });
+  });
+
+  it('ends a record at the end of the text without a final line break', () => {
+    expect(parseCSV('a,b\n1,"2"')).toEqual([{ a: '1', b: '2' }]);
+  });
+});
+
+const BOOKINGS_CSV = [
+  'booking_id,date,court,time_start,time_end,status,booking_type,checked_in,no_show_dismissed_by,no_show_dismissed_at',
+  'B-1,2026-10-19,3,9:00 AM,10:00,active,open,FALSE,AB,2026-10-19T15:20:00.000Z',
+  'B-2,2026-10-19,4,09:00,10:00,active,open,FALSE,,',
+].join('\r\n');
+
+describe('timestamp columns', () => {
+  it('keeps ISO timestamps whole', () => {
+    const [row] = parseCSV(BOOKINGS_CSV);
+    expect(row.no_show_dismissed_at).toBe('2026-10-19T15:20:00.000Z');
+    expect(row.time_start).toBe('09:00');
+  });
+
+  it('reads the Sheets display form as a local timestamp', () => {
+    const row = normalizeRow({ created_at: '10/19/2026 14:05:30' });
+    expect(row.created_at).toBe(new Date(2026, 9, 19, 14, 5, 30).toISOString());
+  });
+
+  it('still normalizes time-only values', () => {
+    expect(normalizeRow({ checked_in_at: '2:05 PM' }).checked_in_at).toBe('14:05');
+  });
+});
+
+describe('no-show review queue after a reload', () => {
+  it('keeps a dismissed booking out of the queue', () => {
+    const now = new Date('2026-10-19T12:00:00');
+    const candidates = findNoShowCandidates(parseEntities('booking', parseCSV(BOOKINGS_CSV)), now);
+    expect(candidates.map(b => b.booking_id)).toEqual(['B-2']);
+  });
+});
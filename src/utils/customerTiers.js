@@ -0,0 +1,49 @@
+import { CUSTOMER_TIERS } from '../config.js';
+
+/**
+ * Customer pricing tiers
+ *
+ * Open play is priced by who is playing: residents pay the rate card,
+ * and rate_tier_<tier> rows in the config sheet adjust it for the
+ * other tiers (see rates.js). Bookings store the tier in customer_tier;
+ * older rows without one are read as junior when flagged is_youth and
+ * resident otherwise.
+ */
+
+const TIER_LABELS = {
+  [CUSTOMER_TIERS.RESIDENT]: 'Resident',
+  [CUSTOMER_TIERS.NON_RESIDENT]: 'Non-Resident',
+  [CUSTOMER_TIERS.SENIOR]: 'Senior',
+  [CUSTOMER_TIERS.JUNIOR]: 'Junior',
+  [CUSTOMER_TIERS.MEMBER]: 'Member',
+};
+
+// Tier bookings fall back to; it pays the rate card as written
+export const DEFAULT_CUSTOMER_TIER = CUSTOMER_TIERS.RESIDENT;
+
+/**
+ * Display label for a tier
+ * @param {string} tier
+ * @returns {string}
+ */
+export function getCustomerTierLabel(tier) {
+  return TIER_LABELS[tier] || tier || TIER_LABELS[DEFAULT_CUSTOMER_TIER];
+}
+
+/**
+ * Tier options for a Select, in display order
+ * @returns {Array<{ value: string, label: string }>}
+ */
+export function getCustomerTierOptions() {
+  return Object.values(CUSTOMER_TIERS).map(tier => ({ value: tier, label: TIER_LABELS[tier] }));
+}
+
+/**
+ * Tier a booking is priced and reported under
+ * @param {object} booking
+ * @returns {string}
+ */
+export function getBookingTier(booking) {
+  if (booking.customer_tier) return booking.customer_tier;
+  return booking.is_youth ? CUSTOMER_TIERS.JUNIOR : DEFAULT_CUSTOMER_TIER;
+}
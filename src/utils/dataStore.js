@@ -0,0 +1,247 @@
+import {
+  fetchBookings,
+  fetchClosures,
+  fetchConfig,
+  fetchContractors,
+  fetchCourts,
+  fetchCredits,
+  fetchMaintenanceLog,
+  fetchMaintenanceTasks,
+  fetchStaff,
+  fetchTeams,
+  fetchTournaments,
+} from './api.js';
+import { COLLECTION_KEYS } from './backendActions.js';
+
+/**
+ * Central data store
+ *
+ * One copy of every collection for the whole app. Hooks read from here
+ * instead of fetching their own CSV, so three hooks asking for courts at
+ * once share one request and every view sees the same rows.
+ *
+ * Each collection entry is immutable and replaced on change:
+ * { rows, byId, status, error, loadedAt }
+ * - rows: typed records in sheet order
+ * - byId: Map of ID column value to record (see COLLECTION_KEYS)
+ * - status: 'idle' | 'loading' | 'ready' | 'error'
+ *
+ * Secondary indexes (bookings by date, court, entity_id, ...) are built
+ * on first use with getIndex() and cached per rows array.
+ */
+
+// Loader per collection; resolves to typed rows
+const LOADERS = {
+  bookings: fetchBookings,
+  closures: fetchClosures,
+  config: fetchConfig,
+  contractors: fetchContractors,
+  courts: fetchCourts,
+  credits: fetchCredits,
+  maintenanceLog: fetchMaintenanceLog,
+  maintenanceTasks: fetchMaintenanceTasks,
+  staff: fetchStaff,
+  teams: fetchTeams,
+  tournaments: fetchTournaments,
+};
+
+const EMPTY_ENTRY = Object.freeze({
+  rows: [],
+  byId: new Map(),
+  status: 'idle',
+  error: null,
+  loadedAt: null,
+});
+
+let entries = {};
+const listeners = new Set();
+// Requests in flight, and reloads requested while one was in flight
+const inFlight = new Map();
+const queued = new Map();
+// Per-collection hook applied to rows fresh from the backend
+const loadTransforms = new Map();
+// rows array -> Map of field -> index
+const indexCache = new WeakMap();
+
+function notify() {
+  listeners.forEach(listener => listener());
+}
+
+/**
+ * Replace a collection entry and tell subscribers
+ * @param {string} collection
+ * @param {object} changes - Fields of the entry to replace
+ */
+function updateEntry(collection, changes) {
+  const entry = { ...getCollectionState(collection), ...changes };
+  if (changes.rows) {
+    const idKey = COLLECTION_KEYS[collection];
+    entry.byId = new Map();
+    changes.rows.forEach(row => {
+      if (row[idKey] !== undefined && row[idKey] !== '') entry.byId.set(row[idKey], row);
+    });
+  }
+  entries = { ...entries, [collection]: entry };
+  notify();
+}
+
+/**
+ * Subscribe to store changes
+ * @param {Function} listener
+ * @returns {Function} Unsubscribe
+ */
+export function subscribeStore(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+/**
+ * Current entry for a collection (same object until it changes)
+ * @param {string} collection
+ * @returns {object}
+ */
+export function getCollectionState(collection) {
+  return entries[collection] || EMPTY_ENTRY;
+}
+
+/**
+ * Pass rows loaded from the backend through a function before storing them
+ * BookingsProvider uses this to keep optimistic changes on top of fresh rows.
+ * @param {string} collection
+ * @param {Function|null} transform - rows => rows, or null to remove
+ */
+export function setLoadTransform(collection, transform) {
+  if (transform) {
+    loadTransforms.set(collection, transform);
+  } else {
+    loadTransforms.delete(collection);
+  }
+}
+
+async function startLoad(collection) {
+  const loader = LOADERS[collection];
+  if (!loader) {
+    throw new Error(`Unknown collection: ${collection}`);
+  }
+
+  updateEntry(collection, { status: 'loading', error: null });
+  const request = (async () => {
+    try {
+      const data = await loader();
+      const transform = loadTransforms.get(collection);
+      const rows = transform ? transform(data) : data;
+      updateEntry(collection, { rows, status: 'ready', error: null, loadedAt: new Date() });
+      return rows;
+    } catch (err) {
+      console.error(`[DataStore] Error loading ${collection}:`, err);
+      updateEntry(collection, { status: 'error', error: err.message || `Failed to fetch ${collection}` });
+      throw err;
+    } finally {
+      inFlight.delete(collection);
+    }
+  })();
+  inFlight.set(collection, request);
+  return request;
+}
+
+/**
+ * Load a collection, sharing any request already in flight
+ * Without force, a collection that is already loaded is returned as is.
+ * With force, a request already in flight may predate the caller's
+ * write, so one more load is queued after it (shared by all callers).
+ * @param {string} collection
+ * @param {object} options
+ * @param {boolean} options.force - Reload even if already loaded
+ * @returns {Promise<Array<object>>} Rows
+ */
+export function loadCollection(collection, { force = false } = {}) {
+  const state = getCollectionState(collection);
+  if (!force && state.status === 'ready') {
+    return Promise.resolve(state.rows);
+  }
+
+  const current = inFlight.get(collection);
+  if (!current) {
+    return startLoad(collection);
+  }
+  if (!force) {
+    return current;
+  }
+
+  if (!queued.has(collection)) {
+    queued.set(collection, current
+      .catch(() => {})
+      .then(() => {
+        queued.delete(collection);
+        return startLoad(collection);
+      }));
+  }
+  return queued.get(collection);
+}
+
+/**
+ * Collections something has asked for so far
+ * @returns {Array<string>}
+ */
+export function getLoadedCollections() {
+  return Object.keys(entries).filter(name => entries[name].status !== 'idle');
+}
+
+/**
+ * Reload collections together
+ * @param {Array<string>} [collections] - Defaults to every collection loaded so far
+ * @returns {Promise<void>} Resolves once all have settled
+ */
+export async function refreshCollections(collections = getLoadedCollections()) {
+  await Promise.allSettled(collections.map(name => loadCollection(name, { force: true })));
+}
+
+/**
+ * Replace a collection's rows locally (optimistic updates, merged syncs)
+ * @param {string} collection
+ * @param {Array<object>|Function} rowsOrUpdater - New rows, or prev => rows
+ */
+export function setCollectionRows(collection, rowsOrUpdater) {
+  const prev = getCollectionState(collection).rows;
+  const rows = typeof rowsOrUpdater === 'function' ? rowsOrUpdater(prev) : rowsOrUpdater;
+  if (rows === prev) return;
+  updateEntry(collection, { rows });
+}
+
+/**
+ * Index of a collection's rows by a field, built on first use
+ * @param {string} collection
+ * @param {string} field - e.g. 'date', 'court', 'entity_id'
+ * @returns {Map<*, Array<object>>}
+ */
+export function getIndex(collection, field) {
+  const { rows } = getCollectionState(collection);
+  let indexes = indexCache.get(rows);
+  if (!indexes) {
+    indexes = new Map();
+    indexCache.set(rows, indexes);
+  }
+
+  let index = indexes.get(field);
+  if (!index) {
+    index = new Map();
+    rows.forEach(row => {
+      const key = row[field];
+      if (!index.has(key)) index.set(key, []);
+      index.get(key).push(row);
+    });
+    indexes.set(field, index);
+  }
+  return index;
+}
+
+/**
+ * Rows whose field equals a value, using the cached index
+ * @param {string} collection
+ * @param {string} field
+ * @param {*} value
+ * @returns {Array<object>}
+ */
+export function selectBy(collection, field, value) {
+  return getIndex(collection, field).get(value) || [];
+}
@@ -1,7 +1,8 @@
-import { CONFIG } from '../config.js';
+import { getFacilityConfig, getOperatingHours } from './facilityConfig.js';
 import {
   normalizeTime as normalizeTimeFromUtils,
   parseTimeToMinutes,
+  minutesToTime,
   parseHour,
   parseMinutes,
   formatTimeShort as formatTimeShortFromUtils,
@@ -71,32 +72,30 @@ export function formatDateShort(date) {
 
 /**
  * Get all time slots for the day
+ * Uses the operating hours and slot length from the facility config.
+ * @param {Date|string} [date] - Day to use seasonal hours for
  * @returns {Array<string>} Array of times in HH:MM format
  */
-export function getTimeSlots() {
+export function getTimeSlots(date) {
+  const { slotMinutes } = getFacilityConfig();
+  const { start, end } = getOperatingHours(date);
+  const endMinutes = parseTimeToMinutes(end);
+
   const slots = [];
-  let hour = CONFIG.DAY_START_HOUR;
-  let minute = CONFIG.DAY_START_MINUTE;
-
-  while (hour < CONFIG.DAY_END_HOUR || (hour === CONFIG.DAY_END_HOUR && minute < CONFIG.DAY_END_MINUTE)) {
-    slots.push(`${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}`);
-    minute += CONFIG.SLOT_MINUTES;
-    if (minute >= 60) {
-      minute = 0;
-      hour++;
-    }
+  for (let minutes = parseTimeToMinutes(start); minutes < endMinutes; minutes += slotMinutes) {
+    slots.push(minutesToTime(minutes));
   }
-
   return slots;
 }
 
 /**
  * Get end time options based on start time
  * @param {string} startTime - Start time in HH:MM format
+ * @param {Date|string} [date] - Day to use seasonal hours for
  * @returns {Array<string>} Array of valid end times
  */
-export function getEndTimeOptions(startTime) {
-  const allSlots = getTimeSlots();
+export function getEndTimeOptions(startTime, date) {
+  const allSlots = getTimeSlots(date);
   const startIndex = allSlots.indexOf(startTime);
 
   if (startIndex === -1) return [];
@@ -105,7 +104,7 @@ export function getEndTimeOptions(startTime) {
   const endSlots = allSlots.slice(startIndex + 1);
 
   // Add end of day if not already included
-  const endOfDay = `${String(CONFIG.DAY_END_HOUR).padStart(2, '0')}:${String(CONFIG.DAY_END_MINUTE).padStart(2, '0')}`;
+  const endOfDay = getOperatingHours(date).end;
   if (!endSlots.includes(endOfDay)) {
     endSlots.push(endOfDay);
   }
@@ -175,14 +174,17 @@ export function getCurrentTime() {
 /**
  * Calculate position percentage for current time line
  * @param {string|number} currentTime - Current time in HH:MM format or decimal
- * @returns {number|null} Percentage position, or null if outside operating hours
+ * @param {Date|string} [date] - Day to use seasonal hours for
+ * @returns {number|null} Percentage position, or null if outside operating hours or closed
  */
-export function getTimePosition(currentTime) {
+export function getTimePosition(currentTime, date) {
   const { hours: hour, minutes: minute } = parseTime(currentTime);
   const currentMinutes = hour * 60 + minute;
 
-  const startMinutes = CONFIG.DAY_START_HOUR * 60 + CONFIG.DAY_START_MINUTE;
-  const endMinutes = CONFIG.DAY_END_HOUR * 60 + CONFIG.DAY_END_MINUTE;
+  const { start, end, closed } = getOperatingHours(date);
+  if (closed) return null;
+  const startMinutes = parseTimeToMinutes(start);
+  const endMinutes = parseTimeToMinutes(end);
 
   if (currentMinutes < startMinutes || currentMinutes > endMinutes) {
     return null;
@@ -0,0 +1,210 @@
+import { BOOKING_STATUS, BOOKING_TYPES } from '../config.js';
+import { getCollectionState } from './dataStore.js';
+import { getCurrentFacilityId } from './facilities.js';
+import { getConfigValues } from './facilityConfig.js';
+import { getBookingTypeLabel } from './colors.js';
+
+/**
+ * Discount rules
+ *
+ * Promo codes are promo_ rows in the config sheet, read with the same
+ * facility precedence as the rate card (see facilityConfig.js):
+ * | key            | example                                            |
+ * |----------------|----------------------------------------------------|
+ * | promo_<code>   | 20%; 2026-06-01..2026-08-31; types open; max 50    |
+ * | promo_comp     | 100%; staff                                        |
+ *
+ * The value starts with the discount, a percent (20%) or dollars off
+ * the booking (5.00), followed by any of these, separated by ";":
+ * - YYYY-MM-DD..YYYY-MM-DD, from YYYY-MM-DD or until YYYY-MM-DD: the
+ *   booking dates the code is good for
+ * - types open contractor ...: booking types it applies to (all by default)
+ * - max N: how many times it can be used; a booking group is one use
+ * - staff: an override staff apply themselves, which needs a reason
+ * "none" removes a shared code for one facility.
+ *
+ * Discounts come off the rate card price (applyDiscount() in rates.js);
+ * bookings record list_price, discount_amount, promo_code and, for staff
+ * overrides, discount_reason, and payment_amount is what is left to pay.
+ */
+
+const KEY_PREFIX = 'promo_';
+const AMOUNT_PATTERN = /^(?:(\d+(?:\.\d+)?)\s*%|\$?(\d+(?:\.\d+)?))$/;
+const RANGE_PATTERN = /^(\d{4}-\d{2}-\d{2})?\s*\.\.\s*(\d{4}-\d{2}-\d{2})?$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Normalize a code as typed at the desk
+ * @param {string} code
+ * @returns {string} Upper case without spaces
+ */
+export function normalizePromoCode(code) {
+  return String(code || '').replace(/\s+/g, '').toUpperCase();
+}
+
+/**
+ * Parse a promo row value
+ * @param {string} code
+ * @param {string} value
+ * @returns {{ rule: object|null, error: string|null }}
+ */
+function parsePromoRule(code, value) {
+  const [first, ...clauses] = value.split(';').map(part => part.trim().toLowerCase());
+  const amount = first.match(AMOUNT_PATTERN);
+  if (!amount) {
+    return { rule: null, error: 'must start with a discount, like 20% or 5.00' };
+  }
+  const rule = {
+    code,
+    kind: amount[1] ? 'percent' : 'fixed',
+    amount: Number(amount[1] || amount[2]),
+    from: null,
+    until: null,
+    types: null,
+    maxUses: null,
+    staff: false,
+  };
+  if (rule.kind === 'percent' && rule.amount > 100) {
+    return { rule: null, error: 'cannot take off more than 100%' };
+  }
+
+  for (const clause of clauses.filter(Boolean)) {
+    const [word, ...rest] = clause.split(/\s+/);
+    const arg = rest.join(' ');
+    const range = clause.match(RANGE_PATTERN);
+    if (range && (range[1] || range[2])) {
+      rule.from = range[1] || null;
+      rule.until = range[2] || null;
+    } else if ((word === 'from' || word === 'until') && DATE_PATTERN.test(arg)) {
+      rule[word] = arg;
+    } else if (word === 'types' && arg) {
+      const types = arg.split(/[\s,/]+/).filter(Boolean);
+      const unknown = types.filter(t => !Object.values(BOOKING_TYPES).includes(t));
+      if (unknown.length > 0) {
+        return { rule: null, error: `has unknown booking types: ${unknown.join(', ')}` };
+      }
+      rule.types = types;
+    } else if (word === 'max' && /^\d+$/.test(arg)) {
+      rule.maxUses = Number(arg);
+    } else if (clause === 'staff') {
+      rule.staff = true;
+    } else {
+      return { rule: null, error: `has an invalid part "${clause}"` };
+    }
+  }
+  return { rule, error: null };
+}
+
+/**
+ * Build the promo codes from config sheet rows
+ * @param {Array<object>} rows - Config sheet rows
+ * @param {string} [facilityId]
+ * @returns {{ rules: Map<string, object>, issues: Array<{ key: string, message: string }> }}
+ *   rules are keyed by normalized code
+ */
+export function parsePromoRules(rows, facilityId = getCurrentFacilityId()) {
+  const { values } = getConfigValues(rows, facilityId);
+  const rules = new Map();
+  const issues = [];
+  values.forEach((value, key) => {
+    if (!key.startsWith(KEY_PREFIX) || value === '' || value.toLowerCase() === 'none') return;
+    const code = normalizePromoCode(key.slice(KEY_PREFIX.length));
+    const { rule, error } = parsePromoRule(code, value);
+    if (error) {
+      issues.push({ key, message: error });
+    } else {
+      rules.set(code, rule);
+    }
+  });
+  return { rules, issues };
+}
+
+// config rows array -> Map of facility ID -> rules
+const rulesCache = new WeakMap();
+
+/**
+ * Promo codes for a facility, from the loaded config rows
+ * @param {string} [facilityId]
+ * @returns {Map<string, object>}
+ */
+export function getPromoRules(facilityId = getCurrentFacilityId()) {
+  const { rows } = getCollectionState('config');
+  let byFacility = rulesCache.get(rows);
+  if (!byFacility) {
+    byFacility = new Map();
+    rulesCache.set(rows, byFacility);
+  }
+  let rules = byFacility.get(facilityId);
+  if (!rules) {
+    const parsed = parsePromoRules(rows, facilityId);
+    if (parsed.issues.length > 0) {
+      console.warn(`[Discounts] Ignoring invalid promo codes for ${facilityId}:`, parsed.issues);
+    }
+    rules = parsed.rules;
+    byFacility.set(facilityId, rules);
+  }
+  return rules;
+}
+
+/**
+ * Short description of a rule, e.g. "20% off" or "$5.00 off"
+ * @param {object} rule
+ * @returns {string}
+ */
+export function describePromoRule(rule) {
+  const amount = rule.kind === 'percent' ? `${rule.amount}%` : `$${rule.amount.toFixed(2)}`;
+  return `${amount} off${rule.staff ? ' (staff override)' : ''}`;
+}
+
+/**
+ * Times a code has been used
+ * Cancelled bookings give their use back; a booking group counts once.
+ * @param {string} code
+ * @param {Array<object>} bookings
+ * @param {string} [ignoreKey] - Group or booking ID being edited, not counted
+ * @returns {number}
+ */
+export function getPromoUses(code, bookings, ignoreKey) {
+  const normalized = normalizePromoCode(code);
+  const uses = new Set();
+  bookings.forEach(b => {
+    if (b.status === BOOKING_STATUS.CANCELLED || normalizePromoCode(b.promo_code) !== normalized) return;
+    const key = b.group_id || b.booking_id;
+    if (key !== ignoreKey) uses.add(key);
+  });
+  return uses.size;
+}
+
+/**
+ * Look up a code and check it can be used for a booking
+ * @param {string} code - As typed
+ * @param {object} booking
+ * @param {string} booking.date - YYYY-MM-DD
+ * @param {string} booking.bookingType
+ * @param {string} [booking.reason] - Required for staff overrides
+ * @param {string} [booking.ignoreKey] - Group or booking ID being edited
+ * @param {Array<object>} bookings - Existing bookings, for max uses
+ * @param {string} [facilityId]
+ * @returns {{ rule: object|null, error: string|null }} Both null without a code
+ */
+export function checkPromoCode(code, { date, bookingType, reason, ignoreKey }, bookings, facilityId) {
+  const normalized = normalizePromoCode(code);
+  if (!normalized) return { rule: null, error: null };
+
+  const rule = getPromoRules(facilityId).get(normalized);
+  if (!rule) return { rule: null, error: `Promo code ${normalized} not found` };
+
+  let error = null;
+  if (rule.from && date < rule.from) {
+    error = `${normalized} starts on ${rule.from}`;
+  } else if (rule.until && date > rule.until) {
+    error = `${normalized} ended on ${rule.until}`;
+  } else if (rule.types && !rule.types.includes(bookingType)) {
+    error = `${normalized} does not apply to ${getBookingTypeLabel(bookingType)} bookings`;
+  } else if (rule.maxUses !== null && getPromoUses(normalized, bookings, ignoreKey) >= rule.maxUses) {
+    error = `${normalized} has been used all ${rule.maxUses} times`;
+  } else if (rule.staff && !String(reason || '').trim()) {
+    error = `${normalized} is a staff override; enter a reason`;
+  }
+  return { rule: error ? null : rule, error };
+}
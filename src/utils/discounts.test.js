@@ -0,0 +1,106 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { parsePromoRules, checkPromoCode, getPromoUses, normalizePromoCode, describePromoRule } from './discounts.js';
+import { applyDiscount } from './rates.js';
+import { setCollectionRows } from './dataStore.js';
+
+const configRows = (values) => Object.entries(values).map(([key, value]) => ({ key, value }));
+
+const booking = (booking_id, extra = {}) => ({ booking_id, status: 'active', promo_code: 'SUMMER', ...extra });
+
+beforeEach(() => setCollectionRows('config', configRows({
+  promo_summer: '20%; 2026-06-01..2026-08-31; types open contractor; max 2',
+  promo_fall: '5.00; from 2026-09-01',
+  promo_comp: '100%; staff',
+})));
+
+const check = (code, extra = {}, bookings = []) =>
+  checkPromoCode(code, { date: '2026-07-15', bookingType: 'open', ...extra }, bookings, 'rebsamen');
+
+describe('parsePromoRules', () => {
+  it('reads the discount, dates, types, uses and staff flag', () => {
+    const { rules, issues } = parsePromoRules(configRows({
+      promo_summer: '20%; 2026-06-01..2026-08-31; types open contractor; max 50',
+      promo_comp: '100%; staff',
+      promo_five: '$5.00; until 2026-12-31',
+    }), 'rebsamen');
+    expect(issues).toEqual([]);
+    expect(rules.get('SUMMER')).toEqual({
+      code: 'SUMMER',
+      kind: 'percent',
+      amount: 20,
+      from: '2026-06-01',
+      until: '2026-08-31',
+      types: ['open', 'contractor'],
+      maxUses: 50,
+      staff: false,
+    });
+    expect(rules.get('COMP')).toMatchObject({ kind: 'percent', amount: 100, staff: true });
+    expect(rules.get('FIVE')).toMatchObject({ kind: 'fixed', amount: 5, from: null, until: '2026-12-31' });
+  });
+
+  it('reports invalid rows', () => {
+    const { rules, issues } = parsePromoRules(configRows({
+      promo_big: '120%',
+      promo_odd: '10%; weekends',
+      promo_kind: '10%; types squash',
+    }), 'rebsamen');
+    expect(rules.size).toBe(0);
+    expect(issues).toEqual([
+      { key: 'promo_big', message: 'cannot take off more than 100%' },
+      { key: 'promo_odd', message: 'has an invalid part "weekends"' },
+      { key: 'promo_kind', message: 'has unknown booking types: squash' },
+    ]);
+  });
+});
+
+describe('checkPromoCode', () => {
+  it('accepts a code typed in any case and spacing', () => {
+    expect(normalizePromoCode(' sum mer ')).toBe('SUMMER');
+    expect(check('summer')).toMatchObject({ rule: { code: 'SUMMER' }, error: null });
+    expect(check('')).toEqual({ rule: null, error: null });
+    expect(check('nope').error).toBe('Promo code NOPE not found');
+  });
+
+  it('checks the booking date against the code\'s window', () => {
+    expect(check('SUMMER', { date: '2026-05-31' }).error).toBe('SUMMER starts on 2026-06-01');
+    expect(check('SUMMER', { date: '2026-09-01' }).error).toBe('SUMMER ended on 2026-08-31');
+    expect(check('FALL', { date: '2026-08-31' }).error).toBe('FALL starts on 2026-09-01');
+    expect(check('FALL', { date: '2027-03-01' }).error).toBeNull();
+  });
+
+  it('checks the booking type', () => {
+    expect(check('SUMMER', { bookingType: 'tournament' }).error).toMatch(/^SUMMER does not apply to /);
+  });
+
+  it('counts a booking group as one use and gives cancelled bookings their use back', () => {
+    const bookings = [
+      booking('B-1', { group_id: 'GRP-1' }),
+      booking('B-2', { group_id: 'GRP-1' }),
+      booking('B-3', { status: 'cancelled' }),
+      booking('B-4', { promo_code: 'summer' }),
+    ];
+    expect(getPromoUses('SUMMER', bookings)).toBe(2);
+    expect(check('SUMMER', {}, bookings).error).toBe('SUMMER has been used all 2 times');
+    expect(check('SUMMER', { ignoreKey: 'GRP-1' }, bookings).error).toBeNull();
+  });
+
+  it('needs a reason for a staff override', () => {
+    expect(check('COMP').error).toBe('COMP is a staff override; enter a reason');
+    expect(check('COMP', { reason: '  ' }).error).toBe('COMP is a staff override; enter a reason');
+    expect(check('COMP', { reason: 'Court lights failed' })).toMatchObject({ rule: { code: 'COMP' }, error: null });
+  });
+
+  it('describes the discount', () => {
+    const { rule } = check('COMP', { reason: 'Comp' });
+    expect(describePromoRule(rule)).toBe('100% off (staff override)');
+    expect(describePromoRule(check('FALL', { date: '2026-10-19' }).rule)).toBe('$5.00 off');
+  });
+});
+
+describe('applyDiscount', () => {
+  it('takes percent or dollars off without going below zero', () => {
+    expect(applyDiscount(24, { kind: 'percent', amount: 25 })).toEqual({ listPrice: 24, discount: 6, total: 18 });
+    expect(applyDiscount(24, { kind: 'fixed', amount: 30 })).toEqual({ listPrice: 24, discount: 24, total: 0 });
+    expect(applyDiscount(24, null)).toEqual({ listPrice: 24, discount: 0, total: 24 });
+  });
+});
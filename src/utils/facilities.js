@@ -0,0 +1,196 @@
+import { CONFIG } from '../config.js';
+import { getCollectionState } from './dataStore.js';
+
+/**
+ * Facilities
+ *
+ * The parks department schedules several court sites from the one sheet.
+ * Courts, bookings, closures and staff rows carry a facility_id column;
+ * a blank facility_id means the main facility (CONFIG.MAIN_FACILITY_ID),
+ * so rows written before other sites were added keep working and the
+ * main facility's rows are always written with it blank.
+ *
+ * Staff rows may list several facilities separated by commas; a blank
+ * facility_id means the staff member works at every site.
+ *
+ * Facilities are listed in the config sheet with facility_name rows,
+ * one per site, using the config row's facility_id column:
+ * | key           | value                  | facility_id |
+ * |---------------|------------------------|-------------|
+ * | facility_name | Walker Tennis Center   | walker      |
+ *
+ * Facility IDs prefix the booking IDs of their bookings (see
+ * bookingId.js), so they must start with a letter and use only letters,
+ * digits and underscores. facility_name rows with any other ID are
+ * ignored with a warning.
+ *
+ * The facility being scheduled is chosen in the Header and remembered
+ * per browser.
+ */
+
+const STORAGE_KEY = 'rebsamen-current-facility';
+const FACILITY_ID_PATTERN = /^[A-Z][A-Z0-9_]*$/i;
+
+const listeners = new Set();
+let currentFacilityId = readStoredFacility();
+
+function readStoredFacility() {
+  try {
+    return localStorage.getItem(STORAGE_KEY) || CONFIG.MAIN_FACILITY_ID;
+  } catch {
+    return CONFIG.MAIN_FACILITY_ID;
+  }
+}
+
+/**
+ * Facility a row belongs to
+ * @param {object} row - Court, booking, closure or config row
+ * @returns {string}
+ */
+export function getRowFacilityId(row) {
+  return String(row?.facility_id || '').trim() || CONFIG.MAIN_FACILITY_ID;
+}
+
+/**
+ * Check whether a facility ID can be used in booking IDs
+ * @param {string} facilityId
+ * @returns {boolean}
+ */
+export function isValidFacilityId(facilityId) {
+  return FACILITY_ID_PATTERN.test(facilityId);
+}
+
+/**
+ * Value to write in a new row's facility_id column
+ * @param {string} facilityId
+ * @returns {string} Blank for the main facility
+ */
+export function toFacilityColumn(facilityId) {
+  return facilityId === CONFIG.MAIN_FACILITY_ID ? '' : facilityId;
+}
+
+// config rows array -> facility list
+const facilitiesCache = new WeakMap();
+
+/**
+ * Every facility, main facility first
+ * @returns {Array<{ id: string, name: string }>}
+ */
+export function getFacilities() {
+  const { rows } = getCollectionState('config');
+  let facilities = facilitiesCache.get(rows);
+  if (!facilities) {
+    const names = new Map([[CONFIG.MAIN_FACILITY_ID, CONFIG.MAIN_FACILITY_NAME]]);
+    const invalidIds = [];
+    rows.forEach(row => {
+      const key = String(row.key || row.setting || '').trim().toLowerCase();
+      const name = String(row.value ?? '').trim();
+      if (key !== 'facility_name' || !name) return;
+      const id = getRowFacilityId(row);
+      if (!isValidFacilityId(id)) {
+        invalidIds.push(id);
+        return;
+      }
+      // The main facility's own row renames it; otherwise the first row wins
+      if (!names.has(id) || id === CONFIG.MAIN_FACILITY_ID) names.set(id, name);
+    });
+    if (invalidIds.length > 0) {
+      console.warn('[Facilities] Ignoring facilities whose IDs are not letters, digits and underscores starting with a letter:', invalidIds);
+    }
+    facilities = [...names].map(([id, name]) => ({ id, name }));
+    facilitiesCache.set(rows, facilities);
+  }
+  return facilities;
+}
+
+/**
+ * Facility being scheduled
+ * Falls back to the main facility once the config has loaded and the
+ * remembered facility is no longer listed.
+ * @returns {string}
+ */
+export function getCurrentFacilityId() {
+  if (getCollectionState('config').status === 'ready' &&
+      !getFacilities().some(f => f.id === currentFacilityId)) {
+    return CONFIG.MAIN_FACILITY_ID;
+  }
+  return currentFacilityId;
+}
+
+/**
+ * Facility record by ID
+ * @param {string} [facilityId] - Defaults to the current facility
+ * @returns {{ id: string, name: string }}
+ */
+export function getFacility(facilityId = getCurrentFacilityId()) {
+  return getFacilities().find(f => f.id === facilityId) || { id: facilityId, name: facilityId };
+}
+
+/**
+ * Switch the facility being scheduled
+ * @param {string} facilityId
+ */
+export function setCurrentFacility(facilityId) {
+  if (facilityId === currentFacilityId) return;
+  currentFacilityId = facilityId;
+  try {
+    localStorage.setItem(STORAGE_KEY, facilityId);
+  } catch (error) {
+    console.warn('[Facilities] Could not remember facility:', error);
+  }
+  listeners.forEach(listener => listener());
+}
+
+/**
+ * Subscribe to facility switches
+ * @param {Function} listener
+ * @returns {Function} Unsubscribe
+ */
+export function subscribeFacility(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+/**
+ * Check whether a court, booking or closure row belongs to a facility
+ * @param {object} row
+ * @param {string} [facilityId] - Defaults to the current facility
+ * @returns {boolean}
+ */
+export function isInFacility(row, facilityId = getCurrentFacilityId()) {
+  return getRowFacilityId(row) === facilityId;
+}
+
+/**
+ * Check whether a staff member works at a facility
+ * @param {object} staff - Staff row
+ * @param {string} [facilityId] - Defaults to the current facility
+ * @returns {boolean}
+ */
+export function worksAtFacility(staff, facilityId = getCurrentFacilityId()) {
+  const ids = String(staff?.facility_id || '').split(',').map(id => id.trim()).filter(Boolean);
+  return ids.length === 0 || ids.includes(facilityId);
+}
+
+// rows array -> Map of facility ID -> rows
+const filterCache = new WeakMap();
+
+/**
+ * Rows belonging to a facility, cached per rows array
+ * @param {Array<object>} rows
+ * @param {string} [facilityId] - Defaults to the current facility
+ * @returns {Array<object>}
+ */
+export function filterByFacility(rows, facilityId = getCurrentFacilityId()) {
+  let byFacility = filterCache.get(rows);
+  if (!byFacility) {
+    byFacility = new Map();
+    filterCache.set(rows, byFacility);
+  }
+  let filtered = byFacility.get(facilityId);
+  if (!filtered) {
+    filtered = rows.filter(row => isInFacility(row, facilityId));
+    byFacility.set(facilityId, filtered);
+  }
+  return filtered;
+}
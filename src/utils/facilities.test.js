@@ -0,0 +1,33 @@
+import { describe, it, expect, vi } from 'vitest';
+import { getFacilities, isValidFacilityId } from './facilities.js';
+import { setCollectionRows } from './dataStore.js';
+import { generateBookingId, parseBookingId } from './bookingId.js';
+
+describe('facility IDs', () => {
+  it('accepts only IDs that can prefix a booking ID', () => {
+    expect(isValidFacilityId('walker')).toBe(true);
+    expect(isValidFacilityId('west_park2')).toBe(true);
+    expect(isValidFacilityId('west-park')).toBe(false);
+    expect(isValidFacilityId('2nd_site')).toBe(false);
+  });
+
+  it('leaves facilities with unusable IDs out of the list and warns', () => {
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    setCollectionRows('config', [
+      { key: 'facility_name', value: 'Walker Tennis Center', facility_id: 'walker' },
+      { key: 'facility_name', value: 'West Park', facility_id: 'west-park' },
+      { key: 'facility_name', value: 'Second Site', facility_id: '2nd_site' },
+    ]);
+
+    expect(getFacilities().map(f => f.id)).toEqual(['rebsamen', 'walker']);
+    expect(warn).toHaveBeenCalledWith(expect.stringContaining('[Facilities]'), ['west-park', '2nd_site']);
+    warn.mockRestore();
+  });
+
+  it('generates booking IDs that parse back to a listed facility', () => {
+    setCollectionRows('config', [{ key: 'facility_name', value: 'Walker Tennis Center', facility_id: 'walker' }]);
+    const id = generateBookingId('2026-10-19', 3, '17:30', 'walker');
+    expect(id).toMatch(/^WALKER-20261019-03-1730-/);
+    expect(parseBookingId(id)).toMatchObject({ facilityId: 'walker', court: 3, date: '2026-10-19' });
+  });
+});
@@ -0,0 +1,531 @@
+import { CONFIG } from '../config.js';
+import { getCollectionState } from './dataStore.js';
+import { getCurrentFacilityId, getRowFacilityId } from './facilities.js';
+import { formatTimeDisplay, normalizeTime, parseTimeToMinutes } from './timeUtils.js';
+import { DEFAULT_HOLIDAYS, getHolidayDate, getHolidayLabel, parseHolidayRule } from './holidays.js';
+
+/**
+ * Facility configuration
+ *
+ * Operating hours, slot length and court numbering come from the config
+ * sheet (key / value rows), falling back to the defaults in config.js for
+ * any key that is missing or invalid. Invalid values are logged once per
+ * load and otherwise ignored, so a typo in the sheet can't break the grid.
+ *
+ * Each facility has its own settings (see facilities.js). Config rows with
+ * a facility_id apply to that facility only and win over rows with a blank
+ * facility_id, which apply to every facility. A shared stadium court that
+ * a smaller site doesn't have is dropped for that site.
+ *
+ * Config sheet keys:
+ * | key                  | example                       |
+ * |----------------------|-------------------------------|
+ * | day_start            | 08:00                         |
+ * | day_end              | 21:00                         |
+ * | slot_minutes         | 30  (15, 30 or 60)            |
+ * | total_courts         | 17                            |
+ * | stadium_court_number | 17                            |
+ * | season_<name>        | 05-01..09-30 07:00-22:00      |
+ * | hours_<weekday>      | 09:00-18:00  or  closed       |
+ * | season_<name>_<weekday> | 07:00-20:00  or  closed    |
+ * | hours_<YYYY-MM-DD>   | closed Christmas Day          |
+ * | holiday_<name>       | last mon may 08:00-18:00      |
+ *
+ * Weekdays are written sun, mon, tue, wed, thu, fri, sat.
+ *
+ * A season row overrides day_start / day_end between two month-day dates
+ * (inclusive; ranges like 11-01..02-28 wrap the new year). When seasons
+ * overlap, the first row in the sheet wins.
+ *
+ * Holidays are a date rule (see holidays.js) optionally followed by the
+ * day's hours or "closed". The usual US holidays are on the calendar by
+ * default; a holiday_<name> row with "none" removes one. Holidays are
+ * priced as weekends (see rates.js) and noted on reports.
+ *
+ * Hours for a date are resolved most specific first: a single-date
+ * exception, then a holiday with hours, the season's weekday row, the
+ * season, the weekly hours_<weekday> row and finally day_start /
+ * day_end. Exception values may end with a note ("10:00-16:00
+ * Thanksgiving hours") that is shown wherever the day's hours are.
+ */
+
+const SLOT_MINUTE_OPTIONS = [15, 30, 60];
+// Booking IDs hold the court as two digits
+const MAX_COURTS = 99;
+const SEASON_PATTERN = /^(\d{2}-\d{2})\s*\.\.\s*(\d{2}-\d{2})\s+(\d{1,2}:\d{2})\s*-\s*(\d{1,2}:\d{2})$/;
+// "closed" or "HH:MM-HH:MM", optionally followed by a note
+const HOURS_PATTERN = /^(?:(closed)|(\d{1,2}:\d{2})\s*-\s*(\d{1,2}:\d{2}))(?:\s+(.+))?$/i;
+const DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+const pad = (n) => String(n).padStart(2, '0');
+
+/**
+ * Settings used when the config sheet is empty or unavailable
+ * @returns {object}
+ */
+export function getDefaultFacilityConfig() {
+  return {
+    dayStart: `${pad(CONFIG.DAY_START_HOUR)}:${pad(CONFIG.DAY_START_MINUTE)}`,
+    dayEnd: `${pad(CONFIG.DAY_END_HOUR)}:${pad(CONFIG.DAY_END_MINUTE)}`,
+    slotMinutes: CONFIG.SLOT_MINUTES,
+    totalCourts: CONFIG.TOTAL_COURTS,
+    stadiumCourtNumber: CONFIG.STADIUM_COURT_NUMBER,
+    // Index 0 is Sunday; null means use dayStart / dayEnd
+    weekly: Array(7).fill(null),
+    seasons: [],
+    // YYYY-MM-DD -> hours
+    exceptions: {},
+    // { name, label, rule, hours }; hours null keeps the day's usual hours
+    holidays: DEFAULT_HOLIDAYS.map(({ name, label, value }) => ({
+      name,
+      label,
+      rule: parseHolidayRule(value).rule,
+      hours: null,
+    })),
+  };
+}
+
+/**
+ * Check a month-day string like "05-01"
+ * @param {string} value
+ * @returns {boolean}
+ */
+function isMonthDay(value) {
+  const [month, day] = value.split('-').map(Number);
+  return month >= 1 && month <= 12 && day >= 1 && day <= 31;
+}
+
+/**
+ * Check an opening/closing pair against the slot length
+ * @returns {string|null} Error message
+ */
+function checkHours(start, end, slotMinutes) {
+  const startMinutes = parseTimeToMinutes(start);
+  const endMinutes = parseTimeToMinutes(end);
+  if (endMinutes <= startMinutes) return `closing time ${end} is not after opening time ${start}`;
+  if (startMinutes % slotMinutes !== 0 || endMinutes % slotMinutes !== 0) {
+    return `${start}-${end} does not line up with ${slotMinutes}-minute slots`;
+  }
+  return null;
+}
+
+/**
+ * Parse an hours value: "closed" or "HH:MM-HH:MM", with an optional note
+ * @param {string} value
+ * @param {number} slotMinutes
+ * @returns {{ hours: object|null, error: string|null }}
+ *   hours is { closed: true, note } or { dayStart, dayEnd, note }
+ */
+function parseHoursValue(value, slotMinutes) {
+  const match = value.match(HOURS_PATTERN);
+  if (!match) {
+    return { hours: null, error: 'must be closed or look like 09:00-18:00' };
+  }
+  const note = match[4] ? match[4].trim() : '';
+  if (match[1]) {
+    return { hours: { closed: true, note }, error: null };
+  }
+  const dayStart = normalizeTime(match[2]);
+  const dayEnd = normalizeTime(match[3]);
+  const error = checkHours(dayStart, dayEnd, slotMinutes);
+  return error ? { hours: null, error } : { hours: { dayStart, dayEnd, note }, error: null };
+}
+
+/**
+ * Check a YYYY-MM-DD date string
+ * @param {string} value
+ * @returns {boolean}
+ */
+function isISODate(value) {
+  const match = value.match(DATE_PATTERN);
+  if (!match) return false;
+  const date = new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+  return date.getMonth() === Number(match[2]) - 1 && date.getDate() === Number(match[3]);
+}
+
+/**
+ * Config values that apply to a facility
+ * The facility's own rows win over shared rows with a blank facility_id;
+ * within each, the first row for a key wins. Keys are lower-cased.
+ * @param {Array<object>} rows - Config sheet rows
+ * @param {string} facilityId
+ * @returns {{ values: Map<string, string>, ownKeys: Set<string> }}
+ *   ownKeys are the keys set by the facility's own rows
+ */
+export function getConfigValues(rows, facilityId) {
+  const values = new Map();
+  const ownKeys = new Set();
+  const ownRows = rows.filter(row => String(row.facility_id || '').trim() && getRowFacilityId(row) === facilityId);
+  const sharedRows = rows.filter(row => !String(row.facility_id || '').trim());
+  [...ownRows, ...sharedRows].forEach(row => {
+    const key = String(row.key || row.setting || '').trim().toLowerCase();
+    if (!key || values.has(key)) return;
+    values.set(key, String(row.value ?? '').trim());
+    if (ownRows.includes(row)) ownKeys.add(key);
+  });
+  return { values, ownKeys };
+}
+
+/**
+ * Build facility settings from config sheet rows
+ * @param {Array<object>} rows - Rows with key (or setting), value and optional facility_id columns
+ * @param {string} [facilityId] - Facility to build settings for (defaults to the main facility)
+ * @returns {{ settings: object, issues: Array<{ key: string, message: string }> }}
+ */
+export function parseFacilityConfig(rows, facilityId = CONFIG.MAIN_FACILITY_ID) {
+  const settings = getDefaultFacilityConfig();
+  const issues = [];
+  const { values, ownKeys } = getConfigValues(rows, facilityId);
+
+  const has = (key) => values.has(key) && values.get(key) !== '';
+
+  if (has('slot_minutes')) {
+    const slotMinutes = Number(values.get('slot_minutes'));
+    if (SLOT_MINUTE_OPTIONS.includes(slotMinutes)) {
+      settings.slotMinutes = slotMinutes;
+    } else {
+      issues.push({ key: 'slot_minutes', message: `must be one of ${SLOT_MINUTE_OPTIONS.join(', ')}` });
+    }
+  }
+
+  const dayStart = has('day_start') ? normalizeTime(values.get('day_start')) : settings.dayStart;
+  const dayEnd = has('day_end') ? normalizeTime(values.get('day_end')) : settings.dayEnd;
+  const hoursError = !dayStart || !dayEnd
+    ? 'day_start and day_end must be times like 08:00'
+    : checkHours(dayStart, dayEnd, settings.slotMinutes);
+  if (hoursError) {
+    issues.push({ key: 'day_start', message: hoursError });
+  } else {
+    settings.dayStart = dayStart;
+    settings.dayEnd = dayEnd;
+  }
+
+  if (has('total_courts')) {
+    const totalCourts = Number(values.get('total_courts'));
+    if (Number.isInteger(totalCourts) && totalCourts >= 1 && totalCourts <= MAX_COURTS) {
+      settings.totalCourts = totalCourts;
+    } else {
+      issues.push({ key: 'total_courts', message: `must be a whole number from 1 to ${MAX_COURTS}` });
+    }
+  }
+
+  if (has('stadium_court_number')) {
+    const stadium = Number(values.get('stadium_court_number'));
+    if (Number.isInteger(stadium) && stadium >= 1 && stadium <= settings.totalCourts) {
+      settings.stadiumCourtNumber = stadium;
+    } else if (facilityId !== CONFIG.MAIN_FACILITY_ID && !ownKeys.has('stadium_court_number')) {
+      // The main facility's stadium court, which this site doesn't have
+      settings.stadiumCourtNumber = null;
+    } else {
+      issues.push({ key: 'stadium_court_number', message: `must be a court from 1 to ${settings.totalCourts}` });
+    }
+  } else if (settings.stadiumCourtNumber > settings.totalCourts) {
+    settings.stadiumCourtNumber = facilityId === CONFIG.MAIN_FACILITY_ID ? settings.totalCourts : null;
+  }
+
+  // Season weekday rows are applied once every season is known
+  const seasonWeekdayRows = [];
+  values.forEach((value, key) => {
+    if (!key.startsWith('season_') || value === '') return;
+    const weekday = WEEKDAYS.indexOf(key.slice(-3));
+    if (key.charAt(key.length - 4) === '_' && weekday !== -1 && !SEASON_PATTERN.test(value)) {
+      seasonWeekdayRows.push({ key, name: key.slice('season_'.length, -4), weekday, value });
+      return;
+    }
+    const match = value.match(SEASON_PATTERN);
+    if (!match || !isMonthDay(match[1]) || !isMonthDay(match[2])) {
+      issues.push({ key, message: 'must look like 05-01..09-30 07:00-22:00' });
+      return;
+    }
+    const start = normalizeTime(match[3]);
+    const end = normalizeTime(match[4]);
+    const error = checkHours(start, end, settings.slotMinutes);
+    if (error) {
+      issues.push({ key, message: error });
+      return;
+    }
+    settings.seasons.push({
+      name: key.slice('season_'.length),
+      from: match[1],
+      to: match[2],
+      dayStart: start,
+      dayEnd: end,
+      weekly: Array(7).fill(null),
+    });
+  });
+
+  seasonWeekdayRows.forEach(({ key, name, weekday, value }) => {
+    const season = settings.seasons.find(s => s.name === name);
+    if (!season) {
+      issues.push({ key, message: `no season_${name} row to override` });
+      return;
+    }
+    const { hours, error } = parseHoursValue(value, settings.slotMinutes);
+    if (error) {
+      issues.push({ key, message: error });
+    } else {
+      season.weekly[weekday] = hours;
+    }
+  });
+
+  values.forEach((value, key) => {
+    if (!key.startsWith('hours_') || value === '') return;
+    const target = key.slice('hours_'.length);
+    const weekday = WEEKDAYS.indexOf(target);
+    if (weekday === -1 && !isISODate(target)) {
+      issues.push({ key, message: 'must be hours_<weekday> (sun..sat) or hours_<YYYY-MM-DD>' });
+      return;
+    }
+    const { hours, error } = parseHoursValue(value, settings.slotMinutes);
+    if (error) {
+      issues.push({ key, message: error });
+    } else if (weekday !== -1) {
+      settings.weekly[weekday] = hours;
+    } else {
+      settings.exceptions[target] = hours;
+    }
+  });
+
+  values.forEach((value, key) => {
+    if (!key.startsWith('holiday_') || value === '') return;
+    const name = key.slice('holiday_'.length);
+    const index = settings.holidays.findIndex(h => h.name === name);
+    if (value.toLowerCase() === 'none') {
+      if (index !== -1) settings.holidays.splice(index, 1);
+      return;
+    }
+    const parsed = parseHolidayRule(value);
+    if (!parsed) {
+      issues.push({ key, message: 'must start with a date like 07-04, 2026-12-24 or last mon may' });
+      return;
+    }
+    let hours = null;
+    if (parsed.rest) {
+      const result = parseHoursValue(parsed.rest, settings.slotMinutes);
+      if (result.error) {
+        issues.push({ key, message: result.error });
+        return;
+      }
+      hours = result.hours;
+    }
+    const holiday = { name, label: getHolidayLabel(name), rule: parsed.rule, hours };
+    if (index !== -1) {
+      settings.holidays[index] = holiday;
+    } else {
+      settings.holidays.push(holiday);
+    }
+  });
+
+  return { settings, issues };
+}
+
+// config rows array -> Map of facility ID -> parsed settings
+const settingsCache = new WeakMap();
+
+/**
+ * Facility settings, from the config sheet once it has loaded
+ * Components should call useFacilityConfig() so they re-render when it
+ * does or the facility changes.
+ * @param {string} [facilityId] - Defaults to the current facility
+ * @returns {object} { dayStart, dayEnd, slotMinutes, totalCourts, stadiumCourtNumber, weekly, seasons, exceptions, holidays }
+ *   stadiumCourtNumber is null for sites without a stadium court
+ */
+export function getFacilityConfig(facilityId = getCurrentFacilityId()) {
+  const { rows } = getCollectionState('config');
+  let byFacility = settingsCache.get(rows);
+  if (!byFacility) {
+    byFacility = new Map();
+    settingsCache.set(rows, byFacility);
+  }
+  let settings = byFacility.get(facilityId);
+  if (!settings) {
+    const parsed = parseFacilityConfig(rows, facilityId);
+    if (parsed.issues.length > 0) {
+      console.warn(`[FacilityConfig] Ignoring invalid config values for ${facilityId}:`, parsed.issues);
+    }
+    settings = parsed.settings;
+    byFacility.set(facilityId, settings);
+  }
+  return settings;
+}
+
+/**
+ * Month-day ("MM-DD") of a date
+ * @param {Date|string} date - Date or YYYY-MM-DD string
+ * @returns {string}
+ */
+function toMonthDay(date) {
+  if (typeof date === 'string') return date.slice(5, 10);
+  return `${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Season in effect on a date, if any
+ * @param {Date|string} date
+ * @param {object} [settings] - Defaults to getFacilityConfig()
+ * @returns {object|null}
+ */
+export function getSeasonForDate(date, settings = getFacilityConfig()) {
+  const monthDay = toMonthDay(date);
+  return settings.seasons.find(season =>
+    season.from <= season.to
+      ? monthDay >= season.from && monthDay <= season.to
+      : monthDay >= season.from || monthDay <= season.to
+  ) || null;
+}
+
+/**
+ * YYYY-MM-DD string and weekday (0 = Sunday) of a date
+ * @param {Date|string} date
+ * @returns {{ iso: string, weekday: number }}
+ */
+function toDayKey(date) {
+  if (typeof date === 'string') {
+    const [year, month, day] = date.slice(0, 10).split('-').map(Number);
+    return { iso: date.slice(0, 10), weekday: new Date(year, month - 1, day).getDay() };
+  }
+  return {
+    iso: `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`,
+    weekday: date.getDay(),
+  };
+}
+
+// settings -> Map of year -> Map of YYYY-MM-DD -> holiday
+const holidayCache = new WeakMap();
+
+/**
+ * Holiday on a date, if any
+ * @param {Date|string} date
+ * @param {string} [facilityId] - Defaults to the current facility
+ * @returns {object|null} { name, label, date, hours }
+ */
+export function getHoliday(date, facilityId) {
+  const settings = getFacilityConfig(facilityId);
+  const { iso } = toDayKey(date);
+  const year = Number(iso.slice(0, 4));
+
+  let byYear = holidayCache.get(settings);
+  if (!byYear) {
+    byYear = new Map();
+    holidayCache.set(settings, byYear);
+  }
+  if (!byYear.has(year)) {
+    const byDate = new Map();
+    // Offsets can move a holiday across New Year, so look at both neighbours
+    [year - 1, year, year + 1].forEach(y => {
+      settings.holidays.forEach(holiday => {
+        const day = getHolidayDate(holiday.rule, y);
+        if (day && day.startsWith(`${year}-`) && !byDate.has(day)) {
+          byDate.set(day, { name: holiday.name, label: holiday.label, date: day, hours: holiday.hours });
+        }
+      });
+    });
+    byYear.set(year, byDate);
+  }
+  return byYear.get(year).get(iso) || null;
+}
+
+/**
+ * Holidays between two dates, in date order
+ * @param {string} startDate - YYYY-MM-DD
+ * @param {string} endDate - YYYY-MM-DD (inclusive)
+ * @param {string} [facilityId] - Defaults to the current facility
+ * @returns {Array<object>} { name, label, date, hours }
+ */
+export function getHolidaysInRange(startDate, endDate, facilityId) {
+  const holidays = [];
+  const [year, month, day] = startDate.split('-').map(Number);
+  for (const d = new Date(year, month - 1, day); toDayKey(d).iso <= endDate; d.setDate(d.getDate() + 1)) {
+    const holiday = getHoliday(d, facilityId);
+    if (holiday) holidays.push(holiday);
+  }
+  return holidays;
+}
+
+/**
+ * Opening and closing time for a date
+ * Without a date, the year-round hours are returned. On a closed day
+ * start and end are the same time, so the day has no slots.
+ * @param {Date|string} [date]
+ * @param {string} [facilityId] - Defaults to the current facility
+ * @returns {{ start: string, end: string, season: string|null, holiday: string|null, closed: boolean, note: string }}
+ */
+export function getOperatingHours(date, facilityId) {
+  const settings = getFacilityConfig(facilityId);
+  let hours = { dayStart: settings.dayStart, dayEnd: settings.dayEnd };
+  let season = null;
+  let holiday = null;
+
+  if (date) {
+    const { iso, weekday } = toDayKey(date);
+    season = getSeasonForDate(date, settings);
+    holiday = getHoliday(date, facilityId);
+    hours = settings.exceptions[iso] ||
+      holiday?.hours ||
+      season?.weekly[weekday] ||
+      season ||
+      settings.weekly[weekday] ||
+      hours;
+  }
+
+  const note = hours.note || holiday?.label || '';
+  const base = { season: season?.name || null, holiday: holiday?.label || null, note };
+  if (hours.closed) {
+    return { start: settings.dayStart, end: settings.dayStart, closed: true, ...base };
+  }
+  return { start: hours.dayStart, end: hours.dayEnd, closed: false, ...base };
+}
+
+/**
+ * Earliest opening and latest closing of any day in the calendar
+ * @param {string} [facilityId] - Defaults to the current facility
+ * @returns {{ start: string, end: string }}
+ */
+export function getOperatingHoursBounds(facilityId) {
+  const settings = getFacilityConfig(facilityId);
+  const open = [
+    settings,
+    ...settings.weekly,
+    ...settings.seasons,
+    ...settings.seasons.flatMap(season => season.weekly),
+    ...Object.values(settings.exceptions),
+    ...settings.holidays.map(holiday => holiday.hours),
+  ].filter(hours => hours && !hours.closed);
+
+  return {
+    start: open.reduce((earliest, hours) => (hours.dayStart < earliest ? hours.dayStart : earliest), settings.dayStart),
+    end: open.reduce((latest, hours) => (hours.dayEnd > latest ? hours.dayEnd : latest), settings.dayEnd),
+  };
+}
+
+/**
+ * Check that a booking time falls within the operating hours of its date
+ * @param {Date|string} date
+ * @param {string} timeStart - HH:MM
+ * @param {string} timeEnd - HH:MM
+ * @returns {string|null} Reason the time is not allowed, or null if it is
+ */
+export function checkOperatingHours(date, timeStart, timeEnd) {
+  const { start, end, closed, note } = getOperatingHours(date);
+  const [year, month, day] = toDayKey(date).iso.split('-').map(Number);
+  const label = new Date(year, month - 1, day).toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric' });
+  if (closed) {
+    return `The center is closed on ${label}${note ? ` (${note})` : ''}`;
+  }
+  const startMinutes = parseTimeToMinutes(timeStart);
+  const endMinutes = parseTimeToMinutes(timeEnd);
+  if (startMinutes < parseTimeToMinutes(start) || endMinutes > parseTimeToMinutes(end)) {
+    return `Hours on ${label} are ${formatTimeDisplay(start)} - ${formatTimeDisplay(end)}`;
+  }
+  return null;
+}
+
+/**
+ * Display name for a court number
+ * @param {number} courtNumber
+ * @returns {string}
+ */
+export function getDefaultCourtName(courtNumber) {
+  return courtNumber === getFacilityConfig().stadiumCourtNumber ? 'Stadium' : `Court ${courtNumber}`;
+}
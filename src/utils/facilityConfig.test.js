@@ -0,0 +1,127 @@
+import { describe, it, expect, beforeAll } from 'vitest';
+import { parseFacilityConfig, getOperatingHours, checkOperatingHours } from './facilityConfig.js';
+import { setCollectionRows } from './dataStore.js';
+
+const configRows = (values) => Object.entries(values).map(([key, value]) => ({ key, value }));
+
+describe('parseFacilityConfig', () => {
+  it('falls back to the built-in settings for an empty sheet', () => {
+    const { settings, issues } = parseFacilityConfig([]);
+    expect(issues).toEqual([]);
+    expect(settings).toMatchObject({
+      dayStart: '08:00',
+      dayEnd: '21:00',
+      slotMinutes: 30,
+      totalCourts: 17,
+      stadiumCourtNumber: 17,
+    });
+  });
+
+  it('reads hours, slot length and courts from the sheet', () => {
+    const { settings, issues } = parseFacilityConfig(configRows({
+      day_start: '7:00 AM',
+      day_end: '22:00',
+      slot_minutes: '15',
+      total_courts: '12',
+      stadium_court_number: '10',
+    }));
+    expect(issues).toEqual([]);
+    expect(settings).toMatchObject({
+      dayStart: '07:00',
+      dayEnd: '22:00',
+      slotMinutes: 15,
+      totalCourts: 12,
+      stadiumCourtNumber: 10,
+    });
+  });
+
+  it('keeps the defaults for invalid values and reports each one', () => {
+    const { settings, issues } = parseFacilityConfig(configRows({
+      slot_minutes: '20',
+      day_start: '21:00',
+      day_end: '08:00',
+      total_courts: '120',
+      stadium_court_number: '40',
+    }));
+    expect(settings).toMatchObject({ dayStart: '08:00', dayEnd: '21:00', slotMinutes: 30, totalCourts: 17, stadiumCourtNumber: 17 });
+    expect(issues.map(issue => issue.key)).toEqual(['slot_minutes', 'day_start', 'total_courts', 'stadium_court_number']);
+  });
+
+  it('rejects hours that do not line up with the slot length', () => {
+    const { settings, issues } = parseFacilityConfig(configRows({ day_start: '08:15' }));
+    expect(settings.dayStart).toBe('08:00');
+    expect(issues).toEqual([{ key: 'day_start', message: '08:15-21:00 does not line up with 30-minute slots' }]);
+  });
+
+  it('moves the default stadium court onto the last court when there are fewer courts', () => {
+    expect(parseFacilityConfig(configRows({ total_courts: '12' })).settings.stadiumCourtNumber).toBe(12);
+  });
+});
+
+describe('getOperatingHours', () => {
+  beforeAll(() => setCollectionRows('config', configRows({
+    day_start: '08:00',
+    day_end: '21:00',
+    season_summer: '05-01..09-30 07:00-22:00',
+    season_summer_sat: '08:00-20:00',
+    season_winter: '11-01..02-28 09:00-17:00',
+    hours_sun: '10:00-18:00',
+    'hours_2026-06-13': 'closed Club championships',
+    holiday_independence_day: '07-04 09:00-17:00',
+  })));
+
+  const hoursOn = (date) => {
+    const { start, end, closed } = getOperatingHours(date, 'rebsamen');
+    return closed ? 'closed' : `${start}-${end}`;
+  };
+
+  it('uses day_start and day_end outside any season or weekly row', () => {
+    expect(hoursOn('2026-10-19')).toBe('08:00-21:00');
+  });
+
+  it('uses the weekly row for its weekday', () => {
+    expect(hoursOn('2026-10-18')).toBe('10:00-18:00');
+  });
+
+  it('lets a season win over the weekly row', () => {
+    expect(hoursOn('2026-06-14')).toBe('07:00-22:00');
+    expect(getOperatingHours('2026-06-14', 'rebsamen').season).toBe('summer');
+  });
+
+  it('lets the season weekday row win over the season', () => {
+    expect(hoursOn('2026-06-20')).toBe('08:00-20:00');
+  });
+
+  it('applies seasons that wrap the new year', () => {
+    expect(hoursOn('2027-01-15')).toBe('09:00-17:00');
+    expect(hoursOn('2026-12-01')).toBe('09:00-17:00');
+  });
+
+  it('lets holiday hours win over the season weekday row', () => {
+    expect(hoursOn('2026-07-04')).toBe('09:00-17:00');
+    expect(getOperatingHours('2026-07-04', 'rebsamen')).toMatchObject({ holiday: 'Independence Day', note: 'Independence Day' });
+  });
+
+  it('keeps the usual hours on a holiday without its own', () => {
+    expect(getOperatingHours('2026-12-25', 'rebsamen')).toMatchObject({
+      start: '09:00',
+      end: '17:00',
+      holiday: 'Christmas Day',
+    });
+  });
+
+  it('lets a single-date exception win over everything and carries its note', () => {
+    expect(getOperatingHours('2026-06-13', 'rebsamen')).toMatchObject({
+      start: '08:00',
+      end: '08:00',
+      closed: true,
+      note: 'Club championships',
+    });
+  });
+
+  it('checks booking times against the hours of their date', () => {
+    expect(checkOperatingHours('2026-06-13', '10:00', '11:00')).toBe('The center is closed on Sat, Jun 13 (Club championships)');
+    expect(checkOperatingHours('2026-10-18', '09:00', '10:00')).toBe('Hours on Sun, Oct 18 are 10:00 AM - 6:00 PM');
+    expect(checkOperatingHours('2026-10-19', '20:00', '21:00')).toBeNull();
+  });
+});
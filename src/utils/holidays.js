@@ -0,0 +1,119 @@
+/**
+ * Holiday date rules
+ *
+ * A holiday is written as a rule that gives its date in any year:
+ * - MM-DD              fixed date, e.g. 07-04
+ * - YYYY-MM-DD         one year only, e.g. 2026-12-24
+ * - <nth> <day> <mon>  e.g. "last mon may", "4th thu nov", "first mon sep"
+ * Any rule may end with a day offset: "4th thu nov +1" is the day after
+ * Thanksgiving.
+ *
+ * The calendar itself (which holidays apply, and their hours) is read
+ * from the config sheet in facilityConfig.js; this module only does the
+ * date arithmetic.
+ */
+
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const ORDINALS = {
+  first: 1, '1st': 1,
+  second: 2, '2nd': 2,
+  third: 3, '3rd': 3,
+  fourth: 4, '4th': 4,
+  fifth: 5, '5th': 5,
+  last: -1,
+};
+const OFFSET_PATTERN = /^([+-]\d+)$/;
+
+const pad = (n) => String(n).padStart(2, '0');
+
+/**
+ * Holidays on the calendar unless the config sheet removes them
+ * Each value is a rule as described above.
+ */
+export const DEFAULT_HOLIDAYS = [
+  { name: 'new_years_day', label: "New Year's Day", value: '01-01' },
+  { name: 'memorial_day', label: 'Memorial Day', value: 'last mon may' },
+  { name: 'independence_day', label: 'Independence Day', value: '07-04' },
+  { name: 'labor_day', label: 'Labor Day', value: 'first mon sep' },
+  { name: 'thanksgiving', label: 'Thanksgiving', value: '4th thu nov' },
+  { name: 'christmas_day', label: 'Christmas Day', value: '12-25' },
+];
+
+/**
+ * Display label for a holiday key name
+ * @param {string} name - e.g. "juneteenth" or "day_after_thanksgiving"
+ * @returns {string}
+ */
+export function getHolidayLabel(name) {
+  const known = DEFAULT_HOLIDAYS.find(h => h.name === name);
+  if (known) return known.label;
+  return name.split('_').map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' ');
+}
+
+/**
+ * Parse the date rule at the start of a holiday value
+ * @param {string} value - e.g. "last mon may 08:00-18:00"
+ * @returns {{ rule: object, rest: string }|null} rest is whatever follows the rule (hours, note)
+ */
+export function parseHolidayRule(value) {
+  const words = String(value || '').trim().toLowerCase().split(/\s+/);
+  let rule = null;
+  let used = 0;
+
+  const fixed = words[0]?.match(/^(?:(\d{4})-)?(\d{2})-(\d{2})$/);
+  if (fixed) {
+    const month = Number(fixed[2]);
+    const day = Number(fixed[3]);
+    if (month < 1 || month > 12 || day < 1 || day > 31) return null;
+    rule = fixed[1]
+      ? { kind: 'date', year: Number(fixed[1]), month, day, offset: 0 }
+      : { kind: 'fixed', month, day, offset: 0 };
+    used = 1;
+  } else if (words.length >= 3 && words[0] in ORDINALS) {
+    const weekday = WEEKDAYS.indexOf(words[1].slice(0, 3));
+    const month = MONTHS.indexOf(words[2].slice(0, 3));
+    if (weekday === -1 || month === -1) return null;
+    rule = { kind: 'nth', nth: ORDINALS[words[0]], weekday, month: month + 1, offset: 0 };
+    used = 3;
+  } else {
+    return null;
+  }
+
+  const offset = words[used]?.match(OFFSET_PATTERN);
+  if (offset) {
+    rule.offset = Number(offset[1]);
+    used++;
+  }
+  return { rule, rest: words.length > used ? String(value).trim().split(/\s+/).slice(used).join(' ') : '' };
+}
+
+/**
+ * Date a rule falls on in a year
+ * @param {object} rule - From parseHolidayRule()
+ * @param {number} year
+ * @returns {string|null} YYYY-MM-DD, or null when the rule has no date that year
+ */
+export function getHolidayDate(rule, year) {
+  let date;
+  if (rule.kind === 'date') {
+    if (rule.year !== year) return null;
+    date = new Date(year, rule.month - 1, rule.day);
+  } else if (rule.kind === 'fixed') {
+    date = new Date(year, rule.month - 1, rule.day);
+  } else if (rule.nth === -1) {
+    // Last <weekday>: step back from the month's last day
+    date = new Date(year, rule.month, 0);
+    date.setDate(date.getDate() - ((date.getDay() - rule.weekday + 7) % 7));
+  } else {
+    date = new Date(year, rule.month - 1, 1);
+    date.setDate(1 + ((rule.weekday - date.getDay() + 7) % 7) + (rule.nth - 1) * 7);
+    if (date.getMonth() !== rule.month - 1) return null;
+  }
+
+  // Reject dates like 02-30 that roll into the next month
+  if (rule.kind !== 'nth' && (date.getMonth() !== rule.month - 1 || date.getDate() !== rule.day)) return null;
+
+  date.setDate(date.getDate() + rule.offset);
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
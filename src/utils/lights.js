@@ -0,0 +1,122 @@
+import { BOOKING_STATUS } from '../config.js';
+import { getCollectionState } from './dataStore.js';
+import { filterByFacility } from './facilities.js';
+import { getDefaultCourtName } from './facilityConfig.js';
+import { getSunsetMinutes } from './sunset.js';
+import { parseTimeToMinutes, minutesToTime } from './timeUtils.js';
+
+/**
+ * Court lighting
+ *
+ * Courts with has_lights set on the courts sheet are lit after sunset.
+ * Lights come on from the quarter hour sunset falls in; slots from then
+ * on pay the rate_lights surcharge (see rates.js), and the day's lights
+ * schedule tells staff which banks to switch on and when. Courts that
+ * share switches have the same light_bank; a court without one is its
+ * own bank.
+ */
+
+// Lights stay on through a gap shorter than this rather than cycling off
+const MIN_OFF_MINUTES = 30;
+const STEP_MINUTES = 15;
+
+/**
+ * Lit courts of a facility, from the loaded courts sheet
+ * @param {string} [facilityId]
+ * @returns {Array<object>} Court rows with has_lights set
+ */
+export function getLitCourts(facilityId) {
+  return filterByFacility(getCollectionState('courts').rows, facilityId).filter(c => c.has_lights);
+}
+
+/**
+ * Check whether a court has lights
+ * @param {number} court - Court number
+ * @param {string} [facilityId]
+ * @returns {boolean}
+ */
+export function hasLights(court, facilityId) {
+  return Boolean(court) && getLitCourts(facilityId).some(c => c.court_number === Number(court));
+}
+
+/**
+ * When lights are needed on a date
+ * @param {Date|string} date
+ * @returns {number|null} Minutes since midnight, rounded down to the quarter hour
+ */
+export function getLightsOnMinutes(date) {
+  const sunset = getSunsetMinutes(date);
+  return sunset === null ? null : Math.floor(sunset / STEP_MINUTES) * STEP_MINUTES;
+}
+
+/**
+ * Check whether play at a moment needs lights
+ * @param {Date|string} date
+ * @param {number} minutes - Minutes since midnight
+ * @returns {boolean}
+ */
+export function isAfterDark(date, minutes) {
+  const lightsOn = getLightsOnMinutes(date);
+  return lightsOn !== null && minutes >= lightsOn;
+}
+
+/**
+ * Which light banks to switch on and when for a day
+ * Built from the day's bookings on lit courts that run past lights-on.
+ * @param {Array<object>} bookings
+ * @param {string} date - YYYY-MM-DD
+ * @param {string} [facilityId]
+ * @returns {{ lightsOn: string, banks: Array<{ name: string, courts: Array<number>,
+ *   intervals: Array<{ on: string, off: string, courts: Array<number> }> }> }}
+ *   banks are in switch-on order
+ */
+export function getLightsSchedule(bookings, date, facilityId) {
+  const lightsOn = getLightsOnMinutes(date);
+  if (lightsOn === null) return { lightsOn: '', banks: [] };
+
+  const banks = new Map();
+  getLitCourts(facilityId).forEach(court => {
+    const name = String(court.light_bank || '').trim() || court.court_name || getDefaultCourtName(court.court_number);
+    if (!banks.has(name)) banks.set(name, { name, courts: [], needs: [] });
+    banks.get(name).courts.push(court.court_number);
+  });
+  const bankOf = new Map();
+  banks.forEach(bank => bank.courts.forEach(court => bankOf.set(court, bank)));
+
+  bookings.forEach(b => {
+    if (b.date !== date || b.status === BOOKING_STATUS.CANCELLED) return;
+    const bank = bankOf.get(Number(b.court));
+    const end = parseTimeToMinutes(b.time_end);
+    if (!bank || end <= lightsOn) return;
+    bank.needs.push({ start: Math.max(parseTimeToMinutes(b.time_start), lightsOn), end, court: Number(b.court) });
+  });
+
+  const schedule = [...banks.values()]
+    .filter(bank => bank.needs.length > 0)
+    .map(bank => {
+      const intervals = [];
+      bank.needs.sort((a, b) => a.start - b.start).forEach(need => {
+        const last = intervals[intervals.length - 1];
+        if (last && need.start - last.end < MIN_OFF_MINUTES) {
+          last.end = Math.max(last.end, need.end);
+          last.courts.add(need.court);
+        } else {
+          intervals.push({ start: need.start, end: need.end, courts: new Set([need.court]) });
+        }
+      });
+      return {
+        name: bank.name,
+        courts: bank.courts.sort((a, b) => a - b),
+        first: intervals[0].start,
+        intervals: intervals.map(i => ({
+          on: minutesToTime(i.start),
+          off: minutesToTime(i.end),
+          courts: [...i.courts].sort((a, b) => a - b),
+        })),
+      };
+    })
+    .sort((a, b) => a.first - b.first || a.name.localeCompare(b.name))
+    .map(({ first, ...bank }) => bank);
+
+  return { lightsOn: minutesToTime(lightsOn), banks: schedule };
+}
@@ -0,0 +1,93 @@
+import { describe, it, expect, beforeAll } from 'vitest';
+import { getLightsOnMinutes, getLightsSchedule, hasLights, isAfterDark } from './lights.js';
+import { getSlotRate, calculateTotalRate } from './rates.js';
+import { setCollectionRows } from './dataStore.js';
+
+// Sunset in Little Rock on 2026-10-19 is 6:29 PM, so the lights come on at 6:15
+const DATE = '2026-10-19';
+const LIGHTS_ON = 18 * 60 + 15;
+
+const booking = (court, time_start, time_end, extra = {}) => ({
+  booking_id: `B-${court}-${time_start}`,
+  date: DATE,
+  court,
+  time_start,
+  time_end,
+  status: 'active',
+  ...extra,
+});
+
+beforeAll(() => {
+  setCollectionRows('courts', [
+    { court_number: 1, has_lights: true, light_bank: 'North' },
+    { court_number: 2, has_lights: true, light_bank: 'North' },
+    { court_number: 3, has_lights: true, light_bank: '' },
+    { court_number: 4, has_lights: false },
+  ]);
+  setCollectionRows('config', [{ key: 'rate_lights', value: '+2.00' }]);
+});
+
+describe('lights-on time', () => {
+  it('rounds sunset down to the quarter hour', () => {
+    expect(getLightsOnMinutes(DATE)).toBe(LIGHTS_ON);
+    expect(isAfterDark(DATE, LIGHTS_ON - 15)).toBe(false);
+    expect(isAfterDark(DATE, LIGHTS_ON)).toBe(true);
+  });
+
+  it('knows which courts are lit', () => {
+    expect(hasLights(1)).toBe(true);
+    expect(hasLights(4)).toBe(false);
+    expect(hasLights(null)).toBe(false);
+  });
+});
+
+describe('lights surcharge', () => {
+  it('adds rate_lights to slots on lit courts once the lights are on', () => {
+    expect(getSlotRate(DATE, LIGHTS_ON - 15, { court: 1 })).toMatchObject({ rate: 12, label: 'Prime' });
+    expect(getSlotRate(DATE, LIGHTS_ON, { court: 1 })).toMatchObject({ rate: 14, label: 'Prime, Lights' });
+    expect(getSlotRate(DATE, LIGHTS_ON, { court: 4 }).rate).toBe(12);
+  });
+
+  it('charges the surcharge only for the quarter hours after lights-on', () => {
+    expect(calculateTotalRate(DATE, '18:00', '19:00', 'open', [1])).toBe(13.5);
+    expect(calculateTotalRate(DATE, '18:00', '19:00', 'open', [4])).toBe(12);
+  });
+});
+
+describe('getLightsSchedule', () => {
+  it('merges bookings on a bank unless the lights would be off long enough', () => {
+    const schedule = getLightsSchedule([
+      booking(1, '17:00', '19:00'),
+      booking(2, '19:15', '20:00'),
+      booking(1, '20:45', '21:00'),
+      booking(3, '17:00', '18:15'),
+      booking(3, '19:00', '20:00'),
+      booking(3, '18:00', '21:00', { status: 'cancelled' }),
+      booking(4, '19:00', '20:00'),
+      booking(2, '19:00', '21:00', { date: '2026-10-20' }),
+    ], DATE);
+
+    expect(schedule).toEqual({
+      lightsOn: '18:15',
+      banks: [
+        {
+          name: 'North',
+          courts: [1, 2],
+          intervals: [
+            { on: '18:15', off: '20:00', courts: [1, 2] },
+            { on: '20:45', off: '21:00', courts: [1] },
+          ],
+        },
+        {
+          name: 'Court 3',
+          courts: [3],
+          intervals: [{ on: '19:00', off: '20:00', courts: [3] }],
+        },
+      ],
+    });
+  });
+
+  it('lists no banks when nothing runs past lights-on', () => {
+    expect(getLightsSchedule([booking(1, '16:00', '18:00')], DATE)).toEqual({ lightsOn: '18:15', banks: [] });
+  });
+});
@@ -0,0 +1,65 @@
+import { getBackend } from './backend.js';
+
+/**
+ * Live updates between tabs and terminals
+ *
+ * Same-machine tabs share changes instantly over a BroadcastChannel.
+ * Other terminals learn about writes from the backend adapter's optional
+ * subscribeChanges() (a long-poll against the server), so a booking made
+ * at the front desk shows in the pro shop within seconds instead of
+ * waiting for the next scheduled refresh.
+ *
+ * Channel messages:
+ * - { type: 'bookings', changes: [...] } - optimistic booking changes
+ *   (see optimistic.js) to apply directly
+ * - { type: 'invalidate', action } - some other write; reload changed rows
+ */
+
+const CHANNEL_NAME = 'rebsamen-scheduler-live';
+
+let channel = null;
+
+function getChannel() {
+  if (!channel && typeof BroadcastChannel !== 'undefined') {
+    channel = new BroadcastChannel(CHANNEL_NAME);
+  }
+  return channel;
+}
+
+/**
+ * Tell the other tabs on this machine about a change
+ * @param {object} message - See module comment
+ */
+export function publishLocalUpdate(message) {
+  try {
+    getChannel()?.postMessage(message);
+  } catch (error) {
+    console.warn('[LiveUpdates] Could not broadcast update:', error);
+  }
+}
+
+/**
+ * Listen for changes made in other tabs on this machine
+ * (a tab never receives its own messages)
+ * @param {Function} handler - Called with each message
+ * @returns {Function} Unsubscribe
+ */
+export function subscribeLocalUpdates(handler) {
+  const bc = getChannel();
+  if (!bc) return () => {};
+  const onMessage = (event) => handler(event.data);
+  bc.addEventListener('message', onMessage);
+  return () => bc.removeEventListener('message', onMessage);
+}
+
+/**
+ * Listen for writes made on other terminals
+ * Does nothing when the backend cannot push changes.
+ * @param {Function} handler - Called with the names of changed collections
+ * @returns {Function} Unsubscribe
+ */
+export function subscribeRemoteChanges(handler) {
+  const backend = getBackend();
+  if (typeof backend.subscribeChanges !== 'function') return () => {};
+  return backend.subscribeChanges(handler);
+}
@@ -0,0 +1,183 @@
+import { CONFIG } from '../config.js';
+import { COLLECTION_KEYS, createActionHandlers, toSheetRow } from './backendActions.js';
+
+/**
+ * Local backend adapter
+ *
+ * Stores every collection in IndexedDB so the app can run against a
+ * stand-in dataset for training, demos and testing. Runs the shared Apps
+ * Script action protocol (backendActions.js), so components cannot tell
+ * the two backends apart.
+ *
+ * On first use the database is seeded from CONFIG.LOCAL_SEED_URL if set:
+ * a JSON file of the form { bookings: [...], courts: [...], ... }.
+ */
+
+const DB_NAME = 'rebsamen-local-backend';
+// Bump when a collection is added so its object store gets created
+const DB_VERSION = 2;
+
+/**
+ * Collections and the column each one is keyed by
+ */
+export const LOCAL_COLLECTIONS = COLLECTION_KEYS;
+
+/**
+ * Wrap an IndexedDB request in a promise
+ * @param {IDBRequest} request
+ * @returns {Promise<*>}
+ */
+function promisify(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Open (and create if needed) the local database
+ * @returns {Promise<{ db: IDBDatabase, isNew: boolean }>}
+ */
+function openDatabase() {
+  return new Promise((resolve, reject) => {
+    let isNew = false;
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+    request.onupgradeneeded = (event) => {
+      // Upgrades only add stores; seed a database that did not exist before
+      isNew = event.oldVersion === 0;
+      const db = request.result;
+      Object.entries(LOCAL_COLLECTIONS).forEach(([collection, keyPath]) => {
+        if (!db.objectStoreNames.contains(collection)) {
+          db.createObjectStore(collection, { keyPath });
+        }
+      });
+    };
+
+    request.onsuccess = () => resolve({ db: request.result, isNew });
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Create the local backend adapter
+ * @returns {object} Backend adapter
+ */
+export function createLocalBackend() {
+  let dbPromise = null;
+
+  const getDatabase = () => {
+    if (!dbPromise) {
+      dbPromise = openDatabase().then(async ({ db, isNew }) => {
+        if (isNew && CONFIG.LOCAL_SEED_URL) {
+          await seedDatabase(db);
+        }
+        return db;
+      });
+    }
+    return dbPromise;
+  };
+
+  const seedDatabase = async (db) => {
+    try {
+      const response = await fetch(CONFIG.LOCAL_SEED_URL);
+      if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+      }
+      const seed = await response.json();
+      const tx = db.transaction(Object.keys(LOCAL_COLLECTIONS), 'readwrite');
+      Object.keys(LOCAL_COLLECTIONS).forEach(collection => {
+        (seed[collection] || []).forEach(record => {
+          tx.objectStore(collection).put(toSheetRow(record));
+        });
+      });
+      await new Promise((resolve, reject) => {
+        tx.oncomplete = resolve;
+        tx.onerror = () => reject(tx.error);
+      });
+      console.log('[LocalBackend] Seeded from', CONFIG.LOCAL_SEED_URL);
+    } catch (error) {
+      console.error('[LocalBackend] Error seeding database:', error);
+    }
+  };
+
+  const getAll = async (collection) => {
+    const db = await getDatabase();
+    return promisify(db.transaction(collection).objectStore(collection).getAll());
+  };
+
+  const getOne = async (collection, id) => {
+    const db = await getDatabase();
+    return promisify(db.transaction(collection).objectStore(collection).get(id));
+  };
+
+  const putAll = async (collection, records) => {
+    const db = await getDatabase();
+    const tx = db.transaction(collection, 'readwrite');
+    const store = tx.objectStore(collection);
+    // Stamp every write so incremental sync can find it
+    const updatedAt = new Date().toISOString();
+    records.forEach(record => store.put(toSheetRow({ ...record, updated_at: updatedAt })));
+    return new Promise((resolve, reject) => {
+      tx.oncomplete = () => resolve();
+      tx.onerror = () => reject(tx.error);
+    });
+  };
+
+  // IDs are unique here, so where only guards against removing the wrong row
+  const remove = async (collection, id, where) => {
+    if (where) {
+      const row = await getOne(collection, id);
+      if (!row || !where(row)) return undefined;
+    }
+    const db = await getDatabase();
+    return promisify(db.transaction(collection, 'readwrite').objectStore(collection).delete(id));
+  };
+
+  const actions = createActionHandlers({ getAll, getOne, putAll, remove });
+
+  return {
+    name: 'local',
+
+    /**
+     * Fetch every row of a collection
+     * @param {string} collection - Key of LOCAL_COLLECTIONS
+     * @returns {Promise<Array<object>>}
+     */
+    async fetchCollection(collection) {
+      if (!LOCAL_COLLECTIONS[collection]) {
+        throw new Error(`Unknown collection: ${collection}`);
+      }
+      return getAll(collection);
+    },
+
+    /**
+     * Fetch only the rows written since a point in time
+     * Deletions are not tracked locally; the periodic full reload drops them
+     * @param {string} collection - Key of LOCAL_COLLECTIONS
+     * @param {string} since - ISO timestamp from the previous sync
+     * @returns {Promise<{ rows: Array<object>, deletedIds: Array<string>, serverTime: string }>}
+     */
+    async fetchChangesSince(collection, since) {
+      if (!LOCAL_COLLECTIONS[collection]) {
+        throw new Error(`Unknown collection: ${collection}`);
+      }
+      const { rows, deletedIds, serverTime } = await actions.getChangesSince({ collection, since });
+      return { rows, deletedIds, serverTime };
+    },
+
+    /**
+     * Run an action using the Apps Script action protocol
+     * @param {string} action - Action name
+     * @param {object} data - Request data
+     * @returns {Promise<object>} Response data
+     */
+    async execute(action, data) {
+      const handler = actions[action];
+      if (!handler) {
+        return { success: false, error: `Unknown action: ${action}` };
+      }
+      return handler(data);
+    },
+  };
+}
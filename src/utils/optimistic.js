@@ -0,0 +1,89 @@
+/**
+ * Optimistic booking changes
+ *
+ * A change is applied to local state before the server confirms it. Each
+ * change records its inverse at apply time, so a rejected write can be
+ * undone without disturbing anything else that changed in the meantime.
+ *
+ * Change shapes:
+ * - { type: 'add', bookings: [...] }
+ * - { type: 'remove', bookingIds: [...] }
+ * - { type: 'update', bookingId, updates }
+ */
+
+/**
+ * Apply a change to a bookings array
+ * @param {Array<object>} bookings
+ * @param {object} change
+ * @returns {Array<object>}
+ */
+export function applyChange(bookings, change) {
+  switch (change.type) {
+    case 'add': {
+      const ids = new Set(change.bookings.map(b => b.booking_id));
+      return [...bookings.filter(b => !ids.has(b.booking_id)), ...change.bookings];
+    }
+    case 'remove': {
+      const ids = new Set(change.bookingIds);
+      return bookings.filter(b => !ids.has(b.booking_id));
+    }
+    case 'update':
+      return bookings.map(b =>
+        b.booking_id === change.bookingId ? { ...b, ...change.updates } : b
+      );
+    default:
+      return bookings;
+  }
+}
+
+/**
+ * Build the change that undoes `change` when applied after it
+ * @param {Array<object>} bookings - State before the change
+ * @param {object} change
+ * @returns {Array<object>} Inverse changes, applied in order
+ */
+export function invertChange(bookings, change) {
+  switch (change.type) {
+    case 'add': {
+      const inverse = [{ type: 'remove', bookingIds: change.bookings.map(b => b.booking_id) }];
+      // Restore any rows the add replaced
+      const replaced = bookings.filter(b => change.bookings.some(n => n.booking_id === b.booking_id));
+      if (replaced.length > 0) inverse.push({ type: 'add', bookings: replaced });
+      return inverse;
+    }
+    case 'remove':
+      return [{
+        type: 'add',
+        bookings: bookings.filter(b => change.bookingIds.includes(b.booking_id)),
+      }];
+    case 'update': {
+      const existing = bookings.find(b => b.booking_id === change.bookingId);
+      if (!existing) return [];
+      const previous = {};
+      Object.keys(change.updates).forEach(key => {
+        previous[key] = existing[key];
+      });
+      return [{ type: 'update', bookingId: change.bookingId, updates: previous }];
+    }
+    default:
+      return [];
+  }
+}
+
+/**
+ * Booking IDs touched by a change
+ * @param {object} change
+ * @returns {Array<string>}
+ */
+export function getChangeBookingIds(change) {
+  switch (change.type) {
+    case 'add':
+      return change.bookings.map(b => b.booking_id);
+    case 'remove':
+      return change.bookingIds;
+    case 'update':
+      return [change.bookingId];
+    default:
+      return [];
+  }
+}
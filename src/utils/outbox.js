@@ -0,0 +1,240 @@
+import { getBackend } from './backend.js';
+import { parseEntity } from './schema.js';
+import { toApiError, isNetworkError } from './apiErrors.js';
+
+/**
+ * Offline write queue (outbox)
+ *
+ * When the network is down, Apps Script mutations are stored in
+ * localStorage instead of being lost. Queued entries are replayed in
+ * order once connectivity returns. Entries the server rejects stay in
+ * the outbox as 'failed' until staff retry or discard them.
+ */
+
+const STORAGE_KEY = 'rebsamen-outbox';
+const REPLAY_LOCK = 'rebsamen-outbox-replay';
+
+export const OUTBOX_STATUS = {
+  PENDING: 'pending',
+  FAILED: 'failed',
+};
+
+const listeners = new Set();
+let replayPromise = null;
+
+/**
+ * Read all outbox entries from storage
+ * @returns {Array<object>}
+ */
+export function getOutboxEntries() {
+  try {
+    const stored = localStorage.getItem(STORAGE_KEY);
+    return stored ? JSON.parse(stored) : [];
+  } catch (error) {
+    console.error('[Outbox] Error reading outbox:', error);
+    return [];
+  }
+}
+
+/**
+ * Persist entries and notify subscribers
+ * @param {Array<object>} entries
+ */
+function saveEntries(entries) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(entries));
+  } catch (error) {
+    console.error('[Outbox] Error writing outbox:', error);
+  }
+  listeners.forEach(listener => listener(entries));
+}
+
+/**
+ * Subscribe to outbox changes
+ * @param {function} listener - Called with the current entries
+ * @returns {function} Unsubscribe
+ */
+export function subscribeOutbox(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+// Other tabs share the same outbox; pass their changes on to subscribers here
+if (typeof window !== 'undefined') {
+  window.addEventListener('storage', (event) => {
+    if (event.key !== STORAGE_KEY) return;
+    const entries = getOutboxEntries();
+    listeners.forEach(listener => listener(entries));
+  });
+}
+
+/**
+ * Add a mutation to the outbox
+ * @param {string} action - Apps Script action name
+ * @param {object} data - Request data
+ * @returns {object} The queued entry
+ */
+export function enqueueMutation(action, data) {
+  const entry = {
+    id: `OUT-${Date.now()}-${Math.floor(Math.random() * 1000)}`,
+    action,
+    data,
+    status: OUTBOX_STATUS.PENDING,
+    attempts: 0,
+    error: null,
+    createdAt: new Date().toISOString(),
+  };
+  saveEntries([...getOutboxEntries(), entry]);
+  console.log(`[Outbox] Queued ${action}:`, entry.id);
+  return entry;
+}
+
+/**
+ * Remove an entry without sending it
+ * @param {string} entryId
+ */
+export function discardEntry(entryId) {
+  saveEntries(getOutboxEntries().filter(e => e.id !== entryId));
+}
+
+/**
+ * Move a failed entry back to pending so the next replay sends it
+ * @param {string} entryId
+ */
+export function retryEntry(entryId) {
+  saveEntries(getOutboxEntries().map(e =>
+    e.id === entryId ? { ...e, status: OUTBOX_STATUS.PENDING, error: null, errorType: null } : e
+  ));
+}
+
+/**
+ * Send pending entries to the backend in the order they were queued.
+ * Stops at the first network failure; server rejections are marked failed
+ * and replay continues with the next entry.
+ * @returns {Promise<{ sent: number, failed: number }>}
+ */
+export function replayOutbox() {
+  if (replayPromise) return replayPromise;
+
+  const replay = async () => {
+    let sent = 0;
+    let failed = 0;
+
+    for (const entry of getOutboxEntries()) {
+      // Another tab may have sent it while this loop was running
+      const current = getOutboxEntries().find(e => e.id === entry.id);
+      if (current?.status !== OUTBOX_STATUS.PENDING) continue;
+
+      let result;
+      try {
+        result = await getBackend().execute(entry.action, entry.data);
+      } catch (error) {
+        if (isNetworkError(error)) {
+          console.log('[Outbox] Still offline, replay paused');
+          break;
+        }
+        result = { success: false, error: error.message };
+      }
+
+      if (result?.success) {
+        discardEntry(entry.id);
+        sent++;
+      } else {
+        const apiError = toApiError({ error: 'Rejected by server', ...result });
+        saveEntries(getOutboxEntries().map(e => e.id === entry.id ? {
+          ...e,
+          status: OUTBOX_STATUS.FAILED,
+          attempts: e.attempts + 1,
+          error: apiError.error,
+          errorType: apiError.errorType,
+        } : e));
+        failed++;
+      }
+    }
+
+    if (sent || failed) {
+      console.log(`[Outbox] Replay finished: ${sent} sent, ${failed} failed`);
+    }
+    return { sent, failed };
+  };
+
+  // Only one tab replays at a time so no write is sent twice
+  const run = typeof navigator !== 'undefined' && navigator.locks
+    ? navigator.locks.request(REPLAY_LOCK, replay)
+    : replay();
+
+  replayPromise = run.finally(() => {
+    replayPromise = null;
+  });
+
+  return replayPromise;
+}
+
+/**
+ * Re-apply pending booking mutations on top of freshly fetched bookings,
+ * so optimistic changes survive a refresh until the server has them
+ * @param {Array<object>} bookings - Bookings from the backend
+ * @returns {Array<object>}
+ */
+export function applyPendingBookingMutations(bookings) {
+  const pending = getOutboxEntries().filter(e => e.status === OUTBOX_STATUS.PENDING);
+  if (pending.length === 0) return bookings;
+
+  let result = [...bookings];
+  const update = (bookingId, updates) => {
+    // Mirror the server's version bump so later edits send the right token
+    result = result.map(b =>
+      b.booking_id === bookingId
+        ? parseEntity('booking', { ...b, ...updates, version: (b.version || 0) + 1 })
+        : b
+    );
+  };
+
+  pending.forEach(({ action, data, createdAt }) => {
+    switch (action) {
+      case 'createBooking': {
+        const created = Array.isArray(data.booking) ? data.booking : [data.booking];
+        created.forEach(b => {
+          if (!result.some(existing => existing.booking_id === b.booking_id)) {
+            result.push(parseEntity('booking', b));
+          }
+        });
+        break;
+      }
+      case 'updateBooking':
+        update(data.bookingId, data.updates);
+        break;
+      case 'checkIn':
+        update(data.bookingId, {
+          checked_in: true,
+          checked_in_at: createdAt,
+          checked_in_by: data.staffInitials,
+        });
+        break;
+      case 'cancelBooking':
+        update(data.bookingId, {
+          status: 'cancelled',
+          cancel_reason: data.cancelData.reason,
+          refund_status: data.cancelData.refund_status,
+          refund_amount: data.cancelData.refund_amount,
+          refund_note: data.cancelData.refund_note,
+          cancel_policy: data.cancelData.cancel_policy,
+          cancelled_by: data.cancelData.cancelled_by,
+          cancelled_at: createdAt,
+        });
+        break;
+      case 'markNoShow':
+        update(data.bookingId, {
+          status: 'no_show',
+          cancel_reason: 'no_show',
+          cancelled_by: data.staffInitials,
+          cancelled_at: createdAt,
+        });
+        break;
+      default:
+        break;
+    }
+  });
+
+  return result;
+}
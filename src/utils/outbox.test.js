@@ -0,0 +1,79 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { enqueueMutation, getOutboxEntries, replayOutbox, applyPendingBookingMutations, OUTBOX_STATUS } from './outbox.js';
+import { networkError } from './apiErrors.js';
+import { createSheetsBackend } from './sheetsBackend.js';
+
+const backend = { execute: vi.fn() };
+
+vi.mock('./backend.js', () => ({ getBackend: () => backend }));
+
+beforeEach(() => {
+  const storage = new Map();
+  vi.stubGlobal('localStorage', {
+    getItem: key => storage.get(key) ?? null,
+    setItem: (key, value) => storage.set(key, value),
+  });
+  backend.execute.mockReset();
+});
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+});
+
+describe('replayOutbox', () => {
+  it('fails an entry whose action throws a bug and sends the ones after it', async () => {
+    enqueueMutation('checkIn', { bookingId: 'B-1' });
+    enqueueMutation('checkIn', { bookingId: 'B-2' });
+    backend.execute.mockImplementation(async (action, data) => {
+      if (data.bookingId === 'B-1') throw new TypeError("Cannot read properties of undefined (reading 'version')");
+      return { success: true };
+    });
+
+    expect(await replayOutbox()).toEqual({ sent: 1, failed: 1 });
+    const entries = getOutboxEntries();
+    expect(entries).toHaveLength(1);
+    expect(entries[0]).toMatchObject({ status: OUTBOX_STATUS.FAILED, data: { bookingId: 'B-1' } });
+  });
+
+  it('pauses at a network failure and keeps the entries pending', async () => {
+    enqueueMutation('checkIn', { bookingId: 'B-1' });
+    enqueueMutation('checkIn', { bookingId: 'B-2' });
+    backend.execute.mockRejectedValue(networkError(new TypeError('Failed to fetch')));
+
+    expect(await replayOutbox()).toEqual({ sent: 0, failed: 0 });
+    expect(backend.execute).toHaveBeenCalledTimes(1);
+    expect(getOutboxEntries().map(e => e.status)).toEqual([OUTBOX_STATUS.PENDING, OUTBOX_STATUS.PENDING]);
+  });
+});
+
+describe('applyPendingBookingMutations', () => {
+  it('shows a queued cancellation with its refund and policy', () => {
+    enqueueMutation('cancelBooking', {
+      bookingId: 'B-1',
+      cancelData: {
+        reason: 'customer',
+        refund_status: 'partial',
+        refund_amount: '20.00',
+        refund_note: '',
+        cancel_policy: 'standard: 48h 50%',
+        cancelled_by: 'AB',
+      },
+    });
+
+    const [booking] = applyPendingBookingMutations([{ booking_id: 'B-1', status: 'active', version: 1 }]);
+    expect(booking).toMatchObject({
+      status: 'cancelled',
+      refund_status: 'partial',
+      cancel_policy: 'standard: 48h 50%',
+      cancelled_by: 'AB',
+      version: 2,
+    });
+  });
+});
+
+describe('sheets backend', () => {
+  it('reports an unreachable script as a network error', async () => {
+    vi.stubGlobal('fetch', vi.fn().mockRejectedValue(new TypeError('Failed to fetch')));
+    await expect(createSheetsBackend().execute('checkIn', {})).rejects.toMatchObject({ name: 'NetworkError' });
+  });
+});
@@ -0,0 +1,150 @@
+import { BOOKING_STATUS, CANCEL_REASONS, REFUND_STATUS } from '../config.js';
+import { suggestRefund } from './cancellationPolicy.js';
+import { getCustomerKey } from './credits.js';
+import { toFacilityColumn } from './facilities.js';
+import { timeRangesOverlap } from './timeUtils.js';
+
+/**
+ * Weather rainouts
+ *
+ * A rainout cancels every active booking in a window on some or all
+ * courts for weather, each with the refund the cancellation policy
+ * suggests (see cancellationPolicy.js), and can close the same courts
+ * for the window. The call list tells staff who to phone: one line per
+ * customer, falling back to the contractor's, team's or tournament's
+ * contact for bookings made without a phone number.
+ */
+
+/**
+ * Active bookings a rainout would cancel
+ * @param {Array<object>} bookings
+ * @param {object} window
+ * @param {string} window.date - YYYY-MM-DD
+ * @param {string} window.timeStart - HH:MM
+ * @param {string} window.timeEnd - HH:MM
+ * @param {Array<number>|null} [window.courts] - null for every court
+ * @returns {Array<object>} By start time, then court
+ */
+export function getRainoutBookings(bookings, { date, timeStart, timeEnd, courts = null }) {
+  return bookings
+    .filter(b =>
+      b.date === date &&
+      b.status === BOOKING_STATUS.ACTIVE &&
+      (!courts || courts.includes(Number(b.court))) &&
+      timeRangesOverlap(b.time_start, b.time_end, timeStart, timeEnd)
+    )
+    .sort((a, b) => a.time_start.localeCompare(b.time_start) || Number(a.court) - Number(b.court));
+}
+
+/**
+ * What the policy suggests for each booking
+ * @param {Array<object>} bookings - From getRainoutBookings()
+ * @param {Date} [now]
+ * @returns {Array<{ booking: object, suggestedRefund: string, refundAmount: number, policy: string, explanation: string }>}
+ */
+export function getRainoutPlan(bookings, now = new Date()) {
+  return bookings.map(booking => {
+    const { suggestedRefund, refundAmount, policy, explanation } = suggestRefund(CANCEL_REASONS.WEATHER, booking, now);
+    return { booking, suggestedRefund, refundAmount, policy, explanation };
+  });
+}
+
+/**
+ * Totals for a plan
+ * @param {Array<object>} plan - From getRainoutPlan()
+ * @returns {{ bookings: number, refunds: number, credits: number }} Dollars
+ */
+export function getRainoutTotals(plan) {
+  const round = (n) => Math.round(n * 100) / 100;
+  let refunds = 0;
+  let credits = 0;
+  plan.forEach(({ suggestedRefund, refundAmount }) => {
+    if (suggestedRefund === REFUND_STATUS.CREDIT) {
+      credits += refundAmount;
+    } else {
+      refunds += refundAmount;
+    }
+  });
+  return { bookings: plan.length, refunds: round(refunds), credits: round(credits) };
+}
+
+/**
+ * Contact for a booking
+ * The customer on the booking, or the entity's contact when the booking
+ * has no phone number.
+ * @param {object} booking
+ * @param {object} [entities]
+ * @param {Array<object>} [entities.contractors]
+ * @param {Array<object>} [entities.teams]
+ * @param {Array<object>} [entities.tournaments]
+ * @returns {{ name: string, phone: string }}
+ */
+export function getBookingContact(booking, { contractors = [], teams = [], tournaments = [] } = {}) {
+  const name = booking.customer_name || '';
+  const phone = booking.customer_phone || '';
+  if (phone || !booking.entity_id) return { name, phone };
+
+  const id = booking.entity_id;
+  const contractor = contractors.find(c => c.contractor_id === id);
+  if (contractor) {
+    return { name: name || contractor.business_name || contractor.name || '', phone: contractor.phone || '' };
+  }
+  const team = teams.find(t => t.team_id === id);
+  if (team) {
+    return { name: name || team.contact_name || team.name || '', phone: team.contact_phone || team.phone || '' };
+  }
+  const tournament = tournaments.find(t => t.tournament_id === id);
+  if (tournament) {
+    return { name: name || tournament.contact_name || tournament.name || '', phone: tournament.contact_phone || '' };
+  }
+  return { name, phone };
+}
+
+/**
+ * Who to call about a rainout
+ * @param {Array<object>} plan - From getRainoutPlan()
+ * @param {object} [entities] - See getBookingContact()
+ * @returns {Array<{ name: string, phone: string, bookings: Array<object>, refund: number, credit: number }>}
+ *   One entry per customer, in order of their first booking; those
+ *   without a phone number last
+ */
+export function getCallList(plan, entities) {
+  const calls = new Map();
+  plan.forEach(({ booking, suggestedRefund, refundAmount }) => {
+    const contact = getBookingContact(booking, entities);
+    const key = getCustomerKey({ customer_name: contact.name, customer_phone: contact.phone }) || booking.booking_id;
+    if (!calls.has(key)) {
+      calls.set(key, { ...contact, bookings: [], refund: 0, credit: 0 });
+    }
+    const call = calls.get(key);
+    call.bookings.push(booking);
+    if (suggestedRefund === REFUND_STATUS.CREDIT) {
+      call.credit += refundAmount;
+    } else {
+      call.refund += refundAmount;
+    }
+  });
+  const list = [...calls.values()];
+  return [...list.filter(c => c.phone), ...list.filter(c => !c.phone)];
+}
+
+/**
+ * Closures matching a rainout
+ * @param {object} window - As for getRainoutBookings()
+ * @param {string} reason
+ * @param {string} facilityId
+ * @returns {Array<object>} One closure for every court, or one per court
+ */
+export function getRainoutClosures({ date, timeStart, timeEnd, courts = null }, reason, facilityId) {
+  const stamp = Date.now();
+  return (courts ? courts.map(String) : ['all']).map(court => ({
+    closure_id: courts ? `CLO-${stamp}-${court}` : `CLO-${stamp}`,
+    facility_id: toFacilityColumn(facilityId),
+    date,
+    court,
+    time_start: timeStart,
+    time_end: timeEnd,
+    reason,
+    is_active: true,
+  }));
+}
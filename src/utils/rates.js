@@ -1,214 +1,578 @@
 import { BOOKING_TYPES } from '../config.js';
-import { parseHour, parseTimeToMinutes } from './timeUtils.js';
+import { getCollectionState } from './dataStore.js';
+import { getCurrentFacilityId, getRowFacilityId } from './facilities.js';
+import { getConfigValues, getDefaultCourtName, getHoliday } from './facilityConfig.js';
+import { getBookingTier, getCustomerTierLabel } from './customerTiers.js';
+import { hasLights, isAfterDark } from './lights.js';
+import { parseTimeToMinutes } from './timeUtils.js';
 
 /**
- * Determine if a time slot is prime time
- * Prime: M-F 5pm-9pm, Sat-Sun all day
- * @param {Date|string} date - Booking date
- * @param {string|number} timeStart - Start time in HH:MM format or decimal
- * @returns {boolean}
+ * Rate card
+ *
+ * Court fees come from rate_ rows in the config sheet (see
+ * facilityConfig.js for how facility-specific rows win over shared ones).
+ * The rows change the default card below, so a sheet without any keeps
+ * today's fees. Every booking modal and report prices bookings through
+ * this module.
+ *
+ * Config sheet keys:
+ * | key                       | example                                 |
+ * |---------------------------|-----------------------------------------|
+ * | rate_base                 | 10.00 Non-Prime                         |
+ * | rate_period_<name>        | 12.00 mon-fri 17:00-24:00; sat-sun      |
+ * | rate_court_<number>       | +3.00  or  x1.25  or  14.00             |
+ * | rate_type_<booking_type>  | free  or  x0.5  or  +2.00  or  8.00     |
+ * | rate_tier_<customer_tier> | +3.00  or  x0.5  or  free               |
+ * | rate_lights               | +2.00  or  x1.2                         |
+ *
+ * - rate_base is the hourly rate for any time outside a period, with an
+ *   optional label.
+ * - A period is an hourly rate followed by windows separated by ";".
+ *   Each window is days (mon-fri, sat-sun, mon/wed, daily) and an
+ *   optional HH:MM-HH:MM range; without one it covers the whole day.
+ *   When periods overlap, the first in the sheet wins.
+ * - Court, type and tier rules adjust the hourly rate: +N adds, xN
+ *   multiplies, a plain number replaces it, and free makes the booking
+ *   cost nothing. They apply in that order; a tier never prices a free
+ *   booking type. Tiers are listed in customerTiers.js.
+ * - rate_lights is the same kind of rule, applied after the court rule
+ *   to slots on lit courts once the lights are on after sunset (see
+ *   lights.js). Without it night play costs the same as day play.
+ *
+ * Holidays on the facility calendar (see facilityConfig.js) are priced
+ * with Saturday's periods.
+ *
+ * Promo codes and staff overrides (see discounts.js) come off the
+ * finished price with applyDiscount().
+ *
+ * Effective-dated versions: put a date after rate_ (rate_2027-01-01_base,
+ * rate_2027-01-01_period_prime). A version starts from the one before it
+ * and changes only the keys it lists; "none" removes a period or rule.
+ * Bookings are priced with the version in effect on their date, so past
+ * bookings keep the rates they were made under.
  */
-export function isPrimeTime(date, timeStart) {
-  if (!date || (!timeStart && timeStart !== 0)) return false;
-  const d = new Date(date);
-  const dayOfWeek = d.getDay(); // 0=Sun, 6=Sat
-  const hour = parseHour(timeStart);
 
-  // Weekend (Sat=6, Sun=0) = all prime
-  if (dayOfWeek === 0 || dayOfWeek === 6) {
-    return true;
-  }
+// Periods are matched in steps of this many minutes
+const STEP_MINUTES = 15;
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+// Day whose periods holidays are priced with
+const SATURDAY = 6;
+const KEY_PATTERN = /^rate_(?:(\d{4}-\d{2}-\d{2})_)?(base|lights|period_(.+)|court_(\d+)|type_(.+)|tier_(.+))$/;
+const WINDOW_PATTERN = /^([a-z/,\s-]+?)(?:\s+(\d{1,2}:\d{2})\s*-\s*(\d{1,2}:\d{2}))?$/;
+const MODIFIER_PATTERN = /^(free|([+x*])?\s*\$?(\d+(?:\.\d+)?))$/;
 
-  // Weekday: 5pm (17:00) and later is prime
-  return hour >= 17;
+/**
+ * Rate card used when the config sheet has no rate rows
+ * Prime time is weekdays from 5pm and all weekend; school teams,
+ * maintenance and holds are free.
+ * @returns {object} { base, baseLabel, periods, courts, types, tiers, lights }
+ */
+export function getDefaultRateCard() {
+  return {
+    base: 10,
+    baseLabel: 'Non-Prime',
+    periods: [
+      {
+        name: 'prime',
+        label: 'Prime',
+        rate: 12,
+        windows: [
+          { days: [1, 2, 3, 4, 5], start: 17 * 60, end: 24 * 60 },
+          { days: [0, 6], start: 0, end: 24 * 60 },
+        ],
+      },
+    ],
+    courts: {},
+    types: {
+      [BOOKING_TYPES.MAINTENANCE]: { kind: 'free' },
+      [BOOKING_TYPES.HOLD]: { kind: 'free' },
+      [BOOKING_TYPES.TEAM_HS]: { kind: 'free' },
+    },
+    tiers: {},
+    lights: null,
+  };
 }
 
 /**
- * Calculate rate for a standard booking
- * @param {Date|string} date
- * @param {string} timeStart - HH:MM
- * @param {string} bookingType
- * @returns {number} Rate in dollars
+ * Minutes since midnight for HH:MM, allowing 24:00
+ * @param {string} value
+ * @returns {number|null}
  */
-export function calculateRate(date, timeStart, bookingType) {
-  if (!date || !timeStart) return 0;
+function toMinutes(value) {
+  const match = String(value).match(/^(\d{1,2}):(\d{2})$/);
+  if (!match) return null;
+  const minutes = Number(match[1]) * 60 + Number(match[2]);
+  return Number(match[2]) < 60 && minutes <= 24 * 60 ? minutes : null;
+}
+
+/**
+ * Parse days like mon-fri, sat-sun, mon/wed/fri or daily
+ * @param {string} value
+ * @returns {Array<number>|null} Day numbers (0 = Sunday)
+ */
+function parseDays(value) {
+  const days = new Set();
+  for (const part of value.split(/[/,\s]+/).filter(Boolean)) {
+    if (part === 'daily' || part === 'all') {
+      WEEKDAYS.forEach((_, i) => days.add(i));
+      continue;
+    }
+    const [from, to = from] = part.split('-');
+    const start = WEEKDAYS.indexOf(from.slice(0, 3));
+    const end = WEEKDAYS.indexOf(to.slice(0, 3));
+    if (start === -1 || end === -1) return null;
+    for (let i = start; ; i = (i + 1) % 7) {
+      days.add(i);
+      if (i === end) break;
+    }
+  }
+  return days.size > 0 ? [...days].sort() : null;
+}
 
-  // Free categories
-  if ([BOOKING_TYPES.MAINTENANCE, BOOKING_TYPES.HOLD].includes(bookingType)) {
-    return 0;
+/**
+ * Parse a period value: rate, then windows separated by ";"
+ * @param {string} name
+ * @param {string} value
+ * @returns {{ period: object|null, error: string|null }}
+ */
+function parsePeriod(name, value) {
+  const [first, ...rest] = value.split(';').map(part => part.trim().toLowerCase());
+  const match = first.match(/^\$?(\d+(?:\.\d+)?)\s*(.*)$/);
+  if (!match) {
+    return { period: null, error: 'must start with an hourly rate, like 12.00 mon-fri 17:00-24:00' };
   }
 
-  // High school teams typically waived per city policy
-  if (bookingType === BOOKING_TYPES.TEAM_HS) {
-    return 0;
+  const windows = [];
+  for (const text of [match[2], ...rest].filter(Boolean)) {
+    const window = text.match(WINDOW_PATTERN);
+    const days = window && parseDays(window[1]);
+    const start = window?.[2] ? toMinutes(window[2]) : 0;
+    const end = window?.[3] ? toMinutes(window[3]) : 24 * 60;
+    if (!days || start === null || end === null || end <= start) {
+      return { period: null, error: `has an invalid window "${text}"` };
+    }
+    windows.push({ days, start, end });
+  }
+  if (windows.length === 0) {
+    return { period: null, error: 'needs at least one window, like mon-fri 17:00-24:00' };
   }
 
-  // Standard rate based on prime/non-prime
-  return isPrimeTime(date, timeStart) ? 12.00 : 10.00;
+  const label = name.split('_').map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' ');
+  return { period: { name, label, rate: Number(match[1]), windows }, error: null };
 }
 
 /**
- * Get rate description for display
+ * Parse a court or type rule: free, +N, xN or N
+ * @param {string} value
+ * @returns {object|null} { kind: 'free' | 'add' | 'multiply' | 'set', amount }
+ */
+function parseModifier(value) {
+  const match = value.toLowerCase().match(MODIFIER_PATTERN);
+  if (!match) return null;
+  if (match[1] === 'free') return { kind: 'free' };
+  const amount = Number(match[3]);
+  if (match[2] === '+') return { kind: 'add', amount };
+  if (match[2]) return { kind: 'multiply', amount };
+  return { kind: 'set', amount };
+}
+
+/**
+ * Build the rate card versions from config sheet rows
+ * @param {Array<object>} rows - Config sheet rows
+ * @param {string} [facilityId] - Facility to build the card for
+ * @returns {{ versions: Array<{ effectiveFrom: string|null, card: object }>, issues: Array<{ key: string, message: string }> }}
+ *   Versions are oldest first; the first has effectiveFrom null
+ */
+export function parseRateCard(rows, facilityId = getCurrentFacilityId()) {
+  const { values } = getConfigValues(rows, facilityId);
+  const issues = [];
+  // effective date ('' for undated) -> [{ key, match, value }]
+  const changes = new Map([['', []]]);
+
+  values.forEach((value, key) => {
+    const match = key.match(KEY_PATTERN);
+    if (!match || value === '') return;
+    const date = match[1] || '';
+    if (!changes.has(date)) changes.set(date, []);
+    changes.get(date).push({ key, match, value });
+  });
+
+  let card = getDefaultRateCard();
+  const versions = [];
+  [...changes.keys()].sort().forEach(date => {
+    card = {
+      ...card,
+      periods: [...card.periods],
+      courts: { ...card.courts },
+      types: { ...card.types },
+      tiers: { ...card.tiers },
+    };
+    changes.get(date).forEach(({ key, match, value }) => {
+      const [, , part, periodName, court, type, tier] = match;
+      const remove = value.toLowerCase() === 'none';
+
+      if (part === 'base') {
+        const base = value.match(/^\$?(\d+(?:\.\d+)?)\s*(.*)$/);
+        if (!base) {
+          issues.push({ key, message: 'must be an hourly rate, like 10.00' });
+          return;
+        }
+        card.base = Number(base[1]);
+        if (base[2]) card.baseLabel = base[2];
+      } else if (part === 'lights') {
+        const modifier = remove ? null : parseModifier(value);
+        if (remove || modifier) {
+          card.lights = modifier;
+        } else {
+          issues.push({ key, message: 'must be +N, xN or a rate like 14.00' });
+        }
+      } else if (periodName) {
+        const index = card.periods.findIndex(p => p.name === periodName);
+        if (remove) {
+          if (index !== -1) card.periods.splice(index, 1);
+          return;
+        }
+        const { period, error } = parsePeriod(periodName, value);
+        if (error) {
+          issues.push({ key, message: error });
+        } else if (index !== -1) {
+          card.periods[index] = period;
+        } else {
+          card.periods.push(period);
+        }
+      } else {
+        const rules = court ? card.courts : type ? card.types : card.tiers;
+        const ruleKey = court ? Number(court) : type || tier;
+        if (remove) {
+          delete rules[ruleKey];
+          return;
+        }
+        const modifier = parseModifier(value);
+        if (modifier) {
+          rules[ruleKey] = modifier;
+        } else {
+          issues.push({ key, message: 'must be free, +N, xN or a rate like 14.00' });
+        }
+      }
+    });
+    versions.push({ effectiveFrom: date || null, card });
+  });
+
+  return { versions, issues };
+}
+
+// config rows array -> Map of facility ID -> versions
+const versionCache = new WeakMap();
+
+/**
+ * Rate card versions for a facility, from the loaded config rows
+ * @param {string} facilityId
+ * @returns {Array<object>}
+ */
+function getRateVersions(facilityId) {
+  const { rows } = getCollectionState('config');
+  let byFacility = versionCache.get(rows);
+  if (!byFacility) {
+    byFacility = new Map();
+    versionCache.set(rows, byFacility);
+  }
+  let versions = byFacility.get(facilityId);
+  if (!versions) {
+    const parsed = parseRateCard(rows, facilityId);
+    if (parsed.issues.length > 0) {
+      console.warn(`[Rates] Ignoring invalid rate card values for ${facilityId}:`, parsed.issues);
+    }
+    versions = parsed.versions;
+    byFacility.set(facilityId, versions);
+  }
+  return versions;
+}
+
+/**
+ * YYYY-MM-DD for a date, read in local time
  * @param {Date|string} date
- * @param {string} timeStart
  * @returns {string}
  */
-export function getRateDescription(date, timeStart) {
-  if (isPrimeTime(date, timeStart)) {
-    return 'Prime Time ($12.00)';
-  }
-  return 'Non-Prime ($10.00)';
+function toISODate(date) {
+  if (typeof date === 'string') return date.slice(0, 10);
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
 }
 
 /**
- * Calculate total for multiple time slots with mixed prime/non-prime rates
- * Supports half-hour increments
+ * Rate card in effect on a date
  * @param {Date|string} date
- * @param {string|number} timeStart - HH:MM format
- * @param {string|number} timeEnd - HH:MM format
- * @param {string} bookingType
- * @param {number} courts - Number of courts
+ * @param {string} [facilityId] - Defaults to the facility chosen in the Header
+ * @returns {object} { effectiveFrom, base, baseLabel, periods, courts, types, tiers, lights }
+ */
+export function getRateCard(date, facilityId = getCurrentFacilityId()) {
+  const day = toISODate(date);
+  const versions = getRateVersions(facilityId);
+  const version = [...versions].reverse().find(v => !v.effectiveFrom || v.effectiveFrom <= day) || versions[0];
+  return { effectiveFrom: version.effectiveFrom, ...version.card };
+}
+
+/**
+ * Apply a court, lights, type or tier rule to an hourly rate
+ * @param {number} rate
+ * @param {object} [modifier]
  * @returns {number}
  */
-export function calculateTotalRate(date, timeStart, timeEnd, bookingType, courts = 1) {
-  // Free categories
-  if (isFreeBooking(bookingType)) {
-    return 0;
+function applyModifier(rate, modifier) {
+  if (!modifier) return rate;
+  switch (modifier.kind) {
+    case 'free': return 0;
+    case 'add': return rate + modifier.amount;
+    case 'multiply': return rate * modifier.amount;
+    case 'set': return modifier.amount;
+    default: return rate;
   }
+}
 
-  const startMinutes = parseTimeToMinutes(timeStart);
-  const endMinutes = parseTimeToMinutes(timeEnd);
+/**
+ * Period covering a moment, if any
+ * @param {object} card
+ * @param {number} dayOfWeek - 0 = Sunday
+ * @param {number} minutes - Minutes since midnight
+ * @returns {object|null}
+ */
+function findPeriod(card, dayOfWeek, minutes) {
+  return card.periods.find(period => period.windows.some(w =>
+    w.days.includes(dayOfWeek) && minutes >= w.start && minutes < w.end
+  )) || null;
+}
 
-  if (startMinutes === 0 && endMinutes === 0) {
-    // Fallback to simple calculation if times can't be parsed
-    const baseRate = calculateRate(date, timeStart, bookingType);
-    return baseRate * courts;
+/**
+ * Day of week for a date, reading YYYY-MM-DD strings as local dates
+ * @param {Date|string} date
+ * @returns {number}
+ */
+function getDayOfWeek(date) {
+  return (typeof date === 'string' ? new Date(`${date.slice(0, 10)}T12:00:00`) : new Date(date)).getDay();
+}
+
+/**
+ * Hourly rate for one moment of a booking
+ * @param {Date|string} date
+ * @param {number} minutes - Minutes since midnight
+ * @param {object} options
+ * @param {number} [options.court] - Court number, for court rules
+ * @param {string} [options.bookingType] - For type rules
+ * @param {string} [options.tier] - Customer tier, for tier rules
+ * @param {string} [options.facilityId]
+ * @returns {{ rate: number, label: string, prime: boolean }}
+ */
+export function getSlotRate(date, minutes, { court, bookingType, tier, facilityId } = {}) {
+  const card = getRateCard(date, facilityId);
+  const holiday = getHoliday(date, facilityId);
+  const period = findPeriod(card, holiday ? SATURDAY : getDayOfWeek(date), minutes);
+  let rate = period ? period.rate : card.base;
+  let label = period ? period.label : card.baseLabel;
+  if (holiday) label = `${label}, ${holiday.label}`;
+
+  if (court && card.courts[court]) {
+    rate = applyModifier(rate, card.courts[court]);
+    label = `${label}, ${getDefaultCourtName(court)}`;
+  }
+  if (card.lights && isAfterDark(date, minutes) && hasLights(court, facilityId)) {
+    rate = applyModifier(rate, card.lights);
+    label = `${label}, Lights`;
   }
+  rate = applyModifier(rate, card.types[bookingType]);
+  if (tier && card.tiers[tier] && card.types[bookingType]?.kind !== 'free') {
+    rate = applyModifier(rate, card.tiers[tier]);
+    label = `${label}, ${getCustomerTierLabel(tier)}`;
+  }
+  return { rate: Math.round(rate * 100) / 100, label, prime: Boolean(period) };
+}
 
-  // Calculate each half-hour's rate separately to handle prime/non-prime transitions
-  let totalRate = 0;
-  const d = new Date(date);
-  const dayOfWeek = d.getDay(); // 0=Sun, 6=Sat
-  const isWeekend = dayOfWeek === 0 || dayOfWeek === 6;
+/**
+ * Determine if a time slot falls in a rate period (prime time by default)
+ * @param {Date|string} date - Booking date
+ * @param {string|number} timeStart - Start time in HH:MM format or decimal
+ * @returns {boolean}
+ */
+export function isPrimeTime(date, timeStart) {
+  if (!date || (!timeStart && timeStart !== 0)) return false;
+  return getSlotRate(date, parseTimeToMinutes(timeStart)).prime;
+}
 
-  // Iterate through each 30-minute slot of the booking
-  for (let mins = startMinutes; mins < endMinutes; mins += 30) {
-    const hour = Math.floor(mins / 60);
+/**
+ * Hourly rate at a booking's start time
+ * @param {Date|string} date
+ * @param {string} timeStart - HH:MM
+ * @param {string} bookingType
+ * @param {number} [court]
+ * @returns {number} Rate in dollars per hour
+ */
+export function calculateRate(date, timeStart, bookingType, court) {
+  if (!date || !timeStart) return 0;
+  return getSlotRate(date, parseTimeToMinutes(timeStart), { court, bookingType }).rate;
+}
 
-    // Weekend = all prime, Weekday = 17:00+ is prime
-    const isPrime = isWeekend || hour >= 17;
-    // Half-hour rate is half the hourly rate
-    const halfHourRate = isPrime ? 6.00 : 5.00;
+/**
+ * Get rate description for display
+ * @param {Date|string} date
+ * @param {string} timeStart
+ * @returns {string}
+ */
+export function getRateDescription(date, timeStart) {
+  const { rate, label } = getSlotRate(date, parseTimeToMinutes(timeStart));
+  return `${label} ($${rate.toFixed(2)})`;
+}
 
-    totalRate += halfHourRate;
+/**
+ * Price one court for a time range
+ * @returns {{ total: number, lines: Array<{ label: string, rate: number, hours: number }> }}
+ */
+function priceCourt(date, startMinutes, endMinutes, bookingType, court, facilityId, tier) {
+  const lines = new Map();
+  let total = 0;
+  for (let mins = startMinutes; mins < endMinutes; mins += STEP_MINUTES) {
+    const step = Math.min(STEP_MINUTES, endMinutes - mins);
+    const { rate, label } = getSlotRate(date, mins, { court, bookingType, tier, facilityId });
+    const key = `${label}|${rate}`;
+    if (!lines.has(key)) lines.set(key, { label, rate, hours: 0 });
+    lines.get(key).hours += step / 60;
+    total += rate * step / 60;
   }
+  return { total, lines: [...lines.values()] };
+}
 
-  return totalRate * courts;
+/**
+ * Courts argument as a list: a count means that many courts with no court rules
+ * @param {number|Array<number>} courts
+ * @returns {Array<number|null>}
+ */
+function toCourtList(courts) {
+  return Array.isArray(courts) ? courts : Array.from({ length: Math.max(Number(courts) || 1, 1) }, () => null);
+}
+
+/**
+ * Calculate the price of a booking across periods
+ * @param {Date|string} date
+ * @param {string|number} timeStart - HH:MM format
+ * @param {string|number} timeEnd - HH:MM format
+ * @param {string} bookingType
+ * @param {number|Array<number>} courts - Number of courts, or the court numbers (so court rules apply)
+ * @param {string} [facilityId]
+ * @param {string} [tier] - Customer tier (see customerTiers.js)
+ * @returns {number}
+ */
+export function calculateTotalRate(date, timeStart, timeEnd, bookingType, courts = 1, facilityId, tier) {
+  return getRateBreakdown(date, timeStart, timeEnd, bookingType, courts, facilityId, tier).total;
 }
 
 /**
  * Get detailed rate breakdown for display
- * Supports half-hour increments
+ * Lines are per court when every court costs the same, and court-hours
+ * otherwise. With a tier that has a rule, standardTotal is what the
+ * booking would cost at the plain rate card.
  * @param {Date|string} date
  * @param {string} timeStart - HH:MM
  * @param {string} timeEnd - HH:MM
  * @param {string} bookingType
- * @param {number} courts
- * @returns {{ totalHours: number, primeHours: number, nonPrimeHours: number, primeRate: number, nonPrimeRate: number, total: number, description: string }}
- */
-export function getRateBreakdown(date, timeStart, timeEnd, bookingType, courts = 1) {
-  if (isFreeBooking(bookingType)) {
-    return {
-      totalHours: 0,
-      primeHours: 0,
-      nonPrimeHours: 0,
-      primeRate: 12.00,
-      nonPrimeRate: 10.00,
-      total: 0,
-      description: 'No charge',
-    };
+ * @param {number|Array<number>} courts - Number of courts, or the court numbers
+ * @param {string} [facilityId]
+ * @param {string} [tier] - Customer tier (see customerTiers.js)
+ * @returns {{ totalHours: number, courtCount: number, perCourt: boolean, lines: Array<object>, total: number, standardTotal: number, tier: string|null, description: string }}
+ */
+export function getRateBreakdown(date, timeStart, timeEnd, bookingType, courts = 1, facilityId, tier) {
+  const courtList = toCourtList(courts);
+  const empty = { totalHours: 0, courtCount: courtList.length, perCourt: true, lines: [], total: 0, standardTotal: 0, tier: null };
+  if (!date) return { ...empty, description: '' };
+  if (isFreeBooking(bookingType, date, facilityId)) {
+    return { ...empty, description: 'No charge' };
   }
 
   const startMinutes = parseTimeToMinutes(timeStart);
   const endMinutes = parseTimeToMinutes(timeEnd);
   const totalHours = (endMinutes - startMinutes) / 60;
-
   if (totalHours <= 0) {
-    return {
-      totalHours: 0,
-      primeHours: 0,
-      nonPrimeHours: 0,
-      primeRate: 12.00,
-      nonPrimeRate: 10.00,
-      total: 0,
-      description: 'Invalid time range',
-    };
+    return { ...empty, description: 'Invalid time range' };
   }
 
-  const d = new Date(date);
-  const dayOfWeek = d.getDay();
-  const isWeekend = dayOfWeek === 0 || dayOfWeek === 6;
-
-  // Count half-hour slots for accurate calculation
-  let primeSlots = 0;
-  let nonPrimeSlots = 0;
-
-  for (let mins = startMinutes; mins < endMinutes; mins += 30) {
-    const hour = Math.floor(mins / 60);
-    const isPrime = isWeekend || hour >= 17;
-    if (isPrime) {
-      primeSlots++;
-    } else {
-      nonPrimeSlots++;
-    }
-  }
-
-  // Convert slots to hours for display
-  const primeHours = primeSlots / 2;
-  const nonPrimeHours = nonPrimeSlots / 2;
-
-  // Calculate total (slots × half-hour rate)
-  const total = ((primeSlots * 6.00) + (nonPrimeSlots * 5.00)) * courts;
-
-  // Format hours for display (show .5 for half hours)
-  const formatHours = (hrs) => {
-    if (hrs === Math.floor(hrs)) return `${hrs}hr`;
-    return `${hrs}hr`;
-  };
+  const priceAll = (pricedTier) => courtList.map(court =>
+    priceCourt(date, startMinutes, endMinutes, bookingType, court, facilityId, pricedTier)
+  );
+  const sumTotals = (list) => Math.round(list.reduce((sum, p) => sum + p.total, 0) * 100) / 100;
+  const priced = priceAll(tier);
+  const total = sumTotals(priced);
+  const tiered = Boolean(tier && getRateCard(date, facilityId).tiers[tier]);
+  const standardTotal = tiered ? sumTotals(priceAll(null)) : total;
+  const perCourt = priced.every(p => JSON.stringify(p.lines) === JSON.stringify(priced[0].lines));
 
-  // Build description
-  let description = '';
-  if (primeHours > 0 && nonPrimeHours > 0) {
-    description = `${formatHours(nonPrimeHours)} @ $10 + ${formatHours(primeHours)} @ $12`;
-    if (courts > 1) description += ` × ${courts} courts`;
-  } else if (primeHours > 0) {
-    description = `${formatHours(primeHours)} @ $12 (Prime)`;
-    if (courts > 1) description += ` × ${courts} courts`;
-  } else {
-    description = `${formatHours(nonPrimeHours)} @ $10 (Non-Prime)`;
-    if (courts > 1) description += ` × ${courts} courts`;
+  let lines = priced[0].lines;
+  if (!perCourt) {
+    const merged = new Map();
+    priced.flatMap(p => p.lines).forEach(line => {
+      const key = `${line.label}|${line.rate}`;
+      if (!merged.has(key)) merged.set(key, { ...line, hours: 0 });
+      merged.get(key).hours += line.hours;
+    });
+    lines = [...merged.values()];
   }
 
+  let description = lines
+    .map(line => `${line.hours}hr @ $${line.rate.toFixed(2)} (${line.label})`)
+    .join(' + ');
+  if (perCourt && courtList.length > 1) description += ` × ${courtList.length} courts`;
+
   return {
     totalHours,
-    primeHours,
-    nonPrimeHours,
-    primeRate: 12.00,
-    nonPrimeRate: 10.00,
+    courtCount: courtList.length,
+    perCourt,
+    lines,
     total,
+    standardTotal,
+    tier: tiered ? getCustomerTierLabel(tier) : null,
     description,
   };
 }
 
 /**
- * Check if booking type is free
+ * Price after a discount rule
+ * A percent comes off the list price; dollars off never take it below zero.
+ * @param {number} listPrice
+ * @param {object|null} rule - From discounts.js: { kind: 'percent' | 'fixed', amount }
+ * @returns {{ listPrice: number, discount: number, total: number }}
+ */
+export function applyDiscount(listPrice, rule) {
+  let discount = 0;
+  if (rule?.kind === 'percent') {
+    discount = listPrice * rule.amount / 100;
+  } else if (rule?.kind === 'fixed') {
+    discount = rule.amount;
+  }
+  discount = Math.round(Math.min(Math.max(discount, 0), listPrice) * 100) / 100;
+  return { listPrice, discount, total: Math.round((listPrice - discount) * 100) / 100 };
+}
+
+/**
+ * Check if a booking type is free on the rate card
  * @param {string} bookingType
+ * @param {Date|string} [date] - Rate card date (defaults to today)
+ * @param {string} [facilityId]
  * @returns {boolean}
  */
-export function isFreeBooking(bookingType) {
-  return [
-    BOOKING_TYPES.MAINTENANCE,
-    BOOKING_TYPES.HOLD,
-    BOOKING_TYPES.TEAM_HS,
-  ].includes(bookingType);
+export function isFreeBooking(bookingType, date = new Date(), facilityId) {
+  return getRateCard(date, facilityId).types[bookingType]?.kind === 'free';
+}
+
+/**
+ * What a booking costs on the rate card in effect on its date
+ * Priced for the booking's customer tier.
+ * @param {object} booking
+ * @returns {number}
+ */
+export function getBookingListPrice(booking) {
+  return calculateTotalRate(
+    booking.date,
+    booking.time_start,
+    booking.time_end,
+    booking.booking_type,
+    [booking.court],
+    getRowFacilityId(booking),
+    getBookingTier(booking)
+  );
 }
@@ -0,0 +1,131 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { parseRateCard, getRateCard, getSlotRate, calculateTotalRate, getRateBreakdown, isFreeBooking } from './rates.js';
+import { setCollectionRows } from './dataStore.js';
+
+const configRows = (values) => Object.entries(values).map(([key, value]) => ({ key, value }));
+const setConfig = (values) => setCollectionRows('config', configRows(values));
+
+// 2026-10-19 is a Monday, 2026-10-24 a Saturday and 2026-11-26 Thanksgiving
+const MONDAY = '2026-10-19';
+const SATURDAY = '2026-10-24';
+const THANKSGIVING = '2026-11-26';
+
+beforeEach(() => setConfig({}));
+
+describe('parseRateCard', () => {
+  it('keeps the default card when the sheet has no rate rows', () => {
+    const { versions, issues } = parseRateCard([], 'rebsamen');
+    expect(issues).toEqual([]);
+    expect(versions).toHaveLength(1);
+    expect(versions[0]).toMatchObject({ effectiveFrom: null, card: { base: 10, baseLabel: 'Non-Prime' } });
+    expect(versions[0].card.periods.map(p => p.name)).toEqual(['prime']);
+  });
+
+  it('reads periods, court, type and tier rules', () => {
+    const { versions, issues } = parseRateCard(configRows({
+      rate_base: '9.00 Daytime',
+      rate_period_evening: '14.00 mon-thu 18:00-22:00; fri',
+      rate_court_5: '+3.00',
+      rate_type_team_usta: 'x0.5',
+      rate_tier_senior: 'free',
+    }), 'rebsamen');
+    expect(issues).toEqual([]);
+    const { card } = versions[0];
+    expect(card).toMatchObject({ base: 9, baseLabel: 'Daytime' });
+    expect(card.periods[1]).toEqual({
+      name: 'evening',
+      label: 'Evening',
+      rate: 14,
+      windows: [
+        { days: [1, 2, 3, 4], start: 18 * 60, end: 22 * 60 },
+        { days: [5], start: 0, end: 24 * 60 },
+      ],
+    });
+    expect(card.courts[5]).toEqual({ kind: 'add', amount: 3 });
+    expect(card.types.team_usta).toEqual({ kind: 'multiply', amount: 0.5 });
+    expect(card.tiers.senior).toEqual({ kind: 'free' });
+  });
+
+  it('reports invalid rows and keeps the rest of the card', () => {
+    const { versions, issues } = parseRateCard(configRows({
+      rate_base: 'ten',
+      rate_period_late: '15.00 mon-fri 22:00-20:00',
+      rate_court_2: 'double',
+    }), 'rebsamen');
+    expect(issues.map(issue => issue.key)).toEqual(['rate_base', 'rate_period_late', 'rate_court_2']);
+    expect(versions[0].card.base).toBe(10);
+  });
+
+  it('builds each dated version on the one before it', () => {
+    const { versions } = parseRateCard(configRows({
+      rate_court_5: '+3.00',
+      'rate_2027-01-01_base': '11.00',
+      'rate_2027-01-01_period_prime': 'none',
+    }), 'rebsamen');
+    expect(versions.map(v => v.effectiveFrom)).toEqual([null, '2027-01-01']);
+    expect(versions[0].card.periods).toHaveLength(1);
+    expect(versions[1].card).toMatchObject({ base: 11, periods: [], courts: { 5: { kind: 'add', amount: 3 } } });
+  });
+});
+
+describe('getRateCard', () => {
+  it('prices a date with the version in effect on it', () => {
+    setConfig({ 'rate_2027-01-01_base': '11.00' });
+    expect(getRateCard('2026-12-31', 'rebsamen')).toMatchObject({ effectiveFrom: null, base: 10 });
+    expect(getRateCard('2027-01-01', 'rebsamen')).toMatchObject({ effectiveFrom: '2027-01-01', base: 11 });
+  });
+});
+
+describe('getSlotRate', () => {
+  it('charges prime time on weekday evenings and weekends', () => {
+    expect(getSlotRate(MONDAY, 16 * 60 + 45)).toMatchObject({ rate: 10, label: 'Non-Prime', prime: false });
+    expect(getSlotRate(MONDAY, 17 * 60)).toMatchObject({ rate: 12, label: 'Prime', prime: true });
+    expect(getSlotRate(SATURDAY, 9 * 60)).toMatchObject({ rate: 12, prime: true });
+  });
+
+  it('prices holidays with Saturday\'s periods', () => {
+    expect(getSlotRate(THANKSGIVING, 10 * 60)).toMatchObject({ rate: 12, label: 'Prime, Thanksgiving', prime: true });
+  });
+
+  it('applies court, type and tier rules in order', () => {
+    setConfig({ rate_court_5: '+3.00', rate_type_team_usta: 'x0.5', rate_tier_senior: 'x0.5' });
+    expect(getSlotRate(MONDAY, 10 * 60, { court: 5, bookingType: 'team_usta' }).rate).toBe(6.5);
+    expect(getSlotRate(MONDAY, 10 * 60, { court: 5, bookingType: 'open', tier: 'senior' }))
+      .toMatchObject({ rate: 6.5, label: 'Non-Prime, Court 5, Senior' });
+  });
+
+  it('never applies a tier to a free booking type', () => {
+    setConfig({ rate_tier_senior: '+3.00' });
+    expect(getSlotRate(MONDAY, 10 * 60, { bookingType: 'maintenance', tier: 'senior' }).rate).toBe(0);
+  });
+});
+
+describe('getRateBreakdown', () => {
+  it('prices each quarter hour at its own rate', () => {
+    const breakdown = getRateBreakdown(MONDAY, '16:30', '17:30', 'open');
+    expect(breakdown.total).toBe(11);
+    expect(breakdown.description).toBe('0.5hr @ $10.00 (Non-Prime) + 0.5hr @ $12.00 (Prime)');
+    expect(calculateTotalRate(MONDAY, '16:45', '17:15', 'open')).toBe(5.5);
+  });
+
+  it('multiplies by courts and shows court-hours when courts cost differently', () => {
+    setConfig({ rate_court_5: '+3.00' });
+    expect(getRateBreakdown(MONDAY, '10:00', '11:00', 'open', 2)).toMatchObject({
+      total: 20,
+      perCourt: true,
+      description: '1hr @ $10.00 (Non-Prime) × 2 courts',
+    });
+    expect(getRateBreakdown(MONDAY, '10:00', '11:00', 'open', [4, 5])).toMatchObject({ total: 23, perCourt: false });
+  });
+
+  it('reports the standard price next to a tier price', () => {
+    setConfig({ rate_tier_senior: 'x0.5' });
+    expect(getRateBreakdown(MONDAY, '10:00', '12:00', 'open', 1, 'rebsamen', 'senior'))
+      .toMatchObject({ total: 10, standardTotal: 20, tier: 'Senior' });
+  });
+
+  it('charges nothing for free booking types', () => {
+    expect(isFreeBooking('hold', MONDAY)).toBe(true);
+    expect(getRateBreakdown(MONDAY, '10:00', '12:00', 'hold')).toMatchObject({ total: 0, description: 'No charge' });
+  });
+});
@@ -1,25 +1,34 @@
-import { CONFIG, BOOKING_TYPES, BOOKING_STATUS, CANCEL_REASONS } from '../config.js';
-import { parseTimeToMinutes } from './timeUtils.js';
+import { BOOKING_TYPES, BOOKING_STATUS, CANCEL_REASONS } from '../config.js';
+import { parseTimeToMinutes, minutesToTime } from './timeUtils.js';
 import { formatDateISO } from './dateHelpers.js';
+import { getFacilityConfig, getOperatingHours } from './facilityConfig.js';
+import { getRowFacilityId } from './facilities.js';
+import { getBookingListPrice } from './rates.js';
+import { getBookingTier } from './customerTiers.js';
 
 /**
  * Time periods for utilization reporting
- * Using 1-hour slots: 13 slots per day (8am-9pm)
+ * Using 1-hour slots. These are the default boundaries (8am-9pm); the
+ * first and last period stretch to the configured operating hours, see
+ * getTimePeriods().
  */
 export const TIME_PERIODS = {
   MORNING: {
+    name: 'Morning',
     start: '08:00',
     end: '12:00',
     label: 'Morning (8am-12pm)',
     slots: 4, // 8:00, 9:00, 10:00, 11:00 (4 hour-slots, ends at 12:00)
   },
   AFTERNOON: {
+    name: 'Afternoon',
     start: '12:00',
     end: '17:00',
     label: 'Afternoon (12pm-5pm)',
     slots: 5, // 12:00, 13:00, 14:00, 15:00, 16:00 (5 hour-slots, ends at 17:00)
   },
   PRIME: {
+    name: 'Prime',
     start: '17:00',
     end: '21:00',
     label: 'Prime (5pm-9pm)',
@@ -27,27 +36,122 @@ export const TIME_PERIODS = {
   },
 };
 
-// Total 1-hour slots per day: 13 (from 8:00 to 21:00)
-export const TOTAL_SLOTS_PER_DAY = 13;
-export const TOTAL_COURTS = CONFIG.TOTAL_COURTS; // 17
+/**
+ * Time periods clipped to the operating hours from the facility config
+ * The first period opens with the facility and the last runs to closing,
+ * so every open hour falls in exactly one period.
+ * @param {Date|string} [date] - Day to use seasonal hours for
+ * @param {string} [facilityId] - Defaults to the current facility
+ * @returns {object} Same keys as TIME_PERIODS, each { start, end, label, slots }
+ */
+export function getTimePeriods(date, facilityId) {
+  const { start, end } = getOperatingHours(date, facilityId);
+  const dayStart = parseTimeToMinutes(start);
+  const dayEnd = parseTimeToMinutes(end);
+  const keys = Object.keys(TIME_PERIODS);
+
+  const periods = {};
+  keys.forEach((key, index) => {
+    const base = TIME_PERIODS[key];
+    const periodStart = index === 0 ? dayStart : Math.max(parseTimeToMinutes(base.start), dayStart);
+    const periodEnd = Math.max(
+      periodStart,
+      index === keys.length - 1 ? dayEnd : Math.min(parseTimeToMinutes(base.end), dayEnd)
+    );
+    const startTime = minutesToTime(periodStart);
+    const endTime = minutesToTime(periodEnd);
+    periods[key] = {
+      start: startTime,
+      end: endTime,
+      label: `${base.name} (${formatTimeForReport(startTime)}-${formatTimeForReport(endTime)})`,
+      slots: (periodEnd - periodStart) / 60,
+    };
+  });
+  return periods;
+}
+
+/**
+ * Number of courts from the facility config
+ * @param {string} [facilityId] - Defaults to the current facility
+ * @returns {number}
+ */
+export function getTotalCourts(facilityId) {
+  return getFacilityConfig(facilityId).totalCourts;
+}
+
+/**
+ * Open 1-hour slots per court for a day (13 for 8:00 to 21:00)
+ * @param {Date|string} [date] - Day to use seasonal hours for
+ * @param {string} [facilityId] - Defaults to the current facility
+ * @returns {number}
+ */
+export function getTotalSlotsPerDay(date, facilityId) {
+  const { start, end } = getOperatingHours(date, facilityId);
+  return (parseTimeToMinutes(end) - parseTimeToMinutes(start)) / 60;
+}
 
 /**
  * Get total available slots for a time period (all courts)
  * @param {string} period - 'MORNING', 'AFTERNOON', or 'PRIME'
+ * @param {Date|string} [date] - Day to use seasonal hours for
+ * @param {string} [facilityId] - Defaults to the current facility
  * @returns {number}
  */
-export function getTotalSlotsForPeriod(period) {
-  const periodConfig = TIME_PERIODS[period];
+export function getTotalSlotsForPeriod(period, date, facilityId) {
+  const periodConfig = getTimePeriods(date, facilityId)[period];
   if (!periodConfig) return 0;
-  return periodConfig.slots * TOTAL_COURTS;
+  return periodConfig.slots * getTotalCourts(facilityId);
 }
 
 /**
  * Get total available slots for a full day (all courts)
+ * @param {Date|string} [date] - Day to use seasonal hours for
+ * @param {string} [facilityId] - Defaults to the current facility
+ * @returns {number}
+ */
+export function getTotalSlotsForDay(date, facilityId) {
+  return getTotalSlotsPerDay(date, facilityId) * getTotalCourts(facilityId);
+}
+
+/**
+ * Get total available slots across a date range (all courts)
+ * Adds up each day's own hours, so closed days, short days and
+ * seasonal hours are counted as they actually were.
+ * @param {string} startDate - YYYY-MM-DD (inclusive)
+ * @param {string} endDate - YYYY-MM-DD (inclusive)
+ * @param {object} options
+ * @param {string} options.period - Only count one time period ('MORNING', 'AFTERNOON', 'PRIME')
+ * @param {Array<number>} options.weekdays - Only count these days (0 = Sunday)
+ * @param {string} options.facilityId - Defaults to the current facility
  * @returns {number}
  */
-export function getTotalSlotsForDay() {
-  return TOTAL_SLOTS_PER_DAY * TOTAL_COURTS; // 221
+export function getTotalSlotsForRange(startDate, endDate, { period, weekdays, facilityId } = {}) {
+  let total = 0;
+  const day = new Date(startDate + 'T12:00:00');
+  const last = new Date(endDate + 'T12:00:00');
+  while (day <= last) {
+    if (!weekdays || weekdays.includes(day.getDay())) {
+      const date = formatDateISO(day);
+      total += period ? getTotalSlotsForPeriod(period, date, facilityId) : getTotalSlotsForDay(date, facilityId);
+    }
+    day.setDate(day.getDate() + 1);
+  }
+  return total;
+}
+
+/**
+ * Hourly slot start times within the operating hours
+ * @param {Date|string} [date]
+ * @returns {Array<string>}
+ */
+function getHourlySlots(date) {
+  const { start, end } = getOperatingHours(date);
+  const endMinutes = parseTimeToMinutes(end);
+  const slots = [];
+  for (let minutes = parseTimeToMinutes(start); minutes < endMinutes; minutes += 60) {
+    slots.push(minutesToTime(minutes));
+  }
+  return slots;
 }
 
 /**
@@ -104,7 +208,7 @@ function getBookingSlotsInPeriod(booking, period) {
  * @returns {number}
  */
 export function getBookedSlotsForPeriod(bookings, date, periodKey) {
-  const period = TIME_PERIODS[periodKey];
+  const period = getTimePeriods(date)[periodKey];
   if (!period) return 0;
 
   const dayBookings = bookings.filter(b =>
@@ -152,11 +256,12 @@ export function calculateUtilization(booked, total) {
 export function getDailyUtilization(bookings, date) {
   const stats = {};
 
-  Object.keys(TIME_PERIODS).forEach(periodKey => {
-    const total = getTotalSlotsForPeriod(periodKey);
+  const periods = getTimePeriods(date);
+  Object.keys(periods).forEach(periodKey => {
+    const total = getTotalSlotsForPeriod(periodKey, date);
     const booked = getBookedSlotsForPeriod(bookings, date, periodKey);
     stats[periodKey] = {
-      label: TIME_PERIODS[periodKey].label,
+      label: periods[periodKey].label,
       booked,
       total,
       available: total - booked,
@@ -165,7 +270,7 @@ export function getDailyUtilization(bookings, date) {
   });
 
   // Total for day
-  const totalSlots = getTotalSlotsForDay();
+  const totalSlots = getTotalSlotsForDay(date);
   const totalBooked = getBookedSlotsForDay(bookings, date);
   stats.TOTAL = {
     label: 'Total',
@@ -191,8 +296,10 @@ export function getAvailableSlots(bookings, closures, date) {
     b.status !== BOOKING_STATUS.CANCELLED
   );
 
-  // Generate all 1-hour time slots starting from 8am
-  const slots = ['08:00', '09:00', '10:00', '11:00', '12:00', '13:00', '14:00', '15:00', '16:00', '17:00', '18:00', '19:00', '20:00'];
+  // 1-hour time slots across the operating hours
+  const slots = getHourlySlots(date);
+  const periods = getTimePeriods(date);
+  const totalCourts = getTotalCourts();
 
   const result = {
     MORNING: {},
@@ -203,8 +310,8 @@ export function getAvailableSlots(bookings, closures, date) {
   slots.forEach(time => {
     // Determine which period this slot belongs to
     let periodKey = null;
-    Object.keys(TIME_PERIODS).forEach(key => {
-      if (isTimeInPeriod(time, TIME_PERIODS[key])) {
+    Object.keys(periods).forEach(key => {
+      if (isTimeInPeriod(time, periods[key])) {
         periodKey = key;
       }
     });
@@ -213,7 +320,7 @@ export function getAvailableSlots(bookings, closures, date) {
 
     // Find which courts are available at this time
     const availableCourts = [];
-    for (let court = 1; court <= TOTAL_COURTS; court++) {
+    for (let court = 1; court <= totalCourts; court++) {
       // Check if court is booked at this time
       const isBooked = dayBookings.some(b => {
         if (parseInt(b.court, 10) !== court) return false;
@@ -235,7 +342,7 @@ export function getAvailableSlots(bookings, closures, date) {
       });
 
       if (!isBooked && !isClosed) {
-        availableCourts.push(court === CONFIG.STADIUM_COURT_NUMBER ? 'Stadium' : `${court}`);
+        availableCourts.push(court === getFacilityConfig().stadiumCourtNumber ? 'Stadium' : `${court}`);
       }
     }
 
@@ -618,11 +725,19 @@ export function getWeeklyComparison(bookings, currentWeekStart) {
   const lastWeekStart = formatDateISO(lastWeekStartDate);
   const lastWeekEnd = formatDateISO(getWeekEnd(lastWeekStartDate));
 
-  // Calculate total slots for week (7 days)
-  const weekTotalSlots = getTotalSlotsForDay() * 7;
-  const weekPrimeSlots = getTotalSlotsForPeriod('PRIME') * 7;
-  const weekNonPrimeSlots = (getTotalSlotsForPeriod('MORNING') + getTotalSlotsForPeriod('AFTERNOON')) * 7;
-  const weekendSlots = getTotalSlotsForDay() * 2; // Sat + Sun
+  // Total open slots for each week, from each day's operating hours
+  const getWeekCapacity = (start, end) => {
+    const total = getTotalSlotsForRange(start, end);
+    const prime = getTotalSlotsForRange(start, end, { period: 'PRIME' });
+    return {
+      total,
+      prime,
+      nonPrime: total - prime,
+      weekend: getTotalSlotsForRange(start, end, { weekdays: [0, 6] }), // Sat + Sun
+    };
+  };
+  const thisWeekCapacity = getWeekCapacity(thisWeekStart, thisWeekEnd);
+  const lastWeekCapacity = getWeekCapacity(lastWeekStart, lastWeekEnd);
 
   // This week stats
   const thisWeekBookings = bookings.filter(b =>
@@ -671,38 +786,88 @@ export function getWeeklyComparison(bookings, currentWeekStart) {
   const thisWeekSlots = calculateWeekSlots(thisWeekBookings);
   const lastWeekSlots = calculateWeekSlots(lastWeekBookings);
 
+  const utilization = (slots, capacity) => ({
+    overall: calculateUtilization(slots.total, capacity.total),
+    prime: calculateUtilization(slots.prime, capacity.prime),
+    nonPrime: calculateUtilization(slots.nonPrime, capacity.nonPrime),
+    weekend: calculateUtilization(slots.weekend, capacity.weekend),
+  });
+  const thisWeek = utilization(thisWeekSlots, thisWeekCapacity);
+  const lastWeek = utilization(lastWeekSlots, lastWeekCapacity);
+
   return {
-    thisWeek: {
-      overall: calculateUtilization(thisWeekSlots.total, weekTotalSlots),
-      prime: calculateUtilization(thisWeekSlots.prime, weekPrimeSlots),
-      nonPrime: calculateUtilization(thisWeekSlots.nonPrime, weekNonPrimeSlots),
-      weekend: calculateUtilization(thisWeekSlots.weekend, weekendSlots),
-    },
-    lastWeek: {
-      overall: calculateUtilization(lastWeekSlots.total, weekTotalSlots),
-      prime: calculateUtilization(lastWeekSlots.prime, weekPrimeSlots),
-      nonPrime: calculateUtilization(lastWeekSlots.nonPrime, weekNonPrimeSlots),
-      weekend: calculateUtilization(lastWeekSlots.weekend, weekendSlots),
-    },
+    thisWeek,
+    lastWeek,
     change: {
-      overall: calculateUtilization(thisWeekSlots.total, weekTotalSlots) - calculateUtilization(lastWeekSlots.total, weekTotalSlots),
-      prime: calculateUtilization(thisWeekSlots.prime, weekPrimeSlots) - calculateUtilization(lastWeekSlots.prime, weekPrimeSlots),
-      nonPrime: calculateUtilization(thisWeekSlots.nonPrime, weekNonPrimeSlots) - calculateUtilization(lastWeekSlots.nonPrime, weekNonPrimeSlots),
-      weekend: calculateUtilization(thisWeekSlots.weekend, weekendSlots) - calculateUtilization(lastWeekSlots.weekend, weekendSlots),
+      overall: thisWeek.overall - lastWeek.overall,
+      prime: thisWeek.prime - lastWeek.prime,
+      nonPrime: thisWeek.nonPrime - lastWeek.nonPrime,
+      weekend: thisWeek.weekend - lastWeek.weekend,
     },
   };
 }
 
+// ============================================
+// FACILITY ROLLUP
+// ============================================
+
+/**
+ * Side-by-side totals for every facility over a date range
+ * Each facility's utilization uses its own courts and hours.
+ * @param {Array} bookings - Bookings from every facility
+ * @param {Array<{ id: string, name: string }>} facilities
+ * @param {string} startDate - YYYY-MM-DD
+ * @param {string} endDate - YYYY-MM-DD
+ * @returns {{ facilities: Array<object>, total: object }}
+ */
+export function getFacilityRollup(bookings, facilities, startDate, endDate) {
+  const rangeBookings = bookings.filter(b =>
+    b.date >= startDate &&
+    b.date <= endDate &&
+    b.status !== BOOKING_STATUS.CANCELLED
+  );
+
+  const rows = facilities.map(facility => {
+    const facilityBookings = rangeBookings.filter(b => getRowFacilityId(b) === facility.id);
+    const hours = facilityBookings.reduce((sum, b) => sum + getBookingDurationHours(b), 0);
+    const capacity = getTotalSlotsForRange(startDate, endDate, { facilityId: facility.id });
+    return {
+      id: facility.id,
+      name: facility.name,
+      courts: getTotalCourts(facility.id),
+      bookings: facilityBookings.length,
+      hours,
+      capacity,
+      utilization: calculateUtilization(hours, capacity),
+      revenue: calculateExpectedRevenue(facilityBookings),
+    };
+  });
+
+  const total = rows.reduce((sum, row) => ({
+    courts: sum.courts + row.courts,
+    bookings: sum.bookings + row.bookings,
+    hours: sum.hours + row.hours,
+    capacity: sum.capacity + row.capacity,
+    revenue: sum.revenue + row.revenue,
+  }), { courts: 0, bookings: 0, hours: 0, capacity: 0, revenue: 0 });
+  total.utilization = calculateUtilization(total.hours, total.capacity);
+
+  return { facilities: rows, total };
+}
+
 // ============================================
 // REVENUE FOR RANGES
 // ============================================
 
 /**
  * Get revenue for a date range
+ * Revenue is what bookings charge after discounts; listPrice is the
+ * rate card value and discounts what promo codes and overrides took off it.
  * @param {Array} bookings
  * @param {string} startDate
  * @param {string} endDate
- * @returns {object}
+ * @returns {object} { total, collected, pending, byType, byTier, listPrice, discounts }
+ *   discounts is { total, count, byCode: code -> { amount, count } }
  */
 export function getRevenueForRange(bookings, startDate, endDate) {
   const rangeBookings = bookings.filter(b =>
@@ -716,13 +881,33 @@ export function getRevenueForRange(bookings, startDate, endDate) {
     leagues: 0, // teams
     tournaments: 0,
   };
+  // Court rentals split by customer tier: tier -> { amount, count }
+  const byTier = {};
+  let listPrice = 0;
+  const discounts = { total: 0, count: 0, byCode: {} };
 
   rangeBookings.forEach(b => {
     if (b.status === BOOKING_STATUS.CANCELLED) return;
     const amount = parseFloat(b.payment_amount) || 0;
+    const discount = parseFloat(b.discount_amount) || 0;
+    const list = parseFloat(b.list_price);
+    listPrice += Number.isFinite(list) ? list : amount + discount;
+
+    if (discount > 0) {
+      const code = b.promo_code || 'Other';
+      if (!discounts.byCode[code]) discounts.byCode[code] = { amount: 0, count: 0 };
+      discounts.byCode[code].amount += discount;
+      discounts.byCode[code].count++;
+      discounts.total += discount;
+      discounts.count++;
+    }
 
     if (b.booking_type === BOOKING_TYPES.OPEN) {
       byType.courtRentals += amount;
+      const tier = getBookingTier(b);
+      if (!byTier[tier]) byTier[tier] = { amount: 0, count: 0 };
+      byTier[tier].amount += amount;
+      byTier[tier].count++;
     } else if (b.booking_type === BOOKING_TYPES.CONTRACTOR) {
       byType.contractors += amount;
     } else if (b.booking_type?.startsWith('team_')) {
@@ -737,6 +922,9 @@ export function getRevenueForRange(bookings, startDate, endDate) {
     collected: calculateCollectedRevenue(rangeBookings),
     pending: calculatePendingRevenue(rangeBookings),
     byType,
+    byTier,
+    listPrice,
+    discounts,
   };
 }
 
@@ -786,22 +974,10 @@ export function getAvailabilityGrid(bookings, closures, date) {
 
   const dayClosures = closures?.filter(c => c.date === date) || [];
 
-  // Generate all 1-hour time slots starting from 8am
-  const timeSlots = [
-    { time: '08:00', label: '8am' },
-    { time: '09:00', label: '9am' },
-    { time: '10:00', label: '10am' },
-    { time: '11:00', label: '11am' },
-    { time: '12:00', label: '12pm' },
-    { time: '13:00', label: '1pm' },
-    { time: '14:00', label: '2pm' },
-    { time: '15:00', label: '3pm' },
-    { time: '16:00', label: '4pm' },
-    { time: '17:00', label: '5pm' },
-    { time: '18:00', label: '6pm' },
-    { time: '19:00', label: '7pm' },
-    { time: '20:00', label: '8pm' },
-  ];
+  // 1-hour time slots across the operating hours
+  const timeSlots = getHourlySlots(date).map(time => ({ time, label: formatTimeForReport(time) }));
+  const periods = getTimePeriods(date);
+  const totalCourts = getTotalCourts();
 
   let closedCount = 0;
 
@@ -810,15 +986,10 @@ export function getAvailabilityGrid(bookings, closures, date) {
     const slotEnd = slotStart + 60;
 
     // Determine which period this slot belongs to
-    let period = 'MORNING';
-    if (slotStart >= parseTimeToMinutes('12:00') && slotStart < parseTimeToMinutes('17:00')) {
-      period = 'AFTERNOON';
-    } else if (slotStart >= parseTimeToMinutes('17:00')) {
-      period = 'PRIME';
-    }
+    const period = Object.keys(periods).find(key => isTimeInPeriod(time, periods[key])) || 'PRIME';
 
     const courts = [];
-    for (let court = 1; court <= TOTAL_COURTS; court++) {
+    for (let court = 1; court <= totalCourts; court++) {
       // Check if court is closed at this time
       const isClosed = dayClosures.some(c => {
         if (c.court !== 'all' && parseInt(c.court, 10) !== court) return false;
@@ -881,8 +1052,8 @@ export function getParticipationMetrics(bookings, startDate, endDate) {
   };
 
   rangeBookings.forEach(booking => {
-    const count = parseInt(booking.participant_count, 10) || 2; // Default to 2 if not set
-    const isYouth = booking.is_youth === 'TRUE' || booking.is_youth === true;
+    const count = booking.participant_count || 2; // Default to 2 if not set
+    const isYouth = booking.is_youth;
 
     totalParticipants += count;
     if (isYouth) {
@@ -991,13 +1162,15 @@ export function getRevenuePerCourtHour(revenue, hours) {
 
 /**
  * Get waived value tracking
+ * Bookings are valued at their list price, or their payment_amount for
+ * rows saved before list prices were recorded; without either, at the
+ * open play rate on the rate card in effect on their date.
  * @param {Array} bookings
  * @param {string} startDate
  * @param {string} endDate
- * @param {number} defaultHourlyRate - fallback rate if no payment_amount
  * @returns {object}
  */
-export function getWaivedValue(bookings, startDate, endDate, defaultHourlyRate = 12) {
+export function getWaivedValue(bookings, startDate, endDate) {
   const waivedBookings = bookings.filter(b =>
     b.date >= startDate &&
     b.date <= endDate &&
@@ -1007,11 +1180,13 @@ export function getWaivedValue(bookings, startDate, endDate, defaultHourlyRate =
 
   let totalValue = 0;
   waivedBookings.forEach(b => {
-    // Use payment_amount if set, otherwise estimate from hours
-    if (b.payment_amount && parseFloat(b.payment_amount) > 0) {
+    // Use the recorded price if set, otherwise estimate from hours
+    if (b.list_price > 0) {
+      totalValue += b.list_price;
+    } else if (b.payment_amount && parseFloat(b.payment_amount) > 0) {
       totalValue += parseFloat(b.payment_amount);
     } else {
-      totalValue += getBookingDurationHours(b) * defaultHourlyRate;
+      totalValue += getBookingListPrice({ ...b, booking_type: BOOKING_TYPES.OPEN });
     }
   });
 
@@ -1076,15 +1251,11 @@ export function getMonthlyComparison(bookings, currentMonthStart) {
   const lastMonthStart = formatDateISO(getMonthStart(lastMonthDate));
   const lastMonthEnd = formatDateISO(getMonthEnd(lastMonthDate));
 
-  // Calculate days in each month for fair comparison
-  const thisMonthDays = new Date(currentMonthStart.getFullYear(), currentMonthStart.getMonth() + 1, 0).getDate();
-  const lastMonthDays = new Date(lastMonthDate.getFullYear(), lastMonthDate.getMonth() + 1, 0).getDate();
-
-  // Total slots per month
-  const thisMonthTotalSlots = getTotalSlotsForDay() * thisMonthDays;
-  const lastMonthTotalSlots = getTotalSlotsForDay() * lastMonthDays;
-  const thisMonthPrimeSlots = getTotalSlotsForPeriod('PRIME') * thisMonthDays;
-  const lastMonthPrimeSlots = getTotalSlotsForPeriod('PRIME') * lastMonthDays;
+  // Total slots per month, from each day's operating hours
+  const thisMonthTotalSlots = getTotalSlotsForRange(thisMonthStart, thisMonthEnd);
+  const lastMonthTotalSlots = getTotalSlotsForRange(lastMonthStart, lastMonthEnd);
+  const thisMonthPrimeSlots = getTotalSlotsForRange(thisMonthStart, thisMonthEnd, { period: 'PRIME' });
+  const lastMonthPrimeSlots = getTotalSlotsForRange(lastMonthStart, lastMonthEnd, { period: 'PRIME' });
 
   // This month bookings
   const thisMonthBookings = bookings.filter(b =>
@@ -1251,17 +1422,20 @@ export function getParticipationComparison(bookings, currentMonthStart) {
 
 /**
  * Get cancellation breakdown by reason for a date range
+ * No-shows are counted on their own, with who confirmed them; older rows
+ * cancelled with a no-show reason count as no-shows too.
  * @param {Array} bookings
  * @param {string} startDate
  * @param {string} endDate
- * @returns {object}
+ * @returns {object} { total, byReason, noShows: { total, byStaff } }
  */
 export function getCancellationBreakdown(bookings, startDate, endDate) {
-  const cancelled = bookings.filter(b =>
-    b.date >= startDate &&
-    b.date <= endDate &&
-    b.status === BOOKING_STATUS.CANCELLED
-  );
+  const rangeBookings = bookings.filter(b => b.date >= startDate && b.date <= endDate);
+  const isNoShow = (b) =>
+    b.status === BOOKING_STATUS.NO_SHOW ||
+    (b.status === BOOKING_STATUS.CANCELLED && b.cancel_reason === CANCEL_REASONS.NO_SHOW);
+  const cancelled = rangeBookings.filter(b => b.status === BOOKING_STATUS.CANCELLED && !isNoShow(b));
+  const noShows = rangeBookings.filter(isNoShow);
 
   const byReason = {
     weather: cancelled.filter(b => b.cancel_reason === CANCEL_REASONS.WEATHER).length,
@@ -1273,9 +1447,20 @@ export function getCancellationBreakdown(bookings, startDate, endDate) {
     ).length,
   };
 
+  // Staff initials -> no-shows they confirmed
+  const byStaff = {};
+  noShows.forEach(b => {
+    const staff = b.cancelled_by || 'Unknown';
+    byStaff[staff] = (byStaff[staff] || 0) + 1;
+  });
+
   return {
     total: cancelled.length,
     byReason,
+    noShows: {
+      total: noShows.length,
+      byStaff,
+    },
   };
 }
 
@@ -1297,7 +1482,8 @@ export function getDailyUtilizationWithClosures(bookings, closures, date) {
     PRIME: grid.slots.filter(s => s.period === 'PRIME'),
   };
 
-  Object.keys(TIME_PERIODS).forEach(periodKey => {
+  const periods = getTimePeriods(date);
+  Object.keys(periods).forEach(periodKey => {
     const slotsInPeriod = periodSlots[periodKey] || [];
 
     let totalAvailableSlots = 0;
@@ -1318,7 +1504,7 @@ export function getDailyUtilizationWithClosures(bookings, closures, date) {
     });
 
     stats[periodKey] = {
-      label: TIME_PERIODS[periodKey].label,
+      label: periods[periodKey].label,
       booked: bookedSlots,
       total: totalAvailableSlots,
       available: totalAvailableSlots - bookedSlots,
@@ -0,0 +1,327 @@
+import {
+  BOOKING_TYPES,
+  CUSTOMER_TIERS,
+  BOOKING_STATUS,
+  CANCEL_REASONS,
+  REFUND_STATUS,
+  PAYMENT_STATUS,
+  PAYMENT_METHODS,
+  CREDIT_KINDS,
+  CREDIT_ENTRY_TYPES,
+} from '../config.js';
+
+/**
+ * Entity schemas for sheet rows
+ *
+ * Rows arrive from the backend as bags of strings ("TRUE", "12.00", "3").
+ * Each schema lists the columns that have a real type; parseEntities()
+ * coerces those columns so hooks and components receive booleans,
+ * numbers and validated enums. Columns not listed are passed through
+ * unchanged.
+ *
+ * Field spec:
+ * - type: 'string' | 'boolean' | 'integer' | 'number' | 'date' | 'time' | 'enum'
+ * - required: row is dropped if the value is missing or invalid
+ * - default: value used when the cell is empty
+ * - values: allowed values for 'enum'
+ * - min / max: bounds for 'integer' and 'number'
+ * - pattern: RegExp a 'string' must match
+ */
+
+const TRUE_VALUES = ['true', '1', 'yes', 'y'];
+const FALSE_VALUES = ['false', '0', 'no', 'n'];
+
+const optionalEnum = (enumObject) => ({ type: 'enum', values: Object.values(enumObject) });
+
+export const ENTITY_SCHEMAS = {
+  booking: {
+    idKey: 'booking_id',
+    fields: {
+      booking_id: { type: 'string', required: true },
+      date: { type: 'date', required: true },
+      court: { type: 'integer', required: true, min: 1 },
+      time_start: { type: 'time', required: true },
+      time_end: { type: 'time', required: true },
+      booking_type: optionalEnum(BOOKING_TYPES),
+      status: optionalEnum(BOOKING_STATUS),
+      checked_in: { type: 'boolean', default: false },
+      payment_status: optionalEnum(PAYMENT_STATUS),
+      payment_amount: { type: 'number', min: 0 },
+      // Rate card price and the discount taken off it (see discounts.js)
+      list_price: { type: 'number', min: 0 },
+      discount_amount: { type: 'number', default: 0, min: 0 },
+      payment_method: optionalEnum(PAYMENT_METHODS),
+      participant_count: { type: 'integer', min: 0 },
+      is_youth: { type: 'boolean', default: false },
+      customer_tier: optionalEnum(CUSTOMER_TIERS),
+      cancel_reason: optionalEnum(CANCEL_REASONS),
+      refund_status: optionalEnum(REFUND_STATUS),
+      refund_amount: { type: 'number', min: 0 },
+      // Bumped by the server on every update (see backendActions.js)
+      version: { type: 'integer', default: 0, min: 0 },
+    },
+  },
+
+  court: {
+    idKey: 'court_number',
+    fields: {
+      court_number: { type: 'integer', required: true, min: 1 },
+      display_order: { type: 'integer', default: 0 },
+      // Lit for night play (see lights.js)
+      has_lights: { type: 'boolean', default: false },
+    },
+  },
+
+  staff: {
+    idKey: 'staff_id',
+    fields: {
+      initials: { type: 'string', required: true },
+      is_active: { type: 'boolean', default: false },
+    },
+  },
+
+  team: {
+    idKey: 'team_id',
+    fields: {
+      team_id: { type: 'string', required: true },
+      // Teams are active unless explicitly switched off
+      is_active: { type: 'boolean', default: true },
+      court_rate: { type: 'number', min: 0 },
+    },
+  },
+
+  contractor: {
+    idKey: 'contractor_id',
+    fields: {
+      contractor_id: { type: 'string', required: true },
+      is_active: { type: 'boolean', default: false },
+      rate: { type: 'number', min: 0 },
+    },
+  },
+
+  tournament: {
+    idKey: 'tournament_id',
+    fields: {
+      tournament_id: { type: 'string', required: true },
+      start_date: { type: 'date' },
+      end_date: { type: 'date' },
+      status: { type: 'enum', values: ['active', 'completed', 'cancelled'] },
+    },
+  },
+
+  closure: {
+    idKey: 'closure_id',
+    fields: {
+      date: { type: 'date', required: true },
+      // Court number or "all"
+      court: { type: 'string', pattern: /^(all|\d+)$/i },
+      time_start: { type: 'time' },
+      time_end: { type: 'time' },
+      is_active: { type: 'boolean', default: false },
+    },
+  },
+
+  creditEntry: {
+    idKey: 'entry_id',
+    fields: {
+      entry_id: { type: 'string', required: true },
+      lot_id: { type: 'string', required: true },
+      type: { type: 'enum', required: true, values: Object.values(CREDIT_ENTRY_TYPES) },
+      kind: optionalEnum(CREDIT_KINDS),
+      // Dollars for credit, visits for packages; negative draws down
+      amount: { type: 'number', default: 0 },
+      expires_on: { type: 'date' },
+    },
+  },
+
+  maintenanceTask: {
+    idKey: 'task_id',
+    fields: {
+      task_id: { type: 'string', required: true },
+      frequency: { type: 'enum', values: ['daily', 'weekly', 'monthly'] },
+      day_of_week: { type: 'integer', min: 0, max: 6 },
+      day_of_month: { type: 'integer', min: 1, max: 31 },
+      estimated_minutes: { type: 'integer', min: 0 },
+      is_active: { type: 'boolean', default: false },
+    },
+  },
+
+  maintenanceLog: {
+    idKey: 'log_id',
+    fields: {
+      task_id: { type: 'string', required: true },
+      date: { type: 'date' },
+      follow_up_needed: { type: 'boolean', default: false },
+    },
+  },
+};
+
+/**
+ * Value used for an empty cell
+ * @param {object} spec - Field spec
+ * @returns {*}
+ */
+function emptyValue(spec) {
+  if (spec.default !== undefined) return spec.default;
+  if (spec.type === 'boolean') return false;
+  if (spec.type === 'integer' || spec.type === 'number') return null;
+  return '';
+}
+
+/**
+ * Check numeric bounds
+ * @returns {string|null} Error message
+ */
+function checkBounds(spec, value) {
+  if (spec.min !== undefined && value < spec.min) return `must be at least ${spec.min}`;
+  if (spec.max !== undefined && value > spec.max) return `must be at most ${spec.max}`;
+  return null;
+}
+
+/**
+ * Coerce a single cell according to its field spec
+ * @param {object} spec - Field spec
+ * @param {*} raw - Raw cell value
+ * @returns {{ value: *, error: string|null }}
+ */
+export function coerceField(spec, raw) {
+  const text = raw === null || raw === undefined ? '' : String(raw).trim();
+
+  // Already typed (e.g. optimistic local updates)
+  if (spec.type === 'boolean' && typeof raw === 'boolean') return { value: raw, error: null };
+  if ((spec.type === 'integer' || spec.type === 'number') && typeof raw === 'number') {
+    return { value: raw, error: checkBounds(spec, raw) };
+  }
+
+  if (text === '') {
+    return { value: emptyValue(spec), error: spec.required ? 'is required' : null };
+  }
+
+  switch (spec.type) {
+    case 'boolean': {
+      const lower = text.toLowerCase();
+      if (TRUE_VALUES.includes(lower)) return { value: true, error: null };
+      if (FALSE_VALUES.includes(lower)) return { value: false, error: null };
+      return { value: emptyValue(spec), error: `"${text}" is not a yes/no value` };
+    }
+
+    case 'integer': {
+      const value = Number(text);
+      if (!Number.isInteger(value)) {
+        return { value: emptyValue(spec), error: `"${text}" is not a whole number` };
+      }
+      return { value, error: checkBounds(spec, value) };
+    }
+
+    case 'number': {
+      const value = Number(text.replace(/[$,]/g, ''));
+      if (Number.isNaN(value)) {
+        return { value: emptyValue(spec), error: `"${text}" is not a number` };
+      }
+      return { value, error: checkBounds(spec, value) };
+    }
+
+    case 'date':
+      return /^\d{4}-\d{2}-\d{2}$/.test(text)
+        ? { value: text, error: null }
+        : { value: text, error: `"${text}" is not a date` };
+
+    case 'time':
+      return /^\d{2}:\d{2}$/.test(text)
+        ? { value: text, error: null }
+        : { value: text, error: `"${text}" is not a time` };
+
+    case 'enum': {
+      const lower = text.toLowerCase();
+      return spec.values.includes(lower)
+        ? { value: lower, error: null }
+        : { value: text, error: `"${text}" is not one of ${spec.values.join(', ')}` };
+    }
+
+    default:
+      if (spec.pattern && !spec.pattern.test(text)) {
+        return { value: text, error: `"${text}" has an unexpected format` };
+      }
+      return { value: text, error: null };
+  }
+}
+
+/**
+ * Coerce and validate rows against an entity schema
+ * Rows with a missing or invalid required field are dropped; other
+ * problems are reported but the row is kept.
+ * @param {string} entityName - Key of ENTITY_SCHEMAS
+ * @param {Array<object>} rows - Sheet rows
+ * @returns {{ records: Array<object>, issues: Array<{ row: number, id: string, field: string, message: string, dropped: boolean }> }}
+ */
+export function validateEntities(entityName, rows) {
+  const schema = ENTITY_SCHEMAS[entityName];
+  if (!schema) {
+    throw new Error(`Unknown entity: ${entityName}`);
+  }
+
+  const records = [];
+  const issues = [];
+
+  rows.forEach((row, index) => {
+    const record = { ...row };
+    const rowIssues = [];
+    let dropped = false;
+
+    Object.entries(schema.fields).forEach(([field, spec]) => {
+      const { value, error } = coerceField(spec, row[field]);
+      record[field] = value;
+      if (error) {
+        if (spec.required) dropped = true;
+        rowIssues.push({ field, message: `${field} ${error}` });
+      }
+    });
+
+    rowIssues.forEach(issue => issues.push({
+      row: index + 1,
+      id: row[schema.idKey] || '',
+      ...issue,
+      dropped,
+    }));
+
+    if (!dropped) records.push(record);
+  });
+
+  return { records, issues };
+}
+
+/**
+ * Coerce rows to typed entities, logging any invalid rows
+ * @param {string} entityName - Key of ENTITY_SCHEMAS
+ * @param {Array<object>} rows - Sheet rows
+ * @returns {Array<object>} Typed records
+ */
+export function parseEntities(entityName, rows) {
+  const { records, issues } = validateEntities(entityName, rows);
+  if (issues.length > 0) {
+    const droppedCount = new Set(issues.filter(i => i.dropped).map(i => i.row)).size;
+    console.warn(
+      `[Schema] ${entityName}: ${issues.length} issue(s), ${droppedCount} row(s) dropped`,
+      issues
+    );
+  }
+  return records;
+}
+
+/**
+ * Coerce a single locally built row (e.g. an optimistic update)
+ * Invalid rows are returned with whatever could be coerced rather than
+ * dropped, so the UI still shows what staff entered.
+ * @param {string} entityName - Key of ENTITY_SCHEMAS
+ * @param {object} row - Row with string or typed values
+ * @returns {object} Typed record
+ */
+export function parseEntity(entityName, row) {
+  const schema = ENTITY_SCHEMAS[entityName];
+  const record = { ...row };
+  Object.entries(schema.fields).forEach(([field, spec]) => {
+    if (row[field] === undefined) return;
+    record[field] = coerceField(spec, row[field]).value;
+  });
+  return record;
+}
@@ -0,0 +1,99 @@
+import { describe, it, expect } from 'vitest';
+import { coerceField, validateEntities, parseEntity } from './schema.js';
+
+const bookingRow = (extra = {}) => ({
+  booking_id: 'B-1',
+  date: '2026-10-19',
+  court: '3',
+  time_start: '18:00',
+  time_end: '19:00',
+  booking_type: 'Open',
+  status: 'active',
+  checked_in: 'TRUE',
+  payment_amount: '$1,234.50',
+  customer_name: 'Jo Smith',
+  ...extra,
+});
+
+describe('coerceField', () => {
+  it('reads yes/no cells as booleans', () => {
+    const spec = { type: 'boolean' };
+    expect(['TRUE', 'yes', 'Y', '1'].map(v => coerceField(spec, v).value)).toEqual([true, true, true, true]);
+    expect(['FALSE', 'no', 'N', '0'].map(v => coerceField(spec, v).value)).toEqual([false, false, false, false]);
+    expect(coerceField(spec, 'maybe')).toEqual({ value: false, error: '"maybe" is not a yes/no value' });
+  });
+
+  it('reads money with dollar signs and thousands separators', () => {
+    expect(coerceField({ type: 'number', min: 0 }, '$1,234.50')).toEqual({ value: 1234.5, error: null });
+    expect(coerceField({ type: 'number', min: 0 }, '-5').error).toBe('must be at least 0');
+    expect(coerceField({ type: 'number' }, 'ten').error).toBe('"ten" is not a number');
+  });
+
+  it('rejects fractional integers and checks bounds', () => {
+    expect(coerceField({ type: 'integer' }, '2.5').error).toBe('"2.5" is not a whole number');
+    expect(coerceField({ type: 'integer', min: 0, max: 6 }, '7')).toEqual({ value: 7, error: 'must be at most 6' });
+  });
+
+  it('uses the default for empty cells and flags required ones', () => {
+    expect(coerceField({ type: 'integer', default: 0 }, '')).toEqual({ value: 0, error: null });
+    expect(coerceField({ type: 'number' }, '  ')).toEqual({ value: null, error: null });
+    expect(coerceField({ type: 'string', required: true }, undefined)).toEqual({ value: '', error: 'is required' });
+  });
+
+  it('lower-cases enum values and reports unknown ones', () => {
+    const spec = { type: 'enum', values: ['active', 'cancelled'] };
+    expect(coerceField(spec, 'Active')).toEqual({ value: 'active', error: null });
+    expect(coerceField(spec, 'gone').error).toBe('"gone" is not one of active, cancelled');
+  });
+
+  it('keeps values that are already typed', () => {
+    expect(coerceField({ type: 'boolean' }, true)).toEqual({ value: true, error: null });
+    expect(coerceField({ type: 'number', min: 0 }, 12)).toEqual({ value: 12, error: null });
+  });
+});
+
+describe('validateEntities', () => {
+  it('types the listed columns and passes the rest through', () => {
+    const { records, issues } = validateEntities('booking', [bookingRow()]);
+    expect(issues).toEqual([]);
+    expect(records[0]).toMatchObject({
+      court: 3,
+      booking_type: 'open',
+      checked_in: true,
+      payment_amount: 1234.5,
+      discount_amount: 0,
+      is_youth: false,
+      version: 0,
+      customer_name: 'Jo Smith',
+    });
+  });
+
+  it('drops rows with a bad required field and keeps rows with a bad optional one', () => {
+    const { records, issues } = validateEntities('booking', [
+      bookingRow({ booking_id: 'B-1', court: 'three' }),
+      bookingRow({ booking_id: 'B-2', payment_status: 'owed' }),
+    ]);
+    expect(records.map(r => r.booking_id)).toEqual(['B-2']);
+    expect(issues).toEqual([
+      { row: 1, id: 'B-1', field: 'court', message: 'court "three" is not a whole number', dropped: true },
+      expect.objectContaining({ row: 2, id: 'B-2', field: 'payment_status', dropped: false }),
+    ]);
+  });
+
+  it('applies per-entity defaults and patterns', () => {
+    expect(validateEntities('team', [{ team_id: 'TEAM-1' }]).records[0].is_active).toBe(true);
+    const { issues } = validateEntities('closure', [{ date: '2026-10-19', court: 'north' }]);
+    expect(issues).toEqual([expect.objectContaining({ field: 'court', dropped: false })]);
+  });
+
+  it('throws for an unknown entity', () => {
+    expect(() => validateEntities('racket', [])).toThrow('Unknown entity: racket');
+  });
+});
+
+describe('parseEntity', () => {
+  it('coerces only the fields the row has, without dropping invalid rows', () => {
+    const record = parseEntity('booking', { booking_id: 'B-1', court: 'three', checked_in: 'yes' });
+    expect(record).toEqual({ booking_id: 'B-1', court: null, checked_in: true });
+  });
+});
@@ -0,0 +1,126 @@
+import { CONFIG } from '../config.js';
+import { fetchCSV, normalizeRow } from './csvParser.js';
+import { httpError, networkError, isTimeoutError } from './apiErrors.js';
+import { COLLECTION_KEYS } from './backendActions.js';
+
+/**
+ * Google Sheets backend adapter
+ * Reads collections from the published CSV exports and sends writes
+ * to the Apps Script web app
+ * @returns {object} Backend adapter
+ */
+export function createSheetsBackend() {
+  return {
+    name: 'sheets',
+
+    /**
+     * Fetch every row of a collection
+     * Sheets without a published CSV export (credits) are read through
+     * the Apps Script getCollection action instead.
+     * @param {string} collection - Key of CONFIG.CSV_URLS or COLLECTION_KEYS
+     * @returns {Promise<Array<object>>}
+     */
+    async fetchCollection(collection) {
+      const url = CONFIG.CSV_URLS[collection];
+      if (url) {
+        return fetchCSV(url);
+      }
+      if (!COLLECTION_KEYS[collection]) {
+        throw new Error(`Unknown collection: ${collection}`);
+      }
+      const result = await this.execute('getCollection', { collection });
+      if (!result?.success) {
+        throw new Error(result?.error || `getCollection failed for ${collection}`);
+      }
+      return (result.rows || []).map(normalizeRow);
+    },
+
+    /**
+     * Fetch only the rows changed since a point in time
+     * Uses the Apps Script getChangesSince action, which compares each
+     * row's updated_at column against the cursor
+     * @param {string} collection - Key of CONFIG.CSV_URLS
+     * @param {string} since - ISO timestamp from the previous sync
+     * @returns {Promise<{ rows: Array<object>, deletedIds: Array<string>, serverTime: string }>}
+     */
+    async fetchChangesSince(collection, since) {
+      const result = await this.execute('getChangesSince', { collection, since });
+      if (!result?.success) {
+        throw new Error(result?.error || 'getChangesSince failed');
+      }
+      return {
+        rows: (result.rows || []).map(normalizeRow),
+        deletedIds: result.deletedIds || [],
+        serverTime: result.serverTime,
+      };
+    },
+
+    /**
+     * Listen for writes from other terminals
+     * Long-polls the waitForChanges action: the script holds each request
+     * until a row changes or LIVE_POLL_TIMEOUT passes. Stops quietly if the
+     * deployed script does not support the action.
+     * @param {Function} onChange - Called with the names of changed collections
+     * @returns {Function} Unsubscribe
+     */
+    subscribeChanges(onChange) {
+      let stopped = false;
+      let since = new Date().toISOString();
+
+      const poll = async () => {
+        while (!stopped) {
+          try {
+            const result = await this.execute('waitForChanges', {
+              since,
+              timeoutMs: CONFIG.LIVE_POLL_TIMEOUT,
+            });
+            if (!result?.success) {
+              console.warn('[SheetsBackend] Change notifications unavailable:', result?.error);
+              return;
+            }
+            since = result.serverTime || since;
+            if (!stopped && result.collections?.length > 0) {
+              onChange(result.collections);
+            }
+          } catch (error) {
+            console.log('[SheetsBackend] Change notifications interrupted, retrying:', error.message);
+            await new Promise(resolve => setTimeout(resolve, CONFIG.LIVE_RETRY_DELAY));
+          }
+        }
+      };
+
+      poll();
+      return () => {
+        stopped = true;
+      };
+    },
+
+    /**
+     * Run an Apps Script action
+     * Uses text/plain content type to avoid CORS preflight (OPTIONS request)
+     * which Google Apps Script doesn't support
+     * @param {string} action - Action name
+     * @param {object} data - Request data
+     * @returns {Promise<object>} Response data
+     * @throws {Error} A NetworkError (see apiErrors.js) when the script can't be reached
+     */
+    async execute(action, data) {
+      let response;
+      try {
+        response = await fetch(CONFIG.APPS_SCRIPT_URL, {
+          method: 'POST',
+          headers: { 'Content-Type': 'text/plain;charset=utf-8' },
+          body: JSON.stringify({ action, ...data }),
+          signal: AbortSignal.timeout(CONFIG.API_TIMEOUT),
+        });
+      } catch (error) {
+        // fetch() rejects with a TypeError when the network is unreachable
+        throw isTimeoutError(error) ? error : networkError(error);
+      }
+      if (!response.ok) {
+        return httpError(response.status);
+      }
+      return response.json();
+    },
+  };
+}
@@ -0,0 +1,123 @@
+import { CONFIG } from '../config.js';
+import { minutesToTime } from './timeUtils.js';
+
+/**
+ * Sunset times
+ *
+ * Worked out locally for Little Rock (CONFIG.LOCATION) with the
+ * sunrise/sunset algorithm from the Almanac for Computers, which is good
+ * to a minute or two; no network lookup is needed. Times are local
+ * (Central, with daylight saving) whatever time zone the browser is in.
+ */
+
+const DEG = Math.PI / 180;
+// Sun's center 50' below the horizon: refraction plus its radius
+const ZENITH = 90.833;
+
+// YYYY-MM-DD -> minutes since midnight
+const sunsetCache = new Map();
+
+const normalizeDegrees = (value) => ((value % 360) + 360) % 360;
+const pad = (n) => String(n).padStart(2, '0');
+
+/**
+ * YYYY-MM-DD for a date, read in local time
+ * @param {Date|string} date
+ * @returns {string}
+ */
+function toISODate(date) {
+  if (typeof date === 'string') return date.slice(0, 10);
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Day of the year, 1-366
+ * @param {number} year
+ * @param {number} month - 1-12
+ * @param {number} day
+ * @returns {number}
+ */
+function dayOfYear(year, month, day) {
+  return Math.round((Date.UTC(year, month - 1, day) - Date.UTC(year, 0, 0)) / 86400000);
+}
+
+/**
+ * Sunset in UTC hours for a day, which may run past 24
+ * @returns {number|null} null where the sun does not set
+ */
+function getSunsetUTCHours(year, month, day, latitude, longitude) {
+  const lngHour = longitude / 15;
+  const t = dayOfYear(year, month, day) + (18 - lngHour) / 24;
+
+  // Sun's mean anomaly and true longitude
+  const M = 0.9856 * t - 3.289;
+  const L = normalizeDegrees(M + 1.916 * Math.sin(M * DEG) + 0.020 * Math.sin(2 * M * DEG) + 282.634);
+
+  // Right ascension, in the same quadrant as L, in hours
+  let RA = normalizeDegrees(Math.atan(0.91764 * Math.tan(L * DEG)) / DEG);
+  RA = (RA + Math.floor(L / 90) * 90 - Math.floor(RA / 90) * 90) / 15;
+
+  const sinDec = 0.39782 * Math.sin(L * DEG);
+  const cosDec = Math.cos(Math.asin(sinDec));
+  const cosH = (Math.cos(ZENITH * DEG) - sinDec * Math.sin(latitude * DEG)) / (cosDec * Math.cos(latitude * DEG));
+  if (cosH < -1 || cosH > 1) return null;
+
+  const H = Math.acos(cosH) / DEG / 15;
+  let UT = (H + RA - 0.06571 * t - 6.622 - lngHour) % 24;
+  // Sunset falls in the twelve hours after local solar noon
+  while (UT < 12 - lngHour) UT += 24;
+  return UT;
+}
+
+/**
+ * Sunset for a date, in minutes since local midnight
+ * @param {Date|string} date - YYYY-MM-DD strings are read as local dates
+ * @returns {number|null}
+ */
+export function getSunsetMinutes(date) {
+  const day = toISODate(date);
+  if (sunsetCache.has(day)) return sunsetCache.get(day);
+
+  const [year, month, dayOfMonth] = day.split('-').map(Number);
+  const { LATITUDE, LONGITUDE, TIME_ZONE } = CONFIG.LOCATION;
+  const utcHours = getSunsetUTCHours(year, month, dayOfMonth, LATITUDE, LONGITUDE);
+  let minutes = null;
+  if (utcHours !== null) {
+    const instant = new Date(Date.UTC(year, month - 1, dayOfMonth) + utcHours * 3600000);
+    const parts = new Intl.DateTimeFormat('en-US', {
+      timeZone: TIME_ZONE,
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23',
+    }).formatToParts(instant);
+    const part = (type) => Number(parts.find(p => p.type === type).value);
+    minutes = part('hour') * 60 + part('minute');
+  }
+  sunsetCache.set(day, minutes);
+  return minutes;
+}
+
+/**
+ * Sunset for a date as HH:MM
+ * @param {Date|string} date
+ * @returns {string} '' where the sun does not set
+ */
+export function getSunset(date) {
+  const minutes = getSunsetMinutes(date);
+  return minutes === null ? '' : minutesToTime(minutes);
+}
+
+/**
+ * Sunset for every day in a range
+ * @param {string} startDate - YYYY-MM-DD
+ * @param {string} endDate - YYYY-MM-DD
+ * @returns {Array<{ date: string, sunset: string }>}
+ */
+export function getSunsetTable(startDate, endDate) {
+  const table = [];
+  const end = new Date(`${endDate}T12:00:00`);
+  for (let d = new Date(`${startDate}T12:00:00`); d <= end; d.setDate(d.getDate() + 1)) {
+    table.push({ date: toISODate(d), sunset: getSunset(d) });
+  }
+  return table;
+}
@@ -0,0 +1,58 @@
+/**
+ * Incremental sync helpers
+ *
+ * After the first full load the provider asks the backend for rows changed
+ * since the last cursor, plus the IDs of rows deleted since then, and
+ * merges them into state instead of re-downloading everything.
+ *
+ * Most rows are identified by their ID column. Legacy DDCC-HHMM booking
+ * IDs repeat every month, so those rows are identified by ID, date, court
+ * and start time instead (see getBookingRowKey()). A change that can't be
+ * placed on exactly one local row, such as a legacy booking that moved or
+ * a deleted legacy ID, needs a full reload.
+ */
+
+/**
+ * Merge changed rows into an existing list
+ * Changed rows replace the local row with the same identity; new rows are
+ * appended
+ * @param {Array<object>} rows - Current rows
+ * @param {Array<object>} changedRows - Rows returned by the backend
+ * @param {string} idKey - ID column (e.g. 'booking_id')
+ * @param {Array<string>} deletedIds - IDs removed on the server
+ * @param {object} [options]
+ * @param {Function} [options.rowKey] - row => identity; defaults to the ID
+ * @param {Function} [options.isSharedId] - id => true for IDs more than one row can have
+ * @returns {Array<object>|null} Merged rows, or null when the changes are
+ *   ambiguous and a full reload is needed
+ */
+export function mergeChangedRows(rows, changedRows, idKey, deletedIds = [], options = {}) {
+  if (changedRows.length === 0 && deletedIds.length === 0) return rows;
+
+  const { rowKey = row => row[idKey], isSharedId = () => false } = options;
+
+  // A tombstone only names the ID, which can't say which of several rows went
+  if (deletedIds.some(isSharedId)) return null;
+
+  const changedByKey = new Map(changedRows.map(row => [rowKey(row), row]));
+  const deleted = new Set(deletedIds);
+
+  const merged = rows
+    .filter(row => !deleted.has(row[idKey]))
+    .map(row => {
+      const key = rowKey(row);
+      const changed = changedByKey.get(key);
+      if (!changed) return row;
+      changedByKey.delete(key);
+      return changed;
+    });
+
+  // Anything left over is a row this client has not seen yet, unless it
+  // shares its ID with a local row it may have moved from
+  const leftover = [...changedByKey.values()];
+  const localIds = new Set(rows.map(row => row[idKey]));
+  if (leftover.some(row => isSharedId(row[idKey]) && localIds.has(row[idKey]))) return null;
+
+  leftover.forEach(row => merged.push(row));
+  return merged;
+}
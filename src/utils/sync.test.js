@@ -0,0 +1,59 @@
+import { describe, it, expect } from 'vitest';
+import { mergeChangedRows } from './sync.js';
+import { getBookingRowKey, isLegacyBookingId } from './bookingId.js';
+
+const BOOKING_OPTIONS = { rowKey: getBookingRowKey, isSharedId: isLegacyBookingId };
+
+const booking = (booking_id, date, extra = {}) => ({
+  booking_id,
+  date,
+  court: 3,
+  time_start: '18:00',
+  time_end: '19:00',
+  status: 'active',
+  ...extra,
+});
+
+describe('mergeChangedRows', () => {
+  it('replaces changed rows by ID and appends new ones', () => {
+    const rows = [booking('20261019-03-1800-7K2M9Q', '2026-10-19'), booking('20261020-03-1800-8B3N4R', '2026-10-20')];
+    const changed = booking('20261020-03-1800-8B3N4R', '2026-10-20', { status: 'cancelled' });
+    const added = booking('20261021-03-1800-9C4P5S', '2026-10-21');
+
+    const merged = mergeChangedRows(rows, [changed, added], 'booking_id', ['20261019-03-1800-7K2M9Q'], BOOKING_OPTIONS);
+
+    expect(merged).toEqual([changed, added]);
+  });
+
+  it('updates the legacy booking that changed, not another month\'s with the same ID', () => {
+    const april = booking('0503-1800', '2026-04-05');
+    const may = booking('0503-1800', '2026-05-05');
+    const changed = { ...may, status: 'cancelled' };
+
+    const merged = mergeChangedRows([april, may], [changed], 'booking_id', [], BOOKING_OPTIONS);
+
+    expect(merged).toEqual([april, changed]);
+  });
+
+  it('keeps both of two changed legacy rows that share an ID', () => {
+    const april = booking('0503-1800', '2026-04-05');
+    const may = booking('0503-1800', '2026-05-05');
+    const changedApril = { ...april, checked_in: true };
+    const changedMay = { ...may, status: 'cancelled' };
+
+    const merged = mergeChangedRows([april, may], [changedApril, changedMay], 'booking_id', [], BOOKING_OPTIONS);
+
+    expect(merged).toEqual([changedApril, changedMay]);
+  });
+
+  it('asks for a full reload when a legacy ID is deleted', () => {
+    const rows = [booking('0503-1800', '2026-04-05'), booking('0503-1800', '2026-05-05')];
+    expect(mergeChangedRows(rows, [], 'booking_id', ['0503-1800'], BOOKING_OPTIONS)).toBeNull();
+  });
+
+  it('asks for a full reload when a legacy booking moved', () => {
+    const rows = [booking('0503-1800', '2026-04-05'), booking('0503-1800', '2026-05-05')];
+    const moved = booking('0503-1800', '2026-05-05', { court: 4 });
+    expect(mergeChangedRows(rows, [moved], 'booking_id', [], BOOKING_OPTIONS)).toBeNull();
+  });
+});
@@ -232,6 +232,22 @@ export function formatTimeDisplay(value) {
   return `${displayHour}:${String(minutes).padStart(2, '0')} ${period}`;
 }
 
+/**
+ * Format a timestamp column for display (e.g., "Oct 19, 2:05 PM")
+ * Rows holding only a time of day show just the time.
+ *
+ * @param {string} value - ISO timestamp or HH:MM
+ * @returns {string} Formatted timestamp, or the value as given if unrecognized
+ */
+export function formatTimestampDisplay(value) {
+  if (!value) return '';
+  if (!/^\d{4}-\d{2}-\d{2}T/.test(value)) return formatTimeDisplay(value) || value;
+
+  const date = new Date(value);
+  if (isNaN(date)) return value;
+  return date.toLocaleString('en-US', { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' });
+}
+
 /**
  * Check if a time value is valid
  *